@@ -0,0 +1,282 @@
+/**
+ * Default Heuristic Tag Rules
+ * Seeded into the tag_rules table the first time the database is migrated.
+ * After that the rules are edited in the app (/rules.html), not here.
+ *
+ * Keyword rules score a tweet: +3 per strict term, +1 per broad word, and any
+ * negative phrase rules the tag out. Pattern rules match regexes written as
+ * '/source/flags'.
+ */
+
+const DEFAULT_TAG_RULES = [
+    {
+        tag: 'awe',
+        category: 'topic',
+        strict: ['sublime', 'transcendent', 'majestic', 'breathtaking', 'marvel', 'divine', 'sacred', 'numinous', 'epiphany'],
+        broad: ['awe', 'wonder', 'beauty', 'stunning', 'incredible', 'magic', 'soul', 'god', 'spirit'],
+        negative: ['awful', 'awesome job', 'thanks']
+    },
+    {
+        tag: 'strategy',
+        category: 'topic',
+        strict: ['moat', 'flywheel', 'network effect', 'game theory', 'incentive structure', 'roadmap', 'strategic', 'go-to-market', 'business model'],
+        broad: ['strategy', 'leverage', 'tactic', 'execution', 'vision', 'planning', 'competition', 'market', 'scale', 'growth'],
+        negative: []
+    },
+    {
+        tag: 'community',
+        category: 'topic',
+        strict: ['social capital', 'third place', 'communitas', 'dunbar', 'girl gang', 'squad'],
+        broad: ['community', 'tribe', 'gathering', 'belonging', 'friendship', 'hosting', 'dinner', 'party', 'social', 'group', 'people', 'connection'],
+        negative: ['community manager', 'community notes']
+    },
+    {
+        tag: 'design',
+        category: 'topic',
+        strict: ['ui/ux', 'typography', 'typeface', 'kerning', 'affordance', 'skeuomorphic', 'figma', 'css', 'usability'],
+        broad: ['design', 'interface', 'aesthetic', 'visual', 'style', 'layout', 'font', 'color', 'pixel', 'creative', 'art', 'beauty'],
+        negative: ['designated', 'designing my life']
+    },
+    {
+        tag: 'art',
+        category: 'topic',
+        strict: ['painting', 'sculpture', 'museum', 'gallery', 'masterpiece', 'canvas', 'exhibition', 'curator', 'art history'],
+        broad: ['art', 'artist', 'creative', 'expression', 'drawing', 'sketch', 'illustration', 'create'],
+        negative: ['art of war', 'state of the art']
+    },
+    {
+        tag: 'aesthetics',
+        category: 'topic',
+        strict: ['moodboard', 'interior design', 'palette', 'atmospheric', 'cinematic', 'composition'],
+        broad: ['aesthetic', 'vibe', 'mood', 'atmosphere', 'beauty', 'style', 'elegant', 'taste', 'curation', 'look'],
+        negative: []
+    },
+    {
+        tag: 'theory',
+        category: 'topic',
+        strict: ['epistemology', 'ontology', 'metaphysics', 'dialectics', 'phenomenology', 'axiom', 'first principles'],
+        broad: ['theory', 'theoretical', 'hypothesis', 'framework', 'model', 'concept', 'analysis', 'thesis', 'principle', 'idea', 'system'],
+        negative: ['conspiracy theory', 'in theory']
+    },
+    {
+        tag: 'philosophy',
+        category: 'topic',
+        strict: ['stoicism', 'existentialism', 'nihilism', 'virtue ethics', 'categorical imperative', 'utilitarian', 'nietzsche'],
+        broad: ['philosophy', 'stoic', 'ethics', 'virtue', 'meaning', 'consciousness', 'existential', 'mental model', 'wisdom', 'truth', 'life'],
+        negative: []
+    },
+    {
+        tag: 'tech',
+        category: 'topic',
+        strict: ['llm', 'generative ai', 'crypto', 'blockchain', 'saas', 'api', 'full stack', 'algorithm', 'neural net'],
+        broad: ['tech', 'software', 'code', 'startup', 'engineering', 'product', 'developer', 'app', 'digital', 'internet', 'web'],
+        negative: []
+    },
+    {
+        tag: 'sociology',
+        category: 'topic',
+        strict: ['mimetic', 'signaling', 'status game', 'social dynamics', 'normie', 'egregore', 'girard'],
+        broad: ['sociology', 'culture', 'status', 'norm', 'hierarchy', 'group', 'social', 'society', 'human', 'behavior'],
+        negative: []
+    },
+    {
+        tag: 'psychology',
+        category: 'topic',
+        strict: ['cognitive bias', 'trauma', 'neuroplasticity', 'dopamine', 'frontal cortex', 'attachment theory'],
+        broad: ['psychology', 'mindset', 'healing', 'habits', 'flow', 'ego', 'subconscious', 'mental health', 'therapy', 'brain', 'mind'],
+        negative: []
+    },
+    {
+        tag: 'writing',
+        category: 'topic',
+        strict: ['copywriting', 'storytelling arc', 'narrative structure', 'prose', 'publishing', 'substack'],
+        broad: ['writing', 'writer', 'blog', 'newsletter', 'author', 'essay', 'word', 'write', 'story'],
+        negative: ['writing code']
+    },
+    {
+        tag: 'history',
+        category: 'topic',
+        strict: ['ancient rome', 'medieval', 'civil war', 'renaissance', 'industrial revolution', 'empire', 'archaeology', 'historian'],
+        broad: ['history', 'historical', 'past', 'century', 'decade', 'era', 'ancient', 'modernity', 'tradition'],
+        negative: []
+    },
+    {
+        tag: 'science',
+        category: 'topic',
+        strict: ['physics', 'chemistry', 'biology', 'quantum', 'relativity', 'evolution', 'neuroscience', 'astronomy', 'scientific method'],
+        broad: ['science', 'scientific', 'research', 'experiment', 'study', 'lab', 'evidence', 'data', 'nature'],
+        negative: []
+    },
+    {
+        tag: 'politics',
+        category: 'topic',
+        strict: ['democracy', 'republican', 'democrat', 'liberal', 'conservative', 'policy', 'legislation', 'election', 'voting', 'geopolitics'],
+        broad: ['politics', 'political', 'government', 'state', 'power', 'law', 'regulation', 'campaign'],
+        negative: []
+    },
+    {
+        tag: 'economics',
+        category: 'topic',
+        strict: ['inflation', 'gdp', 'macroeconomics', 'microeconomics', 'supply and demand', 'monetary policy', 'fiscal', 'central bank'],
+        broad: ['economics', 'economy', 'market', 'money', 'finance', 'capital', 'trade', 'price', 'cost'],
+        negative: []
+    },
+    {
+        tag: 'education',
+        category: 'topic',
+        strict: ['pedagogy', 'curriculum', 'university', 'college', 'schooling', 'literacy', 'student loan', 'academia'],
+        broad: ['education', 'school', 'learn', 'teach', 'student', 'teacher', 'class', 'course', 'degree'],
+        negative: []
+    },
+    {
+        tag: 'health',
+        category: 'topic',
+        strict: ['nutrition', 'exercise', 'circadian rhythm', 'metabolism', 'longevity', 'supplement', 'biohacking', 'gym'],
+        broad: ['health', 'fitness', 'diet', 'body', 'workout', 'sleep', 'wellness', 'medical', 'doctor'],
+        negative: []
+    },
+    {
+        tag: 'productivity',
+        category: 'topic',
+        strict: ['time blocking', 'deep work', 'notion', 'obsidian', 'workflow', 'pomodoro', 'getting things done'],
+        broad: ['productivity', 'productive', 'focus', 'habit', 'goal', 'work', 'efficiency', 'schedule', 'task'],
+        negative: []
+    },
+    {
+        tag: 'spirituality',
+        category: 'topic',
+        strict: ['meditation', 'mindfulness', 'buddhism', 'christianity', 'mysticism', 'soul', 'prayer', 'contemplation'],
+        broad: ['spiritual', 'faith', 'believe', 'god', 'sacred', 'ritual', 'practice', 'inner'],
+        negative: []
+    },
+    {
+        tag: 'romance',
+        category: 'topic',
+        strict: ['dating market', 'marriage', 'courtship', 'breakup', 'divorce', 'monogamy', 'polyamory'],
+        broad: ['romance', 'love', 'date', 'relationship', 'partner', 'spouse', 'couple', 'intimacy'],
+        negative: []
+    },
+    {
+        tag: 'career',
+        category: 'topic',
+        strict: ['job interview', 'resume', 'linkedin', 'promotion', 'salary negotiation', 'career path', 'job search', 'hiring manager'],
+        broad: ['career', 'job', 'profession', 'work', 'employer', 'employee', 'office', 'corporate', 'boss', 'coworker'],
+        negative: []
+    },
+    {
+        tag: 'creativity',
+        category: 'topic',
+        strict: ['creative process', 'brainstorm', 'ideation', 'muse', 'artistic vision', 'creative block'],
+        broad: ['creativity', 'creative', 'create', 'imagination', 'inspiration', 'innovate', 'invent', 'original', 'novel'],
+        negative: []
+    },
+    {
+        tag: 'culture',
+        category: 'topic',
+        strict: ['cultural moment', 'zeitgeist', 'cultural shift', 'pop culture', 'subculture', 'counterculture', 'cultural capital'],
+        broad: ['culture', 'cultural', 'mainstream', 'trend', 'generation', 'millennial', 'gen z', 'boomer', 'society'],
+        negative: []
+    },
+    {
+        tag: 'depression',
+        category: 'topic',
+        strict: ['depression', 'depressed', 'suicidal', 'antidepressant', 'ssri', 'mental illness', 'bipolar'],
+        broad: ['sad', 'sadness', 'hopeless', 'despair', 'lonely', 'loneliness', 'emptiness', 'numb', 'struggle'],
+        negative: []
+    },
+    {
+        tag: 'entities',
+        category: 'topic',
+        strict: ['egregore', 'thoughtform', 'tulpa', 'collective consciousness', 'archetype', 'daemon', 'spirit', 'entity'],
+        broad: ['entities', 'entity', 'being', 'presence', 'force', 'spirit', 'ghost', 'demon', 'angel'],
+        negative: ['legal entity', 'corporate entity']
+    },
+    {
+        tag: 'friendship',
+        category: 'topic',
+        strict: ['best friend', 'bff', 'friendship group', 'found family', 'chosen family', 'friend group'],
+        broad: ['friend', 'friendship', 'friends', 'buddy', 'pal', 'companion', 'platonic', 'hangout'],
+        negative: []
+    },
+    {
+        tag: 'life-hacks',
+        category: 'topic',
+        strict: ['life hack', 'shortcut', 'cheat code', 'optimization', 'tip for', 'trick to', 'pro tip'],
+        broad: ['hack', 'tip', 'trick', 'advice', 'optimize', 'improve', 'efficient', 'easier'],
+        negative: []
+    },
+    {
+        tag: 'media-commentary',
+        category: 'topic',
+        strict: ['media literacy', 'news cycle', 'mainstream media', 'journalism', 'clickbait', 'cable news'],
+        broad: ['media', 'news', 'journalist', 'headline', 'coverage', 'narrative', 'press', 'outlet'],
+        negative: ['social media']
+    },
+    {
+        tag: 'nyc',
+        category: 'topic',
+        strict: ['new york city', 'manhattan', 'brooklyn', 'queens', 'bronx', 'staten island', 'subway', 'nyc'],
+        broad: ['ny', 'new york', 'east coast', 'downtown', 'uptown', 'williamsburg', 'soho', 'tribeca'],
+        negative: []
+    },
+    {
+        tag: 'performing-arts',
+        category: 'topic',
+        strict: ['theater', 'theatre', 'broadway', 'ballet', 'opera', 'dance performance', 'improv', 'standup', 'circus'],
+        broad: ['performance', 'performer', 'stage', 'act', 'acting', 'drama', 'play', 'show', 'audience'],
+        negative: ['performance review', 'job performance']
+    },
+    {
+        tag: 'psychospiritual-practices',
+        category: 'topic',
+        strict: ['breathwork', 'psychedelic', 'ayahuasca', 'psilocybin', 'meditation retreat', 'vision quest', 'shamanic', 'plant medicine'],
+        broad: ['practice', 'ritual', 'ceremony', 'healing', 'journey', 'integration', 'microdose', 'trip'],
+        negative: []
+    },
+    {
+        tag: 'psychospiritual-theory',
+        category: 'topic',
+        strict: ['non-dual', 'kundalini', 'chakra', 'shadow work', 'ego dissolution', 'transpersonal', 'integral theory', 'spiral dynamics'],
+        broad: ['awakening', 'enlightenment', 'consciousness', 'awareness', 'transcendence', 'self-realization', 'liberation'],
+        negative: []
+    },
+    {
+        tag: 'religion',
+        category: 'topic',
+        strict: ['christianity', 'islam', 'buddhism', 'hinduism', 'judaism', 'catholic', 'protestant', 'orthodox', 'church', 'mosque', 'temple', 'synagogue'],
+        broad: ['religion', 'religious', 'god', 'faith', 'prayer', 'worship', 'scripture', 'bible', 'jesus', 'christ', 'allah'],
+        negative: []
+    },
+    {
+        tag: 'technology',
+        category: 'topic',
+        strict: ['artificial intelligence', 'machine learning', 'quantum computing', 'virtual reality', 'augmented reality', 'robotics', 'iot'],
+        broad: ['technology', 'tech', 'digital', 'software', 'hardware', 'computer', 'device', 'innovation', 'future'],
+        negative: []
+    },
+    {
+        tag: 'woo-wizardry',
+        category: 'topic',
+        strict: ['astrology', 'tarot', 'manifestation', 'law of attraction', 'oracle', 'divination', 'numerology', 'crystal', 'energy healing'],
+        broad: ['woo', 'magic', 'magical', 'mystical', 'esoteric', 'occult', 'witchy', 'spell', 'moon', 'zodiac', 'mercury retrograde'],
+        negative: []
+    },
+    { tag: 'thread', category: 'pattern', patterns: ['/^\\d+\\/\\s/', '/^\\d+\\/\\d+/', '/🧵/', '/thread/i', '/below 👇/'] },
+    { tag: 'question', category: 'pattern', patterns: ['/\\?$/', '/^what/i', '/^why/i', '/^how/i', '/anyone else/i'] },
+    { tag: 'list', category: 'pattern', patterns: ['/^\\d+\\./m', '/^[-•]/m', '/top \\d+/i', '/reasons why/i'] },
+    { tag: 'rant', category: 'pattern', patterns: ['/fuck/i', '/shit/i', '/hate/i', '/stop/i', '/tired of/i', '/annoying/i'] },
+    { tag: 'joke', category: 'pattern', patterns: ['/lol/i', '/lmao/i', '/funny/i', '/meme/i', '/satire/i'] },
+    { tag: 'story', category: 'pattern', patterns: ['/^i was/i', '/^when i/i', '/^years ago/i', '/story time/i', '/happened to me/i'] },
+    { tag: 'insight', category: 'pattern', patterns: ['/realization/i', '/epiphany/i', '/learned/i', '/understand/i', '/truth is/i'] },
+    { tag: 'observation', category: 'pattern', patterns: ['/noticed/i', '/seems like/i', '/trend/i', '/people are/i', '/interesting that/i'] },
+    { tag: 'framework', category: 'pattern', patterns: ['/framework/i', '/model/i', '/pyramid/i', '/quadrant/i', '/mental model/i'] },
+    { tag: 'definition', category: 'pattern', patterns: ['/means that/i', '/defined as/i', '/definition/i', '/is simply/i'] },
+    { tag: 'promotion', category: 'pattern', patterns: ['/check out/i', '/link in bio/i', '/sign up/i', '/buy/i', '/course/i', '/pre-order/i'] },
+    { tag: 'announcement', category: 'pattern', patterns: ['/announcing/i', '/excited to/i', '/launching/i', '/live now/i'] },
+    { tag: 'hot-take', category: 'pattern', patterns: ['/hot take/i', '/unpopular opinion/i', '/controversial/i', '/actually,?\\s+/i', '/people will hate me for this/i', "/i don't care what anyone says/i"] },
+    { tag: 'engagement-bait', category: 'pattern', patterns: ['/drop a/i', '/comment below/i', '/tag someone/i', '/retweet if/i', '/like if you/i', '/who else/i', '/ratio/i', '/boost this/i'] },
+    { tag: 'dated-reference', category: 'pattern', patterns: ['/\\b(2008|2009|2010|2011|2012|2013|2014|2015|2016|2017|2018|2019|2020|2021|2022)\\b/', '/years ago/i', '/back in/i', '/remember when/i', '/throwback/i'] },
+    { tag: 'prediction', category: 'pattern', patterns: ['/i predict/i', '/prediction:/i', '/my prediction/i', '/will happen/i', '/gonna happen/i', '/in \\d+ years/i', '/by 2\\d{3}/i', '/mark my words/i', '/calling it now/i'] }
+];
+
+module.exports = { DEFAULT_TAG_RULES };
@@ -0,0 +1,101 @@
+/**
+ * Full-Text Search Index Maintenance
+ * tweets_fts is an external-content FTS5 table over tweets, kept in sync by
+ * triggers. These helpers (re)create the triggers, measure drift between the
+ * index and the tweets table, and rebuild the index when they disagree.
+ */
+
+const FTS_TABLE_SQL = `
+    CREATE VIRTUAL TABLE IF NOT EXISTS tweets_fts USING fts5(
+        id UNINDEXED,
+        full_text,
+        content='tweets',
+        content_rowid='rowid',
+        tokenize='porter unicode61'
+    );
+`;
+
+// External-content tables must be told the old text to remove it from the index
+const FTS_TRIGGERS_SQL = `
+    CREATE TRIGGER IF NOT EXISTS tweets_ai AFTER INSERT ON tweets BEGIN
+        INSERT INTO tweets_fts(rowid, id, full_text) VALUES (new.rowid, new.id, new.full_text);
+    END;
+    CREATE TRIGGER IF NOT EXISTS tweets_ad AFTER DELETE ON tweets BEGIN
+        INSERT INTO tweets_fts(tweets_fts, rowid, id, full_text) VALUES ('delete', old.rowid, old.id, old.full_text);
+    END;
+    CREATE TRIGGER IF NOT EXISTS tweets_au AFTER UPDATE OF id, full_text ON tweets BEGIN
+        INSERT INTO tweets_fts(tweets_fts, rowid, id, full_text) VALUES ('delete', old.rowid, old.id, old.full_text);
+        INSERT INTO tweets_fts(rowid, id, full_text) VALUES (new.rowid, new.id, new.full_text);
+    END;
+`;
+
+const FTS_TRIGGER_NAMES = ['tweets_ai', 'tweets_ad', 'tweets_au'];
+
+function ensureFtsTriggers(db) {
+    db.exec(FTS_TRIGGERS_SQL);
+}
+
+function dropFtsTriggers(db) {
+    FTS_TRIGGER_NAMES.forEach(name => db.exec(`DROP TRIGGER IF EXISTS ${name}`));
+}
+
+/**
+ * Compare the index against the tweets table.
+ * A full scan of an external-content table reads the content table, so the
+ * indexed rows are counted from the tweets_fts_docsize shadow table instead.
+ * The integrity check reads the whole index, so startup skips it.
+ */
+function getFtsStatus(db, { integrityCheck = true } = {}) {
+    const tweetCount = db.prepare('SELECT COUNT(*) as count FROM tweets').get().count;
+    const indexedCount = db.prepare('SELECT COUNT(*) as count FROM tweets_fts_docsize').get().count;
+    const missing = db.prepare(`
+        SELECT COUNT(*) as count FROM tweets t
+        LEFT JOIN tweets_fts_docsize d ON d.id = t.rowid
+        WHERE d.id IS NULL
+    `).get().count;
+    const orphaned = db.prepare(`
+        SELECT COUNT(*) as count FROM tweets_fts_docsize d
+        LEFT JOIN tweets t ON t.rowid = d.id
+        WHERE t.rowid IS NULL
+    `).get().count;
+
+    const existingTriggers = db.prepare(`
+        SELECT name FROM sqlite_master WHERE type = 'trigger' AND tbl_name = 'tweets'
+    `).all().map(r => r.name);
+    const missingTriggers = FTS_TRIGGER_NAMES.filter(name => !existingTriggers.includes(name));
+
+    // rank = 1 also verifies the index against the content table
+    let integrity = integrityCheck ? 'ok' : 'skipped';
+    if (integrityCheck) {
+        try {
+            db.prepare("INSERT INTO tweets_fts(tweets_fts, rank) VALUES ('integrity-check', 1)").run();
+        } catch (e) {
+            integrity = e.message;
+        }
+    }
+
+    return {
+        tweetCount,
+        indexedCount,
+        missing,
+        orphaned,
+        missingTriggers,
+        integrity,
+        inSync: missing === 0 && orphaned === 0 && (integrity === 'ok' || integrity === 'skipped') && missingTriggers.length === 0
+    };
+}
+
+function rebuildFtsIndex(db) {
+    db.transaction(() => {
+        ensureFtsTriggers(db);
+        db.prepare("INSERT INTO tweets_fts(tweets_fts) VALUES ('rebuild')").run();
+    })();
+}
+
+module.exports = {
+    FTS_TABLE_SQL,
+    ensureFtsTriggers,
+    dropFtsTriggers,
+    getFtsStatus,
+    rebuildFtsIndex
+};
@@ -0,0 +1,204 @@
+/**
+ * Database Auto-Migrations
+ * Brings databases created by older versions of schema.sql up to date.
+ * Run after schema.sql by server.js and scripts/import.js - every step is idempotent.
+ */
+
+const { FTS_TABLE_SQL, ensureFtsTriggers, dropFtsTriggers } = require('./fts');
+const { DEFAULT_TAG_RULES } = require('./default_tag_rules');
+
+function addColumnIfMissing(db, table, column, definition) {
+    const columns = db.pragma(`table_info(${table})`).map(c => c.name);
+    if (columns.includes(column)) return false;
+
+    console.log(`🔄 Adding ${column} column to ${table} table...`);
+    db.prepare(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`).run();
+    console.log(`✅ ${column} column added`);
+    return true;
+}
+
+function runMigrations(db) {
+    // Add first_impressions column if it doesn't exist
+    try {
+        addColumnIfMissing(db, 'tweets', 'first_impressions', 'TEXT');
+    } catch (e) {
+        console.log('Note: first_impressions migration:', e.message);
+    }
+
+    // Add account_id column so several archives can share one database
+    try {
+        addColumnIfMissing(db, 'tweets', 'account_id', 'INTEGER REFERENCES accounts(id)');
+        db.prepare('CREATE INDEX IF NOT EXISTS idx_tweets_account_id ON tweets(account_id)').run();
+    } catch (e) {
+        console.log('Note: account_id migration:', e.message);
+    }
+
+    // Backfill the archive owner for databases imported before the accounts
+    // table existed, using the username baked into stored tweet URLs
+    try {
+        const hasOwner = db.prepare('SELECT 1 FROM accounts LIMIT 1').get();
+        if (!hasOwner) {
+            const row = db.prepare(`
+                SELECT tweet_url FROM tweets
+                WHERE tweet_url LIKE 'https://x.com/%/status/%' AND tweet_url NOT LIKE 'https://x.com/i/%'
+                LIMIT 1
+            `).get();
+            const match = row && row.tweet_url.match(/^https:\/\/x\.com\/(\w+)\/status\//);
+            if (match) {
+                console.log(`🔄 Backfilling archive owner @${match[1]} from tweet URLs...`);
+                db.prepare('INSERT OR IGNORE INTO accounts (username) VALUES (?)').run(match[1]);
+            }
+        }
+
+        // Tweets imported before account_id existed belong to the only known account
+        const accounts = db.prepare('SELECT id FROM accounts').all();
+        if (accounts.length === 1) {
+            const result = db.prepare('UPDATE tweets SET account_id = ? WHERE account_id IS NULL').run(accounts[0].id);
+            if (result.changes > 0) {
+                console.log(`✅ Assigned ${result.changes} tweets to account ${accounts[0].id}`);
+            }
+        }
+    } catch (e) {
+        console.log('Note: accounts migration:', e.message);
+    }
+
+    // Recreate tweets_fts with the porter tokenizer (older databases used the
+    // default tokenizer and an insert trigger that didn't carry the rowid)
+    try {
+        const fts = db.prepare("SELECT sql FROM sqlite_master WHERE name = 'tweets_fts'").get();
+        if (fts && !fts.sql.includes('porter')) {
+            console.log('🔄 Rebuilding tweets_fts with stemming tokenizer...');
+            db.transaction(() => {
+                dropFtsTriggers(db);
+                db.exec('DROP TABLE tweets_fts');
+                db.exec(FTS_TABLE_SQL);
+                ensureFtsTriggers(db);
+                db.exec("INSERT INTO tweets_fts(tweets_fts) VALUES('rebuild')");
+            })();
+            console.log('✅ tweets_fts rebuilt');
+        }
+    } catch (e) {
+        console.log('Note: tweets_fts migration:', e.message);
+    }
+
+    // tweet_tags provenance: older databases had a source CHECK without
+    // 'auto' and no tagger/model/confidence columns. SQLite can't change a
+    // CHECK in place, so the table is rebuilt and the rows copied over.
+    try {
+        const tweetTags = db.prepare("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'tweet_tags'").get();
+        if (tweetTags && !tweetTags.sql.includes("'auto'")) {
+            console.log('🔄 Rebuilding tweet_tags with provenance columns...');
+            db.transaction(() => {
+                db.exec(`
+                    CREATE TABLE tweet_tags_new (
+                        tweet_id TEXT NOT NULL,
+                        tag_id INTEGER NOT NULL,
+                        source TEXT DEFAULT 'manual' CHECK(source IN ('ai', 'auto', 'manual')),
+                        tagger TEXT,
+                        model TEXT,
+                        tagger_version TEXT,
+                        confidence REAL,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        PRIMARY KEY (tweet_id, tag_id),
+                        FOREIGN KEY (tweet_id) REFERENCES tweets(id) ON DELETE CASCADE,
+                        FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+                    )
+                `);
+                // Manual tags are certain; older AI tags have no known provenance
+                db.exec(`
+                    INSERT INTO tweet_tags_new (tweet_id, tag_id, source, tagger, confidence, created_at)
+                    SELECT tweet_id, tag_id, source,
+                        CASE WHEN source = 'manual' THEN 'manual' END,
+                        CASE WHEN source = 'manual' THEN 1 END,
+                        created_at
+                    FROM tweet_tags
+                `);
+                db.exec('DROP TABLE tweet_tags');
+                db.exec('ALTER TABLE tweet_tags_new RENAME TO tweet_tags');
+                db.exec(`
+                    CREATE INDEX IF NOT EXISTS idx_tweet_tags_tweet_id ON tweet_tags(tweet_id);
+                    CREATE INDEX IF NOT EXISTS idx_tweet_tags_tag_id ON tweet_tags(tag_id);
+                    CREATE INDEX IF NOT EXISTS idx_tweet_tags_source ON tweet_tags(source);
+                `);
+            })();
+            console.log('✅ tweet_tags rebuilt');
+        }
+    } catch (e) {
+        console.log('Note: tweet_tags provenance migration:', e.message);
+    }
+
+    // Tagging runs remember whether their tags went to the review queue
+    try {
+        addColumnIfMissing(db, 'tagging_runs', 'suggest', 'BOOLEAN DEFAULT FALSE');
+    } catch (e) {
+        console.log('Note: tagging_runs suggest migration:', e.message);
+    }
+
+    // The heuristic tagger used to write under source 'ai' alongside the
+    // LLM taggers. Tags from before it recorded a tagger can't be told apart.
+    try {
+        const relabel = db.transaction(() => {
+            const tags = db.prepare("UPDATE tweet_tags SET source = 'auto' WHERE tagger = 'auto_tag_heuristics' AND source = 'ai'").run();
+            db.prepare("UPDATE tag_suggestions SET source = 'auto' WHERE tagger = 'auto_tag_heuristics' AND source = 'ai'").run();
+            return tags.changes;
+        })();
+        if (relabel > 0) {
+            console.log(`✅ Relabelled ${relabel} heuristic tags as source 'auto'`);
+        }
+    } catch (e) {
+        console.log('Note: heuristic tag source migration:', e.message);
+    }
+
+    // Seed the heuristic rules that used to be hardcoded in
+    // auto_tag_heuristics.js. sqlite_sequence only has a tag_rules row once a
+    // rule was ever inserted, so deleting every rule doesn't bring them back.
+    try {
+        const seeded = db.prepare("SELECT 1 FROM sqlite_sequence WHERE name = 'tag_rules'").get();
+        if (!seeded) {
+            console.log('🔄 Seeding default heuristic tag rules...');
+            const insertTag = db.prepare('INSERT OR IGNORE INTO tags (name, category) VALUES (?, ?)');
+            const getTagId = db.prepare('SELECT id FROM tags WHERE name = ?');
+            const insertRule = db.prepare(`
+                INSERT OR IGNORE INTO tag_rules (tag_id, strict_terms, broad_terms, negative_terms, patterns)
+                VALUES (?, ?, ?, ?, ?)
+            `);
+            db.transaction(() => {
+                for (const rule of DEFAULT_TAG_RULES) {
+                    insertTag.run(rule.tag, rule.category);
+                    insertRule.run(getTagId.get(rule.tag).id,
+                        JSON.stringify(rule.strict || []), JSON.stringify(rule.broad || []),
+                        JSON.stringify(rule.negative || []), JSON.stringify(rule.patterns || []));
+                }
+            })();
+            console.log(`✅ Seeded ${DEFAULT_TAG_RULES.length} tag rules`);
+        }
+    } catch (e) {
+        console.log('Note: tag_rules seed migration:', e.message);
+    }
+
+    // Tag hierarchy: tags nest under a parent tag
+    try {
+        addColumnIfMissing(db, 'tags', 'parent_id', 'INTEGER REFERENCES tags(id)');
+        db.prepare('CREATE INDEX IF NOT EXISTS idx_tags_parent_id ON tags(parent_id)').run();
+    } catch (e) {
+        console.log('Note: tags parent_id migration:', e.message);
+    }
+
+    // Tagging runs count model answers for tweets that weren't in the batch
+    try {
+        addColumnIfMissing(db, 'tagging_runs', 'results_dropped', 'INTEGER DEFAULT 0');
+        addColumnIfMissing(db, 'tagging_run_batches', 'results_dropped', 'INTEGER DEFAULT 0');
+    } catch (e) {
+        console.log('Note: tagging_runs results_dropped migration:', e.message);
+    }
+
+    // Older databases only had the insert trigger, so edits and deletes
+    // left stale rows in the index
+    try {
+        ensureFtsTriggers(db);
+    } catch (e) {
+        console.log('Note: tweets_fts triggers migration:', e.message);
+    }
+}
+
+module.exports = { runMigrations };
@@ -32,25 +32,96 @@ CREATE TABLE IF NOT EXISTS tweets (
     first_impressions TEXT
 );
 
--- Tags table
+-- Archive owners (read from the archive's account.js on import)
+CREATE TABLE IF NOT EXISTS accounts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    twitter_id TEXT,
+    username TEXT UNIQUE NOT NULL,
+    display_name TEXT,
+    imported_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tags table. parent_id nests a tag under another: filtering by a tag
+-- includes its descendants.
 CREATE TABLE IF NOT EXISTS tags (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     name TEXT UNIQUE NOT NULL,
     category TEXT NOT NULL CHECK(category IN ('topic', 'pattern', 'use', 'custom')),
-    color TEXT
+    color TEXT,
+    parent_id INTEGER REFERENCES tags(id)
+);
+
+-- Other names for a tag (e.g. 'tech' for 'technology'), resolved to the tag
+-- wherever tags are looked up by name
+CREATE TABLE IF NOT EXISTS tag_aliases (
+    alias TEXT PRIMARY KEY,
+    tag_id INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
 );
 
--- Tweet-Tag relationship (many-to-many)
+-- Tweet-Tag relationship (many-to-many), with where each tag came from:
+-- source is 'ai' (LLM), 'auto' (heuristic rules) or 'manual'; tagger names the
+-- script, model is provider/model for LLM tags, tagger_version is the prompt
+-- or rules version, confidence is 0-1 (1 for manual tags, NULL if unknown)
 CREATE TABLE IF NOT EXISTS tweet_tags (
     tweet_id TEXT NOT NULL,
     tag_id INTEGER NOT NULL,
-    source TEXT DEFAULT 'manual' CHECK(source IN ('ai', 'manual')),
+    source TEXT DEFAULT 'manual' CHECK(source IN ('ai', 'auto', 'manual')),
+    tagger TEXT,
+    model TEXT,
+    tagger_version TEXT,
+    confidence REAL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (tweet_id, tag_id),
+    FOREIGN KEY (tweet_id) REFERENCES tweets(id) ON DELETE CASCADE,
+    FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+);
+
+-- Machine tags waiting for review (taggers run with --suggest) and the verdicts.
+-- Rejected rows stay so the taggers never suggest or apply that tag again.
+CREATE TABLE IF NOT EXISTS tag_suggestions (
+    tweet_id TEXT NOT NULL,
+    tag_id INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'accepted', 'rejected')),
+    source TEXT NOT NULL CHECK(source IN ('ai', 'auto')),
+    tagger TEXT,
+    model TEXT,
+    tagger_version TEXT,
+    confidence REAL,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    reviewed_at DATETIME,
     PRIMARY KEY (tweet_id, tag_id),
     FOREIGN KEY (tweet_id) REFERENCES tweets(id) ON DELETE CASCADE,
     FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
 );
 
+-- Heuristic tagging rules (auto_tag_heuristics.js), one per tag. Term and
+-- pattern lists are JSON arrays; patterns are regexes written '/source/flags'.
+CREATE TABLE IF NOT EXISTS tag_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tag_id INTEGER NOT NULL UNIQUE,
+    strict_terms TEXT NOT NULL DEFAULT '[]',
+    broad_terms TEXT NOT NULL DEFAULT '[]',
+    negative_terms TEXT NOT NULL DEFAULT '[]',
+    patterns TEXT NOT NULL DEFAULT '[]',
+    enabled BOOLEAN DEFAULT TRUE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+);
+
+-- Locally trained classifiers (lib/classifier.js): 'topics' predicts tags,
+-- 'swipe' predicts ratings for ai_quality_score. model is the JSON word counts.
+CREATE TABLE IF NOT EXISTS classifier_models (
+    name TEXT PRIMARY KEY,
+    version TEXT NOT NULL,
+    model TEXT NOT NULL,
+    training_size INTEGER,
+    metrics TEXT, -- JSON, measured on held-out tweets
+    trained_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Session stats table for tracking daily progress
 CREATE TABLE IF NOT EXISTS swipe_sessions (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -62,6 +133,54 @@ CREATE TABLE IF NOT EXISTS swipe_sessions (
     review_later INTEGER DEFAULT 0
 );
 
+-- Every swipe with the state it replaced, so it can be undone (lib/swipe_events.js)
+CREATE TABLE IF NOT EXISTS swipe_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tweet_id TEXT NOT NULL,
+    swipe_status TEXT, -- NULL: the swipe was cleared
+    source TEXT NOT NULL DEFAULT 'swipe', -- swipe, bulk
+    session_date DATE, -- The swipe_sessions row it was counted in
+    prev_swipe_status TEXT,
+    prev_quality_rating TEXT,
+    prev_is_reviewed BOOLEAN,
+    prev_reviewed_at DATETIME,
+    prev_review_schedule TEXT, -- JSON of the review_schedule row, if any
+    undone_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (tweet_id) REFERENCES tweets(id) ON DELETE CASCADE
+);
+
+-- When review_later tweets come back to the swipe page (lib/review_schedule.js, SM-2)
+CREATE TABLE IF NOT EXISTS review_schedule (
+    tweet_id TEXT PRIMARY KEY,
+    repetitions INTEGER NOT NULL DEFAULT 0,
+    interval_days INTEGER NOT NULL DEFAULT 1,
+    ease_factor REAL NOT NULL DEFAULT 2.5,
+    due_at DATETIME NOT NULL,
+    last_reviewed_at DATETIME,
+    FOREIGN KEY (tweet_id) REFERENCES tweets(id) ON DELETE CASCADE
+);
+
+-- Elo ratings from "This or that?" comparisons of superliked tweets (lib/pairwise.js)
+CREATE TABLE IF NOT EXISTS tweet_ratings (
+    tweet_id TEXT PRIMARY KEY,
+    rating REAL NOT NULL DEFAULT 1500,
+    comparisons INTEGER NOT NULL DEFAULT 0,
+    wins INTEGER NOT NULL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (tweet_id) REFERENCES tweets(id) ON DELETE CASCADE
+);
+
+-- Every "This or that?" choice, so the ratings can be refit from the history
+CREATE TABLE IF NOT EXISTS pairwise_comparisons (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    winner_id TEXT NOT NULL,
+    loser_id TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (winner_id) REFERENCES tweets(id) ON DELETE CASCADE,
+    FOREIGN KEY (loser_id) REFERENCES tweets(id) ON DELETE CASCADE
+);
+
 -- Cached quoted tweet content (for embedding external quotes)
 CREATE TABLE IF NOT EXISTS quoted_tweets (
     id TEXT PRIMARY KEY,
@@ -73,6 +192,99 @@ CREATE TABLE IF NOT EXISTS quoted_tweets (
     is_available BOOLEAN DEFAULT TRUE
 );
 
+-- One vector per tweet per embedding model (see lib/embeddings.js)
+CREATE TABLE IF NOT EXISTS tweet_embeddings (
+    tweet_id TEXT NOT NULL,
+    model TEXT NOT NULL,
+    dimensions INTEGER NOT NULL,
+    vector BLOB NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (tweet_id, model),
+    FOREIGN KEY (tweet_id) REFERENCES tweets(id) ON DELETE CASCADE
+);
+
+-- Saved searches / smart collections (filters = JSON of /api/tweets filter params)
+CREATE TABLE IF NOT EXISTS saved_searches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL,
+    filters TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Background jobs (import, tagging, exports, quote fetching) worked one at a
+-- time by the server; params and result are JSON
+CREATE TABLE IF NOT EXISTS jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'queued' CHECK(status IN ('queued', 'running', 'completed', 'failed', 'cancelled')),
+    params TEXT NOT NULL DEFAULT '{}',
+    progress_current INTEGER DEFAULT 0,
+    progress_total INTEGER,
+    message TEXT,
+    result TEXT,
+    error TEXT,
+    attempts INTEGER DEFAULT 0,
+    cancel_requested BOOLEAN DEFAULT FALSE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    started_at DATETIME,
+    finished_at DATETIME,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS job_logs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    job_id INTEGER NOT NULL,
+    level TEXT DEFAULT 'info' CHECK(level IN ('info', 'warn', 'error')),
+    message TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE CASCADE
+);
+
+-- One row per LLM tagging run, with running totals for usage and cost
+CREATE TABLE IF NOT EXISTS tagging_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    script TEXT NOT NULL,
+    provider TEXT,
+    model TEXT,
+    prompt_version TEXT,
+    status TEXT NOT NULL DEFAULT 'running' CHECK(status IN ('running', 'completed', 'failed', 'interrupted')),
+    batch_size INTEGER,
+    total_tweets INTEGER DEFAULT 0,
+    total_batches INTEGER DEFAULT 0,
+    tweets_processed INTEGER DEFAULT 0,
+    tags_added INTEGER DEFAULT 0,
+    prompt_tokens INTEGER DEFAULT 0,
+    completion_tokens INTEGER DEFAULT 0,
+    estimated_cost REAL,
+    suggest BOOLEAN DEFAULT FALSE, -- tags went to the review queue
+    results_dropped INTEGER DEFAULT 0, -- answers for tweet ids not in their batch
+    resume_count INTEGER DEFAULT 0,
+    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    finished_at DATETIME
+);
+
+-- Per-batch checkpoints: the tweet ids of each batch are fixed when the run
+-- starts, so --resume redoes exactly the batches that never finished
+CREATE TABLE IF NOT EXISTS tagging_run_batches (
+    run_id INTEGER NOT NULL,
+    batch_index INTEGER NOT NULL,
+    tweet_ids TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'done', 'failed')),
+    tweets_processed INTEGER DEFAULT 0,
+    tags_added INTEGER DEFAULT 0,
+    results_dropped INTEGER DEFAULT 0,
+    prompt_tokens INTEGER DEFAULT 0,
+    completion_tokens INTEGER DEFAULT 0,
+    estimated_cost REAL,
+    attempts INTEGER DEFAULT 0,
+    error TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (run_id, batch_index),
+    FOREIGN KEY (run_id) REFERENCES tagging_runs(id) ON DELETE CASCADE
+);
+
 -- Indexes for performance
 CREATE INDEX IF NOT EXISTS idx_tweets_created_at ON tweets(created_at);
 CREATE INDEX IF NOT EXISTS idx_tweets_favorite_count ON tweets(favorite_count);
@@ -83,18 +295,36 @@ CREATE INDEX IF NOT EXISTS idx_tweets_length_category ON tweets(length_category)
 CREATE INDEX IF NOT EXISTS idx_tweets_tweet_type ON tweets(tweet_type);
 CREATE INDEX IF NOT EXISTS idx_tweet_tags_tweet_id ON tweet_tags(tweet_id);
 CREATE INDEX IF NOT EXISTS idx_tweet_tags_tag_id ON tweet_tags(tag_id);
+CREATE INDEX IF NOT EXISTS idx_tweet_tags_source ON tweet_tags(source);
+CREATE INDEX IF NOT EXISTS idx_tag_suggestions_status ON tag_suggestions(status);
+CREATE INDEX IF NOT EXISTS idx_tag_aliases_tag_id ON tag_aliases(tag_id);
+CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status);
+CREATE INDEX IF NOT EXISTS idx_job_logs_job_id ON job_logs(job_id);
+CREATE INDEX IF NOT EXISTS idx_review_schedule_due_at ON review_schedule(due_at);
+CREATE INDEX IF NOT EXISTS idx_swipe_events_tweet_id ON swipe_events(tweet_id);
+CREATE INDEX IF NOT EXISTS idx_tweet_ratings_rating ON tweet_ratings(rating);
 
--- FTS5 for full-text search
+-- FTS5 for full-text search (porter stemming: "running" matches "run")
 CREATE VIRTUAL TABLE IF NOT EXISTS tweets_fts USING fts5(
-    id,
+    id UNINDEXED,
     full_text,
     content='tweets',
-    content_rowid='rowid'
+    content_rowid='rowid',
+    tokenize='porter unicode61'
 );
 
--- Trigger to keep FTS in sync
+-- Triggers to keep FTS in sync (insert, delete, text edits)
 CREATE TRIGGER IF NOT EXISTS tweets_ai AFTER INSERT ON tweets BEGIN
-    INSERT INTO tweets_fts(id, full_text) VALUES (new.id, new.full_text);
+    INSERT INTO tweets_fts(rowid, id, full_text) VALUES (new.rowid, new.id, new.full_text);
+END;
+
+CREATE TRIGGER IF NOT EXISTS tweets_ad AFTER DELETE ON tweets BEGIN
+    INSERT INTO tweets_fts(tweets_fts, rowid, id, full_text) VALUES ('delete', old.rowid, old.id, old.full_text);
+END;
+
+CREATE TRIGGER IF NOT EXISTS tweets_au AFTER UPDATE OF id, full_text ON tweets BEGIN
+    INSERT INTO tweets_fts(tweets_fts, rowid, id, full_text) VALUES ('delete', old.rowid, old.id, old.full_text);
+    INSERT INTO tweets_fts(rowid, id, full_text) VALUES (new.rowid, new.id, new.full_text);
 END;
 
 -- Insert default tags (Dark Academia color palette)
@@ -130,8 +360,7 @@ INSERT OR IGNORE INTO tags (name, category, color) VALUES
     ('depression', 'topic', '#4A5568'),
     ('strategy', 'topic', '#744210'),
     ('sociology', 'topic', '#7B341E'),
-    ('entities', 'topic', '#553C9A'),
-    ('culture', 'topic', '#9C4221');
+    ('entities', 'topic', '#553C9A');
 
 -- Pattern tags
 INSERT OR IGNORE INTO tags (name, category, color) VALUES
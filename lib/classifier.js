@@ -0,0 +1,362 @@
+/**
+ * Local Classifiers
+ * Naive Bayes over the words of a tweet, trained in-process on our own labels:
+ * no network, no API cost, retrained in seconds.
+ *
+ *   topics  one yes/no classifier per tag, trained on manually tagged tweets
+ *   swipe   superlike / like / dislike, trained on swipe_status; its expected
+ *           rating (0-1) fills tweets.ai_quality_score
+ *
+ * Models are stored as JSON in classifier_models. Every fifth labelled tweet
+ * (by id hash) is held out to measure a model before it is retrained on all
+ * of them.
+ */
+
+const crypto = require('crypto');
+const { createTagWriter } = require('./tag_suggestions');
+
+const MODEL_NAMES = ['topics', 'swipe'];
+
+// Recorded as tweet_tags.tagger / model for the topic model's tags
+const TOPIC_TAGGER = 'local_classifier';
+const TOPIC_MODEL = 'naive-bayes';
+
+// A tag needs this many hand-tagged tweets to get a classifier
+const MIN_TAG_EXAMPLES = 5;
+const DEFAULT_TOPIC_THRESHOLD = 0.7;
+
+// How good each swipe is, for the expected-rating quality score
+const SWIPE_VALUES = { superlike: 1, like: 0.6, dislike: 0 };
+
+const STOPWORDS = new Set(('a an and are as at be but by for from has have i if in is it its just me my not of on or so ' +
+    'that the this to was we were what when with you your').split(' '));
+
+class ClassifierError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ClassifierError';
+    }
+}
+
+/**
+ * Distinct word tokens of a tweet, plus a few tokens describing its shape
+ * (type, length, media) that matter for predicting swipes.
+ */
+function tokenize(tweet) {
+    const words = String(tweet.full_text || '').toLowerCase()
+        .replace(/https?:\/\/\S+/g, ' ')
+        .replace(/@\w+/g, ' ')
+        .split(/[^a-z0-9']+/)
+        .map(word => word.replace(/^'+|'+$/g, ''))
+        .filter(word => word.length > 1 && !STOPWORDS.has(word));
+
+    const tokens = new Set(words);
+    if (tweet.tweet_type) tokens.add(`__type:${tweet.tweet_type}`);
+    if (tweet.length_category) tokens.add(`__length:${tweet.length_category}`);
+    if (tweet.has_media) tokens.add('__media');
+    return [...tokens];
+}
+
+// Stable train/test split: the same tweets are held out on every run
+function isHeldOut(tweetId) {
+    return crypto.createHash('md5').update(String(tweetId)).digest()[0] % 5 === 0;
+}
+
+// Token counts are plain objects (they're stored as JSON), and a word like
+// "constructor" mustn't pick up Object.prototype
+function countOf(counts, token) {
+    return Object.prototype.hasOwnProperty.call(counts, token) ? counts[token] : 0;
+}
+
+function countTokens(docs) {
+    const counts = {};
+    let total = 0;
+    docs.forEach(doc => doc.tokens.forEach(token => {
+        counts[token] = countOf(counts, token) + 1;
+        total++;
+    }));
+    return { docs: docs.length, total, counts };
+}
+
+function sigmoid(x) {
+    return 1 / (1 + Math.exp(-x));
+}
+
+function round(value, places = 3) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+}
+
+// ============================================
+// Topic Model
+// ============================================
+
+/**
+ * docs: [{ tokens, tags: Set(tag name) }]. The "not this tag" counts are the
+ * overall counts minus the tag's, so only the positive side is stored per tag.
+ */
+function trainTopicModel(docs) {
+    const all = countTokens(docs);
+    const tagDocs = new Map();
+    docs.forEach(doc => doc.tags.forEach(tag => {
+        if (!tagDocs.has(tag)) tagDocs.set(tag, []);
+        tagDocs.get(tag).push(doc);
+    }));
+
+    const tags = {};
+    for (const [tag, positives] of tagDocs) {
+        if (positives.length < MIN_TAG_EXAMPLES) continue;
+        tags[tag] = countTokens(positives);
+    }
+    return { type: 'topics', docs: all.docs, vocab: all.counts, vocabSize: Object.keys(all.counts).length, total: all.total, tags };
+}
+
+// P(tag | tokens) for every tag the model knows
+function predictTopics(model, tokens) {
+    const { vocabSize } = model;
+    const known = tokens.filter(token => countOf(model.vocab, token) > 0);
+    const predictions = {};
+
+    for (const [tag, pos] of Object.entries(model.tags)) {
+        const negDocs = model.docs - pos.docs;
+        const negTotal = model.total - pos.total;
+        let logOdds = Math.log(pos.docs / model.docs) - Math.log(Math.max(negDocs, 1) / model.docs);
+        known.forEach(token => {
+            const inTag = countOf(pos.counts, token);
+            logOdds += Math.log((inTag + 1) / (pos.total + vocabSize))
+                - Math.log((countOf(model.vocab, token) - inTag + 1) / (negTotal + vocabSize));
+        });
+        predictions[tag] = sigmoid(logOdds);
+    }
+    return predictions;
+}
+
+function evaluateTopicModel(model, docs, threshold) {
+    const totals = { tp: 0, fp: 0, fn: 0 };
+    docs.forEach(doc => {
+        const predicted = Object.entries(predictTopics(model, doc.tokens))
+            .filter(([, p]) => p >= threshold).map(([tag]) => tag);
+        predicted.forEach(tag => doc.tags.has(tag) ? totals.tp++ : totals.fp++);
+        doc.tags.forEach(tag => {
+            if (Object.prototype.hasOwnProperty.call(model.tags, tag) && !predicted.includes(tag)) totals.fn++;
+        });
+    });
+    const precision = totals.tp + totals.fp > 0 ? round(totals.tp / (totals.tp + totals.fp)) : null;
+    const recall = totals.tp + totals.fn > 0 ? round(totals.tp / (totals.tp + totals.fn)) : null;
+    const f1 = 2 * totals.tp + totals.fp + totals.fn > 0 ? round(2 * totals.tp / (2 * totals.tp + totals.fp + totals.fn)) : null;
+    return { testTweets: docs.length, threshold, ...totals, precision, recall, f1 };
+}
+
+// ============================================
+// Swipe Model
+// ============================================
+
+// docs: [{ tokens, label }] with label one of SWIPE_VALUES' keys
+function trainSwipeModel(docs) {
+    const all = countTokens(docs);
+    const classes = {};
+    Object.keys(SWIPE_VALUES).forEach(label => {
+        classes[label] = countTokens(docs.filter(doc => doc.label === label));
+    });
+    return { type: 'swipe', docs: all.docs, vocab: all.counts, vocabSize: Object.keys(all.counts).length, classes };
+}
+
+// { probabilities: { superlike, like, dislike }, score: expected rating 0-1 }
+function predictSwipe(model, tokens) {
+    const { vocabSize } = model;
+    const known = tokens.filter(token => countOf(model.vocab, token) > 0);
+    const logs = {};
+    Object.entries(model.classes).forEach(([label, counts]) => {
+        // Laplace smoothing keeps a class nobody has used yet possible
+        let log = Math.log((counts.docs + 1) / (model.docs + Object.keys(model.classes).length));
+        known.forEach(token => {
+            log += Math.log((countOf(counts.counts, token) + 1) / (counts.total + vocabSize));
+        });
+        logs[label] = log;
+    });
+
+    const max = Math.max(...Object.values(logs));
+    const exps = Object.fromEntries(Object.entries(logs).map(([label, log]) => [label, Math.exp(log - max)]));
+    const sum = Object.values(exps).reduce((a, b) => a + b, 0);
+    const probabilities = Object.fromEntries(Object.entries(exps).map(([label, e]) => [label, e / sum]));
+    const score = Object.entries(probabilities).reduce((total, [label, p]) => total + p * SWIPE_VALUES[label], 0);
+    return { probabilities, score: round(score) };
+}
+
+function evaluateSwipeModel(model, docs) {
+    let correct = 0;
+    const meanScore = {};
+    Object.keys(SWIPE_VALUES).forEach(label => { meanScore[label] = { sum: 0, count: 0 }; });
+
+    docs.forEach(doc => {
+        const { probabilities, score } = predictSwipe(model, doc.tokens);
+        const best = Object.entries(probabilities).sort((a, b) => b[1] - a[1])[0][0];
+        if (best === doc.label) correct++;
+        meanScore[doc.label].sum += score;
+        meanScore[doc.label].count++;
+    });
+
+    return {
+        testTweets: docs.length,
+        accuracy: docs.length > 0 ? round(correct / docs.length) : null,
+        // Better models give superlikes a clearly higher average score than dislikes
+        meanScore: Object.fromEntries(Object.entries(meanScore).map(([label, m]) => [label, m.count ? round(m.sum / m.count) : null]))
+    };
+}
+
+// ============================================
+// Storage
+// ============================================
+
+function modelVersion(model) {
+    return `nb-${crypto.createHash('sha1').update(JSON.stringify(model)).digest('hex').substring(0, 8)}`;
+}
+
+function saveModel(db, name, model, { trainingSize, metrics }) {
+    const version = modelVersion(model);
+    db.prepare(`
+        INSERT INTO classifier_models (name, version, model, training_size, metrics, trained_at)
+        VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT (name) DO UPDATE SET version = excluded.version, model = excluded.model,
+            training_size = excluded.training_size, metrics = excluded.metrics, trained_at = excluded.trained_at
+    `).run(name, version, JSON.stringify(model), trainingSize, JSON.stringify(metrics));
+    return version;
+}
+
+function loadModel(db, name) {
+    const row = db.prepare('SELECT * FROM classifier_models WHERE name = ?').get(name);
+    return row ? { version: row.version, model: JSON.parse(row.model) } : null;
+}
+
+// Model info without the (large) model itself
+function listModels(db) {
+    return db.prepare('SELECT name, version, training_size, metrics, trained_at FROM classifier_models ORDER BY name').all()
+        .map(row => ({ ...row, metrics: row.metrics ? JSON.parse(row.metrics) : null }));
+}
+
+// ============================================
+// Training and Applying
+// ============================================
+
+/**
+ * Train the topic model on every tweet with a manual tag ('use' tags are
+ * about how a tweet gets used, not its content, so they're left out).
+ * Returns { version, trainingSize, tags, metrics }.
+ */
+function trainTopics(db, { threshold = DEFAULT_TOPIC_THRESHOLD } = {}) {
+    const rows = db.prepare(`
+        SELECT t.id, t.full_text, t.tweet_type, t.length_category, t.has_media, GROUP_CONCAT(tag.name) as tags
+        FROM tweets t
+        JOIN tweet_tags tt ON tt.tweet_id = t.id AND tt.source = 'manual'
+        JOIN tags tag ON tag.id = tt.tag_id AND tag.category != 'use'
+        GROUP BY t.id
+    `).all();
+    if (rows.length === 0) {
+        throw new ClassifierError('No manually tagged tweets to learn topics from');
+    }
+
+    const docs = rows.map(row => ({ id: row.id, tokens: tokenize(row), tags: new Set(row.tags.split(',')) }));
+    const train = docs.filter(doc => !isHeldOut(doc.id));
+    const test = docs.filter(doc => isHeldOut(doc.id));
+    const metrics = evaluateTopicModel(trainTopicModel(train), test, threshold);
+
+    const model = trainTopicModel(docs);
+    if (Object.keys(model.tags).length === 0) {
+        throw new ClassifierError(`No tag has the ${MIN_TAG_EXAMPLES} hand-tagged tweets needed to learn it`);
+    }
+    const version = saveModel(db, 'topics', model, { trainingSize: docs.length, metrics });
+    return { version, trainingSize: docs.length, tags: Object.keys(model.tags).length, metrics };
+}
+
+// Train the swipe model on every liked, superliked or disliked tweet
+function trainSwipes(db) {
+    const rows = db.prepare(`
+        SELECT id, full_text, tweet_type, length_category, has_media, swipe_status
+        FROM tweets WHERE swipe_status IN ('superlike', 'like', 'dislike')
+    `).all();
+    const labels = new Set(rows.map(row => row.swipe_status));
+    if (labels.size < 2) {
+        throw new ClassifierError('Swipe at least two kinds of rating (like, superlike, dislike) to train the swipe model');
+    }
+
+    const docs = rows.map(row => ({ id: row.id, tokens: tokenize(row), label: row.swipe_status }));
+    const metrics = evaluateSwipeModel(trainSwipeModel(docs.filter(doc => !isHeldOut(doc.id))), docs.filter(doc => isHeldOut(doc.id)));
+
+    const model = trainSwipeModel(docs);
+    const version = saveModel(db, 'swipe', model, { trainingSize: docs.length, metrics });
+    return { version, trainingSize: docs.length, metrics };
+}
+
+/**
+ * Tag tweets that have no manual tags with the stored topic model.
+ * Replaces the model's own earlier tags (except ones accepted in review);
+ * with suggest they go to the review queue instead. Returns rows written.
+ */
+function applyTopics(db, { suggest = false, threshold = DEFAULT_TOPIC_THRESHOLD } = {}) {
+    const stored = loadModel(db, 'topics');
+    if (!stored) throw new ClassifierError('No topic model - train one first');
+
+    const tagIds = new Map(db.prepare('SELECT id, name FROM tags').all().map(t => [t.name, t.id]));
+    const tweets = db.prepare(`
+        SELECT id, full_text, tweet_type, length_category, has_media FROM tweets t
+        WHERE NOT EXISTS (SELECT 1 FROM tweet_tags tt WHERE tt.tweet_id = t.id AND tt.source = 'manual')
+    `).all();
+    const write = createTagWriter(db, {
+        suggest,
+        source: 'ai',
+        tagger: TOPIC_TAGGER,
+        model: TOPIC_MODEL,
+        taggerVersion: stored.version
+    });
+
+    let written = 0;
+    db.transaction(() => {
+        if (!suggest) {
+            db.prepare(`
+                DELETE FROM tweet_tags WHERE tagger = ?
+                  AND NOT EXISTS (
+                      SELECT 1 FROM tag_suggestions s
+                      WHERE s.tweet_id = tweet_tags.tweet_id AND s.tag_id = tweet_tags.tag_id AND s.status = 'accepted'
+                  )
+            `).run(TOPIC_TAGGER);
+        }
+        tweets.forEach(tweet => {
+            const predictions = predictTopics(stored.model, tokenize(tweet));
+            Object.entries(predictions).forEach(([tag, p]) => {
+                if (p >= threshold && tagIds.has(tag)) {
+                    written += write(tweet.id, tagIds.get(tag), round(p, 2));
+                }
+            });
+        });
+    })();
+    return { tweets: tweets.length, written };
+}
+
+// Fill ai_quality_score for every tweet from the stored swipe model
+function applySwipeScores(db) {
+    const stored = loadModel(db, 'swipe');
+    if (!stored) throw new ClassifierError('No swipe model - train one first');
+
+    const tweets = db.prepare('SELECT id, full_text, tweet_type, length_category, has_media FROM tweets').all();
+    const update = db.prepare('UPDATE tweets SET ai_quality_score = ? WHERE id = ?');
+    db.transaction(() => {
+        tweets.forEach(tweet => update.run(predictSwipe(stored.model, tokenize(tweet)).score, tweet.id));
+    })();
+    return { scored: tweets.length };
+}
+
+module.exports = {
+    MODEL_NAMES,
+    TOPIC_TAGGER,
+    DEFAULT_TOPIC_THRESHOLD,
+    ClassifierError,
+    tokenize,
+    predictTopics,
+    predictSwipe,
+    loadModel,
+    listModels,
+    trainTopics,
+    trainSwipes,
+    applyTopics,
+    applySwipeScores
+};
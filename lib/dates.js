@@ -0,0 +1,42 @@
+/**
+ * Date Bounds
+ * Filters take a date as YYYY, YYYY-MM or YYYY-MM-DD and mean the whole
+ * period. Bounds are always bound as full YYYY-MM-DD dates: created_at is a
+ * DATETIME column with numeric affinity, so a bare '2019' would be compared
+ * as the number 2019 (below every date string) rather than as a date.
+ */
+
+// YYYY, YYYY-MM or YYYY-MM-DD naming a real month / day
+function isValidDatePrefix(value) {
+    const match = String(value).match(/^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?$/);
+    if (!match || (match[3] && !match[2])) return false;
+    const month = match[2] ? parseInt(match[2]) : 1;
+    const day = match[3] ? parseInt(match[3]) : 1;
+    const date = new Date(Date.UTC(parseInt(match[1]), month - 1, day));
+    return month >= 1 && month <= 12 && date.getUTCDate() === day;
+}
+
+// First day of the period: 2021 → 2021-01-01, 2021-06 → 2021-06-01
+function periodStart(prefix) {
+    const [year, month = 1, day = 1] = prefix.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10);
+}
+
+// First day after the period (an exclusive upper bound):
+// 2021 → 2022-01-01, 2021-06 → 2021-07-01, 2021-06-30 → 2021-07-01
+function periodEnd(prefix) {
+    const parts = prefix.split('-').map(Number);
+    const [year, month = 1, day = 1] = parts;
+    const date = new Date(Date.UTC(
+        year + (parts.length === 1 ? 1 : 0),
+        month - 1 + (parts.length === 2 ? 1 : 0),
+        day + (parts.length === 3 ? 1 : 0)
+    ));
+    return date.toISOString().slice(0, 10);
+}
+
+module.exports = {
+    isValidDatePrefix,
+    periodStart,
+    periodEnd
+};
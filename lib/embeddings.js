@@ -0,0 +1,265 @@
+/**
+ * Tweet Embeddings
+ * One vector per tweet per embedding model, stored in tweet_embeddings, with
+ * brute-force cosine similarity over an in-memory copy (35k hash vectors take
+ * ~70MB and scan in milliseconds).
+ *
+ * Providers (EMBEDDING_PROVIDER env var):
+ * - hash   (default) offline feature hashing of stemmed words and bigrams -
+ *          no network, no cost; finds tweets sharing vocabulary
+ * - openai text-embedding-3-small via OPENAI_API_KEY - real semantic similarity
+ */
+
+const { stem } = require('./search_query');
+
+// ============================================
+// Providers
+// ============================================
+
+const HASH_DIMENSIONS = 512;
+
+const EMBEDDING_STOP_WORDS = new Set(['a', 'an', 'the', 'is', 'are', 'was', 'were', 'be', 'been',
+    'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should', 'can',
+    'to', 'of', 'in', 'for', 'on', 'with', 'at', 'by', 'from', 'or', 'and', 'but', 'if',
+    'then', 'so', 'than', 'that', 'this', 'these', 'those', 'it', 'its', 'i', 'me', 'my',
+    'you', 'your', 'we', 'our', 'they', 'them', 'he', 'she', 'his', 'her', 'just', 'rt']);
+
+// FNV-1a, 32-bit
+function hashString(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+function normalize(vector) {
+    let norm = 0;
+    for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+        for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+    }
+    return vector;
+}
+
+function hashEmbed(text) {
+    const words = (text || '')
+        .toLowerCase()
+        .replace(/https?:\/\/\S+/g, ' ')
+        .replace(/@\w+/g, ' ')
+        .split(/[^\p{L}\p{N}']+/u)
+        .map(w => w.replace(/'/g, ''))
+        .filter(w => w.length > 1 && !EMBEDDING_STOP_WORDS.has(w))
+        .map(stem);
+
+    const counts = new Map();
+    const add = (feature, weight) => counts.set(feature, (counts.get(feature) || 0) + weight);
+    words.forEach((w, i) => {
+        add(w, 1);
+        if (i > 0) add(`${words[i - 1]} ${w}`, 0.5);
+    });
+
+    // Signed feature hashing with sublinear term frequency
+    const vector = new Float32Array(HASH_DIMENSIONS);
+    counts.forEach((count, feature) => {
+        const h = hashString(feature);
+        const sign = (h & 0x80000000) ? -1 : 1;
+        vector[h % HASH_DIMENSIONS] += sign * (1 + Math.log(count));
+    });
+    return normalize(vector);
+}
+
+const PROVIDERS = {
+    hash: {
+        name: 'hash',
+        model: `hash-v1-${HASH_DIMENSIONS}`,
+        dimensions: HASH_DIMENSIONS,
+        batchSize: 500,
+        async embed(texts) {
+            return texts.map(hashEmbed);
+        }
+    },
+    openai: {
+        name: 'openai',
+        model: 'text-embedding-3-small',
+        dimensions: 1536,
+        batchSize: 100,
+        async embed(texts) {
+            const apiKey = process.env.OPENAI_API_KEY;
+            if (!apiKey) throw new Error('OPENAI_API_KEY not set (needed for EMBEDDING_PROVIDER=openai)');
+
+            const response = await fetch('https://api.openai.com/v1/embeddings', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${apiKey}`
+                },
+                body: JSON.stringify({ model: this.model, input: texts.map(t => t || ' ') })
+            });
+            if (!response.ok) {
+                throw new Error(`OpenAI embeddings error: ${response.status} ${await response.text()}`);
+            }
+            const data = await response.json();
+            return data.data
+                .sort((a, b) => a.index - b.index)
+                .map(d => normalize(Float32Array.from(d.embedding)));
+        }
+    }
+};
+
+function getEmbeddingProvider(name = process.env.EMBEDDING_PROVIDER || 'hash') {
+    const provider = PROVIDERS[name];
+    if (!provider) {
+        throw new Error(`Unknown embedding provider "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return provider;
+}
+
+// ============================================
+// Storage
+// ============================================
+
+function vectorToBuffer(vector) {
+    return Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength);
+}
+
+function bufferToVector(buffer) {
+    // Copy so the Float32Array is aligned regardless of the Buffer's offset
+    const copy = new Uint8Array(buffer);
+    return new Float32Array(copy.buffer, 0, copy.byteLength / 4);
+}
+
+function countMissingEmbeddings(db, provider) {
+    return db.prepare(`
+        SELECT COUNT(*) as count FROM tweets t
+        LEFT JOIN tweet_embeddings e ON e.tweet_id = t.id AND e.model = ?
+        WHERE e.tweet_id IS NULL
+    `).get(provider.model).count;
+}
+
+/**
+ * Embed every tweet that has no vector for this provider's model yet.
+ * onProgress({ done, total }) is called after each batch.
+ */
+async function embedMissingTweets(db, provider, { onProgress } = {}) {
+    const total = countMissingEmbeddings(db, provider);
+    const selectBatch = db.prepare(`
+        SELECT t.id, t.full_text FROM tweets t
+        LEFT JOIN tweet_embeddings e ON e.tweet_id = t.id AND e.model = ?
+        WHERE e.tweet_id IS NULL
+        LIMIT ?
+    `);
+    const insert = db.prepare(`
+        INSERT OR REPLACE INTO tweet_embeddings (tweet_id, model, dimensions, vector)
+        VALUES (?, ?, ?, ?)
+    `);
+    const insertBatch = db.transaction((rows, vectors) => {
+        rows.forEach((row, i) => {
+            insert.run(row.id, provider.model, vectors[i].length, vectorToBuffer(vectors[i]));
+        });
+    });
+
+    let done = 0;
+    while (done < total) {
+        const rows = selectBatch.all(provider.model, provider.batchSize);
+        if (rows.length === 0) break;
+        const vectors = await provider.embed(rows.map(r => r.full_text));
+        insertBatch(rows, vectors);
+        done += rows.length;
+        if (onProgress) onProgress({ done, total });
+    }
+
+    invalidateVectorCache(provider.model);
+    return { embedded: done };
+}
+
+// Re-embed one tweet (e.g. after its text changed)
+async function embedTweet(db, provider, tweetId) {
+    const tweet = db.prepare('SELECT id, full_text FROM tweets WHERE id = ?').get(tweetId);
+    if (!tweet) return null;
+    const [vector] = await provider.embed([tweet.full_text]);
+    db.prepare(`
+        INSERT OR REPLACE INTO tweet_embeddings (tweet_id, model, dimensions, vector)
+        VALUES (?, ?, ?, ?)
+    `).run(tweet.id, provider.model, vector.length, vectorToBuffer(vector));
+    cacheVector(provider.model, tweet.id, vector);
+    return vector;
+}
+
+// ============================================
+// Similarity Search
+// ============================================
+
+// model -> { ids: string[], vectors: Float32Array[], byId: Map }
+const vectorCache = new Map();
+
+function invalidateVectorCache(model) {
+    vectorCache.delete(model);
+}
+
+// Keep an already loaded cache current instead of reloading every vector
+function cacheVector(model, tweetId, vector) {
+    const cache = vectorCache.get(model);
+    if (!cache) return;
+    const index = cache.ids.indexOf(tweetId);
+    if (index >= 0) {
+        cache.vectors[index] = vector;
+    } else {
+        cache.ids.push(tweetId);
+        cache.vectors.push(vector);
+    }
+    cache.byId.set(tweetId, vector);
+}
+
+function loadVectors(db, model) {
+    if (!vectorCache.has(model)) {
+        const rows = db.prepare('SELECT tweet_id, vector FROM tweet_embeddings WHERE model = ?').all(model);
+        const ids = rows.map(r => r.tweet_id);
+        const vectors = rows.map(r => bufferToVector(r.vector));
+        const byId = new Map(ids.map((id, i) => [id, vectors[i]]));
+        vectorCache.set(model, { ids, vectors, byId });
+    }
+    return vectorCache.get(model);
+}
+
+function getTweetVector(db, model, tweetId) {
+    return loadVectors(db, model).byId.get(tweetId) || null;
+}
+
+/**
+ * Rank stored tweets by cosine similarity to a (normalized) query vector.
+ * allowedIds: optional Set restricting the candidates; excludeIds: Set to skip.
+ * Returns [{ id, score }] best first.
+ */
+function findSimilar(db, model, queryVector, { limit = 20, allowedIds = null, excludeIds = null, minScore = 0 } = {}) {
+    const { ids, vectors } = loadVectors(db, model);
+    const results = [];
+
+    for (let i = 0; i < ids.length; i++) {
+        const id = ids[i];
+        if (allowedIds && !allowedIds.has(id)) continue;
+        if (excludeIds && excludeIds.has(id)) continue;
+
+        const vector = vectors[i];
+        if (vector.length !== queryVector.length) continue;
+        let score = 0;
+        for (let d = 0; d < vector.length; d++) score += vector[d] * queryVector[d];
+        if (score > minScore) results.push({ id, score });
+    }
+
+    results.sort((a, b) => b.score - a.score);
+    return results.slice(0, limit);
+}
+
+module.exports = {
+    getEmbeddingProvider,
+    countMissingEmbeddings,
+    embedMissingTweets,
+    embedTweet,
+    getTweetVector,
+    findSimilar,
+    invalidateVectorCache,
+    PROVIDERS
+};
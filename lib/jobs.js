@@ -0,0 +1,346 @@
+/**
+ * Background Jobs
+ * A persistent queue in the jobs table, worked one job at a time inside the
+ * server process. Jobs survive restarts: anything still marked running when
+ * the server starts is requeued and runs again from the top, so handlers must
+ * be safe to repeat (skip work that is already done).
+ *
+ * A handler is async (ctx) => result, where ctx offers:
+ *   params                      the job's JSON params
+ *   signal                      AbortSignal, aborted when the job is cancelled
+ *   log(message, level)         append to the job's log
+ *   progress(current, total, message)
+ *   throwIfCancelled()          call between units of work
+ *   runScript(script, args, { progressPattern })  run a node script as a child process
+ */
+
+const path = require('path');
+const { spawn } = require('child_process');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+// Logs beyond this many lines per job are dropped (chatty scripts)
+const MAX_LOG_LINES = 2000;
+
+class JobCancelledError extends Error {
+    constructor() {
+        super('Job cancelled');
+        this.name = 'JobCancelledError';
+    }
+}
+
+// Retrying a job that isn't failed or cancelled
+class JobStateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'JobStateError';
+    }
+}
+
+function parseJson(text, fallback) {
+    try {
+        return text ? JSON.parse(text) : fallback;
+    } catch (e) {
+        return fallback;
+    }
+}
+
+function formatJob(row) {
+    if (!row) return null;
+    return {
+        ...row,
+        params: parseJson(row.params, {}),
+        result: parseJson(row.result, null),
+        cancel_requested: !!row.cancel_requested,
+        percent: row.progress_total ? Math.min(100, Math.round(row.progress_current / row.progress_total * 100)) : null
+    };
+}
+
+/**
+ * handlers: { [type]: async (ctx) => result }
+ */
+function createJobQueue(db, handlers) {
+    const stmts = {
+        insert: db.prepare('INSERT INTO jobs (type, params) VALUES (?, ?)'),
+        get: db.prepare('SELECT * FROM jobs WHERE id = ?'),
+        next: db.prepare("SELECT * FROM jobs WHERE status = 'queued' ORDER BY id LIMIT 1"),
+        start: db.prepare(`
+            UPDATE jobs SET status = 'running', attempts = attempts + 1, error = NULL,
+                started_at = CURRENT_TIMESTAMP, finished_at = NULL, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `),
+        progress: db.prepare(`
+            UPDATE jobs SET progress_current = ?, progress_total = ?, message = COALESCE(?, message),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `),
+        finish: db.prepare(`
+            UPDATE jobs SET status = ?, result = ?, error = ?, message = COALESCE(?, message),
+                finished_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `),
+        log: db.prepare('INSERT INTO job_logs (job_id, level, message) VALUES (?, ?, ?)'),
+        logCount: db.prepare('SELECT COUNT(*) as count FROM job_logs WHERE job_id = ?')
+    };
+
+    // id -> AbortController for the job this process is running
+    const running = new Map();
+    let working = false;
+
+    // A child script holding the write lock can make these fail with
+    // SQLITE_BUSY; losing a log line is better than crashing the server
+    function log(jobId, message, level = 'info') {
+        const text = String(message).trim();
+        if (!text) return;
+        try {
+            stmts.log.run(jobId, level, text.substring(0, 2000));
+        } catch (e) {
+            console.error(`Job ${jobId} log write failed:`, e.message);
+        }
+    }
+
+    function setProgress(jobId, current, total, message) {
+        try {
+            stmts.progress.run(current, total, message, jobId);
+        } catch (e) {
+            console.error(`Job ${jobId} progress write failed:`, e.message);
+        }
+    }
+
+    function getJob(id) {
+        return formatJob(stmts.get.get(id));
+    }
+
+    function listJobs({ status, type, limit = 50 } = {}) {
+        const conditions = [];
+        const params = [];
+        if (status) {
+            const statuses = String(status).split(',').filter(s => JOB_STATUSES.includes(s));
+            if (statuses.length > 0) {
+                conditions.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+                params.push(...statuses);
+            }
+        }
+        if (type) {
+            conditions.push('type = ?');
+            params.push(type);
+        }
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        return db.prepare(`SELECT * FROM jobs ${whereClause} ORDER BY id DESC LIMIT ?`)
+            .all(...params, Math.min(parseInt(limit) || 50, 500))
+            .map(formatJob);
+    }
+
+    // Log lines after afterId, oldest first (poll with the last id you saw)
+    function getLogs(id, { afterId = 0, limit = 500 } = {}) {
+        return db.prepare(`
+            SELECT id, level, message, created_at FROM job_logs
+            WHERE job_id = ? AND id > ?
+            ORDER BY id
+            LIMIT ?
+        `).all(id, parseInt(afterId) || 0, Math.min(parseInt(limit) || 500, 2000));
+    }
+
+    function enqueue(type, params = {}) {
+        if (!handlers[type]) throw new Error(`Unknown job type "${type}"`);
+        const info = stmts.insert.run(type, JSON.stringify(params));
+        log(info.lastInsertRowid, `📋 Queued ${type}`);
+        scheduleWork();
+        return getJob(info.lastInsertRowid);
+    }
+
+    // The oldest queued or running job of a type, to avoid stacking duplicates
+    function findActive(type) {
+        return formatJob(db.prepare(`
+            SELECT * FROM jobs WHERE type = ? AND status IN ('queued', 'running') ORDER BY id LIMIT 1
+        `).get(type));
+    }
+
+    function cancel(jobId) {
+        const id = parseInt(jobId);
+        const job = stmts.get.get(id);
+        if (!job) return null;
+        if (job.status === 'queued') {
+            stmts.finish.run('cancelled', null, null, 'Cancelled before it started', id);
+            log(id, '🛑 Cancelled');
+        } else if (job.status === 'running') {
+            db.prepare('UPDATE jobs SET cancel_requested = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(id);
+            log(id, '🛑 Cancel requested');
+            const controller = running.get(id);
+            if (controller) controller.abort();
+        }
+        return getJob(id);
+    }
+
+    function retry(id) {
+        const job = stmts.get.get(id);
+        if (!job) return null;
+        if (ACTIVE_STATUSES.includes(job.status) || job.status === 'completed') {
+            throw new JobStateError(`Only failed or cancelled jobs can be retried (job is ${job.status})`);
+        }
+        db.prepare(`
+            UPDATE jobs SET status = 'queued', cancel_requested = 0, error = NULL, result = NULL,
+                progress_current = 0, message = 'Retrying', finished_at = NULL, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(id);
+        log(id, `🔁 Retry requested (attempt ${job.attempts + 1})`);
+        scheduleWork();
+        return getJob(id);
+    }
+
+    function runScript(job, signal, script, args = [], { progressPattern } = {}) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(process.execPath, [script, ...args], {
+                env: process.env,
+                stdio: ['ignore', 'pipe', 'pipe']
+            });
+            const output = [];
+            let lines = stmts.logCount.get(job.id).count;
+
+            const onAbort = () => child.kill('SIGTERM');
+            signal.addEventListener('abort', onAbort);
+
+            // Progress bars redraw with \r, so treat it as a line break too
+            const handle = (level) => (data) => {
+                data.toString().split(/[\r\n]+/).forEach(line => {
+                    if (!line.trim()) return;
+                    const match = progressPattern && line.match(progressPattern);
+                    if (match) {
+                        const current = parseInt(match[1].replace(/,/g, ''));
+                        const total = parseInt(match[2].replace(/,/g, ''));
+                        setProgress(job.id, current, total, line.trim().substring(0, 200));
+                        return;
+                    }
+                    output.push(line);
+                    if (lines++ < MAX_LOG_LINES) log(job.id, line, level);
+                });
+            };
+            child.stdout.on('data', handle('info'));
+            child.stderr.on('data', handle('error'));
+
+            child.on('error', reject);
+            child.on('close', (code) => {
+                signal.removeEventListener('abort', onAbort);
+                if (signal.aborted) return reject(new JobCancelledError());
+                if (code !== 0) return reject(new Error(`${path.basename(script)} exited with code ${code}`));
+                resolve(output.join('\n'));
+            });
+        });
+    }
+
+    async function runJob(row) {
+        const controller = new AbortController();
+        running.set(row.id, controller);
+
+        try {
+            // Inside the try: the database can be busy (a job's script holding
+            // the write lock), and that should fail the job, not strand it
+            stmts.start.run(row.id);
+            log(row.id, `▶️  Started ${row.type} (attempt ${row.attempts + 1})`);
+            console.log(`⚙️  Job ${row.id} (${row.type}) started`);
+
+            const job = getJob(row.id);
+            const ctx = {
+                job,
+                params: job.params,
+                signal: controller.signal,
+                log: (message, level) => log(row.id, message, level),
+                progress: (current, total = null, message = null) => setProgress(row.id, current, total, message),
+                throwIfCancelled: () => {
+                    if (controller.signal.aborted) throw new JobCancelledError();
+                },
+                runScript: (script, args, options) => runScript(job, controller.signal, script, args, options)
+            };
+
+            const result = await handlers[row.type](ctx);
+            ctx.throwIfCancelled();
+            stmts.finish.run('completed', JSON.stringify(result ?? null), null, 'Done', row.id);
+            log(row.id, '✅ Completed');
+            console.log(`✅ Job ${row.id} (${row.type}) completed`);
+        } catch (err) {
+            if (err instanceof JobCancelledError || controller.signal.aborted) {
+                stmts.finish.run('cancelled', null, null, 'Cancelled', row.id);
+                log(row.id, '🛑 Cancelled');
+                console.log(`🛑 Job ${row.id} (${row.type}) cancelled`);
+            } else {
+                stmts.finish.run('failed', null, err.message, null, row.id);
+                log(row.id, `❌ ${err.message}`, 'error');
+                console.error(`❌ Job ${row.id} (${row.type}) failed:`, err.message);
+            }
+        } finally {
+            running.delete(row.id);
+        }
+    }
+
+    async function work() {
+        if (working) return;
+        working = true;
+        let row = null;
+        try {
+            while ((row = stmts.next.get())) {
+                await runJob(row);
+            }
+        } catch (err) {
+            // runJob couldn't even record the outcome - try once more
+            if (row) {
+                try {
+                    stmts.finish.run('failed', null, err.message, null, row.id);
+                    log(row.id, `❌ ${err.message}`, 'error');
+                } catch (finishErr) {
+                    console.error(`❌ Could not mark job ${row.id} failed:`, finishErr.message);
+                }
+            }
+            throw err;
+        } finally {
+            working = false;
+        }
+    }
+
+    // Run the queue off the caller's stack; errors are logged, never left as
+    // unhandled rejections
+    function scheduleWork() {
+        setImmediate(() => {
+            work().catch(err => console.error('❌ Job queue error:', err.message));
+        });
+    }
+
+    // Requeue jobs a previous server process was running when it stopped
+    function start() {
+        const interrupted = db.prepare("SELECT id, cancel_requested FROM jobs WHERE status = 'running'").all();
+        let requeued = 0;
+        interrupted.forEach(({ id, cancel_requested }) => {
+            if (cancel_requested) {
+                stmts.finish.run('cancelled', null, null, 'Cancelled', id);
+                log(id, '🛑 Cancelled');
+                return;
+            }
+            db.prepare("UPDATE jobs SET status = 'queued', message = 'Requeued after restart', updated_at = CURRENT_TIMESTAMP WHERE id = ?").run(id);
+            log(id, '🔄 Server restarted - job requeued', 'warn');
+            requeued++;
+        });
+        if (requeued > 0) {
+            console.log(`🔄 Requeued ${requeued} interrupted job(s)`);
+        }
+        scheduleWork();
+    }
+
+    return {
+        types: Object.keys(handlers),
+        enqueue,
+        findActive,
+        getJob,
+        listJobs,
+        getLogs,
+        cancel,
+        retry,
+        start
+    };
+}
+
+module.exports = {
+    createJobQueue,
+    JobCancelledError,
+    JobStateError,
+    JOB_STATUSES
+};
@@ -0,0 +1,366 @@
+/**
+ * LLM Provider Layer
+ * One completion interface shared by the tagging scripts and semantic search,
+ * with per-request timeouts, retries with exponential backoff and token
+ * accounting.
+ *
+ * Providers (LLM_PROVIDER env var, otherwise the caller's default):
+ * - openai            chat completions via OPENAI_API_KEY (default model gpt-4o-mini)
+ * - gemini            generateContent via GEMINI_API_KEY (default model gemini-2.0-flash)
+ * - openai-compatible any /chat/completions endpoint at LLM_BASE_URL (LLM_API_KEY optional)
+ * - ollama            openai-compatible with Ollama's local defaults
+ * - mock              deterministic, offline - answers with the caller's mock responder
+ *
+ * LLM_MODEL, LLM_TIMEOUT_MS and LLM_MAX_RETRIES override the defaults below;
+ * LLM_PRICE_INPUT / LLM_PRICE_OUTPUT (USD per million tokens) price other models.
+ *
+ * Usage:
+ *   const llm = createLlmClient({ defaultProvider: 'openai' });
+ *   const { data, usage } = await llm.complete({ system, prompt, json: true });
+ */
+
+const DEFAULT_TIMEOUT_MS = 60000;
+const DEFAULT_MAX_RETRIES = 3;
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 30000;
+
+class LlmError extends Error {
+    constructor(message, { status = null, retryable = true, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'LlmError';
+        this.status = status;
+        this.retryable = retryable;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+// Missing keys or unknown providers - never retried
+class LlmConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LlmConfigError';
+    }
+}
+
+// ============================================
+// Providers
+// ============================================
+
+// Rough token estimate for providers that don't report usage
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+async function errorFromResponse(label, response) {
+    const body = await response.text().catch(() => '');
+    const retryAfter = parseFloat(response.headers.get('retry-after'));
+    return new LlmError(`${label} API error: ${response.status} - ${body.substring(0, 500)}`, {
+        status: response.status,
+        // Rate limits, timeouts and server errors are worth another attempt
+        retryable: response.status === 408 || response.status === 429 || response.status >= 500,
+        retryAfterMs: Number.isFinite(retryAfter) ? retryAfter * 1000 : null
+    });
+}
+
+function openAiChatProvider({ name, label, baseUrl, apiKey, model }) {
+    return {
+        name,
+        model,
+        async complete({ system, prompt, json, temperature, maxTokens }, signal) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+            const response = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+                method: 'POST',
+                headers,
+                signal,
+                body: JSON.stringify({
+                    model,
+                    messages: [
+                        ...(system ? [{ role: 'system', content: system }] : []),
+                        { role: 'user', content: prompt }
+                    ],
+                    temperature,
+                    max_tokens: maxTokens,
+                    ...(json ? { response_format: { type: 'json_object' } } : {})
+                })
+            });
+            if (!response.ok) throw await errorFromResponse(label, response);
+
+            const data = await response.json();
+            const text = data.choices?.[0]?.message?.content;
+            if (!text) throw new LlmError(`Empty response from ${label}`);
+
+            return {
+                text,
+                promptTokens: data.usage?.prompt_tokens ?? estimateTokens((system || '') + prompt),
+                completionTokens: data.usage?.completion_tokens ?? estimateTokens(text)
+            };
+        }
+    };
+}
+
+function geminiProvider({ apiKey, model }) {
+    return {
+        name: 'gemini',
+        model,
+        async complete({ system, prompt, json, temperature, maxTokens }, signal) {
+            const response = await fetch(
+                `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`,
+                {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    signal,
+                    body: JSON.stringify({
+                        contents: [{ parts: [{ text: prompt }] }],
+                        ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+                        generationConfig: {
+                            temperature,
+                            topP: 0.8,
+                            maxOutputTokens: maxTokens,
+                            ...(json ? { responseMimeType: 'application/json' } : {})
+                        }
+                    })
+                }
+            );
+            if (!response.ok) throw await errorFromResponse('Gemini', response);
+
+            const data = await response.json();
+            const text = data.candidates?.[0]?.content?.parts?.[0]?.text;
+            if (!text) throw new LlmError('Empty response from Gemini');
+
+            return {
+                text,
+                promptTokens: data.usageMetadata?.promptTokenCount ?? estimateTokens((system || '') + prompt),
+                completionTokens: data.usageMetadata?.candidatesTokenCount ?? estimateTokens(text)
+            };
+        }
+    };
+}
+
+// responder(request) returns a string, or an object that is serialized as JSON
+function mockProvider({ model, responder }) {
+    return {
+        name: 'mock',
+        model,
+        async complete(request) {
+            const answer = responder ? await responder(request) : {};
+            const text = typeof answer === 'string' ? answer : JSON.stringify(answer);
+            return {
+                text,
+                promptTokens: estimateTokens((request.system || '') + request.prompt),
+                completionTokens: estimateTokens(text)
+            };
+        }
+    };
+}
+
+const PROVIDERS = {
+    openai: ({ model }) => {
+        const apiKey = process.env.OPENAI_API_KEY;
+        if (!apiKey) throw new LlmConfigError('OPENAI_API_KEY not set (needed for LLM_PROVIDER=openai)');
+        return openAiChatProvider({
+            name: 'openai',
+            label: 'OpenAI',
+            baseUrl: 'https://api.openai.com/v1',
+            apiKey,
+            model: model || 'gpt-4o-mini'
+        });
+    },
+    gemini: ({ model }) => {
+        const apiKey = process.env.GEMINI_API_KEY;
+        if (!apiKey) throw new LlmConfigError('GEMINI_API_KEY not set (needed for LLM_PROVIDER=gemini)');
+        return geminiProvider({ apiKey, model: model || 'gemini-2.0-flash' });
+    },
+    'openai-compatible': ({ model }) => {
+        const baseUrl = process.env.LLM_BASE_URL;
+        if (!baseUrl) throw new LlmConfigError('LLM_BASE_URL not set (needed for LLM_PROVIDER=openai-compatible)');
+        if (!model) throw new LlmConfigError('LLM_MODEL not set (needed for LLM_PROVIDER=openai-compatible)');
+        return openAiChatProvider({
+            name: 'openai-compatible',
+            label: 'LLM endpoint',
+            baseUrl,
+            apiKey: process.env.LLM_API_KEY,
+            model
+        });
+    },
+    ollama: ({ model }) => openAiChatProvider({
+        name: 'ollama',
+        label: 'Ollama',
+        baseUrl: process.env.LLM_BASE_URL || 'http://localhost:11434/v1',
+        apiKey: process.env.LLM_API_KEY,
+        model: model || 'llama3.1'
+    }),
+    mock: ({ model, mock }) => mockProvider({ model: model || 'mock-v1', responder: mock })
+};
+
+// ============================================
+// Pricing
+// ============================================
+
+// USD per million tokens [input, output]; local and mock models are free.
+// LLM_PRICE_INPUT / LLM_PRICE_OUTPUT override these for other models.
+const MODEL_PRICES = {
+    'gpt-4o-mini': [0.15, 0.60],
+    'gpt-4o': [2.50, 10.00],
+    'gpt-4.1-mini': [0.40, 1.60],
+    'gpt-4.1-nano': [0.10, 0.40],
+    'gemini-2.0-flash': [0.10, 0.40],
+    'gemini-1.5-flash': [0.075, 0.30]
+};
+
+function modelPrice(provider, model) {
+    const input = parseFloat(process.env.LLM_PRICE_INPUT);
+    const output = parseFloat(process.env.LLM_PRICE_OUTPUT);
+    if (Number.isFinite(input) && Number.isFinite(output)) return [input, output];
+    if (provider === 'mock' || provider === 'ollama') return [0, 0];
+    return MODEL_PRICES[model] || null;
+}
+
+// Estimated dollar cost of { promptTokens, completionTokens }, or null if the
+// model's price is unknown
+function estimateCost(provider, model, { promptTokens = 0, completionTokens = 0 }) {
+    const price = modelPrice(provider, model);
+    if (!price) return null;
+    return (promptTokens * price[0] + completionTokens * price[1]) / 1e6;
+}
+
+// ============================================
+// Client
+// ============================================
+
+// Models sometimes wrap JSON in a markdown fence despite being told not to
+function parseJsonResponse(text) {
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+    return JSON.parse(fenced ? fenced[1] : text);
+}
+
+function backoffDelay(attempt, err) {
+    if (err && err.retryAfterMs) return Math.min(err.retryAfterMs, BACKOFF_MAX_MS);
+    const delay = Math.min(BACKOFF_BASE_MS * 2 ** attempt, BACKOFF_MAX_MS);
+    return delay + Math.floor(Math.random() * delay * 0.25);
+}
+
+function envInt(name) {
+    const value = parseInt(process.env[name]);
+    return Number.isFinite(value) && value >= 0 ? value : undefined;
+}
+
+/**
+ * Build a client for the configured provider. Throws LlmConfigError when the
+ * provider is unknown or its credentials are missing.
+ *
+ * options: defaultProvider (used when LLM_PROVIDER is unset), provider and
+ * model (override the env), timeoutMs, maxRetries, mock (responder for the
+ * mock provider), onRetry({ attempt, maxRetries, delayMs, error }).
+ */
+function createLlmClient(options = {}) {
+    const providerName = options.provider || process.env.LLM_PROVIDER || options.defaultProvider || 'openai';
+    const factory = PROVIDERS[providerName];
+    if (!factory) {
+        throw new LlmConfigError(`Unknown LLM provider "${providerName}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    const provider = factory({ model: options.model || process.env.LLM_MODEL, mock: options.mock });
+
+    const timeoutMs = options.timeoutMs ?? envInt('LLM_TIMEOUT_MS') ?? DEFAULT_TIMEOUT_MS;
+    const maxRetries = options.maxRetries ?? envInt('LLM_MAX_RETRIES') ?? DEFAULT_MAX_RETRIES;
+
+    // Running totals for everything this client has sent
+    const usage = {
+        requests: 0,
+        retries: 0,
+        failures: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        totalTokens: 0
+    };
+
+    // spent: the calling complete()'s own totals, across its attempts
+    async function attempt(request, spent) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+        try {
+            usage.requests++;
+            const result = await provider.complete(request, controller.signal);
+            [usage, spent].forEach(totals => {
+                totals.promptTokens += result.promptTokens;
+                totals.completionTokens += result.completionTokens;
+                totals.totalTokens += result.promptTokens + result.completionTokens;
+            });
+
+            let data;
+            if (request.json) {
+                try {
+                    data = parseJsonResponse(result.text);
+                } catch (e) {
+                    throw new LlmError(`${provider.name} returned invalid JSON: ${e.message}`);
+                }
+            }
+            return { ...result, data };
+        } catch (err) {
+            if (controller.signal.aborted) {
+                throw new LlmError(`${provider.name} request timed out after ${timeoutMs}ms`, { status: 408 });
+            }
+            throw err;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Send one prompt. Returns { text, data (parsed JSON when json is set),
+     * usage: { promptTokens, completionTokens, totalTokens }, attempts }.
+     * usage covers every attempt - a retried answer (e.g. invalid JSON) is
+     * billed too.
+     */
+    async function complete({ system = '', prompt, json = false, temperature = 0.3, maxTokens = 4096 }) {
+        const request = { system, prompt, json, temperature, maxTokens };
+        const spent = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+
+        for (let n = 0; ; n++) {
+            try {
+                const result = await attempt(request, spent);
+                return {
+                    text: result.text,
+                    data: result.data,
+                    provider: provider.name,
+                    model: provider.model,
+                    attempts: n + 1,
+                    usage: { ...spent }
+                };
+            } catch (err) {
+                // Network failures (fetch TypeErrors) are retryable, bad requests are not
+                const retryable = !(err instanceof LlmConfigError) && err.retryable !== false;
+                if (!retryable || n >= maxRetries) {
+                    usage.failures++;
+                    throw err;
+                }
+                const delayMs = backoffDelay(n, err);
+                usage.retries++;
+                if (options.onRetry) {
+                    options.onRetry({ attempt: n + 1, maxRetries, delayMs, error: err });
+                }
+                await new Promise(resolve => setTimeout(resolve, delayMs));
+            }
+        }
+    }
+
+    return {
+        provider: provider.name,
+        model: provider.model,
+        timeoutMs,
+        maxRetries,
+        usage,
+        complete,
+        estimateCost: (tokens = usage) => estimateCost(provider.name, provider.model, tokens)
+    };
+}
+
+module.exports = {
+    createLlmClient,
+    estimateCost,
+    MODEL_PRICES,
+    LlmError,
+    LlmConfigError,
+    PROVIDERS
+};
@@ -0,0 +1,374 @@
+/**
+ * LLM Tagging
+ * The tagging prompt and the code that turns a model's answer into tweet_tags
+ * rows, shared by llm_tagger.js, llm_tagger_openai.js, tag_new_tweets.js and
+ * tag_remaining.js. Which model answers is up to lib/llm.js.
+ *
+ * Every run is recorded in tagging_runs with a checkpoint per batch
+ * (tagging_run_batches), so an interrupted run can be resumed where it
+ * stopped and its token usage and cost are known.
+ */
+
+const { createLlmClient } = require('./llm');
+const { createTagWriter } = require('./tag_suggestions');
+const { TagError, ensureTag } = require('./tags');
+
+// Bump when the prompt changes so tags can be traced to the prompt that made them
+const PROMPT_VERSION = 'v2';
+
+const TOPIC_TAGS = ['art', 'aesthetics', 'romance', 'friendship', 'religion', 'spirituality', 'nyc',
+    'psychospiritual-practices', 'psychospiritual-theory', 'media-commentary', 'life-hacks', 'technology',
+    'performing-arts', 'community', 'woo-wizardry', 'philosophy', 'psychology', 'politics', 'culture',
+    'productivity', 'creativity', 'health', 'career', 'education', 'science', 'economics', 'depression',
+    'strategy', 'sociology', 'entities', 'history', 'writing', 'design', 'awe'];
+
+const PATTERN_TAGS = ['hot-take', 'theory', 'observation', 'question', 'advice', 'story', 'joke', 'rant',
+    'insight', 'thread', 'list', 'framework', 'definition', 'prediction', 'engagement-bait',
+    'dated-reference', 'promotion', 'announcement'];
+
+const SYSTEM_PROMPT = `You are a semantic tweet analyzer. Analyze each tweet and assign relevant tags based on the actual MEANING and CONTEXT, not just keywords.
+
+TOPIC TAGS (pick 0-3 that genuinely fit):
+${TOPIC_TAGS.join(', ')}
+
+PATTERN TAGS (pick 0-2 that fit):
+${PATTERN_TAGS.join(', ')}
+
+NOTE: DO NOT assign any "use" tags - those are for manual assignment only.
+
+RULES:
+1. Analyze the FULL meaning, not keywords (e.g., "beautiful art" is NOT romance)
+2. Be conservative - only tag what truly fits
+3. Consider intent and main message
+4. Give each tag a confidence from 0 to 1 for how clearly it fits
+
+Respond ONLY with a valid JSON object:
+{"results":[{"id":"tweet_id","topics":[{"tag":"tag1","confidence":0.9}],"patterns":[{"tag":"tag1","confidence":0.7}]},...]}`;
+
+function buildTaggingPrompt(tweets) {
+    const tweetText = tweets.map(t => `[${t.id}] ${t.full_text.substring(0, 500)}`).join('\n---\n');
+    return `Analyze these ${tweets.length} tweets:\n\n${tweetText}`;
+}
+
+// Accept both a bare array and {results: [...]} / {tweets: [...]}
+function parseTagResults(data) {
+    const results = Array.isArray(data) ? data : (data?.results || data?.tweets || []);
+    return Array.isArray(results) ? results.filter(item => item && item.id) : [];
+}
+
+// A tag entry is {tag, confidence} (prompt v2) or a bare name (v1 answers);
+// returns { name, confidence } with confidence clamped to 0-1 or null
+function parseTagEntry(entry) {
+    const name = typeof entry === 'string' ? entry : (entry?.tag || entry?.name);
+    if (!name || typeof name !== 'string') return null;
+    const confidence = parseFloat(entry?.confidence);
+    return {
+        name: name.toLowerCase().trim(),
+        confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : null
+    };
+}
+
+/**
+ * Offline stand-in for the mock provider: tags a tweet with every known tag
+ * whose name appears in its text, so runs are repeatable without an API key.
+ */
+function mockTagResponder({ prompt }) {
+    const results = [];
+    const body = prompt.substring(prompt.indexOf('\n\n') + 2);
+    for (const entry of body.split('\n---\n')) {
+        const match = entry.match(/^\[([^\]]+)\] ([\s\S]*)$/);
+        if (!match) continue;
+        const text = match[2].toLowerCase();
+        results.push({
+            id: match[1],
+            topics: TOPIC_TAGS.filter(tag => text.includes(tag.replace(/-/g, ' '))).slice(0, 3)
+                .map(tag => ({ tag, confidence: 0.9 })),
+            patterns: text.includes('?') ? [{ tag: 'question', confidence: 0.6 }] : []
+        });
+    }
+    return { results };
+}
+
+function createTaggingClient(options = {}) {
+    return createLlmClient({
+        mock: mockTagResponder,
+        onRetry: ({ attempt, maxRetries, delayMs, error }) => {
+            console.log(`\n⚠️  ${error.message.substring(0, 120)} - retrying in ${(delayMs / 1000).toFixed(1)}s (${attempt}/${maxRetries})...`);
+        },
+        ...options
+    });
+}
+
+// Ask the model for one batch; resolves to [{ id, topics, patterns }]
+async function tagBatch(llm, tweets) {
+    const { data } = await llm.complete({
+        system: SYSTEM_PROMPT,
+        prompt: buildTaggingPrompt(tweets),
+        json: true,
+        temperature: 0.3,
+        maxTokens: 4096
+    });
+    return parseTagResults(data);
+}
+
+/**
+ * Write one batch of results as 'ai' tags in a single transaction.
+ * Aliases resolve to their tag; unknown tag names are created in the
+ * matching category and unusable ones skipped.
+ * options: { tagger, model } recorded on each new row, suggest to send
+ * the tags to the review queue instead (see lib/tag_suggestions.js), and
+ * tweetIds, the batch's ids - answers for any other id (one the model made
+ * up or garbled) are dropped rather than failing the batch's writes.
+ * Returns { processed, tagsAdded, dropped }: tweets in the answer, rows
+ * written and answers dropped.
+ */
+function applyTagResults(db, results, { tagger = null, model = null, suggest = false, tweetIds = null } = {}) {
+    const writeTag = createTagWriter(db, { suggest, source: 'ai', tagger, model, taggerVersion: PROMPT_VERSION });
+
+    const batchIds = tweetIds ? new Set(tweetIds.map(String)) : null;
+    const known = batchIds ? results.filter(item => batchIds.has(String(item.id))) : results;
+    const dropped = results.length - known.length;
+
+    let processed = 0;
+    let tagsAdded = 0;
+    const applyTags = (tweetId, tags, category) => {
+        if (!Array.isArray(tags)) return;
+        tags.map(parseTagEntry).forEach(entry => {
+            if (!entry || !entry.name) return;
+            let tag;
+            try {
+                tag = ensureTag(db, entry.name, category).tag;
+            } catch (err) {
+                if (err instanceof TagError) return;
+                throw err;
+            }
+            tagsAdded += writeTag(tweetId, tag.id, entry.confidence);
+        });
+    };
+
+    db.transaction(() => {
+        for (const item of known) {
+            applyTags(String(item.id), item.topics, 'topic');
+            applyTags(String(item.id), item.patterns, 'pattern');
+            // USE TAGS REMOVED - now manual-only
+            processed++;
+        }
+    })();
+    return { processed, tagsAdded, dropped };
+}
+
+/**
+ * Remove a tagger's own earlier 'ai' tags before a fresh run. Manual and
+ * heuristic tags, other taggers' tags and ones accepted in review stay.
+ * Returns the number of rows removed.
+ */
+function clearTaggerTags(db, tagger) {
+    return db.prepare(`
+        DELETE FROM tweet_tags WHERE source = 'ai' AND tagger = ?
+          AND NOT EXISTS (
+              SELECT 1 FROM tag_suggestions s
+              WHERE s.tweet_id = tweet_tags.tweet_id AND s.tag_id = tweet_tags.tag_id AND s.status = 'accepted'
+          )
+    `).run(tagger).changes;
+}
+
+// ============================================
+// Checkpointed Runs
+// ============================================
+
+/**
+ * Record a new run and split its tweets into batches up front.
+ * With suggest, every batch (including resumed ones) goes to the review queue.
+ * Returns the run id.
+ */
+function createTaggingRun(db, llm, { script, tweets, batchSize, suggest = false }) {
+    const insertBatch = db.prepare(`
+        INSERT INTO tagging_run_batches (run_id, batch_index, tweet_ids) VALUES (?, ?, ?)
+    `);
+
+    return db.transaction(() => {
+        const info = db.prepare(`
+            INSERT INTO tagging_runs (script, provider, model, prompt_version, batch_size, total_tweets, total_batches, suggest)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(script, llm.provider, llm.model, PROMPT_VERSION, batchSize, tweets.length, Math.ceil(tweets.length / batchSize), suggest ? 1 : 0);
+
+        for (let i = 0; i < tweets.length; i += batchSize) {
+            const ids = tweets.slice(i, i + batchSize).map(t => t.id);
+            insertBatch.run(info.lastInsertRowid, i / batchSize, JSON.stringify(ids));
+        }
+        return info.lastInsertRowid;
+    })();
+}
+
+// The script's latest run if it never finished (or a specific run by id)
+function findResumableRun(db, { script, runId = null }) {
+    const run = runId
+        ? db.prepare('SELECT * FROM tagging_runs WHERE id = ?').get(runId)
+        : db.prepare('SELECT * FROM tagging_runs WHERE script = ? ORDER BY id DESC LIMIT 1').get(script);
+    return run && run.status !== 'completed' ? run : null;
+}
+
+// Roll the batch checkpoints up into the run's totals
+function updateRunTotals(db, runId, status = null) {
+    db.prepare(`
+        UPDATE tagging_runs SET
+            tweets_processed = (SELECT COALESCE(SUM(tweets_processed), 0) FROM tagging_run_batches WHERE run_id = ?),
+            tags_added = (SELECT COALESCE(SUM(tags_added), 0) FROM tagging_run_batches WHERE run_id = ?),
+            results_dropped = (SELECT COALESCE(SUM(results_dropped), 0) FROM tagging_run_batches WHERE run_id = ?),
+            prompt_tokens = (SELECT COALESCE(SUM(prompt_tokens), 0) FROM tagging_run_batches WHERE run_id = ?),
+            completion_tokens = (SELECT COALESCE(SUM(completion_tokens), 0) FROM tagging_run_batches WHERE run_id = ?),
+            estimated_cost = (SELECT SUM(estimated_cost) FROM tagging_run_batches WHERE run_id = ?),
+            status = COALESCE(?, status),
+            finished_at = CASE WHEN ? IN ('completed', 'failed', 'interrupted') THEN CURRENT_TIMESTAMP ELSE finished_at END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+    `).run(runId, runId, runId, runId, runId, runId, status, status, runId);
+}
+
+// Mark the run interrupted if the process is stopped mid-run (e.g. a
+// cancelled background job), so the history doesn't show it as running
+function markInterruptedOnExit(db, runId) {
+    ['SIGINT', 'SIGTERM'].forEach(signal => {
+        process.on(signal, () => {
+            try {
+                updateRunTotals(db, runId, 'interrupted');
+                console.log(`\n⏸️  Run ${runId} interrupted - continue it with --resume`);
+            } finally {
+                process.exit(signal === 'SIGINT' ? 130 : 143);
+            }
+        });
+    });
+}
+
+/**
+ * Tag every batch of the run that isn't done yet, checkpointing each one.
+ * Token usage includes retried requests, since those are billed too.
+ * onBatch({ batchIndex, totalBatches, processed, errors }) is called before each batch.
+ * Returns the final run row.
+ */
+async function processTaggingRun(db, llm, runId, { delayMs = 0, onBatch } = {}) {
+    const run = db.prepare('SELECT * FROM tagging_runs WHERE id = ?').get(runId);
+    const batches = db.prepare(`
+        SELECT batch_index, tweet_ids FROM tagging_run_batches
+        WHERE run_id = ? AND status != 'done'
+        ORDER BY batch_index
+    `).all(runId);
+    const saveBatch = db.prepare(`
+        UPDATE tagging_run_batches SET
+            status = ?, tweets_processed = ?, tags_added = ?, results_dropped = ?,
+            prompt_tokens = prompt_tokens + ?, completion_tokens = completion_tokens + ?,
+            estimated_cost = COALESCE(estimated_cost, 0) + ?,
+            attempts = attempts + 1, error = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE run_id = ? AND batch_index = ?
+    `);
+
+    db.prepare("UPDATE tagging_runs SET status = 'running', finished_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?").run(runId);
+    markInterruptedOnExit(db, runId);
+
+    const provenance = { tagger: run.script, model: `${llm.provider}/${llm.model}`, suggest: !!run.suggest };
+    let processed = run.tweets_processed;
+    let errors = 0;
+
+    for (let i = 0; i < batches.length; i++) {
+        const batch = batches[i];
+        const ids = JSON.parse(batch.tweet_ids);
+        if (onBatch) onBatch({ batchIndex: batch.batch_index, totalBatches: run.total_batches, processed, errors });
+
+        // Tweets deleted since the run started simply drop out of the batch
+        const tweets = db.prepare(`SELECT id, full_text FROM tweets WHERE id IN (${ids.map(() => '?').join(', ')})`).all(...ids);
+        const before = { ...llm.usage };
+
+        let status = 'done';
+        let result = { processed: 0, tagsAdded: 0, dropped: 0 };
+        let error = null;
+        try {
+            if (tweets.length > 0) {
+                result = applyTagResults(db, await tagBatch(llm, tweets), { ...provenance, tweetIds: tweets.map(t => t.id) });
+            }
+        } catch (err) {
+            console.error(`\n❌ Error in batch ${batch.batch_index + 1}: ${err.message}`);
+            status = 'failed';
+            error = err.message;
+            errors++;
+        }
+
+        const spent = {
+            promptTokens: llm.usage.promptTokens - before.promptTokens,
+            completionTokens: llm.usage.completionTokens - before.completionTokens
+        };
+        saveBatch.run(status, result.processed, result.tagsAdded, result.dropped, spent.promptTokens, spent.completionTokens,
+            llm.estimateCost(spent), error, runId, batch.batch_index);
+        updateRunTotals(db, runId);
+        processed += result.processed;
+
+        // Rate limiting delay
+        if (delayMs && i + 1 < batches.length) {
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+    }
+
+    const remaining = db.prepare("SELECT COUNT(*) as count FROM tagging_run_batches WHERE run_id = ? AND status != 'done'").get(runId).count;
+    updateRunTotals(db, runId, remaining === 0 ? 'completed' : 'failed');
+    return db.prepare('SELECT * FROM tagging_runs WHERE id = ?').get(runId);
+}
+
+// Run history, newest first
+function listTaggingRuns(db, { limit = 20 } = {}) {
+    return db.prepare('SELECT * FROM tagging_runs ORDER BY id DESC LIMIT ?').all(Math.min(parseInt(limit) || 20, 200));
+}
+
+// One run with its batch checkpoints summarized
+function getTaggingRun(db, runId) {
+    const run = db.prepare('SELECT * FROM tagging_runs WHERE id = ?').get(runId);
+    if (!run) return null;
+    const counts = db.prepare(`
+        SELECT status, COUNT(*) as count FROM tagging_run_batches WHERE run_id = ? GROUP BY status
+    `).all(runId);
+    const failedBatches = db.prepare(`
+        SELECT batch_index, attempts, error, updated_at FROM tagging_run_batches
+        WHERE run_id = ? AND status = 'failed'
+        ORDER BY batch_index
+        LIMIT 100
+    `).all(runId);
+    return {
+        ...run,
+        batches: Object.fromEntries(['pending', 'done', 'failed'].map(status => [
+            status, counts.find(c => c.status === status)?.count || 0
+        ])),
+        failedBatches
+    };
+}
+
+function formatRunSummary(run) {
+    const cost = run.estimated_cost === null ? 'cost unknown' : `~$${run.estimated_cost.toFixed(4)}`;
+    const dropped = run.results_dropped ? `, ${run.results_dropped} answers for unknown tweet ids dropped` : '';
+    return `${run.tweets_processed.toLocaleString()} tweets, ${run.tags_added.toLocaleString()} tags ${run.suggest ? 'suggested' : 'added'}, ` +
+        `${(run.prompt_tokens + run.completion_tokens).toLocaleString()} tokens, ${cost}${dropped}`;
+}
+
+function formatUsage(usage) {
+    return `${usage.requests} requests, ${usage.retries} retries, ` +
+        `${usage.totalTokens.toLocaleString()} tokens (${usage.promptTokens.toLocaleString()} in / ${usage.completionTokens.toLocaleString()} out)`;
+}
+
+module.exports = {
+    PROMPT_VERSION,
+    SYSTEM_PROMPT,
+    TOPIC_TAGS,
+    PATTERN_TAGS,
+    buildTaggingPrompt,
+    parseTagResults,
+    parseTagEntry,
+    mockTagResponder,
+    createTaggingClient,
+    tagBatch,
+    applyTagResults,
+    clearTaggerTags,
+    formatUsage,
+    createTaggingRun,
+    findResumableRun,
+    processTaggingRun,
+    listTaggingRuns,
+    getTaggingRun,
+    formatRunSummary
+};
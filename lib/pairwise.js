@@ -0,0 +1,176 @@
+/**
+ * Pairwise Ranking
+ * "This or that?" (compare.html) puts two superliked tweets side by side and
+ * asks which is better. Each choice moves both tweets' Elo ratings, so over
+ * time the favorites get an order finer than like/superlike - e.g. for
+ * picking what goes in a book.
+ *
+ * Every choice is kept in pairwise_comparisons as well, so the ratings can be
+ * refit from the full history (Bradley-Terry) if the Elo updates drift.
+ */
+
+const DEFAULT_RATING = 1500;
+const K_FACTOR = 32;
+
+// The opponent is picked from the tweets nearest in rating - a close call
+// says more about the order than a walkover
+const OPPONENT_POOL = 5;
+
+// Joins tweet_ratings tr onto tweets t
+const RATING_JOIN = 'LEFT JOIN tweet_ratings tr ON tr.tweet_id = t.id';
+
+class PairwiseError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PairwiseError';
+    }
+}
+
+// Chance the first rating beats the second
+function expectedScore(rating, opponentRating) {
+    return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+function round(rating) {
+    return Math.round(rating * 10) / 10;
+}
+
+function accountFilter(account) {
+    return account
+        ? { clause: 'AND t.account_id = ?', params: [parseInt(account)] }
+        : { clause: '', params: [] };
+}
+
+function pickRandom(items) {
+    return items[Math.floor(Math.random() * items.length)];
+}
+
+/**
+ * The next two superliked tweets to compare, or null with fewer than two.
+ * One side is a tweet with the fewest comparisons so far, the other one of
+ * the OPPONENT_POOL closest to it in rating. Returns { pair, total }.
+ */
+function nextPair(db, { account = '' } = {}) {
+    const filter = accountFilter(account);
+    const candidates = db.prepare(`
+        SELECT t.id, COALESCE(tr.rating, ?) as rating, COALESCE(tr.comparisons, 0) as comparisons
+        FROM tweets t
+        ${RATING_JOIN}
+        WHERE t.swipe_status = 'superlike' ${filter.clause}
+    `).all(DEFAULT_RATING, ...filter.params);
+    if (candidates.length < 2) return null;
+
+    const fewest = Math.min(...candidates.map(c => c.comparisons));
+    const first = pickRandom(candidates.filter(c => c.comparisons === fewest));
+    const opponents = candidates
+        .filter(c => c.id !== first.id)
+        .sort((a, b) => Math.abs(a.rating - first.rating) - Math.abs(b.rating - first.rating))
+        .slice(0, OPPONENT_POOL);
+    const second = pickRandom(opponents);
+
+    const getTweet = db.prepare(`
+        SELECT t.*,
+            quoted.full_text as quoted_text,
+            quoted.media_url as quoted_media,
+            quoted.id as quoted_id,
+            quoted_account.username as quoted_username,
+            tr.rating, COALESCE(tr.comparisons, 0) as comparisons, COALESCE(tr.wins, 0) as wins
+        FROM tweets t
+        LEFT JOIN tweets quoted ON t.quoted_tweet_id = quoted.id
+        LEFT JOIN accounts quoted_account ON quoted.account_id = quoted_account.id
+        ${RATING_JOIN}
+        WHERE t.id = ?
+    `);
+    // Which side the less compared tweet lands on shouldn't be predictable
+    const pair = Math.random() < 0.5 ? [first, second] : [second, first];
+    return { pair: pair.map(c => getTweet.get(c.id)), total: candidates.length };
+}
+
+/**
+ * Record that winnerId was picked over loserId and update both ratings.
+ * Both must be superliked. Returns { winner, loser } with the new ratings.
+ */
+function recordComparison(db, winnerId, loserId) {
+    if (!winnerId || !loserId) throw new PairwiseError('winnerId and loserId are required');
+    const ids = [String(winnerId), String(loserId)];
+    if (ids[0] === ids[1]) throw new PairwiseError('A tweet cannot be compared with itself');
+
+    const getTweet = db.prepare(`
+        SELECT t.id, t.swipe_status, tr.rating, COALESCE(tr.comparisons, 0) as comparisons, COALESCE(tr.wins, 0) as wins
+        FROM tweets t
+        ${RATING_JOIN}
+        WHERE t.id = ?
+    `);
+    const saveRating = db.prepare(`
+        INSERT INTO tweet_ratings (tweet_id, rating, comparisons, wins, updated_at)
+        VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT (tweet_id) DO UPDATE SET
+            rating = excluded.rating, comparisons = excluded.comparisons,
+            wins = excluded.wins, updated_at = excluded.updated_at
+    `);
+
+    return db.transaction(() => {
+        const [winner, loser] = ids.map(id => {
+            const tweet = getTweet.get(id);
+            if (!tweet) throw new PairwiseError(`Tweet ${id} not found`);
+            if (tweet.swipe_status !== 'superlike') throw new PairwiseError(`Tweet ${id} is not superliked`);
+            return tweet;
+        });
+
+        const winnerRating = winner.rating ?? DEFAULT_RATING;
+        const loserRating = loser.rating ?? DEFAULT_RATING;
+        const change = K_FACTOR * (1 - expectedScore(winnerRating, loserRating));
+        const updated = {
+            winner: { tweet_id: winner.id, rating: round(winnerRating + change), comparisons: winner.comparisons + 1, wins: winner.wins + 1 },
+            loser: { tweet_id: loser.id, rating: round(loserRating - change), comparisons: loser.comparisons + 1, wins: loser.wins }
+        };
+        Object.values(updated).forEach(r => saveRating.run(r.tweet_id, r.rating, r.comparisons, r.wins));
+        db.prepare('INSERT INTO pairwise_comparisons (winner_id, loser_id) VALUES (?, ?)').run(winner.id, loser.id);
+        return updated;
+    })();
+}
+
+/**
+ * Superliked tweets best first; ones never compared come last, by likes.
+ * Returns { tweets (with rank, rating, comparisons, wins), total, compared, comparisons }.
+ */
+function rankedTweets(db, { account = '', limit = 50, offset = 0 } = {}) {
+    const filter = accountFilter(account);
+    const start = Math.max(0, parseInt(offset) || 0);
+    const tweets = db.prepare(`
+        SELECT t.*, tr.rating, COALESCE(tr.comparisons, 0) as comparisons, COALESCE(tr.wins, 0) as wins
+        FROM tweets t
+        ${RATING_JOIN}
+        WHERE t.swipe_status = 'superlike' ${filter.clause}
+        ORDER BY tr.rating IS NULL, tr.rating DESC, t.favorite_count DESC, t.id
+        LIMIT ? OFFSET ?
+    `).all(...filter.params, Math.max(1, parseInt(limit) || 50), start);
+
+    const counts = db.prepare(`
+        SELECT COUNT(*) as total, COUNT(tr.tweet_id) as compared
+        FROM tweets t
+        ${RATING_JOIN}
+        WHERE t.swipe_status = 'superlike' ${filter.clause}
+    `).get(...filter.params);
+    const comparisons = db.prepare(`
+        SELECT COUNT(*) as count FROM pairwise_comparisons pc
+        JOIN tweets t ON t.id = pc.winner_id
+        WHERE 1 = 1 ${filter.clause}
+    `).get(...filter.params).count;
+
+    return {
+        tweets: tweets.map((tweet, i) => ({ ...tweet, rank: start + i + 1 })),
+        total: counts.total,
+        compared: counts.compared,
+        comparisons
+    };
+}
+
+module.exports = {
+    DEFAULT_RATING,
+    RATING_JOIN,
+    PairwiseError,
+    nextPair,
+    recordComparison,
+    rankedTweets
+};
@@ -0,0 +1,264 @@
+/**
+ * Semantic Search Query Plans
+ * The LLM turns a natural-language question into a JSON filter plan; this
+ * module validates the plan against a whitelist and compiles it into
+ * parameterized SQL. Model output never reaches the SQL string itself.
+ *
+ * Plan shape (every key optional):
+ * {
+ *   "anyTerms":     ["bitcoin", "crypto"],      // at least one (OR)
+ *   "allTerms":     ["trump", "spirit"],        // every one (AND)
+ *   "excludeTerms": ["joke"],                   // none of these
+ *   "tags":         ["philosophy"],             // every tag
+ *   "excludeTags":  ["meme"],
+ *   "types":        ["quote", "text_only"],     // tweet_type values
+ *   "lengths":      ["long"],                   // length_category values
+ *   "swipe":        ["superlike", "like"],      // swipe_status values or "unreviewed"
+ *   "dateFrom":     "2019-01-01",               // inclusive, YYYY[-MM[-DD]]
+ *   "dateTo":       "2020-12-31",               // inclusive
+ *   "minLikes": 50, "maxLikes": 1000, "minRetweets": 5, "maxRetweets": 100,
+ *   "sort":         { "by": "likes", "order": "desc" }
+ * }
+ * Terms containing spaces are matched as exact phrases.
+ */
+
+const { ftsQuote, ftsWord, TWEET_TYPES, SWIPE_VALUES, LENGTH_CATEGORIES } = require('./search_query');
+const { isValidDatePrefix, periodStart, periodEnd } = require('./dates');
+const { TAG_SUBTREE_SQL } = require('./tags');
+
+class QueryPlanError extends Error {
+    constructor(problems) {
+        super(`Invalid query plan: ${problems.join('; ')}`);
+        this.name = 'QueryPlanError';
+        this.problems = problems;
+    }
+}
+
+const MAX_LIST_LENGTH = 20;
+const MAX_TERM_LENGTH = 100;
+
+const SORT_COLUMNS = {
+    date: 't.created_at',
+    likes: 't.favorite_count',
+    retweets: 't.retweet_count',
+    length: 't.char_count'
+};
+const SORT_KEYS = [...Object.keys(SORT_COLUMNS), 'relevance'];
+
+const PLAN_KEYS = ['anyTerms', 'allTerms', 'excludeTerms', 'tags', 'excludeTags', 'types', 'lengths',
+    'swipe', 'dateFrom', 'dateTo', 'minLikes', 'maxLikes', 'minRetweets', 'maxRetweets', 'sort'];
+
+/**
+ * Validate a raw plan object. Returns the normalized plan (empty keys
+ * dropped, values lowercased/trimmed) or throws QueryPlanError listing
+ * every problem found.
+ * knownTags: tag names the plan may reference.
+ */
+function validateQueryPlan(raw, { knownTags = [] } = {}) {
+    const problems = [];
+    const plan = {};
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new QueryPlanError(['plan must be a JSON object']);
+    }
+
+    Object.keys(raw).forEach(key => {
+        if (!PLAN_KEYS.includes(key)) problems.push(`unknown key "${key}"`);
+    });
+
+    const stringList = (key, allowed, allowedLabel) => {
+        const value = raw[key];
+        if (value === undefined || value === null) return;
+        if (!Array.isArray(value)) {
+            problems.push(`${key} must be an array of strings`);
+            return;
+        }
+        if (value.length > MAX_LIST_LENGTH) {
+            problems.push(`${key} has more than ${MAX_LIST_LENGTH} entries`);
+            return;
+        }
+        const items = [];
+        value.forEach(item => {
+            if (typeof item !== 'string' || !item.trim()) {
+                problems.push(`${key} must only contain non-empty strings`);
+                return;
+            }
+            const normalized = item.trim().toLowerCase();
+            if (normalized.length > MAX_TERM_LENGTH) {
+                problems.push(`${key} entry is longer than ${MAX_TERM_LENGTH} characters`);
+            } else if (allowed && !allowed.includes(normalized)) {
+                problems.push(allowedLabel
+                    ? `${key} value "${item}" is not ${allowedLabel}`
+                    : `${key} value "${item}" is not one of ${allowed.join(', ')}`);
+            } else if (!items.includes(normalized)) {
+                items.push(normalized);
+            }
+        });
+        if (items.length > 0) plan[key] = items;
+    };
+
+    const knownTagNames = knownTags.map(t => t.toLowerCase());
+    stringList('anyTerms');
+    stringList('allTerms');
+    stringList('excludeTerms');
+    stringList('tags', knownTagNames, 'a known tag');
+    stringList('excludeTags', knownTagNames, 'a known tag');
+    stringList('types', TWEET_TYPES);
+    stringList('lengths', LENGTH_CATEGORIES);
+    stringList('swipe', SWIPE_VALUES);
+
+    ['dateFrom', 'dateTo'].forEach(key => {
+        const value = raw[key];
+        if (value === undefined || value === null || value === '') return;
+        if (typeof value !== 'string' || !isValidDatePrefix(value)) {
+            problems.push(`${key} must be a date like 2021, 2021-06 or 2021-06-30`);
+        } else {
+            plan[key] = value;
+        }
+    });
+
+    ['minLikes', 'maxLikes', 'minRetweets', 'maxRetweets'].forEach(key => {
+        const value = raw[key];
+        if (value === undefined || value === null) return;
+        if (!Number.isInteger(value) || value < 0) {
+            problems.push(`${key} must be a non-negative integer`);
+        } else {
+            plan[key] = value;
+        }
+    });
+
+    if (raw.sort !== undefined && raw.sort !== null) {
+        const { by, order = 'desc', ...extra } = typeof raw.sort === 'object' ? raw.sort : {};
+        if (typeof raw.sort !== 'object' || Array.isArray(raw.sort)) {
+            problems.push('sort must be an object like {"by": "likes", "order": "desc"}');
+        } else if (Object.keys(extra).length > 0) {
+            problems.push(`unknown sort key "${Object.keys(extra)[0]}"`);
+        } else if (!SORT_KEYS.includes(by)) {
+            problems.push(`sort.by must be one of ${SORT_KEYS.join(', ')}`);
+        } else if (!['asc', 'desc'].includes(order)) {
+            problems.push('sort.order must be asc or desc');
+        } else {
+            plan.sort = { by, order };
+        }
+    }
+
+    if (problems.length > 0) throw new QueryPlanError(problems);
+    return plan;
+}
+
+// One search term as FTS5: phrases quoted, single words stemmed
+function ftsTerm(term) {
+    return /\s/.test(term) ? ftsQuote(term) : ftsWord(term);
+}
+
+/**
+ * Build the FTS5 MATCH expression for the plan's text terms,
+ * or null if the plan has no positive terms.
+ * FTS5's NOT is binary, so exclusions need something positive to subtract from.
+ */
+function buildPlanFtsQuery(plan) {
+    const parts = [];
+    if (plan.allTerms) parts.push(...plan.allTerms.map(ftsTerm));
+    if (plan.anyTerms) parts.push(`(${plan.anyTerms.map(ftsTerm).join(' OR ')})`);
+    if (parts.length === 0) return null;
+
+    let fts = parts.join(' AND ');
+    if (plan.excludeTerms) {
+        fts = `(${fts}) NOT (${plan.excludeTerms.map(ftsTerm).join(' OR ')})`;
+    }
+    return fts;
+}
+
+/**
+ * Compile a validated plan into SQL pieces over tweets aliased as t:
+ * { ftsQuery, conditions, params, orderBy }
+ * When ftsQuery is set, callers join the match set as `search`
+ * (search_rowid, search_rank) and bind ftsQuery first.
+ */
+function compileQueryPlan(plan) {
+    const conditions = [];
+    const params = [];
+    const ftsQuery = buildPlanFtsQuery(plan);
+
+    // Exclusions without positive terms become a NOT IN over the index
+    if (!ftsQuery && plan.excludeTerms) {
+        conditions.push(`t.rowid NOT IN (SELECT rowid FROM tweets_fts WHERE tweets_fts MATCH ?)`);
+        params.push(plan.excludeTerms.map(ftsTerm).join(' OR '));
+    }
+
+    // Aliases and child tags count, as in the directory's tag filter
+    const tagExists = `EXISTS (SELECT 1 FROM tweet_tags plan_tt
+        WHERE plan_tt.tweet_id = t.id AND plan_tt.tag_id IN (${TAG_SUBTREE_SQL}))`;
+    (plan.tags || []).forEach(tag => {
+        conditions.push(tagExists);
+        params.push(tag, tag);
+    });
+    (plan.excludeTags || []).forEach(tag => {
+        conditions.push(`NOT ${tagExists}`);
+        params.push(tag, tag);
+    });
+
+    if (plan.types) {
+        conditions.push(`t.tweet_type IN (${plan.types.map(() => '?').join(',')})`);
+        params.push(...plan.types);
+    }
+    if (plan.lengths) {
+        conditions.push(`t.length_category IN (${plan.lengths.map(() => '?').join(',')})`);
+        params.push(...plan.lengths);
+    }
+    if (plan.swipe) {
+        const statuses = plan.swipe.filter(s => s !== 'unreviewed');
+        const parts = [];
+        if (statuses.length > 0) {
+            parts.push(`t.swipe_status IN (${statuses.map(() => '?').join(',')})`);
+            params.push(...statuses);
+        }
+        if (plan.swipe.includes('unreviewed')) parts.push('t.swipe_status IS NULL');
+        conditions.push(`(${parts.join(' OR ')})`);
+    }
+
+    // Both bounds cover the whole period named (see lib/dates.js)
+    if (plan.dateFrom) {
+        conditions.push('t.created_at >= ?');
+        params.push(periodStart(plan.dateFrom));
+    }
+    if (plan.dateTo) {
+        conditions.push('t.created_at < ?');
+        params.push(periodEnd(plan.dateTo));
+    }
+
+    const bounds = [
+        ['minLikes', 't.favorite_count >= ?'],
+        ['maxLikes', 't.favorite_count <= ?'],
+        ['minRetweets', 't.retweet_count >= ?'],
+        ['maxRetweets', 't.retweet_count <= ?']
+    ];
+    bounds.forEach(([key, sql]) => {
+        if (plan[key] !== undefined) {
+            conditions.push(sql);
+            params.push(plan[key]);
+        }
+    });
+
+    // Default: best text match first when searching text, otherwise most liked
+    const sort = plan.sort || { by: ftsQuery ? 'relevance' : 'likes', order: 'desc' };
+    let orderBy;
+    if (sort.by === 'relevance') {
+        // bm25: lower is better
+        orderBy = ftsQuery
+            ? `search.search_rank ${sort.order === 'desc' ? 'ASC' : 'DESC'}, t.favorite_count DESC`
+            : 't.favorite_count DESC';
+    } else {
+        orderBy = `${SORT_COLUMNS[sort.by]} ${sort.order === 'asc' ? 'ASC' : 'DESC'}`;
+    }
+
+    return { ftsQuery, conditions, params, orderBy };
+}
+
+module.exports = {
+    validateQueryPlan,
+    compileQueryPlan,
+    QueryPlanError,
+    PLAN_KEYS,
+    SORT_KEYS
+};
@@ -0,0 +1,103 @@
+/**
+ * Review Schedule
+ * review_later tweets come back to the swipe page on an SM-2 schedule. Each
+ * time a tweet is put off again its interval grows: 1 day, 6 days, then the
+ * previous interval times the tweet's ease factor. Deciding on it (like,
+ * superlike, dislike) takes it off the schedule.
+ *
+ * A review_later tweet without a review_schedule row (marked before the
+ * schedule existed) counts as due now.
+ */
+
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+// Putting a tweet off again is a hard recall in SM-2 terms (grade 3 of 0-5):
+// the interval still grows, but the ease drops so it grows slower each time
+const LATER_GRADE = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Joins review_schedule rs onto tweets t
+const REVIEW_SCHEDULE_JOIN = 'LEFT JOIN review_schedule rs ON rs.tweet_id = t.id';
+
+// Binds now (ISO string)
+const DUE_CONDITION = "t.swipe_status = 'review_later' AND (rs.due_at IS NULL OR rs.due_at <= ?)";
+
+/**
+ * One SM-2 step from the current { repetitions, interval_days, ease_factor }
+ * (null for a new tweet). Grades below 3 start the intervals over.
+ */
+function nextReview(current, grade = LATER_GRADE) {
+    const repetitions = current ? current.repetitions : 0;
+    const interval = current ? current.interval_days : 0;
+    const ease = current ? current.ease_factor : DEFAULT_EASE;
+
+    const adjusted = ease + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02));
+    const nextEase = Math.max(MIN_EASE, Math.round(adjusted * 100) / 100);
+    if (grade < 3) {
+        return { repetitions: 0, interval_days: 1, ease_factor: nextEase };
+    }
+    const nextInterval = repetitions === 0 ? 1 : repetitions === 1 ? 6 : Math.round(interval * ease);
+    return { repetitions: repetitions + 1, interval_days: nextInterval, ease_factor: nextEase };
+}
+
+/**
+ * Schedule (or reschedule) a tweet marked review_later. Returns the row.
+ */
+function scheduleReview(db, tweetId, { grade = LATER_GRADE, now = new Date() } = {}) {
+    const id = String(tweetId);
+    const current = db.prepare('SELECT * FROM review_schedule WHERE tweet_id = ?').get(id);
+    const next = nextReview(current, grade);
+    const dueAt = new Date(now.getTime() + next.interval_days * DAY_MS).toISOString();
+
+    db.prepare(`
+        INSERT INTO review_schedule (tweet_id, repetitions, interval_days, ease_factor, due_at, last_reviewed_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT (tweet_id) DO UPDATE SET
+            repetitions = excluded.repetitions, interval_days = excluded.interval_days,
+            ease_factor = excluded.ease_factor, due_at = excluded.due_at,
+            last_reviewed_at = excluded.last_reviewed_at
+    `).run(id, next.repetitions, next.interval_days, next.ease_factor, dueAt, now.toISOString());
+    return { tweet_id: id, ...next, due_at: dueAt };
+}
+
+// The tweet was decided on (or its swipe cleared)
+function clearReviewSchedule(db, tweetId) {
+    return db.prepare('DELETE FROM review_schedule WHERE tweet_id = ?').run(String(tweetId)).changes;
+}
+
+// Keep the schedule in step with a tweet's new swipe status
+function applySwipeToSchedule(db, tweetId, swipeStatus) {
+    if (swipeStatus === 'review_later') {
+        return scheduleReview(db, tweetId);
+    }
+    clearReviewSchedule(db, tweetId);
+    return null;
+}
+
+/**
+ * review_later tweets due by now: { due, scheduled, nextDueAt }.
+ */
+function reviewCounts(db, { account = '', now = new Date() } = {}) {
+    const accountFilter = account ? 'AND t.account_id = ?' : '';
+    const params = account ? [parseInt(account)] : [];
+    return db.prepare(`
+        SELECT
+            COALESCE(SUM(rs.due_at IS NULL OR rs.due_at <= ?), 0) as due,
+            COUNT(*) as scheduled,
+            MIN(CASE WHEN rs.due_at > ? THEN rs.due_at END) as nextDueAt
+        FROM tweets t
+        ${REVIEW_SCHEDULE_JOIN}
+        WHERE t.swipe_status = 'review_later' ${accountFilter}
+    `).get(now.toISOString(), now.toISOString(), ...params);
+}
+
+module.exports = {
+    REVIEW_SCHEDULE_JOIN,
+    DUE_CONDITION,
+    scheduleReview,
+    clearReviewSchedule,
+    applySwipeToSchedule,
+    reviewCounts
+};
@@ -0,0 +1,501 @@
+/**
+ * Search Query Language
+ * Parses the directory search box into parameterized SQL:
+ *   words, "exact phrases", prefix*          full-text (tweets_fts, stemmed)
+ *   a OR b, -word, -"phrase", ( ... )         boolean logic (OR binds tighter than AND)
+ *   likes:>50  rts:>=10  len:>200            engagement / length comparisons
+ *   before:2021-01-01  after:2019            date bounds (YYYY, YYYY-MM or YYYY-MM-DD)
+ *   type:quote  tag:philosophy  -tag:joke    tweet type and tags (aliases and child tags count)
+ *   swipe:superlike  has:notes  has:media    curation state
+ *   len:long                                  length category
+ */
+
+const { TAG_SUBTREE_SQL } = require('./tags');
+const { isValidDatePrefix, periodStart, periodEnd } = require('./dates');
+
+class SearchQueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SearchQueryError';
+    }
+}
+
+/**
+ * Simple Porter Stemmer for English
+ * Handles common word endings: -ing, -ed, -s, -es, -ies, -tion, -ness, etc.
+ */
+function stem(word) {
+    if (!word || word.length < 3) return word.toLowerCase();
+
+    let w = word.toLowerCase();
+
+    // Common irregular forms
+    const irregulars = {
+        'ran': 'run', 'running': 'run', 'runs': 'run',
+        'children': 'child', 'childs': 'child',
+        'men': 'man', 'women': 'woman',
+        'feet': 'foot', 'teeth': 'tooth',
+        'mice': 'mouse', 'geese': 'goose',
+        'was': 'be', 'were': 'be', 'been': 'be', 'being': 'be', 'is': 'be', 'are': 'be', 'am': 'be',
+        'had': 'have', 'has': 'have', 'having': 'have',
+        'did': 'do', 'does': 'do', 'doing': 'do',
+        'went': 'go', 'goes': 'go', 'going': 'go', 'gone': 'go',
+        'said': 'say', 'says': 'say', 'saying': 'say',
+        'made': 'make', 'makes': 'make', 'making': 'make',
+        'took': 'take', 'takes': 'take', 'taking': 'take', 'taken': 'take',
+        'came': 'come', 'comes': 'come', 'coming': 'come',
+        'saw': 'see', 'sees': 'see', 'seeing': 'see', 'seen': 'see',
+        'knew': 'know', 'knows': 'know', 'knowing': 'know', 'known': 'know',
+        'thought': 'think', 'thinks': 'think', 'thinking': 'think',
+        'got': 'get', 'gets': 'get', 'getting': 'get', 'gotten': 'get',
+        'gave': 'give', 'gives': 'give', 'giving': 'give', 'given': 'give',
+        'told': 'tell', 'tells': 'tell', 'telling': 'tell',
+        'felt': 'feel', 'feels': 'feel', 'feeling': 'feel',
+        'became': 'become', 'becomes': 'become', 'becoming': 'become',
+        'left': 'leave', 'leaves': 'leave', 'leaving': 'leave',
+        'brought': 'bring', 'brings': 'bring', 'bringing': 'bring',
+        'wrote': 'write', 'writes': 'write', 'writing': 'write', 'written': 'write',
+        'sat': 'sit', 'sits': 'sit', 'sitting': 'sit',
+        'stood': 'stand', 'stands': 'stand', 'standing': 'stand',
+        'lost': 'lose', 'loses': 'lose', 'losing': 'lose',
+        'paid': 'pay', 'pays': 'pay', 'paying': 'pay',
+        'met': 'meet', 'meets': 'meet', 'meeting': 'meet',
+        'set': 'set', 'sets': 'set', 'setting': 'set',
+        'learned': 'learn', 'learns': 'learn', 'learning': 'learn', 'learnt': 'learn',
+        'kept': 'keep', 'keeps': 'keep', 'keeping': 'keep',
+        'built': 'build', 'builds': 'build', 'building': 'build',
+        'sent': 'send', 'sends': 'send', 'sending': 'send',
+        'spent': 'spend', 'spends': 'spend', 'spending': 'spend',
+        'understood': 'understand', 'understands': 'understand', 'understanding': 'understand',
+        'began': 'begin', 'begins': 'begin', 'beginning': 'begin', 'begun': 'begin',
+        'held': 'hold', 'holds': 'hold', 'holding': 'hold',
+        'heard': 'hear', 'hears': 'hear', 'hearing': 'hear',
+        'found': 'find', 'finds': 'find', 'finding': 'find',
+        'read': 'read', 'reads': 'read', 'reading': 'read',
+        'meant': 'mean', 'means': 'mean', 'meaning': 'mean',
+        'led': 'lead', 'leads': 'lead', 'leading': 'lead',
+        'put': 'put', 'puts': 'put', 'putting': 'put',
+        'showed': 'show', 'shows': 'show', 'showing': 'show', 'shown': 'show',
+        'moved': 'move', 'moves': 'move', 'moving': 'move',
+        'lived': 'live', 'lives': 'live', 'living': 'live',
+        'believed': 'believe', 'believes': 'believe', 'believing': 'believe',
+        'loved': 'love', 'loves': 'love', 'loving': 'love'
+    };
+
+    if (irregulars[w]) return irregulars[w];
+
+    // Remove common suffixes
+    if (w.endsWith('ies') && w.length > 4) w = w.slice(0, -3) + 'y';
+    else if (w.endsWith('ied') && w.length > 4) w = w.slice(0, -3) + 'y';
+    else if (w.endsWith('es') && w.length > 4) w = w.slice(0, -2);
+    else if (w.endsWith('s') && !w.endsWith('ss') && w.length > 3) w = w.slice(0, -1);
+
+    if (w.endsWith('ing') && w.length > 5) {
+        w = w.slice(0, -3);
+        // Handle doubling: running -> run, sitting -> sit
+        if (w.length > 2 && w[w.length - 1] === w[w.length - 2]) w = w.slice(0, -1);
+    }
+    else if (w.endsWith('ed') && w.length > 4) {
+        w = w.slice(0, -2);
+        if (w.length > 2 && w[w.length - 1] === w[w.length - 2]) w = w.slice(0, -1);
+    }
+    else if (w.endsWith('ness') && w.length > 6) w = w.slice(0, -4);
+    else if (w.endsWith('ment') && w.length > 6) w = w.slice(0, -4);
+    else if (w.endsWith('ly') && w.length > 4) w = w.slice(0, -2);
+    else if (w.endsWith('ful') && w.length > 5) w = w.slice(0, -3);
+    else if (w.endsWith('less') && w.length > 6) w = w.slice(0, -4);
+    else if (w.endsWith('tion') && w.length > 6) w = w.slice(0, -4);
+    else if (w.endsWith('er') && w.length > 4) w = w.slice(0, -2);
+    else if (w.endsWith('est') && w.length > 5) w = w.slice(0, -3);
+    else if (w.endsWith('able') && w.length > 6) w = w.slice(0, -4);
+    else if (w.endsWith('ible') && w.length > 6) w = w.slice(0, -4);
+
+    return w;
+}
+
+const SEARCH_STOP_WORDS = ['a', 'an', 'the', 'is', 'are', 'was', 'were', 'be', 'been',
+    'being', 'have', 'has', 'had', 'do', 'does', 'did', 'will',
+    'would', 'could', 'should', 'may', 'might', 'must', 'shall',
+    'can', 'to', 'of', 'in', 'for', 'on', 'with', 'at', 'by',
+    'from', 'or', 'and', 'but', 'if', 'then', 'so', 'than',
+    'that', 'this', 'these', 'those', 'it', 'its'];
+
+// Quote a term for FTS5 so punctuation and keywords are taken literally
+function ftsQuote(term) {
+    return `"${term.replace(/"/g, '""')}"`;
+}
+
+
+// Stemmed FTS5 expression for a single search word (prefix* allowed)
+function ftsWord(word) {
+    const lower = word.toLowerCase();
+    if (lower.endsWith('*')) {
+        const prefix = lower.slice(0, -1);
+        return prefix ? `${ftsQuote(prefix)}*` : null;
+    }
+    // Regular endings are handled by the porter tokenizer (running→run);
+    // stem() adds irregular forms it can't know about (children→child, ran→run)
+    const stemmed = stem(lower);
+    if (stemmed !== lower && stemmed.length >= 3) {
+        return `(${ftsQuote(lower)} OR ${ftsQuote(stemmed)})`;
+    }
+    return ftsQuote(lower);
+}
+
+// ============================================
+// Field operators
+// ============================================
+
+const TWEET_TYPES = ['text_only', 'media', 'quote', 'reply', 'retweet', 'thread'];
+const TYPE_ALIASES = { text: 'text_only', original: 'text_only' };
+const SWIPE_VALUES = ['superlike', 'like', 'dislike', 'review_later', 'unreviewed'];
+const LENGTH_CATEGORIES = ['short', 'medium', 'long'];
+const HAS_VALUES = {
+    notes: `(t.notes IS NOT NULL AND trim(t.notes) != '')`,
+    media: `t.has_media = 1`,
+    tags: `EXISTS (SELECT 1 FROM tweet_tags has_tt WHERE has_tt.tweet_id = t.id)`,
+    quote: `t.quoted_tweet_id IS NOT NULL`
+};
+const NUMERIC_FIELDS = {
+    likes: 't.favorite_count',
+    rts: 't.retweet_count',
+    len: 't.char_count'
+};
+
+// likes:>50, likes:>=10, likes:<5, likes:50
+function compileComparison(field, value) {
+    const match = value.match(/^(>=|<=|>|<|=)?(\d+)$/);
+    if (!match) {
+        throw new SearchQueryError(`${field}: expects a number with an optional comparison, e.g. ${field}:>50`);
+    }
+    return { sql: `${NUMERIC_FIELDS[field]} ${match[1] || '='} ?`, params: [parseInt(match[2])] };
+}
+
+// Accepts YYYY, YYYY-MM or YYYY-MM-DD (see lib/dates.js for why bounds are full dates)
+function parseDateValue(field, value) {
+    if (!isValidDatePrefix(value)) {
+        throw new SearchQueryError(`${field}: expects a date like 2021, 2021-06 or 2021-06-30`);
+    }
+    return value;
+}
+
+const FIELD_OPERATORS = {
+    likes: value => compileComparison('likes', value),
+    rts: value => compileComparison('rts', value),
+    // before: is exclusive, after: is inclusive - after:2019 before:2020 is all of 2019
+    before: value => ({ sql: `t.created_at < ?`, params: [periodStart(parseDateValue('before', value))] }),
+    after: value => ({ sql: `t.created_at >= ?`, params: [periodStart(parseDateValue('after', value))] }),
+    during: value => {
+        const period = parseDateValue('during', value);
+        return { sql: `(t.created_at >= ? AND t.created_at < ?)`, params: [periodStart(period), periodEnd(period)] };
+    },
+    type: value => {
+        const type = TYPE_ALIASES[value.toLowerCase()] || value.toLowerCase();
+        if (!TWEET_TYPES.includes(type)) {
+            throw new SearchQueryError(`type: must be one of ${TWEET_TYPES.join(', ')}`);
+        }
+        if (type === 'thread') {
+            // Same meaning as the type filter: tweets that START threads
+            return { sql: `EXISTS (SELECT 1 FROM tweets child WHERE child.in_reply_to_tweet_id = t.id)`, params: [], type };
+        }
+        return { sql: `t.tweet_type = ?`, params: [type], type };
+    },
+    tag: value => ({
+        sql: `EXISTS (SELECT 1 FROM tweet_tags search_tt WHERE search_tt.tweet_id = t.id AND search_tt.tag_id IN (${TAG_SUBTREE_SQL}))`,
+        params: [value, value]
+    }),
+    swipe: value => {
+        const swipe = value.toLowerCase();
+        if (!SWIPE_VALUES.includes(swipe)) {
+            throw new SearchQueryError(`swipe: must be one of ${SWIPE_VALUES.join(', ')}`);
+        }
+        return swipe === 'unreviewed'
+            ? { sql: `t.swipe_status IS NULL`, params: [] }
+            : { sql: `t.swipe_status = ?`, params: [swipe] };
+    },
+    has: value => {
+        const sql = HAS_VALUES[value.toLowerCase()];
+        if (!sql) {
+            throw new SearchQueryError(`has: must be one of ${Object.keys(HAS_VALUES).join(', ')}`);
+        }
+        return { sql, params: [] };
+    },
+    len: value => {
+        if (LENGTH_CATEGORIES.includes(value.toLowerCase())) {
+            return { sql: `t.length_category = ?`, params: [value.toLowerCase()] };
+        }
+        if (/^(>=|<=|>|<|=)?\d+$/.test(value)) return compileComparison('len', value);
+        throw new SearchQueryError(`len: must be ${LENGTH_CATEGORIES.join(', ')} or a character count like len:>200`);
+    }
+};
+
+// ============================================
+// Tokenizer
+// ============================================
+
+/**
+ * Split a query into tokens:
+ *   { kind: 'lparen' | 'rparen' | 'or' }
+ *   { kind: 'term', negated, word | phrase | field + value }
+ */
+function tokenize(query) {
+    const tokens = [];
+    let i = 0;
+
+    const readQuoted = () => {
+        const close = query.indexOf('"', i + 1);
+        if (close === -1) {
+            throw new SearchQueryError(`Unclosed quote starting at "${query.slice(i, i + 20)}"`);
+        }
+        const text = query.slice(i + 1, close);
+        i = close + 1;
+        return text;
+    };
+
+    while (i < query.length) {
+        const ch = query[i];
+        if (/\s/.test(ch)) { i++; continue; }
+
+        let negated = false;
+        if (ch === '-' && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+            negated = true;
+            i++;
+        }
+
+        if (query[i] === '(') {
+            tokens.push({ kind: 'lparen', negated });
+            i++;
+            continue;
+        }
+        if (query[i] === ')') {
+            if (negated) throw new SearchQueryError('"-" must be followed by a word, phrase, operator or group');
+            tokens.push({ kind: 'rparen' });
+            i++;
+            continue;
+        }
+        if (query[i] === '"') {
+            tokens.push({ kind: 'term', negated, phrase: readQuoted() });
+            continue;
+        }
+
+        const start = i;
+        while (i < query.length && !/[\s()"]/.test(query[i])) i++;
+        const word = query.slice(start, i);
+
+        if (!negated && (word === 'OR' || word === '|')) {
+            tokens.push({ kind: 'or' });
+            continue;
+        }
+
+        // Only known operators - "Note: hi", "TIL:" and URLs are plain words
+        const field = word.match(/^([a-zA-Z]+):(.*)$/);
+        const name = field && field[1].toLowerCase();
+        if (field && Object.prototype.hasOwnProperty.call(FIELD_OPERATORS, name)) {
+            // tag:"life hacks"
+            let value = field[2];
+            if (!value && query[i] === '"') value = readQuoted();
+            if (!value) throw new SearchQueryError(`${name}: needs a value, e.g. ${name}:${name === 'tag' ? 'philosophy' : '...'}`);
+            tokens.push({ kind: 'term', negated, field: name, value });
+            continue;
+        }
+
+        tokens.push({ kind: 'term', negated, word });
+    }
+
+    return tokens;
+}
+
+// ============================================
+// Parser - OR binds tighter than implicit AND ("a b OR c" = a AND (b OR c))
+// ============================================
+
+function parseTokens(tokens) {
+    let pos = 0;
+
+    const parseAnd = () => {
+        const children = [];
+        while (pos < tokens.length && tokens[pos].kind !== 'rparen') {
+            if (tokens[pos].kind === 'or') {
+                throw new SearchQueryError('OR needs a search term on both sides');
+            }
+            children.push(parseOr());
+        }
+        return { op: 'and', children };
+    };
+
+    const parseOr = () => {
+        const children = [parseUnary()];
+        while (pos < tokens.length && tokens[pos].kind === 'or') {
+            pos++;
+            if (pos >= tokens.length || tokens[pos].kind === 'rparen' || tokens[pos].kind === 'or') {
+                throw new SearchQueryError('OR needs a search term on both sides');
+            }
+            children.push(parseUnary());
+        }
+        return children.length === 1 ? children[0] : { op: 'or', children };
+    };
+
+    const parseUnary = () => {
+        const token = tokens[pos++];
+        let node;
+        if (token.kind === 'lparen') {
+            node = parseAnd();
+            if (pos >= tokens.length || tokens[pos].kind !== 'rparen') {
+                throw new SearchQueryError('Missing closing parenthesis');
+            }
+            pos++;
+            if (node.children.length === 0) throw new SearchQueryError('Empty parentheses');
+        } else {
+            node = { op: 'term', token };
+        }
+        return token.negated ? { op: 'not', child: node } : node;
+    };
+
+    const tree = parseAnd();
+    if (pos < tokens.length) {
+        throw new SearchQueryError('Unmatched closing parenthesis');
+    }
+    return tree;
+}
+
+// ============================================
+// Compiler - AST to SQL over tweets t
+// ============================================
+
+/**
+ * Reduce the parse tree to { op: 'and'|'or'|'not'|'fts'|'sql' } nodes,
+ * dropping stop words. Returns null for nodes with nothing left to match.
+ */
+function simplify(node, info) {
+    if (node.op === 'term') {
+        const { token } = node;
+        if (token.field) {
+            const compiled = FIELD_OPERATORS[token.field](token.value);
+            if (compiled.type && !info.negatedDepth) info.types.push(compiled.type);
+            return { op: 'sql', sql: compiled.sql, params: compiled.params };
+        }
+        if (token.phrase !== undefined) {
+            const phrase = token.phrase.trim();
+            return phrase ? { op: 'fts', fts: ftsQuote(phrase) } : null;
+        }
+        const word = token.word.replace(/^[^\p{L}\p{N}*]+|[^\p{L}\p{N}*]+$/gu, '');
+        if (word.length < 2 || SEARCH_STOP_WORDS.includes(word.toLowerCase())) return null;
+        const fts = ftsWord(word);
+        return fts ? { op: 'fts', fts } : null;
+    }
+    if (node.op === 'not') {
+        info.negatedDepth++;
+        const child = simplify(node.child, info);
+        info.negatedDepth--;
+        return child ? { op: 'not', child } : null;
+    }
+    const children = node.children.map(c => simplify(c, info)).filter(Boolean);
+    if (children.length === 0) return null;
+    if (children.length === 1) return children[0];
+    return { op: node.op, children };
+}
+
+/**
+ * Express a text-only subtree as a single FTS5 MATCH string, or null if it
+ * needs SQL (field operators, or a NOT with nothing positive beside it -
+ * FTS5's NOT is binary: "a NOT b").
+ */
+function toFts(node) {
+    if (node.op === 'fts') return node.fts;
+    if (node.op === 'or') {
+        const parts = node.children.map(toFts);
+        return parts.every(Boolean) ? `(${parts.join(' OR ')})` : null;
+    }
+    if (node.op === 'and') {
+        const positives = node.children.filter(c => c.op !== 'not').map(toFts);
+        const negatives = node.children.filter(c => c.op === 'not').map(c => toFts(c.child));
+        if (positives.length === 0 || !positives.every(Boolean) || !negatives.every(Boolean)) return null;
+        let fts = `(${positives.join(' AND ')})`;
+        negatives.forEach(neg => { fts = `(${fts} NOT ${neg})`; });
+        return fts;
+    }
+    return null;
+}
+
+function toSql(node) {
+    const fts = toFts(node);
+    if (fts) {
+        return { sql: `t.rowid IN (SELECT rowid FROM tweets_fts WHERE tweets_fts MATCH ?)`, params: [fts] };
+    }
+    if (node.op === 'sql') return { sql: node.sql, params: node.params };
+    if (node.op === 'not') {
+        const child = toSql(node.child);
+        return { sql: `NOT (${child.sql})`, params: child.params };
+    }
+
+    // Fold the text-only children of an AND into one MATCH before falling back to SQL
+    let children = node.children;
+    if (node.op === 'and') {
+        const textChildren = children.filter(c => c.op === 'fts' || (c.op === 'not' && c.child.op === 'fts'));
+        if (textChildren.some(c => c.op === 'fts') && textChildren.length > 1) {
+            children = [{ op: 'and', children: textChildren }, ...children.filter(c => !textChildren.includes(c))];
+        }
+    }
+    const parts = children.map(toSql);
+    return {
+        sql: `(${parts.map(p => p.sql).join(node.op === 'or' ? ' OR ' : ' AND ')})`,
+        params: parts.flatMap(p => p.params)
+    };
+}
+
+// Every non-negated text term, OR'd together - used for ranking and snippets
+function collectHighlightTerms(node, terms = []) {
+    if (!node || node.op === 'not' || node.op === 'sql') return terms;
+    if (node.op === 'fts') terms.push(node.fts);
+    else node.children.forEach(c => collectHighlightTerms(c, terms));
+    return terms;
+}
+
+/**
+ * Parse a search box query.
+ * Returns { where, params, highlightQuery, types }:
+ *   where          - SQL condition over tweets aliased as t (null if nothing to filter)
+ *   params         - its bound parameters
+ *   highlightQuery - FTS5 MATCH string for bm25 ranking and snippets (null without text terms)
+ *   types          - tweet types explicitly asked for with type:
+ * Throws SearchQueryError for malformed queries.
+ */
+function parseSearchQuery(query) {
+    const info = { types: [], negatedDepth: 0 };
+    const tree = simplify(parseTokens(tokenize(String(query || ''))), info);
+    if (!tree) return { where: null, params: [], highlightQuery: null, types: info.types };
+
+    const { sql, params } = toSql(tree);
+    const highlightTerms = collectHighlightTerms(tree);
+    return {
+        where: sql,
+        params,
+        highlightQuery: highlightTerms.length > 0 ? highlightTerms.join(' OR ') : null,
+        types: info.types
+    };
+}
+
+/**
+ * Turn an FTS5 snippet (matches wrapped in \x02...\x03) into safe HTML
+ * with <mark> highlights
+ */
+function snippetToHtml(snippet) {
+    if (!snippet) return null;
+    const escapes = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+    return snippet
+        .replace(/[&<>"']/g, c => escapes[c])
+        .replace(/\x02/g, '<mark>')
+        .replace(/\x03/g, '</mark>');
+}
+
+module.exports = {
+    parseSearchQuery,
+    snippetToHtml,
+    stem,
+    ftsQuote,
+    ftsWord,
+    SearchQueryError,
+    TWEET_TYPES,
+    SWIPE_VALUES,
+    LENGTH_CATEGORIES
+};
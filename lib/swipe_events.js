@@ -0,0 +1,150 @@
+/**
+ * Swipe History
+ * Every swipe decision goes into swipe_events with the tweet's state before
+ * it: swipe status, quality rating, reviewed flag and time, and its
+ * review_later schedule. Undo puts all of that back and takes the swipe off
+ * the day's session stats, so undoing works the same after a page reload and
+ * any number of steps back.
+ */
+
+// swipe_sessions column counting each status
+const SESSION_COLUMNS = {
+    like: 'likes',
+    superlike: 'superlikes',
+    dislike: 'dislikes',
+    review_later: 'review_later'
+};
+
+class SwipeEventError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SwipeEventError';
+    }
+}
+
+/**
+ * Count a swipe in today's swipe_sessions row (created if needed).
+ * Returns the session date, or null when the status isn't counted.
+ */
+function countSessionSwipe(db, swipeStatus) {
+    const column = SESSION_COLUMNS[swipeStatus];
+    if (!column) return null;
+
+    const today = new Date().toISOString().split('T')[0];
+    const session = db.prepare('SELECT id FROM swipe_sessions WHERE session_date = ?').get(today);
+    if (!session) {
+        db.prepare('INSERT INTO swipe_sessions (session_date, tweets_swiped) VALUES (?, 0)').run(today);
+    }
+    db.prepare(`UPDATE swipe_sessions SET tweets_swiped = tweets_swiped + 1, ${column} = ${column} + 1 WHERE session_date = ?`).run(today);
+    return today;
+}
+
+/**
+ * What a swipe would overwrite, to log with it. undefined for an unknown tweet.
+ */
+function captureSwipeState(db, tweetId) {
+    const tweet = db.prepare('SELECT swipe_status, quality_rating, is_reviewed, reviewed_at FROM tweets WHERE id = ?').get(String(tweetId));
+    if (!tweet) return undefined;
+    const schedule = db.prepare('SELECT * FROM review_schedule WHERE tweet_id = ?').get(String(tweetId));
+    return { ...tweet, review_schedule: schedule || null };
+}
+
+/**
+ * Log a swipe. previous comes from captureSwipeState before the change;
+ * sessionDate is the swipe_sessions row it was counted in (null if none).
+ * source: 'swipe' (the swipe page, PATCH /api/tweets/:id) or 'bulk'.
+ * Returns the event id.
+ */
+function logSwipeEvent(db, tweetId, swipeStatus, previous, { sessionDate = null, source = 'swipe' } = {}) {
+    return db.prepare(`
+        INSERT INTO swipe_events (tweet_id, swipe_status, source, session_date,
+            prev_swipe_status, prev_quality_rating, prev_is_reviewed, prev_reviewed_at, prev_review_schedule)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        String(tweetId), swipeStatus, source, sessionDate,
+        previous.swipe_status, previous.quality_rating, previous.is_reviewed, previous.reviewed_at,
+        previous.review_schedule ? JSON.stringify(previous.review_schedule) : null
+    ).lastInsertRowid;
+}
+
+/**
+ * Recent swipe-page events that can still be undone, newest first.
+ */
+function listSwipeEvents(db, { account = '', limit = 50 } = {}) {
+    const accountFilter = account ? 'AND t.account_id = ?' : '';
+    const params = account ? [parseInt(account)] : [];
+    return db.prepare(`
+        SELECT e.id, e.tweet_id, e.swipe_status, e.prev_swipe_status, e.created_at,
+            substr(t.full_text, 1, 120) as text
+        FROM swipe_events e
+        JOIN tweets t ON t.id = e.tweet_id
+        WHERE e.source = 'swipe' AND e.undone_at IS NULL ${accountFilter}
+        ORDER BY e.id DESC
+        LIMIT ?
+    `).all(...params, Math.max(1, parseInt(limit) || 50));
+}
+
+/**
+ * Undo a swipe event - the given one, or the newest undoable swipe-page
+ * event (for the account). Restores the tweet and its review schedule as
+ * they were and takes the swipe off its session's counts. Refuses if the
+ * tweet has been swiped again since. Returns { event, tweet } or null when
+ * there's nothing to undo.
+ */
+function undoSwipeEvent(db, { eventId = null, account = '' } = {}) {
+    return db.transaction(() => {
+        let event;
+        if (eventId) {
+            event = db.prepare('SELECT * FROM swipe_events WHERE id = ?').get(parseInt(eventId));
+            if (!event) throw new SwipeEventError(`Swipe event ${eventId} not found`);
+            if (event.undone_at) throw new SwipeEventError(`Swipe event ${eventId} was already undone`);
+        } else {
+            const latest = listSwipeEvents(db, { account, limit: 1 })[0];
+            if (!latest) return null;
+            event = db.prepare('SELECT * FROM swipe_events WHERE id = ?').get(latest.id);
+        }
+
+        const later = db.prepare('SELECT id FROM swipe_events WHERE tweet_id = ? AND id > ? AND undone_at IS NULL')
+            .get(event.tweet_id, event.id);
+        if (later) {
+            throw new SwipeEventError(`Tweet ${event.tweet_id} was swiped again since - undo that first`);
+        }
+
+        db.prepare('UPDATE tweets SET swipe_status = ?, quality_rating = ?, is_reviewed = ?, reviewed_at = ? WHERE id = ?')
+            .run(event.prev_swipe_status, event.prev_quality_rating, event.prev_is_reviewed, event.prev_reviewed_at, event.tweet_id);
+
+        db.prepare('DELETE FROM review_schedule WHERE tweet_id = ?').run(event.tweet_id);
+        if (event.prev_review_schedule) {
+            const schedule = JSON.parse(event.prev_review_schedule);
+            db.prepare(`
+                INSERT INTO review_schedule (tweet_id, repetitions, interval_days, ease_factor, due_at, last_reviewed_at)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `).run(schedule.tweet_id, schedule.repetitions, schedule.interval_days, schedule.ease_factor,
+                schedule.due_at, schedule.last_reviewed_at);
+        }
+
+        const column = SESSION_COLUMNS[event.swipe_status];
+        if (event.session_date && column) {
+            db.prepare(`
+                UPDATE swipe_sessions
+                SET tweets_swiped = MAX(tweets_swiped - 1, 0), ${column} = MAX(${column} - 1, 0)
+                WHERE session_date = ?
+            `).run(event.session_date);
+        }
+
+        db.prepare('UPDATE swipe_events SET undone_at = CURRENT_TIMESTAMP WHERE id = ?').run(event.id);
+        const tweet = db.prepare('SELECT id, swipe_status, quality_rating, is_reviewed, reviewed_at FROM tweets WHERE id = ?')
+            .get(event.tweet_id);
+        const { prev_review_schedule, ...undone } = event;
+        return { event: undone, tweet };
+    })();
+}
+
+module.exports = {
+    SwipeEventError,
+    countSessionSwipe,
+    captureSwipeState,
+    logSwipeEvent,
+    listSwipeEvents,
+    undoSwipeEvent
+};
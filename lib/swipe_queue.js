@@ -0,0 +1,249 @@
+/**
+ * Swipe Queue Strategies
+ * Which unswiped tweets the swipe page shows first. A strategy sets the
+ * order and, for some (quality, stratified), which tweets are in the queue
+ * at all - the remaining count and progress bar follow that pool.
+ *
+ * Every order is deterministic (random included, through its seed), so the
+ * queue can be paged with an offset past the tweets already on screen.
+ *
+ * Filters (tags, length, type, dates, engagement, search text) narrow the
+ * pool the same way for every strategy.
+ */
+
+const { TAG_SUBTREE_SQL } = require('./tags');
+const { parseSearchQuery } = require('./search_query');
+const { isValidDatePrefix, periodStart, periodEnd } = require('./dates');
+
+const DEFAULT_STRATEGY = 'popular';
+
+// 'thread' means thread starters (tweets with a reply of our own in the
+// archive), as in the directory's type filter. Without a type the queue skips
+// retweets, replies and thread continuations.
+const SWIPE_TYPES = ['text_only', 'quote', 'thread', 'reply', 'retweet'];
+const DEFAULT_TYPE_CONDITION = "t.tweet_type NOT IN ('retweet', 'reply', 'thread')";
+
+class SwipeQueueError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SwipeQueueError';
+    }
+}
+
+// Each tweet's best rank among the pool's unswiped tweets of any of its topic
+// tags, so walking the ranks in order takes one tweet from each topic in turn.
+// pool: the queue's filters ({ conditions, params } over alias t) - ranking
+// over anything wider would unbalance the topics once the queue is narrowed
+function strataJoin(pool) {
+    const poolClause = pool.conditions.length > 0 ? `WHERE ${pool.conditions.join(' AND ')}` : '';
+    return {
+        sql: `
+    LEFT JOIN (
+        SELECT tweet_id, MIN(tag_rank) AS stratum_rank
+        FROM (
+            SELECT tt.tweet_id,
+                ROW_NUMBER() OVER (PARTITION BY tt.tag_id ORDER BY t.favorite_count DESC, t.id) AS tag_rank
+            FROM tweet_tags tt
+            JOIN tags ON tags.id = tt.tag_id AND tags.category = 'topic'
+            JOIN tweets t ON t.id = tt.tweet_id AND t.swipe_status IS NULL
+            ${poolClause}
+        )
+        GROUP BY tweet_id
+    ) strata ON strata.tweet_id = t.id`,
+        params: pool.params
+    };
+}
+
+// select: extra column, join: extra join built from the pool, condition:
+// narrows the pool
+const SWIPE_STRATEGIES = {
+    // Most liked first
+    popular: {
+        orderBy: 't.favorite_count DESC, t.created_at DESC'
+    },
+    random: {
+        orderBy: 'swipe_shuffle(t.id, ?), t.id',
+        seeded: true
+    },
+    oldest: {
+        orderBy: 't.created_at ASC, t.id'
+    },
+    newest: {
+        orderBy: 't.created_at DESC, t.id'
+    },
+    // Quiet tweets that never got a second look
+    least_engagement: {
+        orderBy: 't.favorite_count + t.retweet_count ASC, t.created_at ASC'
+    },
+    by_year: {
+        // The most liked of each year, then the second most liked of each year...
+        select: "ROW_NUMBER() OVER (PARTITION BY strftime('%Y', t.created_at) ORDER BY t.favorite_count DESC, t.id) AS rotation_rank",
+        orderBy: "rotation_rank, strftime('%Y', t.created_at)"
+    },
+    quality: {
+        // Only tweets the swipe model has scored (npm run train -- swipe)
+        condition: 't.ai_quality_score IS NOT NULL',
+        orderBy: 't.ai_quality_score DESC, t.favorite_count DESC'
+    },
+    stratified: {
+        join: strataJoin,
+        condition: `EXISTS (SELECT 1 FROM tweet_tags st JOIN tags ON tags.id = st.tag_id AND tags.category = 'topic' WHERE st.tweet_id = t.id)`,
+        orderBy: 'strata.stratum_rank, t.favorite_count DESC, t.id'
+    }
+};
+
+// FNV-1a of seed:id - a stable pseudo-random position for each tweet
+function shuffleKey(id, seed) {
+    const str = `${seed}:${id}`;
+    let hash = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+// SQL functions the strategies use; call once per connection
+function registerSwipeQueueFunctions(db) {
+    db.function('swipe_shuffle', { deterministic: true }, (id, seed) => shuffleKey(id, seed));
+}
+
+function splitList(value) {
+    return String(value || '').split(',').map(v => v.trim()).filter(v => v);
+}
+
+function parseCount(value, name) {
+    if (value === undefined || value === null || value === '') return null;
+    const count = parseInt(value);
+    if (!Number.isFinite(count) || count < 0) throw new SwipeQueueError(`${name} must be a whole number`);
+    return count;
+}
+
+function parseDate(value, name) {
+    if (!value) return null;
+    if (!isValidDatePrefix(value)) throw new SwipeQueueError(`${name} must be YYYY, YYYY-MM or YYYY-MM-DD`);
+    return value;
+}
+
+/**
+ * WHERE conditions (alias t) for the queue filters, all optional:
+ *   tag, tagMode    comma-separated tags; any (default) or all of them,
+ *                   matched through aliases and child tags
+ *   length, type    comma-separated length categories / SWIPE_TYPES
+ *   from, to        created_at bounds, inclusive (YYYY, YYYY-MM or YYYY-MM-DD)
+ *   minEngagement, maxEngagement   likes + retweets
+ *   search          the directory's search language (lib/search_query.js)
+ *   account
+ * Throws SwipeQueueError (or SearchQueryError) for bad values.
+ * Returns { conditions, params }.
+ */
+function buildSwipeFilters(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.account) {
+        conditions.push('t.account_id = ?');
+        params.push(parseInt(filters.account));
+    }
+
+    const types = splitList(filters.type);
+    const unknownType = types.find(type => !SWIPE_TYPES.includes(type));
+    if (unknownType) {
+        throw new SwipeQueueError(`type must be one of: ${SWIPE_TYPES.join(', ')}`);
+    }
+    if (types.length === 0) {
+        conditions.push(DEFAULT_TYPE_CONDITION);
+    } else {
+        const typeConditions = types.map(type => type === 'thread'
+            ? "EXISTS (SELECT 1 FROM tweets child WHERE child.in_reply_to_tweet_id = t.id)"
+            : 't.tweet_type = ?');
+        conditions.push(`(${typeConditions.join(' OR ')})`);
+        params.push(...types.filter(type => type !== 'thread'));
+    }
+
+    const lengths = splitList(filters.length);
+    if (lengths.length > 0) {
+        conditions.push(`t.length_category IN (${lengths.map(() => '?').join(',')})`);
+        params.push(...lengths);
+    }
+
+    const tags = splitList(filters.tag);
+    if (tags.length > 0) {
+        const hasTag = `EXISTS (SELECT 1 FROM tweet_tags tt WHERE tt.tweet_id = t.id AND tt.tag_id IN (${TAG_SUBTREE_SQL}))`;
+        if (filters.tagMode === 'all') {
+            tags.forEach(() => conditions.push(hasTag));
+        } else {
+            const subtrees = tags.map(() => `tt.tag_id IN (${TAG_SUBTREE_SQL})`).join(' OR ');
+            conditions.push(`EXISTS (SELECT 1 FROM tweet_tags tt WHERE tt.tweet_id = t.id AND (${subtrees}))`);
+        }
+        tags.forEach(name => params.push(name, name));
+    }
+
+    // A bare year or month covers all of it
+    const from = parseDate(filters.from, 'from');
+    if (from) {
+        conditions.push('t.created_at >= ?');
+        params.push(periodStart(from));
+    }
+    const to = parseDate(filters.to, 'to');
+    if (to) {
+        conditions.push('t.created_at < ?');
+        params.push(periodEnd(to));
+    }
+
+    const minEngagement = parseCount(filters.minEngagement, 'minEngagement');
+    if (minEngagement !== null) {
+        conditions.push('t.favorite_count + t.retweet_count >= ?');
+        params.push(minEngagement);
+    }
+    const maxEngagement = parseCount(filters.maxEngagement, 'maxEngagement');
+    if (maxEngagement !== null) {
+        conditions.push('t.favorite_count + t.retweet_count <= ?');
+        params.push(maxEngagement);
+    }
+
+    const parsedSearch = parseSearchQuery(filters.search || '');
+    if (parsedSearch.where) {
+        conditions.push(parsedSearch.where);
+        params.push(...parsedSearch.params);
+    }
+
+    return { conditions, params };
+}
+
+/**
+ * The SQL pieces for a strategy (order=quality is the older spelling of
+ * strategy=quality). Random without a seed uses today's date, so the order
+ * holds for the day. pool is buildSwipeFilters' result, for strategies that
+ * rank within it. Throws SwipeQueueError for an unknown strategy.
+ * Returns { name, seed, select, join, joinParams, condition, orderBy, orderParams }.
+ */
+function resolveStrategy({ strategy = '', order = '', seed = '' } = {}, pool = { conditions: [], params: [] }) {
+    const name = strategy || (order === 'quality' ? 'quality' : DEFAULT_STRATEGY);
+    const config = SWIPE_STRATEGIES[name];
+    if (!config) {
+        throw new SwipeQueueError(`strategy must be one of: ${Object.keys(SWIPE_STRATEGIES).join(', ')}`);
+    }
+    const usedSeed = config.seeded ? (String(seed) || new Date().toISOString().split('T')[0]) : null;
+    const join = config.join ? config.join(pool) : { sql: '', params: [] };
+    return {
+        name,
+        seed: usedSeed,
+        select: config.select ? `, ${config.select}` : '',
+        join: join.sql,
+        joinParams: join.params,
+        condition: config.condition || null,
+        orderBy: config.orderBy,
+        orderParams: config.seeded ? [usedSeed] : []
+    };
+}
+
+module.exports = {
+    DEFAULT_STRATEGY,
+    SWIPE_STRATEGIES,
+    SWIPE_TYPES,
+    SwipeQueueError,
+    registerSwipeQueueFunctions,
+    buildSwipeFilters,
+    resolveStrategy
+};
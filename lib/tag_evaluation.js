@@ -0,0 +1,217 @@
+/**
+ * Tagging Evaluation
+ * Scores the machine taggers against hand-applied tags. Ground truth is every
+ * tweet with at least one manual tag: its manual tags plus any machine tags
+ * someone accepted are the right answers, and every other tag counts as
+ * wrong for that tweet.
+ *
+ * Predictions are grouped by source, tagger and tagger_version (prompt or
+ * rules version). They come from tweet_tags and from tag_suggestions, which
+ * keeps a tagger's provenance after its tag is accepted, rejected or
+ * confirmed by hand. The current heuristic rules can also be scored live.
+ *
+ * A group is only scored on the tags it ever predicts, and only on labelled
+ * tweets it tagged at least once - so a tagger isn't blamed for tweets or
+ * tags it never looked at.
+ */
+
+const { loadRules, scoreRule, rulesVersion } = require('./tag_rules');
+
+// Deterministic shuffle so a seeded sample is the same on every run
+function seededShuffle(items, seed) {
+    let state = seed >>> 0;
+    const random = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+function ratio(numerator, denominator) {
+    return denominator > 0 ? Math.round(numerator / denominator * 1000) / 1000 : null;
+}
+
+// F1 as 2TP / (2TP + FP + FN), which is 0 rather than undefined when a tag
+// was never predicted but should have been
+function metrics({ tp, fp, fn }) {
+    return {
+        precision: ratio(tp, tp + fp),
+        recall: ratio(tp, tp + fn),
+        f1: ratio(2 * tp, 2 * tp + fp + fn)
+    };
+}
+
+function addToSetMap(map, key, value) {
+    if (!map.has(key)) map.set(key, new Set());
+    map.get(key).add(value);
+}
+
+/**
+ * Score one group. predictions: Map(tweet id -> Set(tag id)) for the tweets
+ * the group is judged on; labelSpace: Set of tag ids it predicts.
+ */
+function scoreGroup(group, predictions, labelSpace, truth, tagNames) {
+    const perTag = new Map();
+    const tagStats = (tagId) => {
+        if (!perTag.has(tagId)) perTag.set(tagId, { tp: 0, fp: 0, fn: 0 });
+        return perTag.get(tagId);
+    };
+    const confusions = new Map();
+    const totals = { tp: 0, fp: 0, fn: 0 };
+
+    for (const [tweetId, predicted] of predictions) {
+        const actual = truth.get(tweetId) || new Set();
+        const falsePositives = [];
+        const falseNegatives = [];
+
+        predicted.forEach(tagId => {
+            if (actual.has(tagId)) {
+                tagStats(tagId).tp++;
+            } else {
+                tagStats(tagId).fp++;
+                falsePositives.push(tagId);
+            }
+        });
+        actual.forEach(tagId => {
+            if (labelSpace.has(tagId) && !predicted.has(tagId)) {
+                tagStats(tagId).fn++;
+                falseNegatives.push(tagId);
+            }
+        });
+
+        // A wrong tag given where a right one was missed: the tagger mistook one for the other
+        falsePositives.forEach(predictedId => falseNegatives.forEach(actualId => {
+            const key = `${predictedId}:${actualId}`;
+            confusions.set(key, (confusions.get(key) || 0) + 1);
+        }));
+    }
+
+    const tags = [...perTag.entries()].map(([tagId, counts]) => {
+        totals.tp += counts.tp;
+        totals.fp += counts.fp;
+        totals.fn += counts.fn;
+        return { tag: tagNames.get(tagId), ...counts, support: counts.tp + counts.fn, ...metrics(counts) };
+    }).sort((a, b) => b.support - a.support || b.fp - a.fp);
+
+    const scored = tags.filter(t => t.f1 !== null);
+    return {
+        ...group,
+        tweets: predictions.size,
+        ...totals,
+        ...metrics(totals),
+        macroF1: scored.length > 0 ? Math.round(scored.reduce((sum, t) => sum + t.f1, 0) / scored.length * 1000) / 1000 : null,
+        tags,
+        confusions: [...confusions.entries()]
+            .map(([key, count]) => {
+                const [predicted, actual] = key.split(':').map(Number);
+                return { predicted: tagNames.get(predicted), actual: tagNames.get(actual), count };
+            })
+            .sort((a, b) => b.count - a.count)
+    };
+}
+
+/**
+ * Evaluate every tagger group against the manual labels.
+ * Options: sample (max labelled tweets, random by seed), seed, account,
+ * live (also score the current heuristic rules), topConfusions.
+ * Returns { labelledTweets, sampledTweets, seed, groups, confusions }.
+ */
+function evaluateTaggers(db, { sample = null, seed = 1, account = '', live = true, topConfusions = 10 } = {}) {
+    const accountFilter = account ? 'AND t.account_id = ?' : '';
+    const accountParams = account ? [parseInt(account)] : [];
+
+    const labelled = db.prepare(`
+        SELECT DISTINCT tt.tweet_id FROM tweet_tags tt
+        JOIN tweets t ON t.id = tt.tweet_id
+        WHERE tt.source = 'manual' ${accountFilter}
+        ORDER BY tt.tweet_id
+    `).pluck().all(...accountParams);
+
+    const sampleSize = parseInt(sample) > 0 ? Math.min(parseInt(sample), labelled.length) : labelled.length;
+    const sampleSeed = parseInt(seed) || 1;
+    const sampled = new Set(sampleSize < labelled.length
+        ? seededShuffle(labelled, sampleSeed).slice(0, sampleSize)
+        : labelled);
+
+    const tagNames = new Map(db.prepare('SELECT id, name FROM tags').all().map(t => [t.id, t.name]));
+
+    // The right answers for each sampled tweet
+    const truth = new Map();
+    db.prepare(`
+        SELECT tweet_id, tag_id FROM tweet_tags WHERE source = 'manual'
+        UNION
+        SELECT tweet_id, tag_id FROM tag_suggestions WHERE status = 'accepted'
+    `).all().forEach(row => {
+        if (sampled.has(row.tweet_id)) addToSetMap(truth, row.tweet_id, row.tag_id);
+    });
+
+    // Stored predictions by tagger group. A tag confirmed by hand lives on
+    // as an accepted suggestion, so both tables are read.
+    const groups = new Map();
+    db.prepare(`
+        SELECT tweet_id, tag_id, source, tagger, tagger_version FROM tweet_tags WHERE source IN ('ai', 'auto')
+        UNION
+        SELECT tweet_id, tag_id, source, tagger, tagger_version FROM tag_suggestions
+    `).all().forEach(row => {
+        const key = `${row.source}|${row.tagger || ''}|${row.tagger_version || ''}`;
+        if (!groups.has(key)) {
+            groups.set(key, {
+                group: { source: row.source, tagger: row.tagger, version: row.tagger_version, live: false },
+                predictions: new Map(),
+                labelSpace: new Set()
+            });
+        }
+        const group = groups.get(key);
+        group.labelSpace.add(row.tag_id);
+        if (sampled.has(row.tweet_id)) addToSetMap(group.predictions, row.tweet_id, row.tag_id);
+    });
+
+    const results = [...groups.values()]
+        .filter(g => g.predictions.size > 0)
+        .map(g => scoreGroup(g.group, g.predictions, g.labelSpace, truth, tagNames));
+
+    // The rules as they are now, run over every sampled tweet
+    if (live) {
+        const rules = loadRules(db);
+        if (rules.length > 0 && sampled.size > 0) {
+            const texts = db.prepare('SELECT id, full_text FROM tweets').all().filter(t => sampled.has(t.id));
+            const predictions = new Map();
+            texts.forEach(tweet => {
+                const matched = new Set(rules.filter(rule => scoreRule(rule, tweet.full_text).matched).map(rule => rule.tag_id));
+                predictions.set(tweet.id, matched);
+            });
+            const group = { source: 'auto', tagger: 'auto_tag_heuristics', version: rulesVersion(rules), live: true };
+            results.push(scoreGroup(group, predictions, new Set(rules.map(r => r.tag_id)), truth, tagNames));
+        }
+    }
+
+    results.sort((a, b) => (b.f1 ?? -1) - (a.f1 ?? -1));
+
+    // Mistakes across all taggers, then each group's most common ones
+    const overall = new Map();
+    results.forEach(r => r.confusions.forEach(c => {
+        const key = `${c.predicted}\u0000${c.actual}`;
+        overall.set(key, { predicted: c.predicted, actual: c.actual, count: (overall.get(key)?.count || 0) + c.count });
+    }));
+    results.forEach(r => {
+        r.confusions = r.confusions.slice(0, topConfusions);
+    });
+
+    return {
+        labelledTweets: labelled.length,
+        sampledTweets: sampled.size,
+        seed: sampleSeed,
+        groups: results,
+        confusions: [...overall.values()].sort((a, b) => b.count - a.count).slice(0, topConfusions)
+    };
+}
+
+module.exports = { evaluateTaggers };
@@ -0,0 +1,329 @@
+/**
+ * Heuristic Tag Rules
+ * Keyword and regex rules from the tag_rules table, one per tag, used by
+ * auto_tag_heuristics.js and by the rules editor (/rules.html) to preview
+ * which tweets a rule would tag.
+ *
+ * Keywords score a tweet: +3 per strict term, +1 per broad word (whole
+ * word), and any negative phrase rules the tag out. Patterns are regexes
+ * written '/source/flags' (or a bare source, matched case-insensitively).
+ */
+
+const crypto = require('crypto');
+const { TAG_CATEGORIES, findTag } = require('./tags');
+
+// A rule with keywords tags a tweet once its score reaches this
+const SCORE_THRESHOLD = 1;
+
+const TERM_LISTS = { strict: 'strict_terms', broad: 'broad_terms', negative: 'negative_terms' };
+
+// Invalid rule input (bad regex, unknown tag, nothing to match on...)
+class TagRuleError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TagRuleError';
+    }
+}
+
+function normalize(text) {
+    if (!text) return '';
+    return text.toLowerCase()
+        // Remove URLs
+        .replace(/https?:\/\/\S+/g, '')
+        // Remove punctuation
+        .replace(/[.,\/#!$%\^&\*;:{}=\-_`~()]/g, ' ')
+        // Extra spaces
+        .replace(/\s{2,}/g, ' ');
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function parsePattern(text) {
+    const literal = text.match(/^\/(.+)\/([a-z]*)$/s);
+    try {
+        return literal ? new RegExp(literal[1], literal[2].replace(/g/g, '')) : new RegExp(text, 'i');
+    } catch (e) {
+        throw new TagRuleError(`Invalid pattern ${text}: ${e.message}`);
+    }
+}
+
+// One broad hit is a weak signal (0.5), a strict hit a fairly strong one (0.7)
+function scoreConfidence(score) {
+    return Math.round(Math.min(0.95, 0.4 + score * 0.1) * 100) / 100;
+}
+
+// More matching regexes = more sure of the pattern
+function patternConfidence(matches) {
+    return Math.round(Math.min(0.9, 0.4 + matches * 0.15) * 100) / 100;
+}
+
+function parseList(json) {
+    try {
+        const list = JSON.parse(json || '[]');
+        return Array.isArray(list) ? list : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+// A tag_rules row (joined with tags) as the API returns it
+function formatRule(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        tag_id: row.tag_id,
+        tag: row.tag,
+        category: row.category,
+        color: row.color,
+        strict: parseList(row.strict_terms),
+        broad: parseList(row.broad_terms),
+        negative: parseList(row.negative_terms),
+        patterns: parseList(row.patterns),
+        enabled: !!row.enabled,
+        created_at: row.created_at,
+        updated_at: row.updated_at
+    };
+}
+
+// Prepare a formatted rule for matching
+function compileRule(rule) {
+    return {
+        ...rule,
+        broadRegexes: rule.broad.map(word => new RegExp(`\\b${escapeRegex(word)}\\b`, 'i')),
+        regexes: rule.patterns.map(parsePattern)
+    };
+}
+
+/**
+ * How a compiled rule scores one tweet's text. Returns { matched, score,
+ * confidence, terms, patterns } where terms and patterns are the hits.
+ */
+function scoreRule(rule, text) {
+    const result = { matched: false, score: 0, confidence: null, terms: [], patterns: [] };
+    const normalized = normalize(text);
+
+    // Check negatives first
+    const negative = rule.negative.find(phrase => normalized.includes(phrase));
+    if (negative) {
+        return { ...result, score: -100, negative };
+    }
+
+    rule.strict.forEach(term => {
+        if (normalized.includes(term)) {
+            result.score += 3;
+            result.terms.push(term);
+        }
+    });
+    rule.broadRegexes.forEach((regex, i) => {
+        if (regex.test(normalized)) {
+            result.score += 1;
+            result.terms.push(rule.broad[i]);
+        }
+    });
+    rule.regexes.forEach((regex, i) => {
+        if (regex.test(text || '')) result.patterns.push(rule.patterns[i]);
+    });
+
+    const confidences = [];
+    if (result.score >= SCORE_THRESHOLD) confidences.push(scoreConfidence(result.score));
+    if (result.patterns.length > 0) confidences.push(patternConfidence(result.patterns.length));
+    if (confidences.length > 0) {
+        result.matched = true;
+        result.confidence = Math.max(...confidences);
+    }
+    return result;
+}
+
+const RULE_SELECT = `
+    SELECT r.*, t.name as tag, t.category, t.color
+    FROM tag_rules r
+    JOIN tags t ON t.id = r.tag_id
+`;
+
+function listRules(db) {
+    return db.prepare(`${RULE_SELECT} ORDER BY t.category, t.name`).all().map(formatRule);
+}
+
+function getRule(db, id) {
+    return formatRule(db.prepare(`${RULE_SELECT} WHERE r.id = ?`).get(parseInt(id)));
+}
+
+// Enabled rules, compiled, for a tagging run
+function loadRules(db) {
+    return db.prepare(`${RULE_SELECT} WHERE r.enabled = 1 ORDER BY t.category, t.name`).all()
+        .map(row => compileRule(formatRule(row)));
+}
+
+// Recorded as tweet_tags.tagger_version: changes whenever an enabled rule does
+function rulesVersion(rules) {
+    const content = rules.map(r => [r.tag, r.strict, r.broad, r.negative, r.patterns]);
+    return `rules-${crypto.createHash('sha1').update(JSON.stringify(content)).digest('hex').substring(0, 8)}`;
+}
+
+// Lists arrive as arrays or newline-separated text from the editor
+function cleanList(value, { lowercase = true } = {}) {
+    const items = Array.isArray(value) ? value : String(value || '').split('\n');
+    const cleaned = items.map(item => String(item).trim()).filter(Boolean)
+        .map(item => lowercase ? item.toLowerCase() : item);
+    return [...new Set(cleaned)];
+}
+
+/**
+ * Validate editor input into { strict, broad, negative, patterns, enabled }.
+ * With partial, only the fields present are returned (for PATCH).
+ */
+function cleanRuleInput(input = {}, { partial = false } = {}) {
+    const fields = {};
+    Object.keys(TERM_LISTS).forEach(key => {
+        if (!partial || input[key] !== undefined) fields[key] = cleanList(input[key]);
+    });
+    if (!partial || input.patterns !== undefined) {
+        fields.patterns = cleanList(input.patterns, { lowercase: false });
+        fields.patterns.forEach(parsePattern); // throws on a bad regex
+    }
+    if (input.enabled !== undefined) fields.enabled = !!input.enabled;
+    return fields;
+}
+
+function assertMatchesSomething(rule) {
+    if (rule.strict.length === 0 && rule.broad.length === 0 && rule.patterns.length === 0) {
+        throw new TagRuleError('A rule needs at least one strict term, broad word or pattern');
+    }
+}
+
+// The tag a new rule is for: tagId, or a tag name or alias (created if new)
+function resolveRuleTag(db, { tagId, tag, category }, fields) {
+    if (tagId) {
+        const existing = db.prepare('SELECT id FROM tags WHERE id = ?').get(parseInt(tagId));
+        if (!existing) throw new TagRuleError(`Tag ${tagId} not found`);
+        return existing.id;
+    }
+    const name = String(tag || '').trim().toLowerCase();
+    if (!name) throw new TagRuleError('tag or tagId is required');
+
+    if (category && !TAG_CATEGORIES.includes(category)) {
+        throw new TagRuleError(`category must be one of: ${TAG_CATEGORIES.join(', ')}`);
+    }
+    const existing = findTag(db, name);
+    if (existing) return existing.id;
+
+    const keywordRule = fields.strict.length > 0 || fields.broad.length > 0;
+    db.prepare('INSERT OR IGNORE INTO tags (name, category) VALUES (?, ?)')
+        .run(name, category || (keywordRule ? 'topic' : 'pattern'));
+    return db.prepare('SELECT id FROM tags WHERE name = ?').get(name).id;
+}
+
+function createRule(db, input) {
+    const fields = cleanRuleInput(input);
+    assertMatchesSomething(fields);
+
+    return db.transaction(() => {
+        const tagId = resolveRuleTag(db, input, fields);
+        if (db.prepare('SELECT 1 FROM tag_rules WHERE tag_id = ?').get(tagId)) {
+            throw new TagRuleError('That tag already has a rule - edit it instead');
+        }
+        const info = db.prepare(`
+            INSERT INTO tag_rules (tag_id, strict_terms, broad_terms, negative_terms, patterns, enabled)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(tagId, JSON.stringify(fields.strict), JSON.stringify(fields.broad),
+            JSON.stringify(fields.negative), JSON.stringify(fields.patterns), fields.enabled === false ? 0 : 1);
+        return getRule(db, info.lastInsertRowid);
+    })();
+}
+
+// Returns the updated rule, or null if there's no such rule
+function updateRule(db, id, input) {
+    const existing = getRule(db, id);
+    if (!existing) return null;
+
+    const fields = cleanRuleInput(input, { partial: true });
+    assertMatchesSomething({ ...existing, ...fields });
+
+    const sets = [];
+    const params = [];
+    Object.entries(TERM_LISTS).forEach(([key, column]) => {
+        if (fields[key]) {
+            sets.push(`${column} = ?`);
+            params.push(JSON.stringify(fields[key]));
+        }
+    });
+    if (fields.patterns) {
+        sets.push('patterns = ?');
+        params.push(JSON.stringify(fields.patterns));
+    }
+    if (fields.enabled !== undefined) {
+        sets.push('enabled = ?');
+        params.push(fields.enabled ? 1 : 0);
+    }
+    if (sets.length > 0) {
+        db.prepare(`UPDATE tag_rules SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`)
+            .run(...params, existing.id);
+    }
+    return getRule(db, existing.id);
+}
+
+// Existing tags stay on tweets until the next heuristic run removes them
+function deleteRule(db, id) {
+    return db.prepare('DELETE FROM tag_rules WHERE id = ?').run(parseInt(id)).changes;
+}
+
+/**
+ * Which tweets a rule would tag, best matches first. input is either a saved
+ * rule ({ id }) or unsaved editor fields. Returns { total, scanned, matches },
+ * each match a tweet with score, confidence, terms, patterns and whether it
+ * already has the tag.
+ */
+function previewRule(db, input = {}, { limit = 50, account = '' } = {}) {
+    let rule;
+    if (input.id) {
+        rule = getRule(db, input.id);
+        if (!rule) throw new TagRuleError(`Rule ${input.id} not found`);
+    } else {
+        rule = { ...cleanRuleInput(input), tag_id: parseInt(input.tagId) || null };
+    }
+    const compiled = compileRule(rule);
+
+    const tweets = account
+        ? db.prepare('SELECT id, full_text, favorite_count, retweet_count, created_at FROM tweets WHERE account_id = ?').all(parseInt(account))
+        : db.prepare('SELECT id, full_text, favorite_count, retweet_count, created_at FROM tweets').all();
+    const tagged = new Set(rule.tag_id
+        ? db.prepare('SELECT tweet_id FROM tweet_tags WHERE tag_id = ?').pluck().all(rule.tag_id)
+        : []);
+
+    const matches = [];
+    tweets.forEach(tweet => {
+        const result = scoreRule(compiled, tweet.full_text);
+        if (result.matched) {
+            matches.push({ ...tweet, ...result, has_tag: tagged.has(tweet.id) });
+        }
+    });
+    matches.sort((a, b) => b.confidence - a.confidence || b.score - a.score || b.favorite_count - a.favorite_count);
+
+    return {
+        total: matches.length,
+        scanned: tweets.length,
+        alreadyTagged: matches.filter(m => m.has_tag).length,
+        matches: matches.slice(0, Math.min(parseInt(limit) || 50, 500))
+    };
+}
+
+module.exports = {
+    SCORE_THRESHOLD,
+    TagRuleError,
+    normalize,
+    parsePattern,
+    scoreConfidence,
+    patternConfidence,
+    compileRule,
+    scoreRule,
+    listRules,
+    getRule,
+    loadRules,
+    rulesVersion,
+    createRule,
+    updateRule,
+    deleteRule,
+    previewRule
+};
@@ -0,0 +1,222 @@
+/**
+ * Tag Suggestions
+ * Machine taggers either write tweet_tags directly or, when run with
+ * --suggest, park their tags in tag_suggestions for review. Either way a tag
+ * someone rejected (in the review queue or by removing it from a tweet) is
+ * remembered and never added to that tweet again.
+ */
+
+const SUGGESTION_ACTIONS = ['accept', 'reject', 'reset'];
+
+class SuggestionReviewError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SuggestionReviewError';
+    }
+}
+
+/**
+ * Returns write(tweetId, tagId, confidence) -> rows written (0 or 1) for one
+ * tagger. provenance: { source: 'ai'|'auto', tagger, model, taggerVersion }.
+ * With suggest, tags go to the review queue unless the tweet already has them.
+ */
+function createTagWriter(db, { suggest = false, source, tagger = null, model = null, taggerVersion = null }) {
+    const applyTag = db.prepare(`
+        INSERT OR IGNORE INTO tweet_tags (tweet_id, tag_id, source, tagger, model, tagger_version, confidence)
+        SELECT ?, ?, ?, ?, ?, ?, ?
+        WHERE NOT EXISTS (
+            SELECT 1 FROM tag_suggestions WHERE tweet_id = ? AND tag_id = ? AND status = 'rejected'
+        )
+    `);
+    // The primary key keeps one row per tweet and tag, so pending, accepted
+    // and rejected suggestions are all left alone
+    const suggestTag = db.prepare(`
+        INSERT OR IGNORE INTO tag_suggestions (tweet_id, tag_id, source, tagger, model, tagger_version, confidence)
+        SELECT ?, ?, ?, ?, ?, ?, ?
+        WHERE NOT EXISTS (SELECT 1 FROM tweet_tags WHERE tweet_id = ? AND tag_id = ?)
+    `);
+    const stmt = suggest ? suggestTag : applyTag;
+
+    return (tweetId, tagId, confidence = null) => {
+        const id = String(tweetId);
+        return stmt.run(id, tagId, source, tagger, model, taggerVersion, confidence, id, tagId).changes;
+    };
+}
+
+// Remember that a machine tag was wrong for a tweet (e.g. removed in the modal)
+function rejectTag(db, tweetId, tagId, provenance = {}) {
+    db.prepare(`
+        INSERT INTO tag_suggestions (tweet_id, tag_id, status, source, tagger, model, tagger_version, confidence, reviewed_at)
+        VALUES (?, ?, 'rejected', ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT (tweet_id, tag_id) DO UPDATE SET status = 'rejected', reviewed_at = CURRENT_TIMESTAMP
+    `).run(String(tweetId), tagId, provenance.source || 'ai', provenance.tagger || null,
+        provenance.model || null, provenance.tagger_version || null, provenance.confidence ?? null);
+}
+
+// Adding by hand a tag a machine tagger already applied or suggested confirms
+// it. Recorded as an accepted suggestion, so the tagger's provenance survives
+// the tweet_tags row becoming manual (evaluation counts it as a hit).
+function confirmTag(db, tweetId, tagId) {
+    const id = String(tweetId);
+    db.prepare(`
+        INSERT INTO tag_suggestions (tweet_id, tag_id, status, source, tagger, model, tagger_version, confidence, reviewed_at)
+        SELECT tweet_id, tag_id, 'accepted', source, tagger, model, tagger_version, confidence, CURRENT_TIMESTAMP
+        FROM tweet_tags WHERE tweet_id = ? AND tag_id = ? AND source IN ('ai', 'auto')
+        ON CONFLICT (tweet_id, tag_id) DO UPDATE SET status = 'accepted', reviewed_at = CURRENT_TIMESTAMP
+    `).run(id, tagId);
+    db.prepare(`
+        UPDATE tag_suggestions SET status = 'accepted', reviewed_at = CURRENT_TIMESTAMP
+        WHERE tweet_id = ? AND tag_id = ? AND status = 'pending'
+    `).run(id, tagId);
+}
+
+/**
+ * Build the WHERE pieces for pending suggestions (alias s, tweets t, tags tag).
+ * Suggestions for tags the tweet has since been given are left out.
+ */
+function pendingFilters({ tag = '', source = '', minConfidence = '', account = '' } = {}) {
+    const conditions = [
+        `s.status = 'pending'`,
+        `NOT EXISTS (SELECT 1 FROM tweet_tags tt WHERE tt.tweet_id = s.tweet_id AND tt.tag_id = s.tag_id)`
+    ];
+    const params = [];
+
+    if (tag) {
+        conditions.push('tag.name = ?');
+        params.push(String(tag).toLowerCase());
+    }
+    if (source === 'ai' || source === 'auto') {
+        conditions.push('s.source = ?');
+        params.push(source);
+    }
+    const confidence = parseFloat(minConfidence);
+    if (Number.isFinite(confidence)) {
+        conditions.push('s.confidence >= ?');
+        params.push(confidence);
+    }
+    if (account) {
+        conditions.push('t.account_id = ?');
+        params.push(parseInt(account));
+    }
+    return { whereClause: `WHERE ${conditions.join(' AND ')}`, params };
+}
+
+/**
+ * The review queue: one entry per pending (tweet, tag) with the tweet inline,
+ * a tweet's suggestions kept together. Returns { suggestions, remaining }.
+ */
+function listPendingSuggestions(db, { limit = 20, offset = 0, ...filters } = {}) {
+    const { whereClause, params } = pendingFilters(filters);
+    const from = `
+        FROM tag_suggestions s
+        JOIN tweets t ON t.id = s.tweet_id
+        JOIN tags tag ON tag.id = s.tag_id
+        ${whereClause}
+    `;
+
+    const rows = db.prepare(`
+        SELECT t.*,
+            (SELECT GROUP_CONCAT(tags.name) FROM tweet_tags tt JOIN tags ON tags.id = tt.tag_id WHERE tt.tweet_id = t.id) as tags,
+            s.tag_id as suggestion_tag_id, tag.name as suggestion_name, tag.category as suggestion_category,
+            tag.color as suggestion_color, s.source as suggestion_source, s.tagger as suggestion_tagger,
+            s.model as suggestion_model, s.tagger_version as suggestion_version,
+            s.confidence as suggestion_confidence, s.created_at as suggested_at
+        ${from}
+        ORDER BY t.favorite_count DESC, s.tweet_id, s.confidence DESC
+        LIMIT ? OFFSET ?
+    `).all(...params, Math.min(parseInt(limit) || 20, 200), parseInt(offset) || 0);
+
+    const suggestions = rows.map(row => {
+        const suggestion = {
+            tag_id: row.suggestion_tag_id,
+            name: row.suggestion_name,
+            category: row.suggestion_category,
+            color: row.suggestion_color,
+            source: row.suggestion_source,
+            tagger: row.suggestion_tagger,
+            model: row.suggestion_model,
+            tagger_version: row.suggestion_version,
+            confidence: row.suggestion_confidence,
+            suggested_at: row.suggested_at
+        };
+        const tweet = { ...row };
+        Object.keys(tweet).filter(key => key.startsWith('suggestion_') || key === 'suggested_at')
+            .forEach(key => delete tweet[key]);
+        return { ...tweet, suggestion };
+    });
+
+    const remaining = db.prepare(`SELECT COUNT(*) as count ${from}`).get(...params).count;
+    return { suggestions, remaining };
+}
+
+function suggestionStats(db) {
+    const counts = db.prepare('SELECT status, COUNT(*) as count FROM tag_suggestions GROUP BY status').all();
+    return Object.fromEntries(['pending', 'accepted', 'rejected'].map(status => [
+        status, counts.find(c => c.status === status)?.count || 0
+    ]));
+}
+
+/**
+ * Apply review decisions in one transaction.
+ * items: [{ tweetId, tagId, action }] where action is accept, reject or
+ * reset (back to pending, undoing an accept). Returns per-action counts.
+ * Throws SuggestionReviewError for an unknown action or suggestion.
+ */
+function reviewSuggestions(db, items) {
+    const getSuggestion = db.prepare('SELECT * FROM tag_suggestions WHERE tweet_id = ? AND tag_id = ?');
+    const setStatus = db.prepare(`
+        UPDATE tag_suggestions SET status = ?, reviewed_at = CASE WHEN ? = 'pending' THEN NULL ELSE CURRENT_TIMESTAMP END
+        WHERE tweet_id = ? AND tag_id = ?
+    `);
+    const applyTag = db.prepare(`
+        INSERT OR IGNORE INTO tweet_tags (tweet_id, tag_id, source, tagger, model, tagger_version, confidence)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    // Only take back the tag the accept added - not one set by hand since
+    const removeAccepted = db.prepare(`
+        DELETE FROM tweet_tags WHERE tweet_id = ? AND tag_id = ? AND source = ? AND tagger IS ?
+    `);
+
+    const counts = { accept: 0, reject: 0, reset: 0 };
+    db.transaction(() => {
+        for (const item of items) {
+            const { tweetId, tagId, action } = item || {};
+            if (!SUGGESTION_ACTIONS.includes(action)) {
+                throw new SuggestionReviewError(`action must be one of: ${SUGGESTION_ACTIONS.join(', ')}`);
+            }
+            const suggestion = getSuggestion.get(String(tweetId), parseInt(tagId));
+            if (!suggestion) {
+                throw new SuggestionReviewError(`No suggestion of tag ${tagId} for tweet ${tweetId}`);
+            }
+
+            if (action === 'accept') {
+                applyTag.run(suggestion.tweet_id, suggestion.tag_id, suggestion.source, suggestion.tagger,
+                    suggestion.model, suggestion.tagger_version, suggestion.confidence);
+                setStatus.run('accepted', 'accepted', suggestion.tweet_id, suggestion.tag_id);
+            } else if (action === 'reject') {
+                if (suggestion.status === 'accepted') {
+                    removeAccepted.run(suggestion.tweet_id, suggestion.tag_id, suggestion.source, suggestion.tagger);
+                }
+                setStatus.run('rejected', 'rejected', suggestion.tweet_id, suggestion.tag_id);
+            } else {
+                if (suggestion.status === 'accepted') {
+                    removeAccepted.run(suggestion.tweet_id, suggestion.tag_id, suggestion.source, suggestion.tagger);
+                }
+                setStatus.run('pending', 'pending', suggestion.tweet_id, suggestion.tag_id);
+            }
+            counts[action]++;
+        }
+    })();
+    return counts;
+}
+
+module.exports = {
+    SUGGESTION_ACTIONS,
+    SuggestionReviewError,
+    createTagWriter,
+    rejectTag,
+    confirmTag,
+    listPendingSuggestions,
+    suggestionStats,
+    reviewSuggestions
+};
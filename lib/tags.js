@@ -0,0 +1,366 @@
+/**
+ * Tag Management
+ * Rename, recolor and recategorize tags, merge one tag into another, delete
+ * tags and clean up the ones nothing uses. Everything keyed by tag id
+ * (tweet_tags, tag_suggestions, tag_rules) moves or goes with the tag, and
+ * smart collections filtering on the tag by name are rewritten to match.
+ *
+ * Tags form a tree through tags.parent_id: filtering by a tag includes its
+ * descendants. A tag can also have aliases (tag_aliases), other names that
+ * resolve to it wherever a tag is looked up by name.
+ *
+ * better-sqlite3 enforces foreign keys, so the ON DELETE CASCADEs in
+ * schema.sql would clear a deleted tag's rows anyway. The deletes in
+ * removeTag and mergeTags are there to be explicit about what goes with a
+ * tag. parent_id has no cascade: children are reparented before their parent
+ * is deleted, or the delete would fail.
+ */
+
+const TAG_CATEGORIES = ['topic', 'pattern', 'use', 'custom'];
+
+// Ids of the tag named ? (or aliased ?) and all its descendants, for use in
+// "tag_id IN (...)". Binds the name twice. UNION stops at any cycle.
+const TAG_SUBTREE_SQL = `
+    WITH RECURSIVE subtree(id) AS (
+        SELECT id FROM tags WHERE name = ? COLLATE NOCASE
+        UNION SELECT tag_id FROM tag_aliases WHERE alias = ? COLLATE NOCASE
+        UNION SELECT tags.id FROM tags JOIN subtree ON tags.parent_id = subtree.id
+    )
+    SELECT id FROM subtree`;
+
+// Invalid tag edits (bad name or color, unknown category, name taken...)
+class TagError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TagError';
+    }
+}
+
+// Tags are stored lowercase. Commas separate tags in filters, so none in names.
+function normalizeTagName(name) {
+    const normalized = String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    if (!normalized) throw new TagError('Tag name is required');
+    if (normalized.includes(',')) throw new TagError('Tag names cannot contain commas');
+    if (normalized.length > 50) throw new TagError('Tag names can be at most 50 characters');
+    return normalized;
+}
+
+function validateCategory(category) {
+    if (!TAG_CATEGORIES.includes(category)) {
+        throw new TagError(`category must be one of: ${TAG_CATEGORIES.join(', ')}`);
+    }
+    return category;
+}
+
+function validateColor(color) {
+    if (color === null || color === '') return null;
+    if (!/^#[0-9a-f]{6}$/i.test(String(color))) {
+        throw new TagError('color must be a hex color like #8B4513');
+    }
+    return String(color);
+}
+
+// A tag with its aliases and how much depends on it
+function getTag(db, id) {
+    const tag = db.prepare(`
+        SELECT t.*,
+            (SELECT COUNT(*) FROM tweet_tags WHERE tag_id = t.id) as tweet_count,
+            (SELECT COUNT(*) FROM tag_suggestions WHERE tag_id = t.id AND status = 'pending') as pending_suggestions,
+            (SELECT COUNT(*) FROM tag_rules WHERE tag_id = t.id) as has_rule
+        FROM tags t WHERE t.id = ?
+    `).get(parseInt(id));
+    if (!tag) return null;
+    tag.aliases = db.prepare('SELECT alias FROM tag_aliases WHERE tag_id = ? ORDER BY alias').pluck().all(tag.id);
+    return tag;
+}
+
+// The tag called name, directly or through an alias
+function findTag(db, name) {
+    const tagName = String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    return db.prepare('SELECT * FROM tags WHERE name = ?').get(tagName)
+        || db.prepare('SELECT tags.* FROM tag_aliases a JOIN tags ON tags.id = a.tag_id WHERE a.alias = ?').get(tagName)
+        || null;
+}
+
+// Parent, grandparent, ... of a tag (stops at a cycle)
+function ancestorIds(db, id) {
+    const getParent = db.prepare('SELECT parent_id FROM tags WHERE id = ?').pluck();
+    const ancestors = [];
+    let current = getParent.get(id);
+    while (current && !ancestors.includes(current)) {
+        ancestors.push(current);
+        current = getParent.get(current);
+    }
+    return ancestors;
+}
+
+function validateParent(db, tagId, parentId) {
+    if (parentId === null || parentId === '' || parentId === undefined) return null;
+    const parent = db.prepare('SELECT id FROM tags WHERE id = ?').get(parseInt(parentId));
+    if (!parent) throw new TagError(`Parent tag ${parentId} not found`);
+    if (parent.id === tagId || ancestorIds(db, parent.id).includes(tagId)) {
+        throw new TagError('A tag cannot be its own parent or the parent of one of its ancestors');
+    }
+    return parent.id;
+}
+
+// Aliases from an array or a comma/newline separated string
+function cleanAliases(db, tagId, tagName, input) {
+    const list = Array.isArray(input) ? input : String(input || '').split(/[,\n]/);
+    const aliases = [...new Set(list.filter(a => String(a).trim()).map(normalizeTagName))]
+        .filter(alias => alias !== tagName);
+    aliases.forEach(alias => {
+        if (db.prepare('SELECT 1 FROM tags WHERE name = ? AND id != ?').get(alias, tagId)) {
+            throw new TagError(`"${alias}" is already a tag - merge it instead`);
+        }
+        const owner = db.prepare('SELECT tags.name FROM tag_aliases a JOIN tags ON tags.id = a.tag_id WHERE a.alias = ? AND a.tag_id != ?')
+            .get(alias, tagId);
+        if (owner) throw new TagError(`"${alias}" is already an alias of "${owner.name}"`);
+    });
+    return aliases;
+}
+
+/**
+ * Smart collections filter on tag names (filters.tag is a comma list). Point
+ * them at the new name, or drop the tag when newName is null.
+ */
+function renameInSavedSearches(db, oldName, newName) {
+    const update = db.prepare('UPDATE saved_searches SET filters = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?');
+    let changed = 0;
+    db.prepare('SELECT id, filters FROM saved_searches').all().forEach(row => {
+        const filters = JSON.parse(row.filters);
+        if (!filters.tag) return;
+        const names = filters.tag.split(',');
+        if (!names.includes(oldName)) return;
+
+        const renamed = [...new Set(names.map(name => name === oldName ? newName : name).filter(Boolean))];
+        if (renamed.length > 0) {
+            filters.tag = renamed.join(',');
+        } else {
+            delete filters.tag;
+        }
+        update.run(JSON.stringify(filters), row.id);
+        changed++;
+    });
+    return changed;
+}
+
+/**
+ * Create a tag, or return the existing one with that name or alias.
+ * Returns { tag, created }.
+ */
+function ensureTag(db, name, category = 'custom') {
+    const tagName = normalizeTagName(name);
+    const existing = findTag(db, tagName);
+    if (existing) return { tag: existing, created: false };
+
+    validateCategory(category);
+    const info = db.prepare('INSERT INTO tags (name, category) VALUES (?, ?)').run(tagName, category);
+    return { tag: db.prepare('SELECT * FROM tags WHERE id = ?').get(info.lastInsertRowid), created: true };
+}
+
+/**
+ * Rename, recolor, recategorize or move a tag, or replace its aliases
+ * ({ name, color, category, parentId, aliases }, all optional). Renaming a
+ * tag to one of its aliases swaps the two. Returns the updated tag, or null
+ * if there's no such tag.
+ */
+function updateTag(db, id, input = {}) {
+    const existing = getTag(db, id);
+    if (!existing) return null;
+
+    const sets = [];
+    const params = [];
+    let newName = null;
+
+    if (input.name !== undefined) {
+        newName = normalizeTagName(input.name);
+        if (newName !== existing.name) {
+            const clash = db.prepare('SELECT id FROM tags WHERE name = ? AND id != ?').get(newName, existing.id);
+            if (clash) {
+                throw new TagError(`A tag named "${newName}" already exists - merge them instead`);
+            }
+            const aliasOf = findTag(db, newName);
+            if (aliasOf && aliasOf.id !== existing.id) {
+                throw new TagError(`"${newName}" is an alias of "${aliasOf.name}"`);
+            }
+            sets.push('name = ?');
+            params.push(newName);
+        }
+    }
+    if (input.parentId !== undefined) {
+        sets.push('parent_id = ?');
+        params.push(validateParent(db, existing.id, input.parentId));
+    }
+    let aliases = null;
+    if (input.aliases !== undefined) {
+        aliases = cleanAliases(db, existing.id, newName || existing.name, input.aliases);
+    } else if (newName && existing.aliases.includes(newName)) {
+        // Renamed to an alias: the old name becomes the alias
+        aliases = existing.aliases.map(alias => alias === newName ? existing.name : alias);
+    }
+    if (input.color !== undefined) {
+        sets.push('color = ?');
+        params.push(validateColor(input.color));
+    }
+    if (input.category !== undefined) {
+        sets.push('category = ?');
+        params.push(validateCategory(input.category));
+    }
+
+    db.transaction(() => {
+        if (aliases) {
+            db.prepare('DELETE FROM tag_aliases WHERE tag_id = ?').run(existing.id);
+            const insertAlias = db.prepare('INSERT INTO tag_aliases (alias, tag_id) VALUES (?, ?)');
+            aliases.forEach(alias => insertAlias.run(alias, existing.id));
+        }
+        if (sets.length > 0) {
+            db.prepare(`UPDATE tags SET ${sets.join(', ')} WHERE id = ?`).run(...params, existing.id);
+        }
+        if (newName && newName !== existing.name) {
+            renameInSavedSearches(db, existing.name, newName);
+        }
+    })();
+    return getTag(db, existing.id);
+}
+
+// Union two rules' JSON lists, keeping the target's order first
+function mergeRuleLists(target, source) {
+    return JSON.stringify([...new Set([...JSON.parse(target || '[]'), ...JSON.parse(source || '[]')])]);
+}
+
+/**
+ * Move everything on sourceId onto targetId in one transaction, then delete
+ * the source tag. Where a tweet has both, the manual assignment wins, and a
+ * reviewed suggestion (accepted or rejected) beats a pending one. The
+ * source's heuristic rule becomes the target's, or is folded into it; its
+ * children and aliases move over and its name becomes an alias of the target.
+ * Returns { tag, moved: { tweets, suggestions, savedSearches } }.
+ */
+function mergeTags(db, sourceId, targetId) {
+    const source = getTag(db, sourceId);
+    const target = getTag(db, targetId);
+    if (!source) throw new TagError(`Tag ${sourceId} not found`);
+    if (!target) throw new TagError(`Tag ${targetId} not found`);
+    if (source.id === target.id) throw new TagError('Cannot merge a tag into itself');
+
+    const moved = db.transaction(() => {
+        // WHERE true: SQLite needs it to tell the upsert from a join
+        const tweets = db.prepare(`
+            INSERT INTO tweet_tags (tweet_id, tag_id, source, tagger, model, tagger_version, confidence, created_at)
+            SELECT tweet_id, ?, source, tagger, model, tagger_version, confidence, created_at
+            FROM tweet_tags WHERE tag_id = ? AND true
+            ON CONFLICT (tweet_id, tag_id) DO UPDATE SET
+                source = excluded.source, tagger = excluded.tagger, model = excluded.model,
+                tagger_version = excluded.tagger_version, confidence = excluded.confidence,
+                created_at = excluded.created_at
+            WHERE excluded.source = 'manual' AND tweet_tags.source != 'manual'
+        `).run(target.id, source.id).changes;
+
+        const suggestions = db.prepare(`
+            INSERT INTO tag_suggestions (tweet_id, tag_id, status, source, tagger, model, tagger_version, confidence, created_at, reviewed_at)
+            SELECT tweet_id, ?, status, source, tagger, model, tagger_version, confidence, created_at, reviewed_at
+            FROM tag_suggestions WHERE tag_id = ? AND true
+            ON CONFLICT (tweet_id, tag_id) DO UPDATE SET
+                status = excluded.status, reviewed_at = excluded.reviewed_at
+            WHERE tag_suggestions.status = 'pending' AND excluded.status != 'pending'
+        `).run(target.id, source.id).changes;
+
+        const sourceRule = db.prepare('SELECT * FROM tag_rules WHERE tag_id = ?').get(source.id);
+        const targetRule = db.prepare('SELECT * FROM tag_rules WHERE tag_id = ?').get(target.id);
+        if (sourceRule && targetRule) {
+            db.prepare(`
+                UPDATE tag_rules SET strict_terms = ?, broad_terms = ?, negative_terms = ?, patterns = ?,
+                    enabled = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(
+                mergeRuleLists(targetRule.strict_terms, sourceRule.strict_terms),
+                mergeRuleLists(targetRule.broad_terms, sourceRule.broad_terms),
+                mergeRuleLists(targetRule.negative_terms, sourceRule.negative_terms),
+                mergeRuleLists(targetRule.patterns, sourceRule.patterns),
+                targetRule.enabled || sourceRule.enabled ? 1 : 0,
+                targetRule.id
+            );
+        } else if (sourceRule) {
+            db.prepare('UPDATE tag_rules SET tag_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(target.id, sourceRule.id);
+        }
+
+        // The target can't end up under itself
+        if (ancestorIds(db, target.id).includes(source.id)) {
+            db.prepare('UPDATE tags SET parent_id = ? WHERE id = ?').run(source.parent_id, target.id);
+        }
+        db.prepare('UPDATE tags SET parent_id = ? WHERE parent_id = ? AND id != ?').run(target.id, source.id, target.id);
+        db.prepare('UPDATE tag_aliases SET tag_id = ? WHERE tag_id = ?').run(target.id, source.id);
+        db.prepare('INSERT OR IGNORE INTO tag_aliases (alias, tag_id) VALUES (?, ?)').run(source.name, target.id);
+
+        const savedSearches = renameInSavedSearches(db, source.name, target.name);
+        removeTag(db, source.id);
+        return { tweets, suggestions, savedSearches };
+    })();
+
+    return { tag: getTag(db, target.id), moved };
+}
+
+// Delete a tag and everything keyed by it. Its children move up a level.
+function removeTag(db, id) {
+    db.prepare('UPDATE tags SET parent_id = (SELECT parent_id FROM tags WHERE id = ?) WHERE parent_id = ?').run(id, id);
+    db.prepare('DELETE FROM tweet_tags WHERE tag_id = ?').run(id);
+    db.prepare('DELETE FROM tag_suggestions WHERE tag_id = ?').run(id);
+    db.prepare('DELETE FROM tag_rules WHERE tag_id = ?').run(id);
+    db.prepare('DELETE FROM tag_aliases WHERE tag_id = ?').run(id);
+    return db.prepare('DELETE FROM tags WHERE id = ?').run(id).changes;
+}
+
+/**
+ * Delete a tag from every tweet, with its suggestions and heuristic rule,
+ * and drop it from smart collections. Returns what was removed, or null if
+ * there's no such tag.
+ */
+function deleteTag(db, id) {
+    const tag = getTag(db, id);
+    if (!tag) return null;
+
+    return db.transaction(() => {
+        const savedSearches = renameInSavedSearches(db, tag.name, null);
+        removeTag(db, tag.id);
+        return { tag: tag.name, tweets: tag.tweet_count, rule: !!tag.has_rule, savedSearches };
+    })();
+}
+
+/**
+ * Delete tags nothing uses: on no tweet, with no pending suggestion, no
+ * heuristic rule (a rule may still tag tweets on its next run) and no child
+ * tags. Returns the tags deleted, or that would be with dryRun.
+ */
+function cleanupUnusedTags(db, { dryRun = false } = {}) {
+    const unused = db.prepare(`
+        SELECT t.id, t.name, t.category FROM tags t
+        WHERE NOT EXISTS (SELECT 1 FROM tweet_tags WHERE tag_id = t.id)
+          AND NOT EXISTS (SELECT 1 FROM tag_suggestions WHERE tag_id = t.id AND status = 'pending')
+          AND NOT EXISTS (SELECT 1 FROM tag_rules WHERE tag_id = t.id)
+          AND NOT EXISTS (SELECT 1 FROM tags child WHERE child.parent_id = t.id)
+        ORDER BY t.category, t.name
+    `).all();
+
+    if (!dryRun && unused.length > 0) {
+        db.transaction(() => unused.forEach(tag => {
+            renameInSavedSearches(db, tag.name, null);
+            removeTag(db, tag.id);
+        }))();
+    }
+    return { dryRun: !!dryRun, deleted: unused };
+}
+
+module.exports = {
+    TAG_CATEGORIES,
+    TAG_SUBTREE_SQL,
+    TagError,
+    normalizeTagName,
+    getTag,
+    findTag,
+    ensureTag,
+    updateTag,
+    mergeTags,
+    deleteTag,
+    cleanupUnusedTags
+};
@@ -8,6 +8,8 @@ let state = {
     tags: { topic: [], pattern: [], use: [], custom: [] },
     allTags: [],
     stats: {},
+    accounts: [],
+    account: localStorage.getItem('curatorAccount') || '', // Selected account id ('' = all)
     pagination: { page: 1, limit: 50, total: 0, totalPages: 0 },
     filters: {
         search: '',
@@ -16,12 +18,17 @@ let state = {
         // quality: '', REMOVED
         swipe: '',
         tags: [], // Changed to array for multi-tag filtering
+        tagSource: '',
+        minConfidence: '',
         excludeRetweets: true,
         excludeReplies: true,
         excludeThreads: false // Changed to false - show thread starters
     },
     sort: { by: 'created_at', order: 'desc' },
-    selectedTweet: null
+    savedSearches: [],
+    selectedTweet: null,
+    // Bulk selection: tweet ids (across pages), or every tweet matching the filters
+    selection: { ids: new Set(), allMatching: false, lastId: null, filterKey: '' }
 };
 
 // DOM Elements
@@ -33,6 +40,8 @@ const elements = {
     filterLength: document.getElementById('filterLength'),
     filterQuality: null, // REMOVED
     filterSwipe: document.getElementById('filterSwipe'),
+    filterTagSource: document.getElementById('filterTagSource'),
+    filterMinConfidence: document.getElementById('filterMinConfidence'),
     excludeRetweets: document.getElementById('excludeRetweets'),
     filterSwipe: document.getElementById('filterSwipe'),
     excludeRetweets: document.getElementById('excludeRetweets'),
@@ -49,6 +58,13 @@ const elements = {
     patternTags: document.getElementById('patternTags'),
     useTags: document.getElementById('useTags'),
     customTags: document.getElementById('customTags'),
+    savedSearchList: document.getElementById('savedSearchList'),
+    savedSearchName: document.getElementById('savedSearchName'),
+    saveSearchBtn: document.getElementById('saveSearchBtn'),
+    savedSearchStatus: document.getElementById('savedSearchStatus'),
+    ownerHandle: document.getElementById('ownerHandle'),
+    accountSwitcher: document.getElementById('accountSwitcher'),
+    accountSwitcherGroup: document.getElementById('accountSwitcherGroup'),
     modal: document.getElementById('tweetModal'),
     modalBody: document.getElementById('modalBody'),
     modalClose: document.querySelector('.modal-close'),
@@ -79,18 +95,29 @@ async function fetchTweets() {
         // quality removed
         swipe: state.filters.swipe,
         tag: state.filters.tags.join(','), // Send as comma-separated for multi-tag
+        tagSource: state.filters.tagSource,
+        minConfidence: state.filters.minConfidence,
         excludeRetweets: state.filters.excludeRetweets,
         excludeReplies: state.filters.excludeReplies,
-        excludeThreads: state.filters.excludeThreads
+        excludeThreads: state.filters.excludeThreads,
+        account: state.account
     });
 
     try {
         const response = await fetch(`/api/tweets?${params}`);
         const data = await response.json();
+        if (data.searchError) {
+            renderSearchError(data.error);
+            return;
+        }
+        if (!response.ok) throw new Error(data.error);
         state.tweets = data.tweets;
         state.pagination = data.pagination;
+        resetSelectionIfFiltersChanged();
         renderTweets();
         updatePaginationUI();
+        renderSavedSearches();
+        renderBulkBar();
     } catch (err) {
         console.error('Error fetching tweets:', err);
         elements.tweetGrid.innerHTML = `
@@ -102,9 +129,22 @@ async function fetchTweets() {
     }
 }
 
+// Malformed search box query (unclosed quote, unknown operator, ...)
+function renderSearchError(message) {
+    elements.resultCount.textContent = '';
+    elements.tweetGrid.innerHTML = `
+        <div class="empty-state">
+            <h3>Couldn't understand that search</h3>
+            <p>${escapeHtml(message)}</p>
+            <p class="search-help">${escapeHtml(elements.searchInput.title)}</p>
+        </div>
+    `;
+}
+
 async function fetchTags() {
     try {
-        const response = await fetch('/api/tags');
+        const params = new URLSearchParams({ account: state.account });
+        const response = await fetch(`/api/tags?${params}`);
         state.tags = await response.json();
         state.allTags = [
             ...state.tags.topic,
@@ -120,7 +160,8 @@ async function fetchTags() {
 
 async function fetchStats() {
     try {
-        const response = await fetch('/api/stats');
+        const params = new URLSearchParams({ account: state.account });
+        const response = await fetch(`/api/stats?${params}`);
         const data = await response.json();
         state.stats = data.stats;
         state.todayStats = data.todayStats || { tweets_swiped: 0 };
@@ -130,6 +171,65 @@ async function fetchStats() {
     }
 }
 
+async function fetchAccounts() {
+    try {
+        const response = await fetch('/api/accounts');
+        state.accounts = await response.json();
+        // Forget a stored account that no longer exists
+        if (state.account && !state.accounts.some(a => String(a.id) === state.account)) {
+            selectAccount('');
+        }
+        renderAccounts();
+    } catch (err) {
+        console.error('Error fetching accounts:', err);
+    }
+}
+
+async function fetchSavedSearches() {
+    try {
+        const params = new URLSearchParams({ account: state.account });
+        const response = await fetch(`/api/saved-searches?${params}`);
+        state.savedSearches = await response.json();
+        renderSavedSearches();
+    } catch (err) {
+        console.error('Error fetching saved searches:', err);
+    }
+}
+
+async function saveCurrentSearch() {
+    const name = elements.savedSearchName.value.trim();
+    if (!name) {
+        elements.savedSearchName.focus();
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/saved-searches', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, filters: currentFilterSet(), account: state.account })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error);
+
+        elements.savedSearchName.value = '';
+        elements.savedSearchStatus.textContent = '';
+        fetchSavedSearches();
+    } catch (err) {
+        elements.savedSearchStatus.textContent = `✗ ${err.message}`;
+        elements.savedSearchStatus.className = 'import-status error';
+    }
+}
+
+async function deleteSavedSearch(id) {
+    try {
+        await fetch(`/api/saved-searches/${id}`, { method: 'DELETE' });
+        fetchSavedSearches();
+    } catch (err) {
+        console.error('Error deleting saved search:', err);
+    }
+}
+
 async function updateTweet(tweetId, updates) {
     try {
         await fetch(`/api/tweets/${tweetId}`, {
@@ -140,6 +240,7 @@ async function updateTweet(tweetId, updates) {
         // Refresh data
         fetchTweets();
         fetchStats();
+        fetchSavedSearches();
     } catch (err) {
         console.error('Error updating tweet:', err);
     }
@@ -158,27 +259,30 @@ async function addTag(tweetId, tagName, category = 'custom') {
             console.error('Error adding tag:', err);
             return false;
         }
+        // The name as stored (lowercased, spaces collapsed)
+        const { tag: name } = await response.json();
 
         // Update local state for the tweet so UI reflects change immediately
         const tweet = state.tweets.find(t => t.id === tweetId);
         if (tweet) {
             if (!tweet.tags) tweet.tags = [];
             // Avoid duplicates
-            if (!tweet.tags.some(t => t.name === tagName.toLowerCase())) {
-                tweet.tags.push({ name: tagName.toLowerCase(), category, color: '#30363d' });
+            if (!tweet.tags.some(t => t.name === name)) {
+                tweet.tags.push({ name, category, color: '#30363d' });
             }
         }
 
         // Also update selectedTweet if open
         if (state.selectedTweet && state.selectedTweet.id === tweetId) {
             if (!state.selectedTweet.tags) state.selectedTweet.tags = [];
-            if (!state.selectedTweet.tags.some(t => t.name === tagName.toLowerCase())) {
-                state.selectedTweet.tags.push({ name: tagName.toLowerCase(), category, color: '#30363d' });
+            if (!state.selectedTweet.tags.some(t => t.name === name)) {
+                state.selectedTweet.tags.push({ name, category, color: '#30363d' });
             }
         }
 
-        // Refresh tags sidebar (async, don't wait)
+        // Refresh tags sidebar and collection counts (async, don't wait)
         fetchTags();
+        fetchSavedSearches();
         return true;
     } catch (err) {
         console.error('Error adding tag:', err);
@@ -209,6 +313,7 @@ async function removeTag(tweetId, tagName) {
         }
 
         fetchTags();
+        fetchSavedSearches();
         return true;
     } catch (err) {
         console.error('Error removing tag:', err);
@@ -221,7 +326,7 @@ async function uploadArchive(file) {
     formData.append('archive', file);
 
     elements.importBtn.disabled = true;
-    elements.importStatus.textContent = 'Uploading and importing...';
+    elements.importStatus.textContent = 'Uploading...';
     elements.importStatus.className = 'import-status';
 
     try {
@@ -231,22 +336,31 @@ async function uploadArchive(file) {
         });
 
         const result = await response.json();
-
-        if (result.success) {
-            elements.importStatus.textContent = '✓ Import complete!';
-            elements.importStatus.className = 'import-status success';
-            // Refresh data
-            fetchTweets();
-            fetchStats();
-            fetchTags();
-        } else {
+        if (!result.success) {
             throw new Error(result.error);
         }
+
+        // The import runs as a background job - follow it in the jobs panel
+        elements.importStatus.textContent = `Importing in the background (job #${result.jobId})...`;
+        const job = await waitForJob(result.jobId);
+
+        if (job.status !== 'completed') {
+            throw new Error(job.error || `Import ${job.status}`);
+        }
+        elements.importStatus.textContent = `✓ Import complete! ${formatNumber(job.result?.imported || 0)} new tweets`;
+        elements.importStatus.className = 'import-status success';
+        // Refresh data (the archive may have added an account)
+        fetchAccounts();
+        fetchTweets();
+        fetchStats();
+        fetchTags();
+        fetchSavedSearches();
     } catch (err) {
         elements.importStatus.textContent = `✗ ${err.message}`;
         elements.importStatus.className = 'import-status error';
     } finally {
         elements.importBtn.disabled = false;
+        elements.archiveInput.value = '';
     }
 }
 
@@ -265,9 +379,11 @@ function renderTweets() {
         return;
     }
 
+    elements.tweetGrid.classList.toggle('selecting', hasSelection());
     elements.tweetGrid.innerHTML = state.tweets.map(tweet => {
         const swipeClass = tweet.swipe_status === 'superlike' ? 'superliked' :
             tweet.swipe_status === 'like' ? 'liked' : '';
+        const selected = isTweetSelected(tweet.id);
 
         const swipeBadge = tweet.swipe_status === 'superlike' ? '⭐' :
             tweet.swipe_status === 'like' ? '❤️' :
@@ -321,7 +437,7 @@ function renderTweets() {
 
                 quotedHtml = `
                     <div class="quoted-tweet">
-                        <div class="quoted-user">@tyleralterman</div>
+                        <div class="quoted-user">${quotedHandle(tweet)}</div>
                         <div class="quoted-text">${linkify(tweet.quoted_text)}</div>
                         ${quotedMedia}
                     </div>
@@ -337,14 +453,18 @@ function renderTweets() {
         }
 
         return `
-            <div class="tweet-card ${swipeClass}" data-id="${tweet.id}">
+            <div class="tweet-card ${swipeClass} ${selected ? 'selected' : ''}" data-id="${tweet.id}">
                 <div class="tweet-header">
                     <div class="tweet-badges">
                         ${swipeBadge ? `<span class="swipe-badge">${swipeBadge}</span>` : ''}
                         ${qualityBadge}
                     </div>
+                    <input type="checkbox" class="tweet-select" ${selected ? 'checked' : ''}
+                           title="Select (shift-click for a range)">
                 </div>
-                <div class="tweet-text">${linkify(tweet.full_text)}</div>
+                ${tweet.snippet
+                    ? `<div class="tweet-text tweet-snippet">${tweet.snippet}</div>`
+                    : `<div class="tweet-text">${linkify(tweet.full_text)}</div>`}
                 ${mediaHtml}
                 ${quotedHtml}
                 <div class="tweet-footer">
@@ -362,9 +482,21 @@ function renderTweets() {
         `;
     }).join('');
 
-    // Add click handlers
+    // Add click handlers - the checkbox, or a click with shift/ctrl/cmd, selects
     document.querySelectorAll('.tweet-card').forEach(card => {
-        card.addEventListener('click', () => openTweetModal(card.dataset.id));
+        card.addEventListener('click', (e) => {
+            const selecting = e.target.classList.contains('tweet-select') || e.shiftKey || e.metaKey || e.ctrlKey;
+            if (!selecting) {
+                openTweetModal(card.dataset.id);
+                return;
+            }
+            e.preventDefault();
+            if (e.shiftKey) {
+                selectRange(card.dataset.id);
+            } else {
+                toggleTweetSelection(card.dataset.id);
+            }
+        });
     });
 
     // Lazy load quoted tweets
@@ -409,48 +541,49 @@ async function loadQuotedTweets() {
     }
 }
 
+// Children right after their parent, with their depth in the tree
+function orderTagTree(tags) {
+    const ids = new Set(tags.map(t => t.id));
+    const ordered = [];
+    const visit = (tag, depth) => {
+        if (ordered.some(entry => entry.tag === tag)) return;
+        ordered.push({ tag, depth });
+        tags.filter(t => t.parent_id === tag.id).forEach(child => visit(child, depth + 1));
+    };
+    tags.filter(t => !ids.has(t.parent_id)).forEach(tag => visit(tag, 0));
+    // Anything left is stuck in a cycle
+    tags.forEach(tag => visit(tag, 0));
+    return ordered;
+}
+
 function renderTags() {
     // Helper to check if tag is selected
     const isSelected = (tagName) => state.filters.tags.includes(tagName);
 
-    // Topic tags
-    elements.topicTags.innerHTML = state.tags.topic.map(tag => `
-        <button class="tag-btn ${isSelected(tag.name) ? 'active' : ''}" 
+    // Parents count their children's tweets too, and filter on them
+    const tagButtons = (tags, extraClass = '', defaultColor = '') => orderTagTree(tags).map(({ tag, depth }) => `
+        <button class="tag-btn ${extraClass} ${depth > 0 ? 'child' : ''} ${isSelected(tag.name) ? 'active' : ''}" 
                 data-tag="${tag.name}"
-                style="border-color: ${tag.color}">
-            ${tag.name} <span class="count">${tag.tweet_count}</span>
+                title="${escapeHtml(tag.aliases.length ? `Also: ${tag.aliases.join(', ')}` : tag.name)}"
+                style="border-color: ${tag.color || defaultColor}">
+            ${'↳'.repeat(depth)}${depth > 0 ? ' ' : ''}${tag.name} <span class="count">${tag.subtree_count ?? tag.tweet_count}</span>
         </button>
     `).join('');
 
+    // Topic tags
+    elements.topicTags.innerHTML = tagButtons(state.tags.topic);
+
     // Pattern tags
-    elements.patternTags.innerHTML = state.tags.pattern.map(tag => `
-        <button class="tag-btn ${isSelected(tag.name) ? 'active' : ''}" 
-                data-tag="${tag.name}"
-                style="border-color: ${tag.color}">
-            ${tag.name} <span class="count">${tag.tweet_count}</span>
-        </button>
-    `).join('');
+    elements.patternTags.innerHTML = tagButtons(state.tags.pattern);
 
     // Use tags
     if (elements.useTags && state.tags.use) {
-        elements.useTags.innerHTML = state.tags.use.map(tag => `
-            <button class="tag-btn use ${isSelected(tag.name) ? 'active' : ''}" 
-                    data-tag="${tag.name}"
-                    style="border-color: ${tag.color}">
-                ${tag.name} <span class="count">${tag.tweet_count}</span>
-            </button>
-        `).join('');
+        elements.useTags.innerHTML = tagButtons(state.tags.use, 'use');
     }
 
     // Custom tags
     if (elements.customTags && state.tags.custom && state.tags.custom.length > 0) {
-        elements.customTags.innerHTML = state.tags.custom.map(tag => `
-            <button class="tag-btn custom ${isSelected(tag.name) ? 'active' : ''}" 
-                    data-tag="${tag.name}"
-                    style="border-color: ${tag.color || '#8e44ad'}">
-                ${tag.name} <span class="count">${tag.tweet_count}</span>
-            </button>
-        `).join('');
+        elements.customTags.innerHTML = tagButtons(state.tags.custom, 'custom', '#8e44ad');
     } else if (elements.customTags) {
         elements.customTags.innerHTML = '<span class="no-tags">No custom tags yet</span>';
     }
@@ -474,6 +607,38 @@ function renderTags() {
     });
 }
 
+function renderSavedSearches() {
+    if (!elements.savedSearchList) return;
+
+    if (state.savedSearches.length === 0) {
+        elements.savedSearchList.innerHTML = '<span class="no-tags">No saved searches yet</span>';
+        return;
+    }
+
+    const current = JSON.stringify(normalizeFilterSet(currentFilterSet()));
+    elements.savedSearchList.innerHTML = state.savedSearches.map(saved => `
+        <div class="saved-search ${JSON.stringify(normalizeFilterSet(saved.filters)) === current ? 'active' : ''}"
+             data-id="${saved.id}" title="${escapeHtml(describeFilterSet(saved.filters))}">
+            <span class="saved-search-name">${escapeHtml(saved.name)}</span>
+            <span class="count">${saved.error ? '⚠️' : formatNumber(saved.count)}</span>
+            <button class="saved-search-delete" data-id="${saved.id}" title="Delete saved search">×</button>
+        </div>
+    `).join('');
+
+    elements.savedSearchList.querySelectorAll('.saved-search').forEach(el => {
+        el.addEventListener('click', () => {
+            const saved = state.savedSearches.find(s => String(s.id) === el.dataset.id);
+            if (saved) applyFilterSet(saved.filters);
+        });
+    });
+    elements.savedSearchList.querySelectorAll('.saved-search-delete').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            deleteSavedSearch(btn.dataset.id);
+        });
+    });
+}
+
 function updateStatsUI() {
     const s = state.stats;
     elements.totalTweets.textContent = formatNumber(s.total - (s.retweets || 0));
@@ -487,6 +652,133 @@ function updateStatsUI() {
     }
 }
 
+function renderAccounts() {
+    // Only offer the switcher once there's more than one archive
+    if (elements.accountSwitcherGroup) {
+        elements.accountSwitcherGroup.style.display = state.accounts.length > 1 ? 'block' : 'none';
+    }
+    if (elements.accountSwitcher) {
+        elements.accountSwitcher.innerHTML = '<option value="">All Accounts</option>' +
+            state.accounts.map(a => `
+                <option value="${a.id}">@${escapeHtml(a.username)} (${formatNumber(a.tweet_count)})</option>
+            `).join('');
+        elements.accountSwitcher.value = state.account;
+    }
+
+    const owner = currentAccount();
+    if (elements.ownerHandle) {
+        elements.ownerHandle.textContent = owner
+            ? `${owner.display_name || ''} @${owner.username}`.trim()
+            : '';
+    }
+}
+
+// The account being curated: the selected one, or the only one there is
+function currentAccount() {
+    if (state.account) return state.accounts.find(a => String(a.id) === state.account) || null;
+    return state.accounts.length === 1 ? state.accounts[0] : null;
+}
+
+function selectAccount(accountId) {
+    state.account = accountId;
+    if (accountId) {
+        localStorage.setItem('curatorAccount', accountId);
+    } else {
+        localStorage.removeItem('curatorAccount');
+    }
+}
+
+// ============================================
+// Filter Sets (saved searches, clear filters)
+// ============================================
+
+function defaultFilters() {
+    return {
+        search: '',
+        type: '',
+        length: '',
+        swipe: '',
+        tags: [],
+        tagSource: '',
+        minConfidence: '',
+        excludeRetweets: true,
+        excludeReplies: true,
+        excludeThreads: false
+    };
+}
+
+// The current filters and sort, named like the /api/tweets params
+function currentFilterSet() {
+    return {
+        search: state.filters.search,
+        type: state.filters.type,
+        length: state.filters.length,
+        swipe: state.filters.swipe,
+        tag: state.filters.tags.join(','),
+        tagSource: state.filters.tagSource,
+        minConfidence: state.filters.minConfidence,
+        excludeRetweets: state.filters.excludeRetweets,
+        excludeReplies: state.filters.excludeReplies,
+        excludeThreads: state.filters.excludeThreads,
+        sort: state.sort.by,
+        order: state.sort.order
+    };
+}
+
+// Same shape the server stores: no empty values, everything a string
+function normalizeFilterSet(filters) {
+    const normalized = {};
+    Object.keys(filters).sort().forEach(key => {
+        const value = filters[key];
+        if (value === undefined || value === null || value === '') return;
+        normalized[key] = String(value);
+    });
+    return normalized;
+}
+
+function describeFilterSet(filters) {
+    return Object.entries(normalizeFilterSet(filters))
+        .map(([key, value]) => `${key}: ${value}`)
+        .join('\n');
+}
+
+function applyFilterSet(filters) {
+    const defaults = defaultFilters();
+    state.filters = {
+        search: filters.search || '',
+        type: filters.type || '',
+        length: filters.length || '',
+        swipe: filters.swipe || '',
+        tags: filters.tag ? filters.tag.split(',').filter(t => t) : [],
+        tagSource: filters.tagSource || '',
+        minConfidence: filters.minConfidence || '',
+        excludeRetweets: filters.excludeRetweets !== undefined ? String(filters.excludeRetweets) === 'true' : defaults.excludeRetweets,
+        excludeReplies: filters.excludeReplies !== undefined ? String(filters.excludeReplies) === 'true' : defaults.excludeReplies,
+        excludeThreads: filters.excludeThreads !== undefined ? String(filters.excludeThreads) === 'true' : defaults.excludeThreads
+    };
+    state.sort = { by: filters.sort || 'created_at', order: filters.order || 'desc' };
+    state.pagination.page = 1;
+
+    syncFilterControls();
+    fetchTweets();
+    renderTags();
+}
+
+// Reflect state.filters and state.sort in the sidebar and top bar controls
+function syncFilterControls() {
+    elements.searchInput.value = state.filters.search;
+    elements.filterType.value = state.filters.type;
+    elements.filterLength.value = state.filters.length;
+    elements.filterSwipe.value = state.filters.swipe;
+    elements.filterTagSource.value = state.filters.tagSource;
+    elements.filterMinConfidence.value = state.filters.minConfidence;
+    elements.excludeRetweets.checked = state.filters.excludeRetweets;
+    elements.excludeReplies.checked = state.filters.excludeReplies;
+    elements.excludeThreads.checked = state.filters.excludeThreads;
+    elements.sortBy.value = state.sort.by;
+    elements.sortOrder.textContent = state.sort.order === 'desc' ? '↓' : '↑';
+}
+
 function updatePaginationUI() {
     const { page, total, totalPages } = state.pagination;
 
@@ -499,7 +791,8 @@ function updatePaginationUI() {
     updateExportUrls();
 }
 
-function updateExportUrls() {
+// Current filters as export query params (also sent with background export jobs)
+function exportParams() {
     const params = new URLSearchParams();
 
     // quality removed
@@ -507,11 +800,15 @@ function updateExportUrls() {
     if (state.filters.type) params.set('type', state.filters.type);
     if (state.filters.length) params.set('length', state.filters.length);
     if (state.filters.tags.length > 0) params.set('tag', state.filters.tags.join(','));
+    if (state.account) params.set('account', state.account);
     params.set('excludeRetweets', state.filters.excludeRetweets);
     params.set('excludeReplies', state.filters.excludeReplies);
     params.set('excludeThreads', state.filters.excludeThreads);
+    return params;
+}
 
-    const queryString = params.toString();
+function updateExportUrls() {
+    const queryString = exportParams().toString();
 
     const csvLink = document.getElementById('exportCSV');
     const jsonLink = document.getElementById('exportJSON');
@@ -559,7 +856,7 @@ async function openTweetModal(tweetId) {
 
             quotedHtml = `
                 <div class="quoted-tweet">
-                    <div class="quoted-user">@tyleralterman</div>
+                    <div class="quoted-user">${quotedHandle(tweet)}</div>
                     <div class="quoted-text">${linkify(tweet.quoted_text)}</div>
                     ${quotedMedia}
                 </div>
@@ -591,6 +888,7 @@ async function openTweetModal(tweetId) {
                 <span>📅 ${date}</span>
             </div>
             ${tweet.tweet_url ? `<a href="${tweet.tweet_url}" target="_blank" class="modal-link">View on X →</a>` : ''}
+            <button id="moreLikeThisBtn" class="more-like-this-btn">🧭 More like this</button>
         </div>
         
         <div class="modal-section">
@@ -643,12 +941,7 @@ async function openTweetModal(tweetId) {
         <div class="modal-section">
             <h4>Tags</h4>
             <div class="modal-tags" id="modalTags">
-                ${(tweet.tags || []).map(tag => `
-                    <span class="modal-tag" style="border-color: ${tag.color || '#30363d'}">
-                        ${tag.name}
-                        <span class="remove-tag" data-tag="${tag.name}">×</span>
-                    </span>
-                `).join('')}
+                ${(tweet.tags || []).map(modalTagHtml).join('')}
             </div>
             <div class="add-tag-container">
                 <div class="add-tag-input">
@@ -756,6 +1049,11 @@ async function openTweetModal(tweetId) {
         setTimeout(() => btn.textContent = 'Save', 1500);
     });
 
+    // More like this
+    document.getElementById('moreLikeThisBtn').addEventListener('click', () => {
+        showSimilarTweets(tweet.id);
+    });
+
     // Save Notes
     document.getElementById('saveNotes').addEventListener('click', async () => {
         const value = document.getElementById('notesInput').value;
@@ -790,7 +1088,11 @@ async function openTweetModal(tweetId) {
             return;
         }
 
-        const matches = state.allTags.filter(t => t.name.includes(query)).slice(0, 10);
+        // An alias suggests the tag it stands for
+        const matches = state.allTags.map(t => ({
+            ...t,
+            matchedAlias: t.name.includes(query) ? null : t.aliases.find(alias => alias.includes(query))
+        })).filter(t => t.name.includes(query) || t.matchedAlias).slice(0, 10);
         if (matches.length === 0) {
             suggestionsEl.classList.remove('visible');
             return;
@@ -798,7 +1100,7 @@ async function openTweetModal(tweetId) {
 
         suggestionsEl.innerHTML = matches.map(t => `
             <div class="tag-suggestion" data-tag="${t.name}" data-category="${t.category}">
-                ${t.name}
+                ${t.matchedAlias ? `${escapeHtml(t.matchedAlias)} → ` : ''}${t.name}
                 <span class="tag-category">${t.category}</span>
             </div>
         `).join('');
@@ -864,6 +1166,43 @@ async function openTweetModal(tweetId) {
     });
 
     elements.modal.classList.add('active');
+
+    // The directory list doesn't carry tag provenance - fetch it for the badges
+    try {
+        const response = await fetch(`/api/tweets/${tweet.id}`);
+        const detail = await response.json();
+        const tagsContainer = document.getElementById('modalTags');
+        if (response.ok && tagsContainer && state.selectedTweet === tweet) {
+            tagsContainer.innerHTML = detail.tags.map(modalTagHtml).join('');
+        }
+    } catch (err) {
+        console.error('Error fetching tag provenance:', err);
+    }
+}
+
+const TAG_SOURCE_LABELS = { ai: '🤖 AI', auto: '⚙️ Rules', manual: '✋' };
+
+// A tag chip in the modal, with a badge and tooltip saying where it came from
+function modalTagHtml(tag) {
+    const details = [];
+    if (tag.tagger) details.push(`Tagger: ${tag.tagger}`);
+    if (tag.model) details.push(`Model: ${tag.model}`);
+    if (tag.tagger_version) details.push(`Version: ${tag.tagger_version}`);
+    if (tag.confidence !== null && tag.confidence !== undefined) {
+        details.push(`Confidence: ${Math.round(tag.confidence * 100)}%`);
+    }
+    if (tag.tagged_at) details.push(`Tagged: ${tag.tagged_at}`);
+
+    const badge = tag.source ? `
+        <span class="tag-provenance ${tag.source}">${TAG_SOURCE_LABELS[tag.source] || tag.source}${tag.source !== 'manual' && tag.confidence !== null
+            ? ` ${Math.round(tag.confidence * 100)}%` : ''}</span>` : '';
+
+    return `
+        <span class="modal-tag" style="border-color: ${tag.color || '#30363d'}" title="${escapeHtml(details.join('\n'))}">
+            ${tag.name}${badge}
+            <span class="remove-tag" data-tag="${tag.name}">×</span>
+        </span>
+    `;
 }
 
 function closeModal() {
@@ -909,6 +1248,18 @@ function setupEventHandlers() {
         fetchTweets();
     });
 
+    elements.filterTagSource.addEventListener('change', () => {
+        state.filters.tagSource = elements.filterTagSource.value;
+        state.pagination.page = 1;
+        fetchTweets();
+    });
+
+    elements.filterMinConfidence.addEventListener('change', () => {
+        state.filters.minConfidence = elements.filterMinConfidence.value;
+        state.pagination.page = 1;
+        fetchTweets();
+    });
+
     elements.excludeRetweets.addEventListener('change', () => {
         state.filters.excludeRetweets = elements.excludeRetweets.checked;
         state.pagination.page = 1;
@@ -956,33 +1307,43 @@ function setupEventHandlers() {
 
     // Clear filters
     elements.clearFilters.addEventListener('click', () => {
-        state.filters = {
-            search: '',
-            type: '',
-            length: '',
-            // quality: '', REMOVED
-            swipe: '',
-            tag: '',
-            excludeRetweets: true,
-            excludeReplies: true,
-            excludeThreads: true
-        };
+        state.filters = defaultFilters();
         state.pagination.page = 1;
 
         // Reset UI
-        elements.searchInput.value = '';
-        elements.filterType.value = '';
-        elements.filterLength.value = '';
-        // elements.filterQuality.value = ''; REMOVED
-        elements.filterSwipe.value = '';
-        elements.excludeRetweets.checked = true;
-        elements.excludeReplies.checked = true;
-        elements.excludeThreads.checked = true;
+        syncFilterControls();
 
         fetchTweets();
         renderTags();
     });
 
+    // Saved searches
+    if (elements.saveSearchBtn) {
+        elements.saveSearchBtn.addEventListener('click', saveCurrentSearch);
+        elements.savedSearchName.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') saveCurrentSearch();
+        });
+    }
+
+    // Swipes and tagging in other tabs change collection counts
+    window.addEventListener('focus', () => {
+        fetchSavedSearches();
+    });
+
+    // Account switcher
+    if (elements.accountSwitcher) {
+        elements.accountSwitcher.addEventListener('change', () => {
+            selectAccount(elements.accountSwitcher.value);
+            state.filters.tags = [];
+            state.pagination.page = 1;
+            renderAccounts();
+            fetchTweets();
+            fetchTags();
+            fetchStats();
+            fetchSavedSearches();
+        });
+    }
+
     // Modal
     elements.modalClose.addEventListener('click', closeModal);
     elements.modal.addEventListener('click', (e) => {
@@ -1003,7 +1364,10 @@ function setupEventHandlers() {
 
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape') closeModal();
+        if (e.key === 'Escape') {
+            closeModal();
+            closeTagManager();
+        }
     });
 }
 
@@ -1025,6 +1389,11 @@ function linkify(text) {
     return escaped.replace(/(https?:\/\/[^\s]+)/g, '<a href="$1" target="_blank" class="text-link" onclick="event.stopPropagation()">$1</a>');
 }
 
+// Handle shown on self-quotes (tweets quoting another tweet in the archive)
+function quotedHandle(tweet) {
+    return tweet.quoted_username ? `@${escapeHtml(tweet.quoted_username)}` : 'Quoted Tweet';
+}
+
 function formatNumber(num) {
     if (num >= 1000000) return (num / 1000000).toFixed(1) + 'M';
     if (num >= 1000) return (num / 1000).toFixed(1) + 'K';
@@ -1042,6 +1411,8 @@ const aiElements = {
     results: document.getElementById('aiSearchResults'),
     grid: document.getElementById('aiTweetGrid'),
     resultCount: document.getElementById('aiResultCount'),
+    title: document.getElementById('aiResultsTitle'),
+    mode: document.getElementById('aiSearchMode'),
     clearBtn: document.getElementById('clearAiSearch')
 };
 
@@ -1049,45 +1420,75 @@ async function performAiSearch() {
     const query = aiElements.input.value.trim();
     if (!query) return;
 
+    const mode = aiElements.mode ? aiElements.mode.value : 'plan';
     aiElements.button.disabled = true;
-    aiElements.status.textContent = '🔮 Analyzing your query...';
+    aiElements.status.textContent = mode === 'vector' ? '🧭 Finding tweets with similar meaning...' : '🔮 Analyzing your query...';
     aiElements.status.className = 'ai-search-status loading';
 
     try {
         const response = await fetch('/api/semantic-search', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ query })
+            body: JSON.stringify({ query, mode, account: state.account })
         });
 
+        const data = await response.json();
         if (!response.ok) {
-            throw new Error('Search failed');
+            throw new Error(data.error || 'Search failed');
         }
 
-        const data = await response.json();
-
-        // Show results
-        aiElements.results.style.display = 'block';
-        aiElements.resultCount.textContent = `${data.count} tweets found`;
-        aiElements.status.textContent = '';
+        renderAiResults(data, mode === 'vector' ? '🧭 Closest Matches' : '🔮 AI Search Results');
+    } catch (err) {
+        aiElements.status.textContent = '❌ ' + err.message;
+        aiElements.status.className = 'ai-search-status error';
+    } finally {
+        aiElements.button.disabled = false;
+    }
+}
 
-        // Render tweets
-        if (data.tweets.length === 0) {
-            aiElements.grid.innerHTML = '<div class="empty-state"><p>No tweets match your query</p></div>';
-        } else {
-            aiElements.grid.innerHTML = data.tweets.map(tweet => createTweetCardHtml(tweet)).join('');
+// "More like this" from the tweet modal - nearest neighbours by embedding
+async function showSimilarTweets(tweetId) {
+    closeModal();
+    aiElements.status.textContent = '🧭 Finding similar tweets...';
+    aiElements.status.className = 'ai-search-status loading';
 
-            // Add click handlers
-            aiElements.grid.querySelectorAll('.tweet-card').forEach(card => {
-                card.addEventListener('click', () => openTweetModal(card.dataset.id));
-            });
+    try {
+        const params = new URLSearchParams({ account: state.account });
+        const response = await fetch(`/api/tweets/${tweetId}/similar?${params}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Could not find similar tweets');
         }
 
+        renderAiResults(data, '🧭 More Like This');
+        aiElements.results.scrollIntoView({ behavior: 'smooth' });
     } catch (err) {
         aiElements.status.textContent = '❌ ' + err.message;
         aiElements.status.className = 'ai-search-status error';
-    } finally {
-        aiElements.button.disabled = false;
+    }
+}
+
+function renderAiResults(data, title) {
+    aiElements.results.style.display = 'block';
+    if (aiElements.title) aiElements.title.textContent = title;
+    aiElements.resultCount.textContent = `${data.count} tweets found`;
+    aiElements.status.textContent = !data.missingEmbeddings
+        ? ''
+        : data.embedJobId
+            ? `⏳ ${formatNumber(data.missingEmbeddings)} tweets are still being embedded in the background - try again shortly for complete results`
+            : `⚠️ ${formatNumber(data.missingEmbeddings)} tweets have no embedding yet (run npm run embed)`;
+    aiElements.status.className = 'ai-search-status';
+
+    // Render tweets
+    if (data.tweets.length === 0) {
+        aiElements.grid.innerHTML = '<div class="empty-state"><p>No tweets match your query</p></div>';
+    } else {
+        aiElements.grid.innerHTML = data.tweets.map(tweet => createTweetCardHtml(tweet)).join('');
+
+        // Add click handlers
+        aiElements.grid.querySelectorAll('.tweet-card').forEach(card => {
+            card.addEventListener('click', () => openTweetModal(card.dataset.id));
+        });
     }
 }
 
@@ -1100,8 +1501,8 @@ function clearAiSearch() {
 
 function createTweetCardHtml(tweet) {
     const date = new Date(tweet.created_at).toLocaleDateString();
-    const swipeBadge = tweet.swipe_status === 'superliked' ? '⭐' :
-        tweet.swipe_status === 'liked' ? '❤️' : '';
+    const swipeBadge = tweet.swipe_status === 'superlike' ? '⭐' :
+        tweet.swipe_status === 'like' ? '❤️' : '';
 
     const tagsHtml = (tweet.tags || []).slice(0, 4).map(tag =>
         `<span class="tweet-tag ${tag.category}">${tag.name}</span>`
@@ -1111,6 +1512,7 @@ function createTweetCardHtml(tweet) {
         <div class="tweet-card ${tweet.swipe_status || ''}" data-id="${tweet.id}">
             <div class="tweet-header">
                 <span class="tweet-date">${date}</span>
+                ${tweet.score !== undefined ? `<span class="similarity-score" title="Similarity">${Math.round(tweet.score * 100)}%</span>` : ''}
                 <span class="swipe-badge">${swipeBadge}</span>
             </div>
             <div class="tweet-text">${linkify(tweet.full_text)}</div>
@@ -1142,6 +1544,607 @@ function setupAiSearchHandlers() {
     }
 }
 
+// ============================================
+// Background Jobs
+// ============================================
+
+const JOB_LABELS = {
+    import: '📥 Import',
+    auto_tag: '🏷️ Heuristic tagging',
+    llm_tag: '🤖 LLM tagging',
+    train_classifier: '🧠 Local classifiers',
+    embed: '🧭 Embeddings',
+    export: '📤 Export',
+    fetch_quotes: '💬 Quoted tweets'
+};
+
+const jobElements = {
+    list: document.getElementById('jobList'),
+    status: document.getElementById('jobStatus'),
+    type: document.getElementById('jobType'),
+    startBtn: document.getElementById('startJobBtn'),
+    suggest: document.getElementById('jobSuggest'),
+    suggestOption: document.getElementById('jobSuggestOption'),
+    incremental: document.getElementById('jobIncremental'),
+    dryRun: document.getElementById('jobDryRun'),
+    dryRunOption: document.getElementById('jobDryRunOption'),
+    autoTagOptions: document.querySelectorAll('.auto-tag-option')
+};
+
+const jobState = {
+    jobs: [],
+    pollTimer: null,
+    openLogs: new Map(), // job id -> log text
+    watchers: new Map()  // job id -> resolve(job) once it finishes
+};
+
+function isJobActive(job) {
+    return job.status === 'queued' || job.status === 'running';
+}
+
+async function fetchJobs() {
+    try {
+        const response = await fetch('/api/jobs?limit=10');
+        jobState.jobs = await response.json();
+
+        // Refresh the logs that are expanded
+        await Promise.all([...jobState.openLogs.keys()].map(async id => {
+            const job = await fetch(`/api/jobs/${id}`).then(r => r.json());
+            jobState.openLogs.set(id, (job.logs || []).map(l => l.message).join('\n'));
+        }));
+
+        renderJobs();
+
+        jobState.jobs.forEach(job => {
+            const resolve = jobState.watchers.get(job.id);
+            if (resolve && !isJobActive(job)) {
+                jobState.watchers.delete(job.id);
+                resolve(job);
+            }
+        });
+    } catch (err) {
+        console.error('Error fetching jobs:', err);
+    }
+
+    // Keep polling while anything is queued or running
+    clearTimeout(jobState.pollTimer);
+    if (jobState.jobs.some(isJobActive) || jobState.watchers.size > 0) {
+        jobState.pollTimer = setTimeout(fetchJobs, 2000);
+    }
+}
+
+// Resolves with the job once it has completed, failed or been cancelled
+function waitForJob(jobId) {
+    return new Promise(resolve => {
+        jobState.watchers.set(jobId, resolve);
+        fetchJobs();
+    });
+}
+
+function renderJobs() {
+    if (!jobElements.list) return;
+
+    if (jobState.jobs.length === 0) {
+        jobElements.list.innerHTML = '<span class="no-tags">No jobs yet</span>';
+        return;
+    }
+
+    jobElements.list.innerHTML = jobState.jobs.map(job => {
+        const message = job.status === 'failed' ? job.error : job.message;
+        const showProgress = job.status === 'running' && job.percent !== null;
+        return `
+            <div class="job-item job-${job.status}" data-id="${job.id}">
+                <div class="job-header">
+                    <span>${JOB_LABELS[job.type] || escapeHtml(job.type)} #${job.id}</span>
+                    <span class="job-state">${job.status}${showProgress ? ` ${job.percent}%` : ''}</span>
+                </div>
+                ${showProgress ? `<div class="job-progress"><div class="job-progress-bar" style="width: ${job.percent}%"></div></div>` : ''}
+                ${message ? `<div class="job-message" title="${escapeHtml(message)}">${escapeHtml(message)}</div>` : ''}
+                <div class="job-buttons">
+                    ${isJobActive(job) ? `<button data-action="cancel" data-id="${job.id}">Cancel</button>` : ''}
+                    ${job.status === 'failed' || job.status === 'cancelled' ? `<button data-action="retry" data-id="${job.id}">Retry</button>` : ''}
+                    ${job.type === 'export' && job.status === 'completed' ? `<a href="/api/jobs/${job.id}/download">⬇ Download</a>` : ''}
+                    <button data-action="log" data-id="${job.id}">${jobState.openLogs.has(job.id) ? 'Hide log' : 'Log'}</button>
+                </div>
+                ${jobState.openLogs.has(job.id) ? `<pre class="job-log">${escapeHtml(jobState.openLogs.get(job.id))}</pre>` : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+function showJobStatus(message, isError = false) {
+    if (!jobElements.status) return;
+    jobElements.status.textContent = message;
+    jobElements.status.className = `import-status ${isError ? 'error' : 'success'}`;
+}
+
+async function startJob(type, params = {}) {
+    try {
+        const response = await fetch('/api/jobs', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ type, params })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'Could not start job');
+        }
+        showJobStatus(`✓ ${JOB_LABELS[type] || type} queued (#${result.id})`);
+        fetchJobs();
+        return result;
+    } catch (err) {
+        showJobStatus(`✗ ${err.message}`, true);
+        return null;
+    }
+}
+
+async function jobAction(jobId, action) {
+    if (action === 'log') {
+        if (jobState.openLogs.has(jobId)) {
+            jobState.openLogs.delete(jobId);
+            renderJobs();
+        } else {
+            jobState.openLogs.set(jobId, 'Loading...');
+            fetchJobs();
+        }
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/jobs/${jobId}/${action}`, { method: 'POST' });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `Could not ${action} job`);
+        }
+        showJobStatus(action === 'cancel' ? `Cancelling job #${jobId}...` : `✓ Job #${jobId} requeued`);
+        fetchJobs();
+    } catch (err) {
+        showJobStatus(`✗ ${err.message}`, true);
+    }
+}
+
+function setupJobHandlers() {
+    if (!jobElements.list) return;
+
+    jobElements.startBtn.addEventListener('click', () => {
+        const type = jobElements.type.value;
+        const params = type === 'fetch_quotes'
+            ? { account: state.account }
+            : { suggest: jobElements.suggest.checked };
+        if (type === 'auto_tag') {
+            params.incremental = jobElements.incremental.checked;
+        }
+        if (type === 'auto_tag' || type === 'train_classifier') {
+            params.dryRun = jobElements.dryRun.checked;
+        }
+        startJob(type, params);
+    });
+
+    // Only the tagging jobs can send their tags to the review queue, only
+    // heuristic tagging has an incremental mode, and the LLM can't dry-run
+    jobElements.type.addEventListener('change', () => {
+        const type = jobElements.type.value;
+        jobElements.suggestOption.style.display = type === 'fetch_quotes' || type === 'embed' ? 'none' : '';
+        jobElements.autoTagOptions.forEach(el => {
+            el.style.display = type === 'auto_tag' ? '' : 'none';
+        });
+        jobElements.dryRunOption.style.display = type === 'auto_tag' || type === 'train_classifier' ? '' : 'none';
+    });
+
+    jobElements.list.addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-action]');
+        if (btn) jobAction(parseInt(btn.dataset.id), btn.dataset.action);
+    });
+
+    document.querySelectorAll('.export-job-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            startJob('export', {
+                format: btn.dataset.format,
+                filters: Object.fromEntries(exportParams())
+            });
+        });
+    });
+}
+
+// ============================================
+// Tag Manager
+// ============================================
+
+const TAG_CATEGORIES = ['topic', 'pattern', 'use', 'custom'];
+
+const tagManagerElements = {
+    link: document.getElementById('manageTagsLink'),
+    modal: document.getElementById('tagManagerModal'),
+    close: document.getElementById('tagManagerClose'),
+    search: document.getElementById('tagManagerSearch'),
+    cleanupBtn: document.getElementById('cleanupTagsBtn'),
+    status: document.getElementById('tagManagerStatus'),
+    list: document.getElementById('tagManagerList')
+};
+
+// Every tag with its count across all accounts
+let managedTags = [];
+
+function showTagManagerStatus(message, isError = false) {
+    tagManagerElements.status.textContent = message;
+    tagManagerElements.status.className = `import-status ${isError ? 'error' : 'success'}`;
+}
+
+async function loadTagManager() {
+    try {
+        const response = await fetch('/api/tags');
+        const grouped = await response.json();
+        managedTags = TAG_CATEGORIES.flatMap(category => grouped[category] || []);
+        renderTagManager();
+    } catch (err) {
+        showTagManagerStatus(`✗ Could not load tags: ${err.message}`, true);
+    }
+}
+
+function renderTagManager() {
+    const filter = tagManagerElements.search.value.trim().toLowerCase();
+    const tags = managedTags.filter(tag => !filter || tag.name.includes(filter) || tag.aliases.some(a => a.includes(filter)));
+    if (tags.length === 0) {
+        tagManagerElements.list.innerHTML = '<span class="no-tags">No tags</span>';
+        return;
+    }
+
+    const mergeOptions = managedTags
+        .map(tag => `<option value="${tag.id}">${escapeHtml(tag.name)}</option>`).join('');
+    const parentOptions = (tag) => managedTags.filter(t => t.id !== tag.id)
+        .map(t => `<option value="${t.id}" ${t.id === tag.parent_id ? 'selected' : ''}>${escapeHtml(t.name)}</option>`).join('');
+    tagManagerElements.list.innerHTML = tags.map(tag => `
+        <div class="tag-manager-row" data-id="${tag.id}">
+            <input type="color" class="tag-manager-color" value="${tag.color || '#8e44ad'}" title="Color">
+            <input type="text" class="tag-manager-name" value="${escapeHtml(tag.name)}" title="Rename (Enter to save)">
+            <select class="tag-manager-category" title="Category">
+                ${TAG_CATEGORIES.map(c => `<option value="${c}" ${c === tag.category ? 'selected' : ''}>${c}</option>`).join('')}
+            </select>
+            <select class="tag-manager-parent" title="Parent tag - filtering by the parent includes this tag">
+                <option value="">No parent</option>
+                ${parentOptions(tag)}
+            </select>
+            <input type="text" class="tag-manager-aliases" value="${escapeHtml(tag.aliases.join(', '))}"
+                   placeholder="Aliases" title="Other names for this tag, comma separated (Enter to save)">
+            <span class="count" title="Tweets with this tag">${formatNumber(tag.tweet_count)}</span>
+            <select class="tag-manager-merge" title="Move all its tweets onto another tag, then delete it">
+                <option value="">Merge into…</option>
+                ${mergeOptions.replace(`<option value="${tag.id}">`, `<option value="${tag.id}" disabled>`)}
+            </select>
+            <button class="tag-manager-delete" title="Delete from every tweet">🗑️</button>
+        </div>
+    `).join('');
+}
+
+// Keep the directory's tag filter pointing at tags that still exist
+function renameFilterTag(oldName, newName) {
+    const renamed = state.filters.tags.map(name => name === oldName ? newName : name).filter(Boolean);
+    state.filters.tags = [...new Set(renamed)];
+}
+
+// Tag names show up in the sidebar, the grid and smart collections
+function refreshAfterTagChange() {
+    fetchTags();
+    fetchTweets();
+    fetchSavedSearches();
+    loadTagManager();
+}
+
+async function tagRequest(url, options) {
+    const response = await fetch(url, {
+        headers: { 'Content-Type': 'application/json' },
+        ...options
+    });
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || 'Request failed');
+    return result;
+}
+
+async function editTag(id, updates) {
+    const tag = managedTags.find(t => t.id === id);
+    try {
+        const updated = await tagRequest(`/api/tags/${id}`, { method: 'PATCH', body: JSON.stringify(updates) });
+        if (updated.name !== tag.name) renameFilterTag(tag.name, updated.name);
+        showTagManagerStatus(`✓ Saved "${updated.name}"`);
+        refreshAfterTagChange();
+    } catch (err) {
+        showTagManagerStatus(`✗ ${err.message}`, true);
+        renderTagManager(); // Put the old values back
+    }
+}
+
+async function mergeTag(sourceId, targetId) {
+    const source = managedTags.find(t => t.id === sourceId);
+    const target = managedTags.find(t => t.id === targetId);
+    if (!confirm(`Merge "${source.name}" (${source.tweet_count} tweets) into "${target.name}"? "${source.name}" will be deleted.`)) {
+        renderTagManager();
+        return;
+    }
+    try {
+        const result = await tagRequest('/api/tags/merge', { method: 'POST', body: JSON.stringify({ sourceId, targetId }) });
+        renameFilterTag(source.name, target.name);
+        showTagManagerStatus(`✓ Merged "${source.name}" into "${target.name}" (${result.tag.tweet_count} tweets)`);
+        refreshAfterTagChange();
+    } catch (err) {
+        showTagManagerStatus(`✗ ${err.message}`, true);
+    }
+}
+
+async function deleteTagById(id) {
+    const tag = managedTags.find(t => t.id === id);
+    if (!confirm(`Delete "${tag.name}" from ${tag.tweet_count} tweets? Its suggestions and heuristic rule go too.`)) return;
+    try {
+        await tagRequest(`/api/tags/${id}`, { method: 'DELETE' });
+        renameFilterTag(tag.name, null);
+        showTagManagerStatus(`✓ Deleted "${tag.name}"`);
+        refreshAfterTagChange();
+    } catch (err) {
+        showTagManagerStatus(`✗ ${err.message}`, true);
+    }
+}
+
+// Show what would go, then delete it
+async function cleanupTags() {
+    try {
+        const preview = await tagRequest('/api/tags/cleanup', { method: 'POST', body: JSON.stringify({ dryRun: true }) });
+        if (preview.deleted.length === 0) {
+            showTagManagerStatus('✓ Every tag is in use');
+            return;
+        }
+        const names = preview.deleted.map(t => t.name).join(', ');
+        if (!confirm(`Delete ${preview.deleted.length} unused tags?\n\n${names}`)) return;
+
+        const result = await tagRequest('/api/tags/cleanup', { method: 'POST', body: JSON.stringify({}) });
+        result.deleted.forEach(t => renameFilterTag(t.name, null));
+        showTagManagerStatus(`✓ Deleted ${result.deleted.length} unused tags`);
+        refreshAfterTagChange();
+    } catch (err) {
+        showTagManagerStatus(`✗ ${err.message}`, true);
+    }
+}
+
+function closeTagManager() {
+    tagManagerElements.modal.classList.remove('active');
+}
+
+function setupTagManagerHandlers() {
+    if (!tagManagerElements.link) return;
+
+    tagManagerElements.link.addEventListener('click', (e) => {
+        e.preventDefault();
+        tagManagerElements.status.textContent = '';
+        tagManagerElements.modal.classList.add('active');
+        loadTagManager();
+    });
+    tagManagerElements.close.addEventListener('click', closeTagManager);
+    tagManagerElements.modal.addEventListener('click', (e) => {
+        if (e.target === tagManagerElements.modal) closeTagManager();
+    });
+    tagManagerElements.search.addEventListener('input', renderTagManager);
+    tagManagerElements.cleanupBtn.addEventListener('click', cleanupTags);
+
+    // Selects and colors save on change; names and aliases on Enter or leaving the field
+    tagManagerElements.list.addEventListener('change', (e) => {
+        const row = e.target.closest('.tag-manager-row');
+        if (!row) return;
+        const id = parseInt(row.dataset.id);
+        const tag = managedTags.find(t => t.id === id);
+
+        if (e.target.classList.contains('tag-manager-color')) {
+            editTag(id, { color: e.target.value });
+        } else if (e.target.classList.contains('tag-manager-category')) {
+            editTag(id, { category: e.target.value });
+        } else if (e.target.classList.contains('tag-manager-parent')) {
+            editTag(id, { parentId: e.target.value ? parseInt(e.target.value) : null });
+        } else if (e.target.classList.contains('tag-manager-aliases') && e.target.value !== tag.aliases.join(', ')) {
+            editTag(id, { aliases: e.target.value });
+        } else if (e.target.classList.contains('tag-manager-merge') && e.target.value) {
+            mergeTag(id, parseInt(e.target.value));
+        } else if (e.target.classList.contains('tag-manager-name') && e.target.value.trim() !== tag.name) {
+            editTag(id, { name: e.target.value });
+        }
+    });
+    tagManagerElements.list.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && e.target.matches('.tag-manager-name, .tag-manager-aliases')) e.target.blur();
+    });
+    tagManagerElements.list.addEventListener('click', (e) => {
+        const btn = e.target.closest('.tag-manager-delete');
+        if (btn) deleteTagById(parseInt(btn.closest('.tag-manager-row').dataset.id));
+    });
+}
+
+// ============================================
+// Bulk Selection
+// ============================================
+
+const bulkElements = {
+    bar: document.getElementById('bulkBar'),
+    count: document.getElementById('bulkCount'),
+    selectAll: document.getElementById('bulkSelectAll'),
+    clear: document.getElementById('bulkClear'),
+    tagInput: document.getElementById('bulkTagInput'),
+    tagOptions: document.getElementById('bulkTagOptions'),
+    addTags: document.getElementById('bulkAddTags'),
+    removeTags: document.getElementById('bulkRemoveTags'),
+    swipe: document.getElementById('bulkSwipe'),
+    quality: document.getElementById('bulkQuality'),
+    status: document.getElementById('bulkStatus')
+};
+
+// What the grid is showing, minus sort and page - a new one drops the selection
+function selectionFilterKey() {
+    const { sort, order, ...filters } = currentFilterSet();
+    return JSON.stringify({ ...normalizeFilterSet(filters), account: state.account });
+}
+
+function resetSelectionIfFiltersChanged() {
+    const key = selectionFilterKey();
+    if (key !== state.selection.filterKey) {
+        state.selection = { ids: new Set(), allMatching: false, lastId: null, filterKey: key };
+    }
+}
+
+function hasSelection() {
+    return state.selection.allMatching || state.selection.ids.size > 0;
+}
+
+function isTweetSelected(id) {
+    return state.selection.allMatching || state.selection.ids.has(String(id));
+}
+
+function selectionCount() {
+    return state.selection.allMatching ? state.pagination.total : state.selection.ids.size;
+}
+
+// Unchecking one tweet of "all matching" narrows the selection to this page
+function leaveAllMatching() {
+    if (!state.selection.allMatching) return;
+    state.selection.allMatching = false;
+    state.selection.ids = new Set(state.tweets.map(t => String(t.id)));
+}
+
+function toggleTweetSelection(id) {
+    leaveAllMatching();
+    const { ids } = state.selection;
+    if (ids.has(id)) {
+        ids.delete(id);
+    } else {
+        ids.add(id);
+    }
+    state.selection.lastId = id;
+    renderTweets();
+    renderBulkBar();
+}
+
+// Shift-click: everything on this page between the last clicked tweet and this one
+function selectRange(id) {
+    leaveAllMatching();
+    const pageIds = state.tweets.map(t => String(t.id));
+    const from = pageIds.indexOf(state.selection.lastId);
+    const to = pageIds.indexOf(id);
+    if (from < 0) {
+        toggleTweetSelection(id);
+        return;
+    }
+    pageIds.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(tweetId => state.selection.ids.add(tweetId));
+    state.selection.lastId = id;
+    renderTweets();
+    renderBulkBar();
+}
+
+function clearSelection() {
+    state.selection.ids = new Set();
+    state.selection.allMatching = false;
+    state.selection.lastId = null;
+    renderTweets();
+    renderBulkBar();
+}
+
+function renderBulkBar() {
+    if (!bulkElements.bar) return;
+    bulkElements.bar.classList.toggle('active', hasSelection());
+    if (!hasSelection()) return;
+
+    const count = selectionCount();
+    bulkElements.count.textContent = state.selection.allMatching
+        ? `All ${formatNumber(count)} matching selected`
+        : `${formatNumber(count)} selected`;
+    bulkElements.selectAll.textContent = `Select all ${formatNumber(state.pagination.total)} matching`;
+    bulkElements.selectAll.disabled = state.selection.allMatching;
+    bulkElements.tagOptions.innerHTML = state.allTags
+        .map(tag => `<option value="${escapeHtml(tag.name)}">`).join('');
+}
+
+function showBulkStatus(message, isError = false) {
+    bulkElements.status.textContent = message;
+    bulkElements.status.className = `bulk-status ${isError ? 'error' : ''}`;
+}
+
+// The selection as the bulk endpoint takes it
+function bulkTarget() {
+    if (state.selection.allMatching) {
+        return { filters: { ...currentFilterSet(), account: state.account } };
+    }
+    return { ids: [...state.selection.ids] };
+}
+
+async function runBulkAction(action, options = {}) {
+    const count = selectionCount();
+    try {
+        const response = await fetch('/api/tweets/bulk', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...bulkTarget(), action, ...options })
+        });
+        if (action === 'export') {
+            if (!response.ok) throw new Error((await response.json()).error);
+            downloadBlob(await response.blob(), `tweets_selection.${options.format}`);
+            showBulkStatus(`✓ Exported ${formatNumber(count)} tweets`);
+            return;
+        }
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error);
+        showBulkStatus(`✓ Updated ${formatNumber(result.changed)} of ${formatNumber(result.matched)} tweets`);
+        fetchTweets();
+        fetchTags();
+        fetchStats();
+    } catch (err) {
+        showBulkStatus(`✗ ${err.message}`, true);
+    }
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+function bulkTagNames() {
+    return bulkElements.tagInput.value.split(',').map(t => t.trim()).filter(t => t);
+}
+
+function setupBulkHandlers() {
+    if (!bulkElements.bar) return;
+
+    bulkElements.selectAll.addEventListener('click', () => {
+        state.selection.allMatching = true;
+        renderTweets();
+        renderBulkBar();
+    });
+    bulkElements.clear.addEventListener('click', () => {
+        showBulkStatus('');
+        clearSelection();
+    });
+    bulkElements.addTags.addEventListener('click', () => {
+        const tags = bulkTagNames();
+        if (tags.length === 0) return showBulkStatus('✗ Enter one or more tags', true);
+        runBulkAction('add_tags', { tags });
+    });
+    bulkElements.removeTags.addEventListener('click', () => {
+        const tags = bulkTagNames();
+        if (tags.length === 0) return showBulkStatus('✗ Enter one or more tags', true);
+        runBulkAction('remove_tags', { tags });
+    });
+
+    // "none" clears the value; the selects reset so the same choice can be made again
+    bulkElements.swipe.addEventListener('change', () => {
+        const value = bulkElements.swipe.value;
+        bulkElements.swipe.value = '';
+        if (value) runBulkAction('set_swipe', { value: value === 'none' ? null : value });
+    });
+    bulkElements.quality.addEventListener('change', () => {
+        const value = bulkElements.quality.value;
+        bulkElements.quality.value = '';
+        if (value) runBulkAction('set_quality', { value: value === 'none' ? null : value });
+    });
+    bulkElements.bar.querySelectorAll('.bulk-export').forEach(btn => {
+        btn.addEventListener('click', () => runBulkAction('export', { format: btn.dataset.format }));
+    });
+}
+
 // ============================================
 // Initialize
 // ============================================
@@ -1151,12 +2154,18 @@ async function init() {
 
     setupEventHandlers();
     setupAiSearchHandlers();
+    setupJobHandlers();
+    setupTagManagerHandlers();
+    setupBulkHandlers();
 
     // Load data
     await Promise.all([
+        fetchAccounts(),
         fetchTweets(),
         fetchTags(),
-        fetchStats()
+        fetchStats(),
+        fetchSavedSearches(),
+        fetchJobs()
     ]);
 }
 
@@ -0,0 +1,170 @@
+/**
+ * Tweet Curator - This or That?
+ * Shows two superliked tweets side by side; each pick updates their Elo
+ * ratings (lib/pairwise.js) and the ranking in the sidebar.
+ */
+
+// State
+const state = {
+    pair: [],
+    account: localStorage.getItem('curatorAccount') || '', // Shared with the directory
+    busy: false
+};
+
+// DOM Elements
+const elements = {
+    pair: document.getElementById('comparePair'),
+    skipBtn: document.getElementById('skipBtn'),
+    status: document.getElementById('compareStatus'),
+    rankingSummary: document.getElementById('rankingSummary'),
+    rankingList: document.getElementById('rankingList')
+};
+
+const RANKING_LIMIT = 100;
+
+function escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function showStatus(message, isError = false) {
+    elements.status.textContent = message;
+    elements.status.className = `compare-status ${isError ? 'error' : ''}`;
+}
+
+// ============================================
+// Pair
+// ============================================
+
+async function loadPair() {
+    try {
+        const response = await fetch(`/api/compare/pair?${new URLSearchParams({ account: state.account })}`);
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Could not load a pair');
+        state.pair = result.pair;
+        renderPair(result.message);
+    } catch (err) {
+        console.error('Error loading pair:', err);
+        state.pair = [];
+        renderPair(err.message);
+    }
+}
+
+function renderPair(message) {
+    if (state.pair.length < 2) {
+        elements.pair.innerHTML = `<div class="compare-empty">${escapeHtml(message || 'Nothing to compare')}</div>`;
+        return;
+    }
+
+    elements.pair.innerHTML = state.pair.map((tweet, i) => {
+        const media = tweet.media_url && tweet.media_type !== 'video'
+            ? `<img src="${escapeHtml(tweet.media_url)}" class="compare-media" alt="Tweet media" loading="lazy">`
+            : '';
+        const quoted = tweet.quoted_text
+            ? `<div class="compare-quote">${tweet.quoted_username ? `@${escapeHtml(tweet.quoted_username)}: ` : ''}${escapeHtml(tweet.quoted_text)}</div>`
+            : '';
+        const date = new Date(tweet.created_at).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+        const rating = tweet.rating === null ? 'unrated' : `${Math.round(tweet.rating)} · ${tweet.wins}/${tweet.comparisons}`;
+        return `
+            <button class="compare-card" data-index="${i}" title="${i === 0 ? 'Pick this one (←)' : 'Pick this one (→)'}">
+                <div class="compare-text">${escapeHtml(tweet.full_text)}</div>
+                ${media}
+                ${quoted}
+                <div class="compare-meta">
+                    <span>${date}</span>
+                    <span>❤️ ${tweet.favorite_count || 0}</span>
+                    <span class="compare-rating">${rating}</span>
+                </div>
+            </button>
+        `;
+    }).join('');
+}
+
+async function choose(index) {
+    if (state.busy || state.pair.length < 2) return;
+    const winner = state.pair[index];
+    const loser = state.pair[1 - index];
+    state.busy = true;
+
+    try {
+        const response = await fetch('/api/compare', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ winnerId: winner.id, loserId: loser.id })
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Could not save the choice');
+
+        const gain = result.winner.rating - (winner.rating ?? result.winner.rating);
+        showStatus(gain > 0 ? `✓ Saved (+${gain.toFixed(1)})` : '✓ Saved');
+        await Promise.all([loadPair(), loadRanking()]);
+    } catch (err) {
+        showStatus(`✗ ${err.message}`, true);
+    } finally {
+        state.busy = false;
+    }
+}
+
+// ============================================
+// Ranking
+// ============================================
+
+async function loadRanking() {
+    try {
+        const params = new URLSearchParams({ account: state.account, limit: RANKING_LIMIT });
+        const response = await fetch(`/api/rankings?${params}`);
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Could not load the ranking');
+        renderRanking(result);
+    } catch (err) {
+        console.error('Error loading ranking:', err);
+        elements.rankingSummary.textContent = 'Could not load the ranking';
+    }
+}
+
+function renderRanking(result) {
+    elements.rankingSummary.textContent =
+        `${result.compared} of ${result.total} superlikes rated · ${result.comparisons} comparisons`;
+
+    elements.rankingList.innerHTML = result.tweets.map(tweet => `
+        <li class="ranking-item ${tweet.rating === null ? 'unrated' : ''}" title="${escapeHtml(tweet.full_text)}">
+            <span class="ranking-text">${escapeHtml(tweet.full_text)}</span>
+            <span class="ranking-rating">${tweet.rating === null ? '-' : Math.round(tweet.rating)}</span>
+        </li>
+    `).join('');
+}
+
+// ============================================
+// Init
+// ============================================
+
+function setupEventListeners() {
+    elements.pair.addEventListener('click', (e) => {
+        const card = e.target.closest('.compare-card');
+        if (card) choose(parseInt(card.dataset.index));
+    });
+    elements.skipBtn.addEventListener('click', loadPair);
+
+    document.addEventListener('keydown', (e) => {
+        if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+        if (e.key === 'ArrowLeft') {
+            e.preventDefault();
+            choose(0);
+        } else if (e.key === 'ArrowRight') {
+            e.preventDefault();
+            choose(1);
+        } else if (e.key === 's' || e.key === 'S' || e.key === 'ArrowDown') {
+            e.preventDefault();
+            if (!state.busy) loadPair();
+        }
+    });
+}
+
+async function init() {
+    setupEventListeners();
+    await Promise.all([loadPair(), loadRanking()]);
+}
+
+init();
@@ -0,0 +1,260 @@
+/**
+ * Tweet Curator - Tagging Rules Editor
+ * Edit the heuristic rules in tag_rules and preview, as you type, which
+ * tweets a rule would tag and how they score.
+ */
+
+// State
+const state = {
+    rules: [],
+    selectedId: null, // null while writing a new rule
+    account: localStorage.getItem('curatorAccount') || '', // Shared with the directory
+    previewTimer: null
+};
+
+// DOM Elements
+const elements = {
+    ruleList: document.getElementById('ruleList'),
+    ruleSearch: document.getElementById('ruleSearch'),
+    newRuleBtn: document.getElementById('newRuleBtn'),
+    form: document.getElementById('ruleForm'),
+    tag: document.getElementById('ruleTag'),
+    category: document.getElementById('ruleCategory'),
+    enabled: document.getElementById('ruleEnabled'),
+    strict: document.getElementById('ruleStrict'),
+    broad: document.getElementById('ruleBroad'),
+    negative: document.getElementById('ruleNegative'),
+    patterns: document.getElementById('rulePatterns'),
+    deleteBtn: document.getElementById('deleteRuleBtn'),
+    status: document.getElementById('ruleStatus'),
+    previewSummary: document.getElementById('previewSummary'),
+    previewList: document.getElementById('previewList')
+};
+
+function escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function showStatus(message, isError = false) {
+    elements.status.textContent = message;
+    elements.status.className = `rule-status ${isError ? 'error' : ''}`;
+}
+
+// ============================================
+// Rule List
+// ============================================
+
+async function loadRules() {
+    try {
+        const response = await fetch('/api/tag-rules');
+        state.rules = await response.json();
+        renderRuleList();
+    } catch (err) {
+        console.error('Error loading rules:', err);
+        elements.ruleList.innerHTML = '<span class="rules-hint">Could not load rules</span>';
+    }
+}
+
+function renderRuleList() {
+    const filter = elements.ruleSearch.value.trim().toLowerCase();
+    const rules = state.rules.filter(rule => !filter || rule.tag.includes(filter));
+
+    if (rules.length === 0) {
+        elements.ruleList.innerHTML = '<span class="rules-hint">No rules</span>';
+        return;
+    }
+
+    elements.ruleList.innerHTML = rules.map(rule => `
+        <div class="rule-item ${rule.id === state.selectedId ? 'active' : ''} ${rule.enabled ? '' : 'disabled'}" data-id="${rule.id}">
+            <span>${escapeHtml(rule.tag)}</span>
+            <span class="rule-item-category">${escapeHtml(rule.category)}</span>
+        </div>
+    `).join('');
+}
+
+function selectRule(id) {
+    const rule = state.rules.find(r => r.id === id);
+    if (!rule) return;
+
+    state.selectedId = id;
+    elements.tag.value = rule.tag;
+    elements.tag.disabled = true; // A rule belongs to its tag - rename tags in the directory
+    elements.category.value = rule.category;
+    elements.category.disabled = true;
+    elements.enabled.checked = rule.enabled;
+    elements.strict.value = rule.strict.join('\n');
+    elements.broad.value = rule.broad.join('\n');
+    elements.negative.value = rule.negative.join('\n');
+    elements.patterns.value = rule.patterns.join('\n');
+    elements.deleteBtn.style.display = '';
+    showStatus(`Last updated ${rule.updated_at}`);
+
+    renderRuleList();
+    runPreview();
+}
+
+function newRule() {
+    state.selectedId = null;
+    elements.form.reset();
+    elements.tag.disabled = false;
+    elements.category.disabled = false;
+    elements.deleteBtn.style.display = 'none';
+    showStatus('New rule');
+    renderRuleList();
+    renderPreview(null);
+    elements.tag.focus();
+}
+
+// ============================================
+// Editing
+// ============================================
+
+function formValues() {
+    return {
+        strict: elements.strict.value,
+        broad: elements.broad.value,
+        negative: elements.negative.value,
+        patterns: elements.patterns.value,
+        enabled: elements.enabled.checked
+    };
+}
+
+async function saveRule() {
+    const isNew = state.selectedId === null;
+    const body = isNew
+        ? { ...formValues(), tag: elements.tag.value, category: elements.category.value }
+        : formValues();
+
+    try {
+        const response = await fetch(isNew ? '/api/tag-rules' : `/api/tag-rules/${state.selectedId}`, {
+            method: isNew ? 'POST' : 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'Could not save rule');
+        }
+
+        await loadRules();
+        selectRule(result.id);
+        showStatus('✓ Saved - run heuristic tagging to apply');
+    } catch (err) {
+        showStatus(`✗ ${err.message}`, true);
+    }
+}
+
+async function deleteRule() {
+    const rule = state.rules.find(r => r.id === state.selectedId);
+    if (!rule || !confirm(`Delete the rule for "${rule.tag}"? Its tags are removed on the next full heuristic run.`)) return;
+
+    try {
+        const response = await fetch(`/api/tag-rules/${rule.id}`, { method: 'DELETE' });
+        if (!response.ok) {
+            const result = await response.json();
+            throw new Error(result.error || 'Could not delete rule');
+        }
+        await loadRules();
+        newRule();
+        showStatus(`✓ Deleted rule for "${rule.tag}"`);
+    } catch (err) {
+        showStatus(`✗ ${err.message}`, true);
+    }
+}
+
+// ============================================
+// Preview
+// ============================================
+
+// Re-run the preview shortly after the last keystroke
+function schedulePreview() {
+    clearTimeout(state.previewTimer);
+    state.previewTimer = setTimeout(runPreview, 400);
+}
+
+async function runPreview() {
+    const values = formValues();
+    if (!values.strict.trim() && !values.broad.trim() && !values.patterns.trim()) {
+        renderPreview(null);
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/tag-rules/preview', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...values, tagId: state.rules.find(r => r.id === state.selectedId)?.tag_id, account: state.account })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'Preview failed');
+        }
+        renderPreview(result);
+    } catch (err) {
+        elements.previewSummary.textContent = `✗ ${err.message}`;
+        elements.previewList.innerHTML = '';
+    }
+}
+
+function renderPreview(result) {
+    if (!result) {
+        elements.previewSummary.textContent = 'add terms or patterns to see matching tweets';
+        elements.previewList.innerHTML = '';
+        return;
+    }
+
+    const percent = result.scanned ? (result.total / result.scanned * 100).toFixed(1) : 0;
+    elements.previewSummary.textContent =
+        `${result.total.toLocaleString()} of ${result.scanned.toLocaleString()} tweets (${percent}%) · ${result.alreadyTagged.toLocaleString()} already tagged`;
+
+    elements.previewList.innerHTML = result.matches.map(match => `
+        <div class="preview-item">
+            <div>${escapeHtml(match.full_text)}</div>
+            <div class="preview-meta">
+                <span class="preview-score">${Math.round(match.confidence * 100)}%</span>
+                <span>score ${match.score}</span>
+                ${match.terms.map(term => `<span class="preview-term">${escapeHtml(term)}</span>`).join('')}
+                ${match.patterns.map(pattern => `<span class="preview-term">${escapeHtml(pattern)}</span>`).join('')}
+                <span>❤️ ${match.favorite_count || 0}</span>
+                ${match.has_tag ? '<span class="preview-tagged">✓ tagged</span>' : ''}
+            </div>
+        </div>
+    `).join('');
+}
+
+// ============================================
+// Init
+// ============================================
+
+function setupEventListeners() {
+    elements.ruleList.addEventListener('click', (e) => {
+        const item = e.target.closest('.rule-item');
+        if (item) selectRule(parseInt(item.dataset.id));
+    });
+    elements.ruleSearch.addEventListener('input', renderRuleList);
+    elements.newRuleBtn.addEventListener('click', newRule);
+    elements.deleteBtn.addEventListener('click', deleteRule);
+
+    elements.form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveRule();
+    });
+    [elements.strict, elements.broad, elements.negative, elements.patterns].forEach(el => {
+        el.addEventListener('input', schedulePreview);
+    });
+}
+
+async function init() {
+    setupEventListeners();
+    await loadRules();
+    if (state.rules.length > 0) {
+        selectRule(state.rules[0].id);
+    } else {
+        newRule();
+    }
+}
+
+init();
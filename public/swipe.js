@@ -1,14 +1,30 @@
 /**
  * Tweet Curator - Swipe Interface Logic
+ * swipe.html?mode=tags reuses the cards to review suggested tags:
+ * right accepts, left rejects, down skips.
+ * swipe.html?mode=due brings back review_later tweets whose review is due;
+ * Later puts them off again for a longer interval.
  */
 
+// 'swipe' rates tweets, 'tags' reviews tag suggestions, 'due' re-rates review_later tweets
+const MODE = (mode => ['tags', 'due'].includes(mode) ? mode : 'swipe')(
+    new URLSearchParams(window.location.search).get('mode'));
+
 // State
 const state = {
     queue: [],
-    history: [],
+    history: [], // Undo stack, oldest first; swipes come from /api/swipe/history so it survives a reload
     loading: false,
-    stats: { total: 0, remaining: 0, today: 0 },
-    currentCard: null
+    stats: { total: 0, remaining: 0, today: 0, due: 0 }, // total: the strategy's whole pool, swiped or not
+    nextReviewAt: null, // When the next review_later tweet comes due
+    accounts: [],
+    account: localStorage.getItem('curatorAccount') || '', // Shared with the directory
+    // Queue order, see lib/swipe_queue.js ('' = most liked; swipeQueueOrder held 'quality' before strategies)
+    strategy: localStorage.getItem('swipeStrategy') || localStorage.getItem('swipeQueueOrder') || '',
+    seed: localStorage.getItem('swipeSeed') || '', // Keeps the random order across reloads
+    filters: loadQueueFilters(), // Filter drawer, saved per device
+    currentCard: null,
+    skipped: 0 // Tag review: suggestions skipped this session stay pending, so page past them
 };
 
 // DOM Elements
@@ -21,7 +37,27 @@ const elements = {
     btnUndo: document.getElementById('btnUndo'),
     progressBar: document.getElementById('progressBar'),
     remainingCount: document.getElementById('remainingCount'),
-    todayCount: document.getElementById('todayCount')
+    todayCount: document.getElementById('todayCount'),
+    dueLink: document.getElementById('dueLink'),
+    dueCount: document.getElementById('dueCount'),
+    accountSwitcher: document.getElementById('accountSwitcher'),
+    queueStrategy: document.getElementById('queueStrategy'),
+    filterToggle: document.getElementById('filterToggle'),
+    filterDrawer: document.getElementById('filterDrawer'),
+    filterClose: document.getElementById('filterClose'),
+    filterTags: document.getElementById('filterTags'),
+    filterTagOptions: document.getElementById('filterTagOptions'),
+    filterTagMode: document.getElementById('filterTagMode'),
+    filterFrom: document.getElementById('filterFrom'),
+    filterTo: document.getElementById('filterTo'),
+    filterMinEngagement: document.getElementById('filterMinEngagement'),
+    filterMaxEngagement: document.getElementById('filterMaxEngagement'),
+    filterSearch: document.getElementById('filterSearch'),
+    filterStatus: document.getElementById('filterStatus'),
+    filterReset: document.getElementById('filterReset'),
+    filterApply: document.getElementById('filterApply'),
+    swipeTitle: document.getElementById('swipeTitle'),
+    shortcutsHint: document.getElementById('shortcutsHint')
 };
 
 // Config
@@ -33,9 +69,14 @@ const SWIPE_THRESHOLD = 120; // Increased from 80 for mobile - requires more int
 // ============================================
 
 async function init() {
+    if (MODE === 'tags') setupTagReviewMode();
+    if (MODE === 'due') setupDueReviewMode();
+    await fetchAccounts();
     await fetchStats();
+    await loadSwipeHistory();
     await loadMoreTweets();
     setupEventHandlers();
+    setupFilterDrawer();
     setupKeyboardShortcuts();
 
     // Load Twitter Widgets
@@ -52,27 +93,79 @@ async function init() {
 // ============================================
 
 async function fetchStats() {
+    if (MODE === 'tags') {
+        // "Today" counts this session's reviews; remaining comes with each batch
+        updateStatsUI();
+        return;
+    }
     try {
         const [queueRes, sessionRes] = await Promise.all([
-            fetch('/api/swipe/queue?limit=1'), // Just to get remaining count
-            fetch('/api/swipe/today')
+            fetch(`/api/swipe/queue?${queueParams(1)}`), // Just to get remaining count
+            fetch(`/api/swipe/today?${new URLSearchParams({ account: state.account })}`)
         ]);
         const queueData = await queueRes.json();
         const sessionData = await sessionRes.json();
         state.stats.remaining = queueData.remaining;
+        state.stats.total = queueData.total;
         state.stats.today = sessionData.tweets_swiped || 0;
+        state.stats.due = sessionData.due_for_review || 0;
+        state.nextReviewAt = sessionData.next_review_at;
         updateStatsUI();
     } catch (err) { console.error('Error fetching stats:', err); }
 }
 
+async function fetchAccounts() {
+    try {
+        const response = await fetch('/api/accounts');
+        state.accounts = await response.json();
+        if (state.account && !state.accounts.some(a => String(a.id) === state.account)) {
+            state.account = '';
+            localStorage.removeItem('curatorAccount');
+        }
+
+        // Only offer the switcher once there's more than one archive
+        if (elements.accountSwitcher && state.accounts.length > 1) {
+            elements.accountSwitcher.innerHTML = '<option value="">All Accounts</option>' +
+                state.accounts.map(a => `<option value="${a.id}">@${linkify(a.username)}</option>`).join('');
+            elements.accountSwitcher.value = state.account;
+            elements.accountSwitcher.style.display = '';
+        }
+    } catch (err) { console.error('Error fetching accounts:', err); }
+}
+
 async function loadMoreTweets() {
     if (state.loading) return;
     state.loading = true;
 
     try {
-        const params = new URLSearchParams({ limit: BATCH_SIZE });
-        const response = await fetch(`/api/swipe/queue?${params}`);
-        const data = await response.json();
+        const params = new URLSearchParams({ limit: BATCH_SIZE, account: state.account });
+        let data;
+        if (MODE === 'tags') {
+            // Skipped, queued and on-screen suggestions are still pending - page past them
+            const cards = Array.from(elements.cardStack.querySelectorAll('.tweet-card'));
+            const waiting = cards.filter(card => !/\bfly-/.test(card.className)).length;
+            params.set('offset', state.skipped + state.queue.length + waiting);
+            const response = await fetch(`/api/tag-suggestions?${params}`);
+            const result = await response.json();
+            // Anything already shown (e.g. a card whose review is still in flight) is dropped
+            const shown = new Set(state.queue.map(suggestionKey));
+            cards.forEach(card => shown.add(`${card.dataset.id}:${card.dataset.tagId}`));
+            data = {
+                tweets: (result.suggestions || []).filter(s => !shown.has(suggestionKey(s))),
+                remaining: result.remaining
+            };
+        } else {
+            // Queued and on-screen tweets are still unswiped - page past them
+            const cards = Array.from(elements.cardStack.querySelectorAll('.tweet-card'));
+            const waiting = cards.filter(card => !/\bfly-/.test(card.className)).length;
+            const response = await fetch(`/api/swipe/queue?${queueParams(BATCH_SIZE, state.queue.length + waiting)}`);
+            data = await response.json();
+            // A card swiped while its swipe is still being saved comes back once
+            const shown = new Set(state.queue.map(t => String(t.id)));
+            cards.forEach(card => shown.add(card.dataset.id));
+            data.tweets = (data.tweets || []).filter(t => !shown.has(String(t.id)));
+            state.stats.total = data.total;
+        }
 
         if (data.tweets && data.tweets.length > 0) {
             // Filter duplicates if any remain (though we cleared queue)
@@ -93,21 +186,68 @@ async function loadMoreTweets() {
     }
 }
 
+function queueParams(limit, offset = 0, filters = state.filters) {
+    const params = new URLSearchParams({ limit, offset, account: state.account });
+    if (MODE === 'due') {
+        params.set('due', 'true');
+    } else {
+        if (state.strategy) params.set('strategy', state.strategy);
+        if (state.strategy === 'random') params.set('seed', state.seed);
+    }
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+    });
+    return params;
+}
+
+function suggestionKey(item) {
+    return `${item.id}:${item.suggestion?.tag_id}`;
+}
+
+async function submitReview(tweetId, tagId, action) {
+    try {
+        const response = await fetch('/api/tag-suggestions/review', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ items: [{ tweetId, tagId, action }] })
+        });
+        if (!response.ok) throw new Error((await response.json()).error);
+    } catch (err) {
+        console.error('Error submitting review:', err);
+    }
+}
+
+// Resolves to the swipe's event id (for undo), or null if it wasn't saved
 async function submitSwipe(tweetId, status) {
     try {
-        await fetch(`/api/tweets/${tweetId}`, {
+        const response = await fetch(`/api/tweets/${tweetId}`, {
             method: 'PATCH',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ swipe_status: status })
         });
-        state.stats.remaining--;
-        state.stats.today++;
-        updateStatsUI();
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error);
+        return result.eventId || null;
     } catch (err) {
         console.error('Error submitting swipe:', err);
+        return null;
     }
 }
 
+// The server's undo stack for this account, so undo picks up after a reload
+async function loadSwipeHistory() {
+    if (MODE === 'tags') return;
+    try {
+        const response = await fetch(`/api/swipe/history?${new URLSearchParams({ account: state.account })}`);
+        const result = await response.json();
+        state.history = (result.events || []).reverse().map(event => ({ id: event.tweet_id, eventId: event.id }));
+    } catch (err) {
+        console.error('Error loading swipe history:', err);
+        state.history = [];
+    }
+    if (elements.btnUndo) elements.btnUndo.disabled = state.history.length === 0;
+}
+
 // ============================================
 // UI Rendering
 // ============================================
@@ -115,23 +255,29 @@ async function submitSwipe(tweetId, status) {
 function updateStatsUI() {
     elements.remainingCount.textContent = state.stats.remaining;
     elements.todayCount.textContent = state.stats.today;
+    if (elements.dueLink) {
+        elements.dueCount.textContent = state.stats.due;
+        elements.dueLink.style.display = MODE === 'swipe' && state.stats.due > 0 ? '' : 'none';
+    }
 
-    // Progress calculation (just visual approximation based on remaining)
-    // Assuming total start was higher, or just show remaining relative to batch
-    const total = state.stats.remaining + state.stats.today;
-    const progress = total > 0 ? (state.stats.today / total) * 100 : 0;
-    elements.progressBar.style.width = `${progress}%`;
+    elements.progressBar.style.width = `${progressPercent(state.stats.remaining)}%`;
 }
 
 function updateProgress(remaining) {
-    // Update progress bar based on remaining tweets
-    const total = remaining + state.stats.today;
-    const progress = total > 0 ? (state.stats.today / total) * 100 : 0;
     if (elements.progressBar) {
-        elements.progressBar.style.width = `${progress}%`;
+        elements.progressBar.style.width = `${progressPercent(remaining)}%`;
     }
 }
 
+// How much of the strategy's pool is swiped; tag review only knows today's count
+function progressPercent(remaining) {
+    if (state.stats.total > 0) {
+        return ((state.stats.total - remaining) / state.stats.total) * 100;
+    }
+    const total = remaining + state.stats.today;
+    return total > 0 ? (state.stats.today / total) * 100 : 0;
+}
+
 function renderCards() {
     try {
         const cardStack = elements.cardStack;
@@ -162,7 +308,7 @@ function renderCards() {
             cardStack.innerHTML = `
                 <div class="loading-state">
                     <div class="spinner"></div>
-                    <p>No tweets match your filters.</p>
+                    <p>${emptyQueueMessage()}</p>
                 </div>
             `;
         } else if (state.loading && cardStack.children.length === 0) {
@@ -178,6 +324,16 @@ function renderCards() {
     }
 }
 
+function emptyQueueMessage() {
+    if (MODE === 'tags') return 'No tag suggestions left to review.';
+    if (MODE === 'due') {
+        return state.nextReviewAt
+            ? `Nothing due for review. Next one comes back ${new Date(state.nextReviewAt).toLocaleString()}.`
+            : 'Nothing due for review.';
+    }
+    return 'No tweets match your filters.';
+}
+
 // Helper to remove media/quote links from text
 function cleanText(text, mediaUrl, quotedId) {
     if (!text) return '';
@@ -198,6 +354,7 @@ function createCardElement(tweet) {
     const el = document.createElement('div');
     el.className = 'tweet-card';
     el.dataset.id = tweet.id;
+    if (tweet.suggestion) el.dataset.tagId = tweet.suggestion.tag_id;
 
     // Media
     let mediaHtml = '';
@@ -215,9 +372,10 @@ function createCardElement(tweet) {
         if (tweet.quoted_text) {
             // Internal Quote
             const quotedMedia = tweet.quoted_media ? `<div class="quoted-media"><img src="${tweet.quoted_media}" loading="lazy"></div>` : '';
+            const quotedUser = tweet.quoted_username ? `@${linkify(tweet.quoted_username)}` : 'Quoted Tweet';
             quotedHtml = `
                 <div class="quoted-tweet">
-                    <div class="quoted-user">Quoted Tweet</div>
+                    <div class="quoted-user">${quotedUser}</div>
                     <div class="quoted-text">${linkify(tweet.quoted_text)}</div>
                     ${quotedMedia}
                 </div>`;
@@ -262,7 +420,7 @@ function createCardElement(tweet) {
     const tagsHtml = (tweet.tags || '').split(',').filter(t => t).map(t => `<span class="tag-badge">${t}</span>`).join('');
     const textContent = cleanText(tweet.full_text, tweet.media_url, tweet.quoted_tweet_id);
     const dateStr = new Date(tweet.created_at).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
-    const tweetUrl = `https://twitter.com/i/web/status/${tweet.id}`;
+    const tweetUrl = tweet.tweet_url || `https://x.com/i/web/status/${tweet.id}`;
 
     el.innerHTML = `
         <div class="card-content">
@@ -273,6 +431,7 @@ function createCardElement(tweet) {
             ${mediaHtml}
             ${quotedHtml}
             <div class="card-tags">${tagsHtml}</div>
+            ${tweet.suggestion ? suggestionHtml(tweet.suggestion) : ''}
 
             <div class="card-footer">
                 <div class="stat-group">
@@ -284,8 +443,8 @@ function createCardElement(tweet) {
                 </a>
             </div>
         </div>
-        <div class="card-overlay overlay-like">LIKE</div>
-        <div class="card-overlay overlay-dislike">PASS</div>
+        <div class="card-overlay overlay-like">${MODE === 'tags' ? 'ACCEPT' : 'LIKE'}</div>
+        <div class="card-overlay overlay-dislike">${MODE === 'tags' ? 'REJECT' : 'PASS'}</div>
         <div class="card-overlay overlay-superlike">SUPER</div>
     `;
 
@@ -295,6 +454,20 @@ function createCardElement(tweet) {
     return el;
 }
 
+// The tag under review and where it came from
+function suggestionHtml(suggestion) {
+    const by = suggestion.model || suggestion.tagger || suggestion.source;
+    const confidence = suggestion.confidence !== null ? ` · ${Math.round(suggestion.confidence * 100)}%` : '';
+    return `
+        <div class="tag-suggestion-box">
+            <div class="suggestion-label">Suggested tag</div>
+            <span class="suggestion-tag" style="border-color: ${suggestion.color || '#666'}">${linkify(suggestion.name)}</span>
+            <span class="suggestion-category">${suggestion.category}</span>
+            <div class="suggestion-meta">${suggestion.source === 'ai' ? '🤖' : '⚙️'} ${linkify(by)}${confidence}</div>
+        </div>
+    `;
+}
+
 function linkify(text) {
     if (!text) return '';
     // Basic escape to prevent XSS
@@ -391,6 +564,10 @@ function swipeCard(direction) {
         }
 
         const id = card.dataset.id;
+        if (MODE === 'tags') {
+            reviewCard(card, direction);
+            return;
+        }
         let status = '';
         let animationClass = '';
 
@@ -423,17 +600,10 @@ function swipeCard(direction) {
         // Add fly-out animation
         card.classList.add(animationClass);
 
-        // Save to history for undo
-        state.history.push({
-            id,
-            tweet: state.queue[0] || {},
-            status
-        });
+        // Submit to API; undo needs the event id it comes back with
+        state.history.push({ id, eventId: submitSwipe(id, status) });
         if (elements.btnUndo) elements.btnUndo.disabled = false;
 
-        // Submit to API
-        submitSwipe(id, status);
-
         // Update stats immediately
         state.stats.today++;
         state.stats.remaining--;
@@ -458,6 +628,41 @@ function swipeCard(direction) {
     }
 }
 
+// Tag review: right accepts, left rejects, down skips (stays pending)
+function reviewCard(card, direction) {
+    const actions = {
+        right: { action: 'accept', animationClass: 'fly-right' },
+        left: { action: 'reject', animationClass: 'fly-left' },
+        down: { action: 'skip', animationClass: 'fly-down' }
+    };
+    if (!actions[direction]) return;
+    const { action, animationClass } = actions[direction];
+    const tagId = parseInt(card.dataset.tagId);
+
+    card.style.transform = '';
+    card.style.transition = '';
+    card.classList.remove('dragging');
+    card.classList.add(animationClass);
+
+    state.history.push({ id: card.dataset.id, tagId, action });
+    if (elements.btnUndo) elements.btnUndo.disabled = false;
+
+    if (action === 'skip') {
+        state.skipped++;
+    } else {
+        submitReview(card.dataset.id, tagId, action);
+        state.stats.today++;
+        state.stats.remaining--;
+        updateStatsUI();
+    }
+
+    setTimeout(() => {
+        card.remove();
+        renderCards();
+        if (state.queue.length < 5) loadMoreTweets();
+    }, 600);
+}
+
 function undoSwipe() {
     if (state.history.length === 0) return;
 
@@ -466,21 +671,50 @@ function undoSwipe() {
         elements.btnUndo.disabled = true;
     }
 
-    // Revert API call
-    fetch(`/api/tweets/${lastAction.id}`, {
-        method: 'PATCH',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ swipe_status: null, is_reviewed: 0 }) // Reset
-    });
+    if (MODE === 'tags') {
+        // Put the suggestion back in the queue (an accept also takes the tag off again)
+        if (lastAction.action === 'skip') {
+            state.skipped--;
+            state.queue = [];
+            elements.cardStack.innerHTML = '';
+            loadMoreTweets();
+            return;
+        }
+        submitReview(lastAction.id, lastAction.tagId, 'reset').then(() => {
+            state.stats.remaining++;
+            state.stats.today--;
+            updateStatsUI();
+            state.queue = [];
+            elements.cardStack.innerHTML = '';
+            loadMoreTweets();
+        });
+        return;
+    }
 
-    // Update stats
-    state.stats.remaining++;
-    state.stats.today--;
-    updateStatsUI();
+    undoLastSwipe(lastAction);
+}
+
+// Restore the tweet as it was before the swipe (status, quality, review
+// schedule) and take it off today's stats, then reload to get its card back
+async function undoLastSwipe(lastAction) {
+    try {
+        // A swipe still being saved has no event id yet
+        const eventId = await lastAction.eventId;
+        if (eventId) {
+            const response = await fetch('/api/swipe/undo', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ eventId })
+            });
+            if (!response.ok) throw new Error((await response.json()).error);
+        }
+    } catch (err) {
+        console.error('Error undoing swipe:', err);
+    }
 
-    // Reload cards to get it back (simplest way)
     state.queue = [];
     elements.cardStack.innerHTML = '';
+    await fetchStats();
     loadMoreTweets();
 }
 
@@ -511,17 +745,220 @@ function triggerHeart() {
 // Event Handlers
 // ============================================
 
+// Relabel the swipe screen for reviewing tag suggestions
+function setupTagReviewMode() {
+    document.title = 'Tweet Curator - Review Tags';
+    if (elements.swipeTitle) elements.swipeTitle.textContent = '🏷️ Review Tags';
+    elements.btnLike.querySelector('.btn-label').textContent = 'Accept';
+    elements.btnLike.querySelector('.btn-icon').textContent = '✅';
+    elements.btnLike.title = 'Accept tag (Right)';
+    elements.btnDislike.querySelector('.btn-label').textContent = 'Reject';
+    elements.btnDislike.querySelector('.btn-icon').textContent = '✖️';
+    elements.btnDislike.title = 'Reject tag (Left)';
+    elements.btnReviewLater.querySelector('.btn-label').textContent = 'Skip';
+    elements.btnReviewLater.querySelector('.btn-icon').textContent = '⏭️';
+    elements.btnReviewLater.title = 'Skip for now (Down)';
+    elements.btnSuperlike.style.display = 'none';
+    if (elements.queueStrategy) elements.queueStrategy.style.display = 'none';
+    if (elements.filterToggle) elements.filterToggle.style.display = 'none';
+    if (elements.shortcutsHint) {
+        elements.shortcutsHint.innerHTML = '<span>← Reject</span><span>↓ Skip</span><span>→ Accept</span><span>Z Undo</span>';
+    }
+}
+
+function setupDueReviewMode() {
+    document.title = 'Tweet Curator - Due for Review';
+    if (elements.swipeTitle) elements.swipeTitle.textContent = '🔄 Due for Review';
+    elements.btnReviewLater.title = 'Put off again - comes back later each time (Down)';
+    // Due tweets come longest-waiting first, whatever the strategy
+    if (elements.queueStrategy) elements.queueStrategy.style.display = 'none';
+}
+
 function setupEventHandlers() {
     elements.btnLike.addEventListener('click', () => swipeCard('right'));
     elements.btnDislike.addEventListener('click', () => swipeCard('left'));
     elements.btnSuperlike.addEventListener('click', () => swipeCard('up'));
     elements.btnReviewLater.addEventListener('click', () => swipeCard('down'));
     elements.btnUndo.addEventListener('click', undoSwipe);
+
+    if (elements.accountSwitcher) {
+        elements.accountSwitcher.addEventListener('change', () => {
+            state.account = elements.accountSwitcher.value;
+            if (state.account) {
+                localStorage.setItem('curatorAccount', state.account);
+            } else {
+                localStorage.removeItem('curatorAccount');
+            }
+            // Start a fresh queue for the new account
+            state.queue = [];
+            state.skipped = 0;
+            elements.cardStack.innerHTML = '';
+            fetchStats();
+            loadSwipeHistory();
+            loadMoreTweets();
+        });
+    }
+
+    if (elements.queueStrategy) {
+        elements.queueStrategy.value = state.strategy;
+        elements.queueStrategy.addEventListener('change', () => {
+            state.strategy = elements.queueStrategy.value;
+            if (state.strategy) {
+                localStorage.setItem('swipeStrategy', state.strategy);
+            } else {
+                localStorage.removeItem('swipeStrategy');
+            }
+            // Switching to random reshuffles
+            if (state.strategy === 'random') {
+                state.seed = Math.random().toString(36).slice(2, 10);
+                localStorage.setItem('swipeSeed', state.seed);
+            }
+            // Restart the queue in the new order
+            state.queue = [];
+            elements.cardStack.innerHTML = '';
+            fetchStats();
+            loadMoreTweets();
+        });
+    }
+}
+
+// ============================================
+// Queue Filters
+// ============================================
+
+// Same names as the /api/swipe/queue params
+function emptyQueueFilters() {
+    return { tag: '', tagMode: '', length: '', type: '', from: '', to: '', minEngagement: '', maxEngagement: '', search: '' };
+}
+
+function loadQueueFilters() {
+    try {
+        return { ...emptyQueueFilters(), ...JSON.parse(localStorage.getItem('swipeFilters') || '{}') };
+    } catch (err) {
+        return emptyQueueFilters();
+    }
+}
+
+function saveQueueFilters() {
+    const active = Object.fromEntries(Object.entries(state.filters).filter(([, value]) => value));
+    if (Object.keys(active).length > 0) {
+        localStorage.setItem('swipeFilters', JSON.stringify(active));
+    } else {
+        localStorage.removeItem('swipeFilters');
+    }
+}
+
+function checkedValues(name) {
+    return Array.from(document.querySelectorAll(`input[name="${name}"]:checked`)).map(input => input.value).join(',');
+}
+
+function readFilterDrawer() {
+    const tag = elements.filterTags.value.split(',').map(t => t.trim()).filter(t => t).join(',');
+    return {
+        tag,
+        tagMode: tag && elements.filterTagMode.value === 'all' ? 'all' : '',
+        length: checkedValues('filterLength'),
+        type: checkedValues('filterType'),
+        from: elements.filterFrom.value,
+        to: elements.filterTo.value,
+        minEngagement: elements.filterMinEngagement.value,
+        maxEngagement: elements.filterMaxEngagement.value,
+        search: elements.filterSearch.value.trim()
+    };
+}
+
+function fillFilterDrawer(filters) {
+    elements.filterTags.value = filters.tag.split(',').filter(t => t).join(', ');
+    elements.filterTagMode.value = filters.tagMode === 'all' ? 'all' : 'any';
+    ['filterLength', 'filterType'].forEach(name => {
+        const values = (name === 'filterLength' ? filters.length : filters.type).split(',');
+        document.querySelectorAll(`input[name="${name}"]`).forEach(input => {
+            input.checked = values.includes(input.value);
+        });
+    });
+    elements.filterFrom.value = filters.from;
+    elements.filterTo.value = filters.to;
+    elements.filterMinEngagement.value = filters.minEngagement;
+    elements.filterMaxEngagement.value = filters.maxEngagement;
+    elements.filterSearch.value = filters.search;
+}
+
+function updateFilterToggle() {
+    const count = Object.entries(state.filters).filter(([key, value]) => value && key !== 'tagMode').length;
+    elements.filterToggle.textContent = count > 0 ? `⚙️ Filters (${count})` : '⚙️ Filters';
+    elements.filterToggle.classList.toggle('active', count > 0);
+}
+
+function isFilterDrawerOpen() {
+    return !!elements.filterDrawer && elements.filterDrawer.classList.contains('open');
+}
+
+async function openFilterDrawer() {
+    fillFilterDrawer(state.filters);
+    elements.filterStatus.textContent = '';
+    elements.filterDrawer.classList.add('open');
+    if (elements.filterTagOptions.children.length > 0) return;
+    try {
+        const grouped = await (await fetch('/api/tags')).json();
+        elements.filterTagOptions.innerHTML = Object.values(grouped).flat()
+            .map(tag => `<option value="${linkify(tag.name)}">`).join('');
+    } catch (err) { console.error('Error fetching tags:', err); }
+}
+
+function closeFilterDrawer() {
+    elements.filterDrawer.classList.remove('open');
+}
+
+// Check the filters with the server (a bad search is reported here), then restart the queue
+async function applyQueueFilters(filters) {
+    try {
+        const response = await fetch(`/api/swipe/queue?${queueParams(1, 0, filters)}`);
+        if (!response.ok) throw new Error((await response.json()).error);
+    } catch (err) {
+        elements.filterStatus.textContent = err.message;
+        return;
+    }
+    state.filters = filters;
+    saveQueueFilters();
+    updateFilterToggle();
+    closeFilterDrawer();
+
+    state.queue = [];
+    elements.cardStack.innerHTML = '';
+    fetchStats();
+    loadMoreTweets();
+}
+
+function setupFilterDrawer() {
+    if (!elements.filterDrawer || MODE === 'tags') return;
+    updateFilterToggle();
+    elements.filterToggle.addEventListener('click', () => {
+        if (isFilterDrawerOpen()) {
+            closeFilterDrawer();
+        } else {
+            openFilterDrawer();
+        }
+    });
+    elements.filterClose.addEventListener('click', closeFilterDrawer);
+    elements.filterApply.addEventListener('click', () => applyQueueFilters(readFilterDrawer()));
+    elements.filterReset.addEventListener('click', () => {
+        fillFilterDrawer(emptyQueueFilters());
+        applyQueueFilters(emptyQueueFilters());
+    });
+    elements.filterSearch.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') applyQueueFilters(readFilterDrawer());
+    });
 }
 
 function setupKeyboardShortcuts() {
     document.addEventListener('keydown', (e) => {
+        if (isFilterDrawerOpen()) {
+            if (e.key === 'Escape') closeFilterDrawer();
+            return;
+        }
         if (state.loading) return;
+        // Let form controls (account switcher) keep their arrow keys
+        if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
 
         switch (e.key) {
             case 'ArrowRight':
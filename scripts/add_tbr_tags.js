@@ -2,12 +2,14 @@
 /**
  * One-time script to:
  * 1. Add "tbr" (to-be-read) tag to tweets with spirituality-related tags (unless already has "read")
- * 2. Delete any tags with 0 associated tweets
+ * 2. Delete unused tags (see cleanupUnusedTags in lib/tags.js, also on the
+ *    directory's Manage Tags screen)
  */
 
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const { cleanupUnusedTags } = require('../lib/tags');
 
 // Determine database path
 const RENDER_DISK_PATH = '/data';
@@ -70,7 +72,7 @@ const tweetsToTag = db.prepare(`
 console.log(`   Found ${tweetsToTag.length} tweets to tag with "tbr"`);
 
 // Add the tbr tag to each tweet
-const insertTweetTag = db.prepare('INSERT OR IGNORE INTO tweet_tags (tweet_id, tag_id, source) VALUES (?, ?, ?)');
+const insertTweetTag = db.prepare("INSERT OR IGNORE INTO tweet_tags (tweet_id, tag_id, source, tagger, confidence) VALUES (?, ?, ?, 'add_tbr_tags', 1)");
 let addedCount = 0;
 for (const tweet of tweetsToTag) {
     const result = insertTweetTag.run(tweet.id, tbrTagId, 'manual');
@@ -79,33 +81,17 @@ for (const tweet of tweetsToTag) {
 console.log(`   ✅ Added "tbr" tag to ${addedCount} tweets`);
 
 // ==============================
-// Part 2: Delete tags with 0 posts
+// Part 2: Delete unused tags
 // ==============================
 
-console.log('\n🗑️  Part 2: Deleting tags with 0 associated tweets...');
+console.log('\n🗑️  Part 2: Deleting unused tags...');
 
-const emptyTags = db.prepare(`
-    SELECT tags.id, tags.name, tags.category
-    FROM tags
-    LEFT JOIN tweet_tags ON tags.id = tweet_tags.tag_id
-    GROUP BY tags.id
-    HAVING COUNT(tweet_tags.tweet_id) = 0
-`).all();
-
-console.log(`   Found ${emptyTags.length} tags with 0 tweets:`);
-for (const tag of emptyTags) {
+// Tags with a heuristic rule or pending suggestions are kept
+const { deleted } = cleanupUnusedTags(db);
+for (const tag of deleted) {
     console.log(`      - ${tag.name} (${tag.category})`);
 }
-
-if (emptyTags.length > 0) {
-    const deleteTag = db.prepare('DELETE FROM tags WHERE id = ?');
-    for (const tag of emptyTags) {
-        deleteTag.run(tag.id);
-    }
-    console.log(`   ✅ Deleted ${emptyTags.length} empty tags`);
-} else {
-    console.log('   ✅ No empty tags to delete');
-}
+console.log(deleted.length > 0 ? `   ✅ Deleted ${deleted.length} unused tags` : '   ✅ No unused tags to delete');
 
 db.close();
 console.log('\n✨ Done!');
@@ -1,11 +1,23 @@
 /**
- * Auto-Tagging Heuristics Script (Round 6 Overhaul)
- * Uses Token-Based Scoring System for precision.
+ * Auto-Tagging Heuristics Script
+ * Tags tweets with the keyword and regex rules in the tag_rules table
+ * (edit them at /rules.html - scoring is described in lib/tag_rules.js).
+ *
+ * Usage: node scripts/auto_tag_heuristics.js [--suggest] [--incremental] [--dry-run]
+ *   --suggest      send new tags to the review queue
+ *   --incremental  only tweets the rules haven't tagged yet (untagged or newly imported)
+ *   --dry-run      print the tags that would be added and removed, write nothing
+ *
+ * Tags are written with source 'auto'. Re-running only adds and removes this
+ * script's own tags, so LLM and manual tags survive.
  */
 
 const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
+const { runMigrations } = require('../database/migrations');
+const { createTagWriter } = require('../lib/tag_suggestions');
+const { loadRules, scoreRule, rulesVersion } = require('../lib/tag_rules');
 
 // Database path - check multiple locations (same as server.js)
 const DB_PATHS = [
@@ -21,273 +33,104 @@ if (!DB_PATH) {
 }
 console.log('📂 Using database:', DB_PATH);
 const db = new Database(DB_PATH);
+db.exec(fs.readFileSync(path.join(__dirname, '../database/schema.sql'), 'utf8'));
+runMigrations(db);
 
 // ==========================================
 // Configuration
 // ==========================================
 
-const ENGAGEMENT_HIGH = 24; // p90
-const ENGAGEMENT_MID = 5;   // p50
+// Recorded as tweet_tags.tagger - a run only ever replaces its own tags
+const TAGGER = 'auto_tag_heuristics';
 
-// Scoring: 
-// - match strict: +3 points
-// - match broad: +1 point
-// - threshold: > 0 points required to tag
-const SCORE_THRESHOLD = 1;
-
-const DEFINITIONS = {
-    'Awe': {
-        strict: ['sublime', 'transcendent', 'majestic', 'breathtaking', 'marvel', 'divine', 'sacred', 'numinous', 'epiphany'],
-        broad: ['awe', 'wonder', 'beauty', 'stunning', 'incredible', 'magic', 'soul', 'god', 'spirit'],
-        negative: ['awful', 'awesome job', 'thanks']
-    },
-    'Strategy': {
-        strict: ['moat', 'flywheel', 'network effect', 'game theory', 'incentive structure', 'roadmap', 'strategic', 'go-to-market', 'business model'],
-        broad: ['strategy', 'leverage', 'tactic', 'execution', 'vision', 'planning', 'competition', 'market', 'scale', 'growth'],
-        negative: []
-    },
-    'Community': {
-        strict: ['social capital', 'third place', 'communitas', 'dunbar', 'girl gang', 'squad'],
-        broad: ['community', 'tribe', 'gathering', 'belonging', 'friendship', 'hosting', 'dinner', 'party', 'social', 'group', 'people', 'connection'],
-        negative: ['community manager', 'community notes']
-    },
-    'Design': {
-        strict: ['ui/ux', 'typography', 'typeface', 'kerning', 'affordance', 'skeuomorphic', 'figma', 'css', 'usability'],
-        broad: ['design', 'interface', 'aesthetic', 'visual', 'style', 'layout', 'font', 'color', 'pixel', 'creative', 'art', 'beauty'],
-        negative: ['designated', 'designing my life']
-    },
-    'Art': {
-        strict: ['painting', 'sculpture', 'museum', 'gallery', 'masterpiece', 'canvas', 'exhibition', 'curator', 'art history'],
-        broad: ['art', 'artist', 'creative', 'expression', 'drawing', 'sketch', 'illustration', 'create'],
-        negative: ['art of war', 'state of the art']
-    },
-    'Aesthetics': {
-        strict: ['moodboard', 'interior design', 'palette', 'atmospheric', 'cinematic', 'composition'],
-        broad: ['aesthetic', 'vibe', 'mood', 'atmosphere', 'beauty', 'style', 'elegant', 'taste', 'curation', 'look'],
-        negative: []
-    },
-    'Theory': {
-        strict: ['epistemology', 'ontology', 'metaphysics', 'dialectics', 'phenomenology', 'axiom', 'first principles'],
-        broad: ['theory', 'theoretical', 'hypothesis', 'framework', 'model', 'concept', 'analysis', 'thesis', 'principle', 'idea', 'system'],
-        negative: ['conspiracy theory', 'in theory']
-    },
-    'Philosophy': {
-        strict: ['stoicism', 'existentialism', 'nihilism', 'virtue ethics', 'categorical imperative', 'utilitarian', 'nietzsche'],
-        broad: ['philosophy', 'stoic', 'ethics', 'virtue', 'meaning', 'consciousness', 'existential', 'mental model', 'wisdom', 'truth', 'life'],
-        negative: []
-    },
-    'Tech': {
-        strict: ['llm', 'generative ai', 'crypto', 'blockchain', 'saas', 'api', 'full stack', 'algorithm', 'neural net'],
-        broad: ['tech', 'software', 'code', 'startup', 'engineering', 'product', 'developer', 'app', 'digital', 'internet', 'web'],
-        negative: []
-    },
-    'Sociology': {
-        strict: ['mimetic', 'signaling', 'status game', 'social dynamics', 'normie', 'egregore', 'girard'],
-        broad: ['sociology', 'culture', 'status', 'norm', 'hierarchy', 'group', 'social', 'society', 'human', 'behavior'],
-        negative: []
-    },
-    'Psychology': {
-        strict: ['cognitive bias', 'trauma', 'neuroplasticity', 'dopamine', 'frontal cortex', 'attachment theory'],
-        broad: ['psychology', 'mindset', 'healing', 'habits', 'flow', 'ego', 'subconscious', 'mental health', 'therapy', 'brain', 'mind'],
-        negative: []
-    },
-    'Writing': {
-        strict: ['copywriting', 'storytelling arc', 'narrative structure', 'prose', 'publishing', 'substack'],
-        broad: ['writing', 'writer', 'blog', 'newsletter', 'author', 'essay', 'word', 'write', 'story'],
-        negative: ['writing code']
-    },
-    // Missing Topics Restored
-    'History': {
-        strict: ['ancient rome', 'medieval', 'civil war', 'renaissance', 'industrial revolution', 'empire', 'archaeology', 'historian'],
-        broad: ['history', 'historical', 'past', 'century', 'decade', 'era', 'ancient', 'modernity', 'tradition'],
-        negative: []
-    },
-    'Science': {
-        strict: ['physics', 'chemistry', 'biology', 'quantum', 'relativity', 'evolution', 'neuroscience', 'astronomy', 'scientific method'],
-        broad: ['science', 'scientific', 'research', 'experiment', 'study', 'lab', 'evidence', 'data', 'nature'],
-        negative: []
-    },
-    'Politics': {
-        strict: ['democracy', 'republican', 'democrat', 'liberal', 'conservative', 'policy', 'legislation', 'election', 'voting', 'geopolitics'],
-        broad: ['politics', 'political', 'government', 'state', 'power', 'law', 'regulation', 'campaign'],
-        negative: []
-    },
-    'Economics': {
-        strict: ['inflation', 'gdp', 'macroeconomics', 'microeconomics', 'supply and demand', 'monetary policy', 'fiscal', 'central bank'],
-        broad: ['economics', 'economy', 'market', 'money', 'finance', 'capital', 'trade', 'price', 'cost'],
-        negative: []
-    },
-    'Education': {
-        strict: ['pedagogy', 'curriculum', 'university', 'college', 'schooling', 'literacy', 'student loan', 'academia'],
-        broad: ['education', 'school', 'learn', 'teach', 'student', 'teacher', 'class', 'course', 'degree'],
-        negative: []
-    },
-    'Health': {
-        strict: ['nutrition', 'exercise', 'circadian rhythm', 'metabolism', 'longevity', 'supplement', 'biohacking', 'gym'],
-        broad: ['health', 'fitness', 'diet', 'body', 'workout', 'sleep', 'wellness', 'medical', 'doctor'],
-        negative: []
-    },
-    'Productivity': {
-        strict: ['time blocking', 'deep work', 'notion', 'obsidian', 'workflow', 'pomodoro', 'getting things done'],
-        broad: ['productivity', 'productive', 'focus', 'habit', 'goal', 'work', 'efficiency', 'schedule', 'task'],
-        negative: []
-    },
-    'Spirituality': {
-        strict: ['meditation', 'mindfulness', 'buddhism', 'christianity', 'mysticism', 'soul', 'prayer', 'contemplation'],
-        broad: ['spiritual', 'faith', 'believe', 'god', 'sacred', 'ritual', 'practice', 'inner'],
-        negative: []
-    },
-    'Romance': {
-        strict: ['dating market', 'marriage', 'courtship', 'breakup', 'divorce', 'monogamy', 'polyamory'],
-        broad: ['romance', 'love', 'date', 'relationship', 'partner', 'spouse', 'couple', 'intimacy'],
-        negative: []
-    },
-    'Life Hacks': {
-        strict: ['life hack', 'shortcut', 'cheat code', 'optimization', 'tip for', 'trick to'],
-        broad: ['hack', 'tip', 'trick', 'advice', 'optimize', 'improve'],
-        negative: []
-    },
-    // Previously missing topics - now added
-    'Career': {
-        strict: ['job interview', 'resume', 'linkedin', 'promotion', 'salary negotiation', 'career path', 'job search', 'hiring manager'],
-        broad: ['career', 'job', 'profession', 'work', 'employer', 'employee', 'office', 'corporate', 'boss', 'coworker'],
-        negative: []
-    },
-    'Creativity': {
-        strict: ['creative process', 'brainstorm', 'ideation', 'muse', 'artistic vision', 'creative block'],
-        broad: ['creativity', 'creative', 'create', 'imagination', 'inspiration', 'innovate', 'invent', 'original', 'novel'],
-        negative: []
-    },
-    'Culture': {
-        strict: ['cultural moment', 'zeitgeist', 'cultural shift', 'pop culture', 'subculture', 'counterculture', 'cultural capital'],
-        broad: ['culture', 'cultural', 'mainstream', 'trend', 'generation', 'millennial', 'gen z', 'boomer', 'society'],
-        negative: []
-    },
-    'Depression': {
-        strict: ['depression', 'depressed', 'suicidal', 'antidepressant', 'ssri', 'mental illness', 'bipolar'],
-        broad: ['sad', 'sadness', 'hopeless', 'despair', 'lonely', 'loneliness', 'emptiness', 'numb', 'struggle'],
-        negative: []
-    },
-    'Entities': {
-        strict: ['egregore', 'thoughtform', 'tulpa', 'collective consciousness', 'archetype', 'daemon', 'spirit', 'entity'],
-        broad: ['entities', 'entity', 'being', 'presence', 'force', 'spirit', 'ghost', 'demon', 'angel'],
-        negative: ['legal entity', 'corporate entity']
-    },
-    'Friendship': {
-        strict: ['best friend', 'bff', 'friendship group', 'found family', 'chosen family', 'friend group'],
-        broad: ['friend', 'friendship', 'friends', 'buddy', 'pal', 'companion', 'platonic', 'hangout'],
-        negative: []
-    },
-    'Life-Hacks': {
-        strict: ['life hack', 'shortcut', 'cheat code', 'optimization', 'tip for', 'trick to', 'pro tip'],
-        broad: ['hack', 'tip', 'trick', 'advice', 'optimize', 'improve', 'efficient', 'easier'],
-        negative: []
-    },
-    'Media-Commentary': {
-        strict: ['media literacy', 'news cycle', 'mainstream media', 'journalism', 'clickbait', 'cable news'],
-        broad: ['media', 'news', 'journalist', 'headline', 'coverage', 'narrative', 'press', 'outlet'],
-        negative: ['social media']
-    },
-    'NYC': {
-        strict: ['new york city', 'manhattan', 'brooklyn', 'queens', 'bronx', 'staten island', 'subway', 'nyc'],
-        broad: ['ny', 'new york', 'east coast', 'downtown', 'uptown', 'williamsburg', 'soho', 'tribeca'],
-        negative: []
-    },
-    'Performing-Arts': {
-        strict: ['theater', 'theatre', 'broadway', 'ballet', 'opera', 'dance performance', 'improv', 'standup', 'circus'],
-        broad: ['performance', 'performer', 'stage', 'act', 'acting', 'drama', 'play', 'show', 'audience'],
-        negative: ['performance review', 'job performance']
-    },
-    'Psychospiritual-Practices': {
-        strict: ['breathwork', 'psychedelic', 'ayahuasca', 'psilocybin', 'meditation retreat', 'vision quest', 'shamanic', 'plant medicine'],
-        broad: ['practice', 'ritual', 'ceremony', 'healing', 'journey', 'integration', 'microdose', 'trip'],
-        negative: []
-    },
-    'Psychospiritual-Theory': {
-        strict: ['non-dual', 'kundalini', 'chakra', 'shadow work', 'ego dissolution', 'transpersonal', 'integral theory', 'spiral dynamics'],
-        broad: ['awakening', 'enlightenment', 'consciousness', 'awareness', 'transcendence', 'self-realization', 'liberation'],
-        negative: []
-    },
-    'Religion': {
-        strict: ['christianity', 'islam', 'buddhism', 'hinduism', 'judaism', 'catholic', 'protestant', 'orthodox', 'church', 'mosque', 'temple', 'synagogue'],
-        broad: ['religion', 'religious', 'god', 'faith', 'prayer', 'worship', 'scripture', 'bible', 'jesus', 'christ', 'allah'],
-        negative: []
-    },
-    'Technology': {
-        strict: ['artificial intelligence', 'machine learning', 'quantum computing', 'virtual reality', 'augmented reality', 'robotics', 'iot'],
-        broad: ['technology', 'tech', 'digital', 'software', 'hardware', 'computer', 'device', 'innovation', 'future'],
-        negative: []
-    },
-    'Woo-Wizardry': {
-        strict: ['astrology', 'tarot', 'manifestation', 'law of attraction', 'oracle', 'divination', 'numerology', 'crystal', 'energy healing'],
-        broad: ['woo', 'magic', 'magical', 'mystical', 'esoteric', 'occult', 'witchy', 'spell', 'moon', 'zodiac', 'mercury retrograde'],
-        negative: []
-    }
-};
-
-// Patterns Logic (Restored)
-const PATTERNS = {
-    'Thread': [/^\d+\/\s/, /^\d+\/\d+/, /🧵/, /thread/i, /below 👇/],
-    'Question': [/\?$/, /^what/i, /^why/i, /^how/i, /anyone else/i],
-    'List': [/^\d+\./m, /^[-•]/m, /top \d+/i, /reasons why/i],
-    'Rant': [/fuck/i, /shit/i, /hate/i, /stop/i, /tired of/i, /annoying/i],
-    'Joke': [/lol/i, /lmao/i, /funny/i, /meme/i, /satire/i],
-    'Story': [/^i was/i, /^when i/i, /^years ago/i, /story time/i, /happened to me/i],
-    'Insight': [/realization/i, /epiphany/i, /learned/i, /understand/i, /truth is/i],
-    'Observation': [/noticed/i, /seems like/i, /trend/i, /people are/i, /interesting that/i],
-    'Framework': [/framework/i, /model/i, /pyramid/i, /quadrant/i, /mental model/i],
-    'Definition': [/means that/i, /defined as/i, /definition/i, /is simply/i],
-    'Promotion': [/check out/i, /link in bio/i, /sign up/i, /buy/i, /course/i, /pre-order/i],
-    'Announcement': [/announcing/i, /excited to/i, /launching/i, /live now/i],
-    // Previously missing patterns - now added
-    'Hot-Take': [/hot take/i, /unpopular opinion/i, /controversial/i, /actually,?\s+/i, /people will hate me for this/i, /i don't care what anyone says/i],
-    'Engagement-Bait': [/drop a/i, /comment below/i, /tag someone/i, /retweet if/i, /like if you/i, /who else/i, /ratio/i, /boost this/i],
-    'Dated-Reference': [/\b(2008|2009|2010|2011|2012|2013|2014|2015|2016|2017|2018|2019|2020|2021|2022)\b/, /years ago/i, /back in/i, /remember when/i, /throwback/i],
-    'Prediction': [/i predict/i, /prediction:/i, /my prediction/i, /will happen/i, /gonna happen/i, /in \d+ years/i, /by 2\d{3}/i, /mark my words/i, /calling it now/i]
-};
-
-
-// NOTE: Use tags (book, blog-post, short-post) are MANUAL ONLY - not auto-created
+// NOTE: Use tags (book, blog-post, short-post) are MANUAL ONLY - no rules for them
 
 // ==========================================
 // Helpers
 // ==========================================
 
-function normalize(text) {
-    if (!text) return '';
-    return text.toLowerCase()
-        // Remove URLs
-        .replace(/https?:\/\/\S+/g, '')
-        // Remove punctuation
-        .replace(/[.,\/#!$%\^&\*;:{}=\-_`~()]/g, ' ')
-        // Extra spaces
-        .replace(/\s{2,}/g, ' ');
-}
-
-function calculateScore(text, def) {
-    const normalized = normalize(text);
-
-    // Check negatives first
-    for (const neg of def.negative) {
-        if (normalized.includes(neg)) return -100;
+// Tags (by name) the rules give a tweet, with their id and confidence
+function matchTweet(rules, tweet) {
+    const matched = new Map();
+    for (const rule of rules) {
+        const result = scoreRule(rule, tweet.full_text);
+        if (result.matched) matched.set(rule.tag, { tagId: rule.tag_id, confidence: result.confidence });
     }
+    return matched;
+}
 
-    let score = 0;
-
-    // Strict matches (Whole words preferably, but simple includes for now with high weight)
-    for (const word of def.strict) {
-        if (normalized.includes(word)) score += 3;
+/**
+ * Work out what a run would change for the given tweets. Only this script's
+ * own tags are ever removed - LLM and manual tags are left alone - and tags
+ * accepted in the review queue stay even if the rules no longer match.
+ * Returns { toAdd: [{ tweet, tag, tagId, confidence }], toRemove: [{ tweet, tag, tagId }] }.
+ */
+function planChanges(rules, tweets, { suggest }) {
+    const ownTags = new Map(); // tweet id -> Map(tag name -> tag id)
+    db.prepare(`
+        SELECT tt.tweet_id, tt.tag_id, t.name FROM tweet_tags tt
+        JOIN tags t ON t.id = tt.tag_id
+        WHERE tt.tagger = ?
+          AND NOT EXISTS (
+              SELECT 1 FROM tag_suggestions s
+              WHERE s.tweet_id = tt.tweet_id AND s.tag_id = tt.tag_id AND s.status = 'accepted'
+          )
+    `).all(TAGGER).forEach(row => {
+        if (!ownTags.has(row.tweet_id)) ownTags.set(row.tweet_id, new Map());
+        ownTags.get(row.tweet_id).set(row.name, row.tag_id);
+    });
+
+    // Tags a tweet already has from anyone, plus rejected (or, in suggest
+    // mode, already suggested) ones - the writer would skip these anyway
+    const blocked = new Set();
+    db.prepare('SELECT tt.tweet_id, t.name FROM tweet_tags tt JOIN tags t ON t.id = tt.tag_id').all()
+        .forEach(row => blocked.add(`${row.tweet_id}:${row.name}`));
+    db.prepare(`
+        SELECT s.tweet_id, t.name FROM tag_suggestions s JOIN tags t ON t.id = s.tag_id
+        WHERE s.status = 'rejected' OR ?
+    `).all(suggest ? 1 : 0).forEach(row => blocked.add(`${row.tweet_id}:${row.name}`));
+
+    const toAdd = [];
+    const toRemove = [];
+    for (const tweet of tweets) {
+        const matched = matchTweet(rules, tweet);
+        const existing = ownTags.get(tweet.id) || new Map();
+
+        for (const [tag, { tagId, confidence }] of matched) {
+            if (!blocked.has(`${tweet.id}:${tag}`)) toAdd.push({ tweet, tag, tagId, confidence });
+        }
+        for (const [tag, tagId] of existing) {
+            if (!matched.has(tag)) toRemove.push({ tweet, tag, tagId });
+        }
     }
+    return { toAdd, toRemove };
+}
 
-    // Broad matches
-    for (const word of def.broad) {
-        // Basic "includes" can be noisy for short words like "art" or "ui".
-        // Regex word boundary check is better
-        const regex = new RegExp(`\\b${word}\\b`, 'i');
-        if (regex.test(normalized)) score += 1;
+// Per-tag +added/-removed counts and a few example tweets
+function printDiff({ toAdd, toRemove }) {
+    const byTag = new Map();
+    const count = (tag, key) => {
+        if (!byTag.has(tag)) byTag.set(tag, { add: 0, remove: 0 });
+        byTag.get(tag)[key]++;
+    };
+    toAdd.forEach(change => count(change.tag, 'add'));
+    toRemove.forEach(change => count(change.tag, 'remove'));
+
+    [...byTag.entries()]
+        .sort((a, b) => (b[1].add + b[1].remove) - (a[1].add + a[1].remove))
+        .forEach(([tag, c]) => {
+            console.log(`   ${tag.padEnd(20)} +${c.add}  -${c.remove}`);
+        });
+
+    const snippet = (tweet) => tweet.full_text.replace(/\s+/g, ' ').substring(0, 70);
+    const samples = [
+        ...toAdd.slice(0, 5).map(c => `   + ${c.tag} (${c.confidence}): ${snippet(c.tweet)}`),
+        ...toRemove.slice(0, 5).map(c => `   - ${c.tag}: ${snippet(c.tweet)}`)
+    ];
+    if (samples.length > 0) {
+        console.log('\n🔎 Examples:');
+        samples.forEach(line => console.log(line));
     }
-
-    return score;
 }
 
 // ==========================================
@@ -295,56 +138,58 @@ function calculateScore(text, def) {
 // ==========================================
 
 function run() {
-    console.log('🧪 Starting Round 8 Update (Use Tags + Quality Logic Removal)...');
-
-    // 1. Wipe existing AI tags
-    console.log('🧹 Clearing old AI tags...');
-    db.prepare("DELETE FROM tweet_tags WHERE source = 'ai' OR source = 'auto'").run();
-
-    const tweets = db.prepare("SELECT * FROM tweets").all();
-    console.log(`📊 Processing ${tweets.length} tweets...`);
+    const suggest = process.argv.includes('--suggest');
+    const incremental = process.argv.includes('--incremental');
+    const dryRun = process.argv.includes('--dry-run');
+    const rules = loadRules(db);
+    const version = rulesVersion(rules);
+    console.log(`🧪 Heuristic tagging with ${rules.length} rules (${version})${dryRun ? ' - dry run, nothing will be written' : ''}...`);
+    if (suggest) {
+        console.log('📝 Suggest mode: new tags go to the review queue.');
+    }
 
-    const insertTag = db.prepare("INSERT OR IGNORE INTO tags (name, category) VALUES (?, ?)");
-    const linkTag = db.prepare("INSERT OR IGNORE INTO tweet_tags (tweet_id, tag_id, source) VALUES (?, ?, 'ai')");
-    const getTagId = db.prepare("SELECT id FROM tags WHERE name = ?");
+    // Incremental runs skip tweets the rules have already tagged or suggested
+    // for, which leaves untagged and newly imported tweets
+    const tweets = incremental
+        ? db.prepare(`
+            SELECT * FROM tweets t
+            WHERE NOT EXISTS (SELECT 1 FROM tweet_tags tt WHERE tt.tweet_id = t.id AND tt.tagger = ?)
+              AND NOT EXISTS (SELECT 1 FROM tag_suggestions s WHERE s.tweet_id = t.id AND s.tagger = ?)
+        `).all(TAGGER, TAGGER)
+        : db.prepare('SELECT * FROM tweets').all();
+    console.log(`📊 Processing ${tweets.length} tweets${incremental ? ' (incremental)' : ''}...`);
+
+    const plan = planChanges(rules, tweets, { suggest });
+    console.log(`\n📋 ${plan.toAdd.length} tags to ${suggest ? 'suggest' : 'add'}, ${plan.toRemove.length} stale tags to remove:`);
+    printDiff(plan);
+
+    if (dryRun) {
+        console.log(`\n✅ Dry run complete: +${plan.toAdd.length} -${plan.toRemove.length} (no changes made)`);
+        return;
+    }
 
-    // Ensure tags exist (Topics)
-    Object.keys(DEFINITIONS).forEach(t => insertTag.run(t.toLowerCase(), 'topic'));
-    // Ensure tags exist (Patterns)
-    Object.keys(PATTERNS).forEach(p => insertTag.run(p.toLowerCase(), 'pattern'));
-    // USE TAGS REMOVED - now manual-only
+    // Tags rejected in review are skipped
+    const linkTag = createTagWriter(db, {
+        suggest,
+        source: 'auto',
+        tagger: TAGGER,
+        taggerVersion: version
+    });
+    const unlinkTag = db.prepare('DELETE FROM tweet_tags WHERE tweet_id = ? AND tag_id = ? AND tagger = ?');
 
-    let countTags = 0;
+    let added = 0;
+    let removed = 0;
 
     db.transaction(() => {
-        for (const tweet of tweets) {
-            // Semantic Tags (Topics)
-            for (const [topic, def] of Object.entries(DEFINITIONS)) {
-                if (calculateScore(tweet.full_text, def) >= SCORE_THRESHOLD) {
-                    const tagIdObj = getTagId.get(topic.toLowerCase());
-                    if (tagIdObj) {
-                        linkTag.run(tweet.id, tagIdObj.id);
-                        countTags++;
-                    }
-                }
-            }
-
-            // Pattern Tags
-            for (const [pattern, regexes] of Object.entries(PATTERNS)) {
-                const isMatch = regexes.some(r => r.test(tweet.full_text));
-                if (isMatch) {
-                    const tagIdObj = getTagId.get(pattern.toLowerCase());
-                    if (tagIdObj) {
-                        linkTag.run(tweet.id, tagIdObj.id);
-                        countTags++;
-                    }
-                }
-            }
+        for (const { tweet, tagId } of plan.toRemove) {
+            removed += unlinkTag.run(tweet.id, tagId, TAGGER).changes;
+        }
+        for (const { tweet, tagId, confidence } of plan.toAdd) {
+            added += linkTag(tweet.id, tagId, confidence);
         }
     })();
 
-    console.log(`✅ Done!`);
-    console.log(`Added ${countTags} semantic/pattern tags.`);
+    console.log(`\n✅ Done! ${suggest ? 'Suggested' : 'Added'} ${added} tags, removed ${removed} stale tags.`);
 }
 
 run();
@@ -0,0 +1,54 @@
+/**
+ * Tweet Embedding Script
+ * Computes a vector for every tweet that doesn't have one yet for the
+ * configured provider (EMBEDDING_PROVIDER=hash|openai, default hash).
+ * Usage: node scripts/embed_tweets.js [provider]
+ */
+
+const Database = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+const embeddings = require('../lib/embeddings');
+
+// Database path - check multiple locations (same as server.js)
+const DB_PATHS = [
+    '/data/tweets.db',                                    // Render persistent disk
+    path.join(__dirname, '../tweets.db'),                 // Root level
+    path.join(__dirname, '../database/tweets.db')         // Subdirectory (local dev)
+];
+
+const DB_PATH = DB_PATHS.find(p => fs.existsSync(p));
+if (!DB_PATH) {
+    console.error('❌ No database found at:', DB_PATHS);
+    process.exit(1);
+}
+console.log('📂 Using database:', DB_PATH);
+const db = new Database(DB_PATH);
+
+// Make sure tweet_embeddings exists on databases created before it
+db.exec(fs.readFileSync(path.join(__dirname, '../database/schema.sql'), 'utf8'));
+
+async function run() {
+    const provider = embeddings.getEmbeddingProvider(process.argv[2] || undefined);
+    const missing = embeddings.countMissingEmbeddings(db, provider);
+    console.log(`🧭 Provider: ${provider.name} (${provider.model})`);
+
+    if (missing === 0) {
+        console.log('✅ Every tweet already has an embedding');
+        return;
+    }
+
+    console.log(`📊 ${missing} tweets to embed`);
+    const start = Date.now();
+    const { embedded } = await embeddings.embedMissingTweets(db, provider, {
+        onProgress: ({ done, total }) => console.log(`   ${done}/${total}`)
+    });
+    console.log(`✅ Embedded ${embedded} tweets in ${((Date.now() - start) / 1000).toFixed(1)}s`);
+}
+
+run()
+    .catch(err => {
+        console.error('❌ Embedding failed:', err.message);
+        process.exitCode = 1;
+    })
+    .finally(() => db.close());
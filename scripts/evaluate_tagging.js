@@ -0,0 +1,84 @@
+/**
+ * Tagging Evaluation Script
+ * Scores each tagger (source + prompt/rules version) against the manual tags:
+ * per-tag precision, recall and F1, and the tags it most often mistakes.
+ * Usage: node scripts/evaluate_tagging.js [--sample N] [--seed S] [--account ID] [--no-live] [--json]
+ *   --sample N   evaluate a random N of the manually tagged tweets (same N and seed = same sample)
+ *   --no-live    skip scoring the current heuristic rules
+ *   --json       print the full report as JSON
+ */
+
+const Database = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+const { runMigrations } = require('../database/migrations');
+const { evaluateTaggers } = require('../lib/tag_evaluation');
+
+// Database path - check multiple locations (same as server.js)
+const DB_PATHS = [
+    '/data/tweets.db',                                    // Render persistent disk
+    path.join(__dirname, '../tweets.db'),                 // Root level
+    path.join(__dirname, '../database/tweets.db')         // Subdirectory (local dev)
+];
+
+const DB_PATH = DB_PATHS.find(p => fs.existsSync(p));
+if (!DB_PATH) {
+    console.error('❌ No database found at:', DB_PATHS);
+    process.exit(1);
+}
+
+function argValue(name) {
+    const index = process.argv.indexOf(name);
+    return index === -1 ? undefined : process.argv[index + 1];
+}
+
+const json = process.argv.includes('--json');
+if (!json) console.log('📂 Using database:', DB_PATH);
+const db = new Database(DB_PATH);
+db.exec(fs.readFileSync(path.join(__dirname, '../database/schema.sql'), 'utf8'));
+runMigrations(db);
+
+const percent = (value) => value === null ? '   -' : `${Math.round(value * 100)}%`.padStart(4);
+
+function printReport(report) {
+    console.log(`\n🎯 ${report.sampledTweets} of ${report.labelledTweets} manually tagged tweets (seed ${report.seed})`);
+    if (report.groups.length === 0) {
+        console.log('Nothing to evaluate - tag some tweets by hand first.');
+        return;
+    }
+
+    report.groups.forEach(group => {
+        const name = `${group.source} / ${group.tagger || 'unknown tagger'} @ ${group.version || 'unknown version'}${group.live ? ' (current rules, live)' : ''}`;
+        console.log(`\n━━ ${name}`);
+        console.log(`   ${group.tweets} tweets · precision ${percent(group.precision)} · recall ${percent(group.recall)} · F1 ${percent(group.f1)} · macro F1 ${percent(group.macroF1)}`);
+        console.log(`   ${'tag'.padEnd(24)} ${'TP'.padStart(4)} ${'FP'.padStart(4)} ${'FN'.padStart(4)}    P    R   F1`);
+        group.tags.slice(0, 15).forEach(t => {
+            console.log(`   ${String(t.tag).padEnd(24)} ${String(t.tp).padStart(4)} ${String(t.fp).padStart(4)} ${String(t.fn).padStart(4)} ${percent(t.precision)} ${percent(t.recall)} ${percent(t.f1)}`);
+        });
+        if (group.tags.length > 15) console.log(`   ... ${group.tags.length - 15} more tags (--json for all)`);
+    });
+
+    if (report.confusions.length > 0) {
+        console.log('\n🔀 Most common mix-ups (tagged X where the right tag was Y):');
+        report.confusions.forEach(c => console.log(`   ${String(c.count).padStart(4)}  ${c.predicted} → should be ${c.actual}`));
+    }
+}
+
+try {
+    const report = evaluateTaggers(db, {
+        sample: argValue('--sample'),
+        seed: argValue('--seed'),
+        account: argValue('--account'),
+        live: !process.argv.includes('--no-live')
+    });
+    if (json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report);
+    }
+} catch (err) {
+    console.error('❌ Evaluation failed:', err.message);
+    process.exitCode = 1;
+} finally {
+    db.close();
+}
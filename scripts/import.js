@@ -1,21 +1,19 @@
 /**
  * Twitter Archive Import Script
- * Parses tweets.js and note-tweet.js and populates SQLite database
- * Supports: thread detection, media URLs, tweet URLs, deduplication
+ * Parses account.js, tweets.js and note-tweet.js and populates SQLite database
+ * Supports: owner profile, thread detection, media URLs, tweet URLs, deduplication
  */
 
 const Database = require('better-sqlite3');
 const fs = require('fs');
 const path = require('path');
+const { runMigrations } = require('../database/migrations');
 
 // Configuration
 const ARCHIVE_PATH = process.argv[2] || path.join(__dirname, '../../twitter_archive/data');
 const DB_PATH = path.join(__dirname, '../database/tweets.db');
 const SCHEMA_PATH = path.join(__dirname, '../database/schema.sql');
 
-// Your Twitter username (for thread detection)
-const YOUR_USERNAME = 'tyleralterman';
-
 // Ensure database directory exists
 const dbDir = path.dirname(DB_PATH);
 if (!fs.existsSync(dbDir)) {
@@ -33,6 +31,7 @@ db.pragma('journal_mode = WAL');
 // Run schema (creates tables if not exist)
 const schema = fs.readFileSync(SCHEMA_PATH, 'utf8');
 db.exec(schema);
+runMigrations(db);
 console.log('✅ Schema ready');
 
 // Parse Twitter's JS format (window.YTD.tweets.part0 = [...])
@@ -43,6 +42,34 @@ function parseTwitterJS(filePath) {
     return JSON.parse(jsonContent);
 }
 
+// Load the archive owner from account.js and store it in the accounts table.
+// Falls back to the only known account when the archive has no account.js
+// (with several accounts we can't tell whose archive it is).
+function loadOwnerProfile() {
+    const accountPath = path.join(ARCHIVE_PATH, 'account.js');
+    if (fs.existsSync(accountPath)) {
+        const account = (parseTwitterJS(accountPath)[0] || {}).account;
+        if (account && account.username) {
+            db.prepare(`
+                INSERT INTO accounts (twitter_id, username, display_name)
+                VALUES (?, ?, ?)
+                ON CONFLICT(username) DO UPDATE SET
+                    twitter_id = excluded.twitter_id,
+                    display_name = excluded.display_name,
+                    imported_at = CURRENT_TIMESTAMP
+            `).run(account.accountId || null, account.username, account.accountDisplayName || null);
+            return db.prepare('SELECT * FROM accounts WHERE username = ?').get(account.username);
+        }
+    }
+
+    const accounts = db.prepare('SELECT * FROM accounts').all();
+    if (accounts.length === 1) {
+        console.log('ℹ️  No account.js found, using previously imported owner');
+        return accounts[0];
+    }
+    return null;
+}
+
 // Load note tweets and build prefix-based lookup
 function loadNoteTweets() {
     const noteTweetPath = path.join(ARCHIVE_PATH, 'note-tweet.js');
@@ -94,16 +121,23 @@ function getLengthCategory(charCount) {
     return 'long';
 }
 
+// Check if a tweet replies to the archive owner (self-reply = thread)
+function isSelfReply(tweet, owner) {
+    if (!owner) return false;
+    if (owner.twitter_id && tweet.in_reply_to_user_id_str === owner.twitter_id) return true;
+    return Boolean(tweet.in_reply_to_screen_name) &&
+        tweet.in_reply_to_screen_name.toLowerCase() === owner.username.toLowerCase();
+}
+
 // Determine tweet type with thread detection
-function getTweetType(tweet, tweetIdMap) {
+function getTweetType(tweet, tweetIdMap, owner) {
     // Check for retweet first
     if (tweet.full_text && tweet.full_text.startsWith('RT @')) {
         return 'retweet';
     }
 
     // Check for thread (reply to self)
-    if (tweet.in_reply_to_screen_name &&
-        tweet.in_reply_to_screen_name.toLowerCase() === YOUR_USERNAME.toLowerCase()) {
+    if (isSelfReply(tweet, owner)) {
         return 'thread';
     }
 
@@ -171,9 +205,11 @@ function getQuotedTweetId(tweet) {
     return null;
 }
 
-// Generate tweet URL
-function getTweetUrl(tweetId) {
-    return `https://x.com/${YOUR_USERNAME}/status/${tweetId}`;
+// Generate tweet URL (username-less form when the owner is unknown)
+function getTweetUrl(tweetId, owner) {
+    return owner
+        ? `https://x.com/${owner.username}/status/${tweetId}`
+        : `https://x.com/i/web/status/${tweetId}`;
 }
 
 // Get existing tweet IDs for deduplication
@@ -219,6 +255,13 @@ async function importTweets() {
         process.exit(1);
     }
 
+    const owner = loadOwnerProfile();
+    if (owner) {
+        console.log(`👤 Archive owner: @${owner.username}${owner.display_name ? ` (${owner.display_name})` : ''}`);
+    } else {
+        console.log('⚠️  Archive owner unknown - thread detection disabled');
+    }
+
     const noteTweets = loadNoteTweets();
     const existingIds = isUpdate ? getExistingTweetIds() : new Set();
     if (isUpdate) {
@@ -240,16 +283,20 @@ async function importTweets() {
             is_reply, is_quote_tweet, is_retweet, is_thread, has_media, 
             media_type, media_url, lang, source, 
             in_reply_to_user, in_reply_to_tweet_id, quoted_tweet_id, tweet_url,
-            char_count, length_category, tweet_type
+            char_count, length_category, tweet_type, account_id
         ) VALUES (
             ?, ?, ?, ?, ?,
             ?, ?, ?, ?, ?,
             ?, ?, ?, ?,
             ?, ?, ?, ?,
-            ?, ?, ?
+            ?, ?, ?, ?
         )
     `);
 
+    // Claim existing tweets imported before they had an account
+    const claimTweet = db.prepare('UPDATE tweets SET account_id = ? WHERE id = ? AND account_id IS NULL');
+    const accountId = owner ? owner.id : null;
+
     const insertMany = db.transaction((tweets) => {
         let imported = 0;
         let skipped = 0;
@@ -279,7 +326,7 @@ async function importTweets() {
                     longTweets++;
                 }
 
-                const tweetType = getTweetType(tweet, tweetIdMap);
+                const tweetType = getTweetType(tweet, tweetIdMap, owner);
                 if (tweetType === 'thread') threads++;
 
                 const charCount = fullText.length;
@@ -312,11 +359,13 @@ async function importTweets() {
                     tweet.in_reply_to_screen_name || null,
                     tweet.in_reply_to_status_id_str || null,
                     quotedTweetId,
-                    getTweetUrl(tweet.id_str),
+                    getTweetUrl(tweet.id_str, owner),
                     charCount,
                     getLengthCategory(charCount),
-                    tweetType
+                    tweetType,
+                    accountId
                 );
+                if (accountId) claimTweet.run(accountId, tweet.id_str);
 
                 imported++;
             } catch (err) {
@@ -378,7 +427,7 @@ async function importTweets() {
     console.log('\n🏷️  Starting automatic tagging of new tweets...');
     try {
         const { tagNewTweets } = require('./tag_new_tweets.js');
-        await tagNewTweets();
+        await tagNewTweets({ dbPath: DB_PATH });
     } catch (err) {
         console.log('⚠️  Auto-tagging skipped (run manually: node scripts/tag_new_tweets.js)');
         console.log('   Error:', err.message);
@@ -1,24 +1,39 @@
 /**
- * LLM-Based Semantic Tagging Script (OpenAI)
+ * LLM-Based Semantic Tagging Script (OpenAI by default)
  * Analyzes tweets using GPT-4o-mini to assign accurate tags based on meaning
  * 
  * Usage: OPENAI_API_KEY=your-key-here node scripts/llm_tagger_openai.js
+ *        LLM_PROVIDER=ollama LLM_MODEL=llama3.1 node scripts/llm_tagger_openai.js
+ *        node scripts/llm_tagger_openai.js --resume [runId]   (continue an unfinished run)
+ *        node scripts/llm_tagger_openai.js --suggest          (send tags to the review queue instead)
  */
 
 const Database = require('better-sqlite3');
 const path = require('path');
+const fs = require('fs');
+const {
+    createTaggingClient,
+    formatUsage,
+    createTaggingRun,
+    findResumableRun,
+    processTaggingRun,
+    clearTaggerTags,
+    formatRunSummary
+} = require('../lib/llm_tagging');
+const { runMigrations } = require('../database/migrations');
+
+const SCRIPT_NAME = 'llm_tagger_openai';
 
 // Configuration
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-if (!OPENAI_API_KEY) {
-    console.error('❌ Please set OPENAI_API_KEY environment variable');
+let llm;
+try {
+    llm = createTaggingClient({ defaultProvider: 'openai' });
+} catch (err) {
+    console.error(`❌ ${err.message}`);
     process.exit(1);
 }
 const BATCH_SIZE = 25; // Tweets per API call
 const DELAY_MS = 500; // Delay between batches
-const MAX_RETRIES = 3;
-
-const fs = require('fs');
 
 // Database - check multiple locations (same as server.js)
 const DB_PATHS = [
@@ -35,182 +50,80 @@ if (!DB_PATH) {
 console.log('📂 Using database:', DB_PATH);
 const db = new Database(DB_PATH);
 
-// Tag definitions for the LLM
-const SYSTEM_PROMPT = `You are a semantic tweet analyzer. Analyze each tweet and assign relevant tags based on the actual MEANING and CONTEXT, not just keywords.
-
-TOPIC TAGS (pick 0-3 that genuinely fit):
-art, aesthetics, romance, friendship, religion, spirituality, nyc, psychospiritual-practices, psychospiritual-theory, media-commentary, life-hacks, technology, performing-arts, community, woo-wizardry, philosophy, psychology, politics, culture, productivity, creativity, health, career, education, science, economics, depression, strategy, sociology, entities, history, writing, design, awe
-
-PATTERN TAGS (pick 0-2 that fit):
-hot-take, theory, observation, question, advice, story, joke, rant, insight, thread, list, framework, definition, prediction, engagement-bait, dated-reference, promotion, announcement
-
-NOTE: DO NOT assign any "use" tags - those are for manual assignment only.
-
-RULES:
-1. Analyze the FULL meaning, not keywords (e.g., "beautiful art" is NOT romance)
-2. Be conservative - only tag what truly fits
-3. Consider intent and main message
-
-Respond ONLY with valid JSON array:
-[{"id":"tweet_id","topics":["tag1"],"patterns":["tag1"]},...]`;
-
-// ==========================================
-// OpenAI API Call
-// ==========================================
-
-async function callOpenAI(tweets, retries = 0) {
-    const tweetText = tweets.map(t => `[${t.id}] ${t.full_text.substring(0, 500)}`).join('\n---\n');
-
-    try {
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${OPENAI_API_KEY}`
-            },
-            body: JSON.stringify({
-                model: 'gpt-4o-mini',
-                messages: [
-                    { role: 'system', content: SYSTEM_PROMPT },
-                    { role: 'user', content: `Analyze these ${tweets.length} tweets:\n\n${tweetText}` }
-                ],
-                temperature: 0.3,
-                max_tokens: 4096,
-                response_format: { type: "json_object" }
-            })
-        });
-
-        if (!response.ok) {
-            const error = await response.text();
-            if (response.status === 429 && retries < MAX_RETRIES) {
-                // Rate limited - wait and retry
-                console.log(`\n⏸️  Rate limited, waiting 30s...`);
-                await new Promise(r => setTimeout(r, 30000));
-                return callOpenAI(tweets, retries + 1);
-            }
-            throw new Error(`OpenAI API error: ${response.status} - ${error}`);
-        }
-
-        const data = await response.json();
-        const content = data.choices?.[0]?.message?.content;
-
-        if (!content) {
-            throw new Error('Empty response from OpenAI');
-        }
-
-        const parsed = JSON.parse(content);
-        // Handle both direct array and {results: [...]} format
-        return Array.isArray(parsed) ? parsed : (parsed.results || parsed.tweets || []);
-    } catch (err) {
-        if (retries < MAX_RETRIES) {
-            console.log(`\n⚠️  Error, retrying (${retries + 1}/${MAX_RETRIES})...`);
-            await new Promise(r => setTimeout(r, 2000));
-            return callOpenAI(tweets, retries + 1);
-        }
-        throw err;
-    }
-}
+// Bring older databases up to date (tagging_runs tables, tweet_tags provenance)
+db.exec(fs.readFileSync(path.join(__dirname, '../database/schema.sql'), 'utf8'));
+runMigrations(db);
 
 // ==========================================
-// Database Operations
+// Main Processing
 // ==========================================
 
-function ensureTagsExist(tagNames, category) {
-    const insert = db.prepare('INSERT OR IGNORE INTO tags (name, category) VALUES (?, ?)');
-    tagNames.forEach(name => {
-        if (name && typeof name === 'string') {
-            insert.run(name.toLowerCase().trim(), category);
+async function processAllTweets() {
+    const resumeIndex = process.argv.indexOf('--resume');
+    const suggest = process.argv.includes('--suggest');
+    let runId;
+
+    if (resumeIndex !== -1) {
+        // Continue an unfinished run - its tags are kept, only unfinished batches are redone
+        const requestedId = parseInt(process.argv[resumeIndex + 1]) || null;
+        const run = findResumableRun(db, { script: SCRIPT_NAME, runId: requestedId });
+        if (!run) {
+            console.log(requestedId
+                ? `✅ Run ${requestedId} not found or already completed - nothing to resume.`
+                : '✅ No unfinished run to resume.');
+            return;
         }
-    });
-}
-
-function applyTags(tweetId, tags, category) {
-    const getTagId = db.prepare('SELECT id FROM tags WHERE name = ?');
-    const linkTag = db.prepare("INSERT OR IGNORE INTO tweet_tags (tweet_id, tag_id, source) VALUES (?, ?, 'ai')");
-
-    if (!Array.isArray(tags)) return;
-
-    tags.forEach(tagName => {
-        if (tagName && typeof tagName === 'string') {
-            const tag = getTagId.get(tagName.toLowerCase().trim());
-            if (tag) {
-                linkTag.run(tweetId, tag.id);
-            }
+        runId = run.id;
+        db.prepare('UPDATE tagging_runs SET resume_count = resume_count + 1 WHERE id = ?').run(runId);
+        console.log(`⏯️  Resuming run ${runId} with ${llm.provider} (${llm.model}): ${formatRunSummary(run)} so far\n`);
+    } else {
+        console.log(`🤖 Starting semantic tagging with ${llm.provider} (${llm.model})...\n`);
+
+        if (suggest) {
+            // Suggestions are reviewed against the tags already there, so keep them
+            console.log('📝 Suggest mode: new tags go to the review queue, existing tags are kept.');
+        } else {
+            // Only this script's earlier tags - manual curation, heuristic tags,
+            // other taggers and tags accepted in review are kept
+            console.log(`🧹 Clearing previous ${SCRIPT_NAME} tags...`);
+            const deleted = clearTaggerTags(db, SCRIPT_NAME);
+            console.log(`   Deleted ${deleted} tag assignments.`);
         }
-    });
-}
-
-// ==========================================
-// Main Processing
-// ==========================================
 
-async function processAllTweets() {
-    console.log('🤖 Starting OpenAI-based semantic tagging...\n');
-
-    // Clear ALL existing tags (ai, auto, and manual) - fresh start
-    console.log('🧹 Clearing ALL existing tweet tags...');
-    const deleted = db.prepare("DELETE FROM tweet_tags").run();
-    console.log(`   Deleted ${deleted.changes} tag assignments.`);
-
-    // Get all tweets (excluding retweets and replies for cleaner data)
-    const tweets = db.prepare(`
-        SELECT id, full_text 
-        FROM tweets 
-        WHERE tweet_type NOT IN ('retweet', 'reply')
-        ORDER BY favorite_count DESC
-    `).all();
+        // Get all tweets (excluding retweets and replies for cleaner data)
+        const tweets = db.prepare(`
+            SELECT id, full_text 
+            FROM tweets 
+            WHERE tweet_type NOT IN ('retweet', 'reply')
+            ORDER BY favorite_count DESC
+        `).all();
 
-    console.log(`📊 Processing ${tweets.length} tweets in batches of ${BATCH_SIZE}...\n`);
+        runId = createTaggingRun(db, llm, { script: SCRIPT_NAME, tweets, batchSize: BATCH_SIZE, suggest });
+        console.log(`📊 Run ${runId}: processing ${tweets.length} tweets in batches of ${BATCH_SIZE}...\n`);
+    }
 
-    let processed = 0;
-    let errors = 0;
+    const totalTweets = db.prepare('SELECT total_tweets FROM tagging_runs WHERE id = ?').get(runId).total_tweets;
     const startTime = Date.now();
+    let startProcessed = null;
 
-    // Process in batches
-    for (let i = 0; i < tweets.length; i += BATCH_SIZE) {
-        const batch = tweets.slice(i, i + BATCH_SIZE);
-        const batchNum = Math.floor(i / BATCH_SIZE) + 1;
-        const totalBatches = Math.ceil(tweets.length / BATCH_SIZE);
-        const elapsed = ((Date.now() - startTime) / 1000 / 60).toFixed(1);
-        const rate = processed / (elapsed || 1);
-        const eta = ((tweets.length - processed) / rate).toFixed(0);
-
-        process.stdout.write(`\r⏳ Batch ${batchNum}/${totalBatches} | ${processed}/${tweets.length} tweets | ${elapsed}m elapsed | ~${eta}m remaining`);
-
-        try {
-            const results = await callOpenAI(batch);
-
-            // Apply tags from results
-            db.transaction(() => {
-                for (const item of results) {
-                    if (!item || !item.id) continue;
-
-                    if (item.topics?.length) {
-                        ensureTagsExist(item.topics, 'topic');
-                        applyTags(item.id, item.topics, 'topic');
-                    }
-                    if (item.patterns?.length) {
-                        ensureTagsExist(item.patterns, 'pattern');
-                        applyTags(item.id, item.patterns, 'pattern');
-                    }
-                    // USE TAGS REMOVED - now manual-only
-                    processed++;
-                }
-            })();
-
-        } catch (err) {
-            console.error(`\n❌ Error in batch ${batchNum}: ${err.message}`);
-            errors++;
-        }
+    const run = await processTaggingRun(db, llm, runId, {
+        delayMs: DELAY_MS,
+        onBatch: ({ batchIndex, totalBatches, processed }) => {
+            if (startProcessed === null) startProcessed = processed;
+            const elapsed = ((Date.now() - startTime) / 1000 / 60).toFixed(1);
+            const rate = (processed - startProcessed) / (parseFloat(elapsed) || 1);
+            const eta = rate > 0 ? ((totalTweets - processed) / rate).toFixed(0) : '?';
 
-        // Rate limiting delay
-        if (i + BATCH_SIZE < tweets.length) {
-            await new Promise(resolve => setTimeout(resolve, DELAY_MS));
+            process.stdout.write(`\r⏳ Batch ${batchIndex + 1}/${totalBatches} | ${processed}/${totalTweets} tweets | ${elapsed}m elapsed | ~${eta}m remaining`);
         }
-    }
+    });
 
     const totalTime = ((Date.now() - startTime) / 1000 / 60).toFixed(1);
-    console.log(`\n\n✅ Done! Processed ${processed} tweets in ${totalTime} minutes (${errors} errors).`);
+    console.log(`\n\n${run.status === 'completed' ? '✅ Done!' : '⚠️  Finished with failed batches.'} Run ${runId} in ${totalTime} minutes: ${formatRunSummary(run)}.`);
+    console.log(`🧮 Usage this session: ${formatUsage(llm.usage)}`);
+    if (run.status !== 'completed') {
+        console.log(`   Retry the failed batches with: node scripts/llm_tagger_openai.js --resume ${runId}`);
+    }
 
     // Show tag counts
     const counts = db.prepare(`
@@ -1,6 +1,8 @@
 const Database = require('better-sqlite3');
 const fs = require('fs');
 const path = require('path');
+const { runMigrations } = require('../database/migrations');
+const { dropFtsTriggers, rebuildFtsIndex, getFtsStatus } = require('../database/fts');
 
 const DB_PATH = path.join(__dirname, '../database/tweets.db');
 const SCHEMA_PATH = path.join(__dirname, '../database/schema.sql');
@@ -13,7 +15,18 @@ if (!fs.existsSync(DB_PATH)) {
 const db = new Database(DB_PATH);
 console.log('🔄 Starting migration...');
 
+// better-sqlite3 turns foreign keys on. With them on, the rename below would
+// re-point every child table's REFERENCES tweets(id) (tweet_tags,
+// tag_suggestions, ...) at tweets_backup, and dropping the backup would then
+// cascade-delete or orphan their rows. legacy_alter_table keeps the rename
+// from touching those references. Both must be set outside any transaction.
+db.pragma('foreign_keys = OFF');
+db.pragma('legacy_alter_table = ON');
+
 // 1. Rename existing table
+// The FTS triggers would follow the rename onto tweets_backup (and be dropped
+// with it), so remove them first - the schema recreates them on the new table
+dropFtsTriggers(db);
 try {
     db.prepare('ALTER TABLE tweets RENAME TO tweets_backup').run();
     console.log('✅ Renamed tweets to tweets_backup');
@@ -31,6 +44,7 @@ const schema = fs.readFileSync(SCHEMA_PATH, 'utf8');
 // unexpected: schema contains CREATE TABLE IF NOT EXISTS.
 // We must ensure it runs.
 db.exec(schema);
+runMigrations(db);
 console.log('✅ Created new tweets table from schema');
 
 // 3. Get columns from backup
@@ -64,8 +78,23 @@ if (countNew === countOld) {
     console.log('Keeping tweets_backup for safety.');
 }
 
-// Also ensure FTS is rebuilt
-db.exec(`INSERT INTO tweets_fts(tweets_fts) VALUES('rebuild')`);
-console.log('✅ FTS index rebuilt');
+// Also ensure FTS is rebuilt - rowids changed with the copy
+rebuildFtsIndex(db);
+const ftsStatus = getFtsStatus(db);
+if (ftsStatus.inSync) {
+    console.log(`✅ FTS index rebuilt (${ftsStatus.indexedCount} tweets)`);
+} else {
+    console.error('⚠️  FTS index still out of sync:', ftsStatus);
+}
+
+// Every child row should still point at a tweet in the rebuilt table
+const violations = db.pragma('foreign_key_check');
+if (violations.length === 0) {
+    console.log('✅ Foreign keys check out');
+} else {
+    console.error(`⚠️  ${violations.length} rows fail the foreign key check, e.g.:`, violations.slice(0, 5));
+}
+db.pragma('legacy_alter_table = OFF');
+db.pragma('foreign_keys = ON');
 
 db.close();
@@ -1,117 +1,50 @@
 /**
  * Tag only untagged tweets (skip already tagged ones)
+ *
+ * Usage: node scripts/tag_remaining.js [--suggest]   (--suggest sends tags to the review queue)
  */
 
 const Database = require('better-sqlite3');
 const path = require('path');
-
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-if (!OPENAI_API_KEY) {
-    console.error('❌ Please set OPENAI_API_KEY environment variable');
-    process.exit(1);
-}
+const fs = require('fs');
+const {
+    createTaggingClient,
+    formatUsage,
+    createTaggingRun,
+    processTaggingRun,
+    formatRunSummary
+} = require('../lib/llm_tagging');
+const { runMigrations } = require('../database/migrations');
 
 const BATCH_SIZE = 25;
 const DELAY_MS = 500;
-const MAX_RETRIES = 3;
-
-const DB_PATH = path.join(__dirname, '../tweets.db');
-const db = new Database(DB_PATH);
-
-const SYSTEM_PROMPT = `You are a semantic tweet analyzer. Analyze each tweet and assign relevant tags based on the actual MEANING and CONTEXT, not just keywords.
-
-TOPIC TAGS (pick 0-3 that genuinely fit):
-art, aesthetics, romance, friendship, religion, spirituality, nyc, psychospiritual-practices, psychospiritual-theory, media-commentary, life-hacks, technology, performing-arts, community, woo-wizardry, philosophy, psychology, politics, culture, productivity, creativity, health, career, education, science, economics, depression, strategy, sociology, entities, history, writing, design, awe
-
-PATTERN TAGS (pick 0-2 that fit):
-hot-take, theory, observation, question, advice, story, joke, rant, insight, thread, list, framework, definition, prediction, engagement-bait, dated-reference, promotion, announcement
-
-NOTE: DO NOT assign any "use" tags - those are for manual assignment only.
-
-RULES:
-1. Analyze the FULL meaning, not keywords (e.g., "beautiful art" is NOT romance)
-2. Be conservative - only tag what truly fits
-3. Consider intent and main message
-
-Respond ONLY with valid JSON array:
-[{"id":"tweet_id","topics":["tag1"],"patterns":["tag1"]},...]`;
-
-async function callOpenAI(tweets, retries = 0) {
-    const tweetText = tweets.map(t => `[${t.id}] ${t.full_text.substring(0, 500)}`).join('\n---\n');
-
-    try {
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${OPENAI_API_KEY}`
-            },
-            body: JSON.stringify({
-                model: 'gpt-4o-mini',
-                messages: [
-                    { role: 'system', content: SYSTEM_PROMPT },
-                    { role: 'user', content: `Analyze these ${tweets.length} tweets:\n\n${tweetText}` }
-                ],
-                temperature: 0.3,
-                max_tokens: 4096,
-                response_format: { type: "json_object" }
-            })
-        });
-
-        if (!response.ok) {
-            const error = await response.text();
-            if (response.status === 429 && retries < MAX_RETRIES) {
-                console.log(`\n⏸️  Rate limited, waiting 30s...`);
-                await new Promise(r => setTimeout(r, 30000));
-                return callOpenAI(tweets, retries + 1);
-            }
-            throw new Error(`OpenAI API error: ${response.status} - ${error}`);
-        }
-
-        const data = await response.json();
-        const content = data.choices?.[0]?.message?.content;
-
-        if (!content) throw new Error('Empty response from OpenAI');
-
-        const parsed = JSON.parse(content);
-        return Array.isArray(parsed) ? parsed : (parsed.results || parsed.tweets || []);
-    } catch (err) {
-        if (retries < MAX_RETRIES) {
-            console.log(`\n⚠️  Error, retrying (${retries + 1}/${MAX_RETRIES})...`);
-            await new Promise(r => setTimeout(r, 2000));
-            return callOpenAI(tweets, retries + 1);
-        }
-        throw err;
-    }
-}
 
-function ensureTagsExist(tagNames, category) {
-    const insert = db.prepare('INSERT OR IGNORE INTO tags (name, category) VALUES (?, ?)');
-    tagNames.forEach(name => {
-        if (name && typeof name === 'string') {
-            insert.run(name.toLowerCase().trim(), category);
-        }
-    });
+// Database - check multiple locations (same as server.js)
+const DB_PATHS = [
+    '/data/tweets.db',                            // Render persistent disk
+    path.join(__dirname, '../tweets.db'),         // Root level
+    path.join(__dirname, '../database/tweets.db') // Subdirectory (local dev)
+];
+
+let llm;
+try {
+    llm = createTaggingClient({ defaultProvider: 'openai' });
+} catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
 }
 
-function applyTags(tweetId, tags, category) {
-    const getTagId = db.prepare('SELECT id FROM tags WHERE name = ?');
-    const linkTag = db.prepare("INSERT OR IGNORE INTO tweet_tags (tweet_id, tag_id, source) VALUES (?, ?, 'ai')");
-
-    if (!Array.isArray(tags)) return;
-
-    tags.forEach(tagName => {
-        if (tagName && typeof tagName === 'string') {
-            const tag = getTagId.get(tagName.toLowerCase().trim());
-            if (tag) {
-                linkTag.run(tweetId, tag.id);
-            }
-        }
-    });
+const DB_PATH = DB_PATHS.find(p => fs.existsSync(p));
+if (!DB_PATH) {
+    console.error('❌ No database found at:', DB_PATHS);
+    process.exit(1);
 }
+const db = new Database(DB_PATH);
+db.exec(fs.readFileSync(path.join(__dirname, '../database/schema.sql'), 'utf8'));
+runMigrations(db);
 
 async function processUntaggedTweets() {
-    console.log('🤖 Tagging remaining untagged tweets...\n');
+    console.log(`🤖 Tagging remaining untagged tweets with ${llm.provider} (${llm.model})...\n`);
 
     // Get only untagged tweets (excluding retweets/replies)
     const tweets = db.prepare(`
@@ -119,6 +52,7 @@ async function processUntaggedTweets() {
         FROM tweets t
         WHERE t.tweet_type NOT IN ('retweet', 'reply')
         AND t.id NOT IN (SELECT DISTINCT tweet_id FROM tweet_tags)
+        AND t.id NOT IN (SELECT DISTINCT tweet_id FROM tag_suggestions)
         ORDER BY t.favorite_count DESC
     `).all();
 
@@ -129,52 +63,28 @@ async function processUntaggedTweets() {
         return;
     }
 
-    let processed = 0;
-    let errors = 0;
+    const runId = createTaggingRun(db, llm, {
+        script: 'tag_remaining',
+        tweets,
+        batchSize: BATCH_SIZE,
+        suggest: process.argv.includes('--suggest')
+    });
     const startTime = Date.now();
 
-    for (let i = 0; i < tweets.length; i += BATCH_SIZE) {
-        const batch = tweets.slice(i, i + BATCH_SIZE);
-        const batchNum = Math.floor(i / BATCH_SIZE) + 1;
-        const totalBatches = Math.ceil(tweets.length / BATCH_SIZE);
-        const elapsed = ((Date.now() - startTime) / 1000 / 60).toFixed(1);
-        const rate = processed > 0 ? processed / (parseFloat(elapsed) || 1) : 25;
-        const eta = ((tweets.length - processed) / rate).toFixed(0);
-
-        process.stdout.write(`\r⏳ Batch ${batchNum}/${totalBatches} | ${processed}/${tweets.length} tweets | ${elapsed}m elapsed | ~${eta}m remaining`);
-
-        try {
-            const results = await callOpenAI(batch);
-
-            db.transaction(() => {
-                for (const item of results) {
-                    if (!item || !item.id) continue;
-
-                    if (item.topics?.length) {
-                        ensureTagsExist(item.topics, 'topic');
-                        applyTags(item.id, item.topics, 'topic');
-                    }
-                    if (item.patterns?.length) {
-                        ensureTagsExist(item.patterns, 'pattern');
-                        applyTags(item.id, item.patterns, 'pattern');
-                    }
-                    // USE TAGS REMOVED - now manual-only
-                    processed++;
-                }
-            })();
-
-        } catch (err) {
-            console.error(`\n❌ Error in batch ${batchNum}: ${err.message}`);
-            errors++;
-        }
+    const run = await processTaggingRun(db, llm, runId, {
+        delayMs: DELAY_MS,
+        onBatch: ({ batchIndex, totalBatches, processed }) => {
+            const elapsed = ((Date.now() - startTime) / 1000 / 60).toFixed(1);
+            const rate = processed > 0 ? processed / (parseFloat(elapsed) || 1) : 25;
+            const eta = ((tweets.length - processed) / rate).toFixed(0);
 
-        if (i + BATCH_SIZE < tweets.length) {
-            await new Promise(resolve => setTimeout(resolve, DELAY_MS));
+            process.stdout.write(`\r⏳ Batch ${batchIndex + 1}/${totalBatches} | ${processed}/${tweets.length} tweets | ${elapsed}m elapsed | ~${eta}m remaining`);
         }
-    }
+    });
 
     const totalTime = ((Date.now() - startTime) / 1000 / 60).toFixed(1);
-    console.log(`\n\n✅ Done! Processed ${processed} tweets in ${totalTime} minutes (${errors} errors).`);
+    console.log(`\n\n✅ Done! Run ${runId} in ${totalTime} minutes: ${formatRunSummary(run)}.`);
+    console.log(`🧮 Usage: ${formatUsage(llm.usage)}`);
 
     // Show tag counts
     const counts = db.prepare(`
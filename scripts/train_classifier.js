@@ -0,0 +1,111 @@
+/**
+ * Local Classifier Training Script
+ * Trains the naive Bayes models in lib/classifier.js on our own labels, then
+ * applies them: the topic model tags tweets that have no manual tags (source
+ * 'ai', tagger 'local_classifier') and the swipe model fills ai_quality_score.
+ *
+ * Usage: node scripts/train_classifier.js [topics|swipe] [--dry-run] [--suggest] [--threshold 0.7]
+ *   topics|swipe  train just one model (default: both)
+ *   --dry-run     train and report, but don't store models or write tags/scores
+ *   --suggest     send the topic model's tags to the review queue
+ *   --threshold   probability a tag needs before it is applied
+ */
+
+const Database = require('better-sqlite3');
+const path = require('path');
+const fs = require('fs');
+const { runMigrations } = require('../database/migrations');
+const classifier = require('../lib/classifier');
+
+// Database path - check multiple locations (same as server.js)
+const DB_PATHS = [
+    '/data/tweets.db',                                    // Render persistent disk
+    path.join(__dirname, '../tweets.db'),                 // Root level
+    path.join(__dirname, '../database/tweets.db')         // Subdirectory (local dev)
+];
+
+const DB_PATH = DB_PATHS.find(p => fs.existsSync(p));
+if (!DB_PATH) {
+    console.error('❌ No database found at:', DB_PATHS);
+    process.exit(1);
+}
+console.log('📂 Using database:', DB_PATH);
+const db = new Database(DB_PATH);
+db.exec(fs.readFileSync(path.join(__dirname, '../database/schema.sql'), 'utf8'));
+runMigrations(db);
+
+// Thrown to roll back a dry run's stored models
+class DryRunRollback extends Error {}
+
+const percent = (value) => value === null ? '-' : `${Math.round(value * 100)}%`;
+
+function run() {
+    const which = classifier.MODEL_NAMES.find(name => process.argv.includes(name));
+    const dryRun = process.argv.includes('--dry-run');
+    const suggest = process.argv.includes('--suggest');
+    const thresholdIndex = process.argv.indexOf('--threshold');
+    const threshold = thresholdIndex === -1
+        ? classifier.DEFAULT_TOPIC_THRESHOLD
+        : parseFloat(process.argv[thresholdIndex + 1]) || classifier.DEFAULT_TOPIC_THRESHOLD;
+
+    // A dry run trains inside a transaction that is rolled back
+    const train = db.transaction(() => {
+        let failed = 0;
+
+        if (!which || which === 'topics') {
+            console.log('\n🏷️  Training topic model on manually tagged tweets...');
+            try {
+                const result = classifier.trainTopics(db, { threshold });
+                const m = result.metrics;
+                console.log(`   ${result.trainingSize} tweets, ${result.tags} tags learned (${result.version})`);
+                console.log(`   Held out ${m.testTweets}: precision ${percent(m.precision)} · recall ${percent(m.recall)} · F1 ${percent(m.f1)} at ${threshold}`);
+                if (!dryRun) {
+                    const applied = classifier.applyTopics(db, { suggest, threshold });
+                    console.log(`   ${suggest ? 'Suggested' : 'Applied'} ${applied.written} tags across ${applied.tweets} tweets without manual tags`);
+                }
+            } catch (err) {
+                if (!(err instanceof classifier.ClassifierError)) throw err;
+                console.log(`   ⚠️  ${err.message}`);
+                failed++;
+            }
+        }
+
+        if (!which || which === 'swipe') {
+            console.log('\n✨ Training swipe model on swipe ratings...');
+            try {
+                const result = classifier.trainSwipes(db);
+                const m = result.metrics;
+                console.log(`   ${result.trainingSize} swiped tweets (${result.version})`);
+                console.log(`   Held out ${m.testTweets}: accuracy ${percent(m.accuracy)} · mean score superlike ${m.meanScore.superlike ?? '-'}, like ${m.meanScore.like ?? '-'}, dislike ${m.meanScore.dislike ?? '-'}`);
+                if (!dryRun) {
+                    const applied = classifier.applySwipeScores(db);
+                    console.log(`   Scored ${applied.scored} tweets (ai_quality_score)`);
+                }
+            } catch (err) {
+                if (!(err instanceof classifier.ClassifierError)) throw err;
+                console.log(`   ⚠️  ${err.message}`);
+                failed++;
+            }
+        }
+
+        if (dryRun) throw new DryRunRollback();
+        return failed;
+    });
+
+    try {
+        const failed = train();
+        console.log(`\n✅ Done${failed ? ` (${failed} model(s) skipped)` : ''}`);
+    } catch (err) {
+        if (!(err instanceof DryRunRollback)) throw err;
+        console.log('\n✅ Dry run complete (nothing stored)');
+    }
+}
+
+try {
+    run();
+} catch (err) {
+    console.error('❌ Training failed:', err.message);
+    process.exitCode = 1;
+} finally {
+    db.close();
+}
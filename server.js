@@ -10,7 +10,54 @@ const path = require('path');
 const fs = require('fs');
 const multer = require('multer');
 const extractZip = require('extract-zip');
-const { execSync } = require('child_process');
+const { runMigrations } = require('./database/migrations');
+const { getFtsStatus, rebuildFtsIndex } = require('./database/fts');
+const { parseSearchQuery, snippetToHtml, SearchQueryError } = require('./lib/search_query');
+const { SwipeQueueError, registerSwipeQueueFunctions, buildSwipeFilters, resolveStrategy } = require('./lib/swipe_queue');
+const { REVIEW_SCHEDULE_JOIN, DUE_CONDITION, applySwipeToSchedule, reviewCounts } = require('./lib/review_schedule');
+const { RATING_JOIN, PairwiseError, nextPair, recordComparison, rankedTweets } = require('./lib/pairwise');
+const {
+    SwipeEventError,
+    countSessionSwipe,
+    captureSwipeState,
+    logSwipeEvent,
+    listSwipeEvents,
+    undoSwipeEvent
+} = require('./lib/swipe_events');
+const { validateQueryPlan, compileQueryPlan, QueryPlanError } = require('./lib/query_plan');
+const embeddings = require('./lib/embeddings');
+const { createLlmClient, LlmConfigError } = require('./lib/llm');
+const { createJobQueue, JobStateError } = require('./lib/jobs');
+const { findResumableRun, listTaggingRuns, getTaggingRun } = require('./lib/llm_tagging');
+const {
+    SuggestionReviewError,
+    rejectTag,
+    confirmTag,
+    listPendingSuggestions,
+    suggestionStats,
+    reviewSuggestions
+} = require('./lib/tag_suggestions');
+const {
+    TagRuleError,
+    listRules,
+    getRule,
+    createRule,
+    updateRule,
+    deleteRule,
+    previewRule
+} = require('./lib/tag_rules');
+const { evaluateTaggers } = require('./lib/tag_evaluation');
+const { listModels } = require('./lib/classifier');
+const {
+    TAG_SUBTREE_SQL,
+    TagError,
+    findTag,
+    ensureTag,
+    updateTag,
+    mergeTags,
+    deleteTag,
+    cleanupUnusedTags
+} = require('./lib/tags');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -102,16 +149,21 @@ try {
     // Schema already applied
 }
 
-// Auto-migration: Add first_impressions column if it doesn't exist
+// Auto-migrations: Add columns/tables missing from older databases
+runMigrations(db);
+registerSwipeQueueFunctions(db);
+
+// Search index check: a stale tweets_fts silently drops tweets from search
 try {
-    const columns = db.pragma('table_info(tweets)').map(c => c.name);
-    if (!columns.includes('first_impressions')) {
-        console.log('🔄 Adding first_impressions column to tweets table...');
-        db.prepare('ALTER TABLE tweets ADD COLUMN first_impressions TEXT').run();
-        console.log('✅ first_impressions column added');
+    const ftsStatus = getFtsStatus(db, { integrityCheck: false });
+    if (!ftsStatus.inSync) {
+        console.log(`⚠️  Search index out of sync: ${ftsStatus.indexedCount} indexed vs ${ftsStatus.tweetCount} tweets (${ftsStatus.missing} missing, ${ftsStatus.orphaned} orphaned)`);
+        console.log('🔄 Rebuilding search index...');
+        rebuildFtsIndex(db);
+        console.log('✅ Search index rebuilt');
     }
 } catch (e) {
-    console.log('Note: first_impressions migration:', e.message);
+    console.log('Note: search index check:', e.message);
 }
 
 // Middleware
@@ -120,167 +172,146 @@ app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
 // ============================================
-// Search Utilities - Google-style search with stemming
+// Tweet Filters - shared by the directory and saved searches
 // ============================================
 
-/**
- * Simple Porter Stemmer for English
- * Handles common word endings: -ing, -ed, -s, -es, -ies, -tion, -ness, etc.
- */
-function stem(word) {
-    if (!word || word.length < 3) return word.toLowerCase();
-
-    let w = word.toLowerCase();
-
-    // Common irregular forms
-    const irregulars = {
-        'ran': 'run', 'running': 'run', 'runs': 'run',
-        'children': 'child', 'childs': 'child',
-        'men': 'man', 'women': 'woman',
-        'feet': 'foot', 'teeth': 'tooth',
-        'mice': 'mouse', 'geese': 'goose',
-        'was': 'be', 'were': 'be', 'been': 'be', 'being': 'be', 'is': 'be', 'are': 'be', 'am': 'be',
-        'had': 'have', 'has': 'have', 'having': 'have',
-        'did': 'do', 'does': 'do', 'doing': 'do',
-        'went': 'go', 'goes': 'go', 'going': 'go', 'gone': 'go',
-        'said': 'say', 'says': 'say', 'saying': 'say',
-        'made': 'make', 'makes': 'make', 'making': 'make',
-        'took': 'take', 'takes': 'take', 'taking': 'take', 'taken': 'take',
-        'came': 'come', 'comes': 'come', 'coming': 'come',
-        'saw': 'see', 'sees': 'see', 'seeing': 'see', 'seen': 'see',
-        'knew': 'know', 'knows': 'know', 'knowing': 'know', 'known': 'know',
-        'thought': 'think', 'thinks': 'think', 'thinking': 'think',
-        'got': 'get', 'gets': 'get', 'getting': 'get', 'gotten': 'get',
-        'gave': 'give', 'gives': 'give', 'giving': 'give', 'given': 'give',
-        'told': 'tell', 'tells': 'tell', 'telling': 'tell',
-        'felt': 'feel', 'feels': 'feel', 'feeling': 'feel',
-        'became': 'become', 'becomes': 'become', 'becoming': 'become',
-        'left': 'leave', 'leaves': 'leave', 'leaving': 'leave',
-        'brought': 'bring', 'brings': 'bring', 'bringing': 'bring',
-        'wrote': 'write', 'writes': 'write', 'writing': 'write', 'written': 'write',
-        'sat': 'sit', 'sits': 'sit', 'sitting': 'sit',
-        'stood': 'stand', 'stands': 'stand', 'standing': 'stand',
-        'lost': 'lose', 'loses': 'lose', 'losing': 'lose',
-        'paid': 'pay', 'pays': 'pay', 'paying': 'pay',
-        'met': 'meet', 'meets': 'meet', 'meeting': 'meet',
-        'set': 'set', 'sets': 'set', 'setting': 'set',
-        'learned': 'learn', 'learns': 'learn', 'learning': 'learn', 'learnt': 'learn',
-        'kept': 'keep', 'keeps': 'keep', 'keeping': 'keep',
-        'built': 'build', 'builds': 'build', 'building': 'build',
-        'sent': 'send', 'sends': 'send', 'sending': 'send',
-        'spent': 'spend', 'spends': 'spend', 'spending': 'spend',
-        'understood': 'understand', 'understands': 'understand', 'understanding': 'understand',
-        'began': 'begin', 'begins': 'begin', 'beginning': 'begin', 'begun': 'begin',
-        'held': 'hold', 'holds': 'hold', 'holding': 'hold',
-        'heard': 'hear', 'hears': 'hear', 'hearing': 'hear',
-        'found': 'find', 'finds': 'find', 'finding': 'find',
-        'read': 'read', 'reads': 'read', 'reading': 'read',
-        'meant': 'mean', 'means': 'mean', 'meaning': 'mean',
-        'led': 'lead', 'leads': 'lead', 'leading': 'lead',
-        'put': 'put', 'puts': 'put', 'putting': 'put',
-        'showed': 'show', 'shows': 'show', 'showing': 'show', 'shown': 'show',
-        'moved': 'move', 'moves': 'move', 'moving': 'move',
-        'lived': 'live', 'lives': 'live', 'living': 'live',
-        'believed': 'believe', 'believes': 'believe', 'believing': 'believe',
-        'loved': 'love', 'loves': 'love', 'loving': 'love'
-    };
-
-    if (irregulars[w]) return irregulars[w];
-
-    // Remove common suffixes
-    if (w.endsWith('ies') && w.length > 4) w = w.slice(0, -3) + 'y';
-    else if (w.endsWith('ied') && w.length > 4) w = w.slice(0, -3) + 'y';
-    else if (w.endsWith('es') && w.length > 4) w = w.slice(0, -2);
-    else if (w.endsWith('s') && !w.endsWith('ss') && w.length > 3) w = w.slice(0, -1);
-
-    if (w.endsWith('ing') && w.length > 5) {
-        w = w.slice(0, -3);
-        // Handle doubling: running -> run, sitting -> sit
-        if (w.length > 2 && w[w.length - 1] === w[w.length - 2]) w = w.slice(0, -1);
-    }
-    else if (w.endsWith('ed') && w.length > 4) {
-        w = w.slice(0, -2);
-        if (w.length > 2 && w[w.length - 1] === w[w.length - 2]) w = w.slice(0, -1);
-    }
-    else if (w.endsWith('ness') && w.length > 6) w = w.slice(0, -4);
-    else if (w.endsWith('ment') && w.length > 6) w = w.slice(0, -4);
-    else if (w.endsWith('ly') && w.length > 4) w = w.slice(0, -2);
-    else if (w.endsWith('ful') && w.length > 5) w = w.slice(0, -3);
-    else if (w.endsWith('less') && w.length > 6) w = w.slice(0, -4);
-    else if (w.endsWith('tion') && w.length > 6) w = w.slice(0, -4);
-    else if (w.endsWith('er') && w.length > 4) w = w.slice(0, -2);
-    else if (w.endsWith('est') && w.length > 5) w = w.slice(0, -3);
-    else if (w.endsWith('able') && w.length > 6) w = w.slice(0, -4);
-    else if (w.endsWith('ible') && w.length > 6) w = w.slice(0, -4);
-
-    return w;
-}
+// tweet_tags.source values: LLM taggers, heuristic rules, people
+const TAG_SOURCES = ['ai', 'auto', 'manual'];
 
 /**
- * Parse search query Google-style:
- * - Multiple words = AND (tweet must contain ALL words)
- * - "quoted phrase" = exact phrase match
- * - Each word generates stemmed variants for near-matches
+ * Build the FROM/WHERE pieces for a directory filter set (the /api/tweets
+ * query params). Queries must alias tweets as t and join thread_parent:
+ *   LEFT JOIN tweets thread_parent ON t.in_reply_to_tweet_id = thread_parent.id
+ * Throws SearchQueryError for a malformed search.
  */
-function parseSearchQuery(query) {
+function buildTweetFilters(filters) {
+    const {
+        search = '',
+        type = '',
+        length = '',
+        swipe = '',
+        tag = '',
+        tagSource = '',
+        minConfidence = '',
+        reviewed = '',
+        account = '',
+        excludeRetweets = 'true',
+        excludeReplies = 'true',
+        excludeThreads = 'false'
+    } = filters;
+
     const conditions = [];
     const params = [];
 
-    // Extract quoted phrases first
-    const phrases = [];
-    const quotedRegex = /"([^"]+)"/g;
-    let match;
-    let remaining = query;
-
-    while ((match = quotedRegex.exec(query)) !== null) {
-        phrases.push({ type: 'phrase', value: match[1] });
-        remaining = remaining.replace(match[0], ' ');
-    }
-
-    // Split remaining into individual words
-    const words = remaining.split(/\s+/).filter(w => w.length > 0);
-
-    // Add each word as a token
-    words.forEach(word => {
-        // Skip very short words and common stop words
-        if (word.length < 2) return;
-        const stopWords = ['a', 'an', 'the', 'is', 'are', 'was', 'were', 'be', 'been',
-            'being', 'have', 'has', 'had', 'do', 'does', 'did', 'will',
-            'would', 'could', 'should', 'may', 'might', 'must', 'shall',
-            'can', 'to', 'of', 'in', 'for', 'on', 'with', 'at', 'by',
-            'from', 'or', 'and', 'but', 'if', 'then', 'so', 'than',
-            'that', 'this', 'these', 'those', 'it', 'its'];
-        if (stopWords.includes(word.toLowerCase())) return;
-
-        phrases.push({ type: 'word', value: word });
-    });
+    // Tag provenance (tagSource=ai,manual / minConfidence=0.7) narrows the
+    // selected tags when there are any, otherwise any one tag must qualify
+    const provenanceConditions = [];
+    const provenanceParams = [];
+    const sources = String(tagSource).split(',').map(s => s.trim()).filter(s => TAG_SOURCES.includes(s));
+    if (sources.length > 0) {
+        provenanceConditions.push(`tt_filter.source IN (${sources.map(() => '?').join(', ')})`);
+        provenanceParams.push(...sources);
+    }
+    const confidence = parseFloat(minConfidence);
+    if (Number.isFinite(confidence)) {
+        provenanceConditions.push('tt_filter.confidence >= ?');
+        provenanceParams.push(confidence);
+    }
+
+    if (account) {
+        conditions.push(`t.account_id = ?`);
+        params.push(parseInt(account));
+    }
 
-    // Build conditions for each token
-    phrases.forEach(token => {
-        if (token.type === 'phrase') {
-            // Exact phrase match (case-insensitive)
-            conditions.push(`lower(t.full_text) LIKE ?`);
-            params.push(`%${token.value.toLowerCase()}%`);
+    // Hide subsequent tweets in threads (tweets whose in_reply_to parent EXISTS in our database)
+    // Thread-starters have NO parent in our database (their parent is external or deleted)
+    // Requires LEFT JOIN tweets thread_parent ON t.in_reply_to_tweet_id = thread_parent.id
+    conditions.push(`(t.tweet_type != 'thread' OR thread_parent.id IS NULL)`);
+
+    // Search box query language (see lib/search_query.js): words and
+    // "phrases" run through the tweets_fts index, operators like likes:>50
+    // or -tag:joke compile to parameterized conditions
+    const parsedSearch = parseSearchQuery(search);
+    if (parsedSearch.where) {
+        conditions.push(parsedSearch.where);
+        params.push(...parsedSearch.params);
+    }
+
+    if (type) {
+        if (type === 'thread') {
+            // Special handling: show tweets that START threads
+            // (tweets that have at least one child reply in our database)
+            conditions.push(`EXISTS (SELECT 1 FROM tweets child WHERE child.in_reply_to_tweet_id = t.id)`);
         } else {
-            // For single words, match the word OR its stem
-            const word = token.value.toLowerCase();
-            const stemmed = stem(word);
-
-            // Create conditions that match word boundaries better
-            // Match: word at start, end, or surrounded by non-word chars
-            if (word !== stemmed && stemmed.length >= 3) {
-                // Match either the original word or the stem
-                conditions.push(`(lower(t.full_text) LIKE ? OR lower(t.full_text) LIKE ?)`);
-                params.push(`%${word}%`);
-                params.push(`%${stemmed}%`);
-            } else {
-                conditions.push(`lower(t.full_text) LIKE ?`);
-                params.push(`%${word}%`);
-            }
+            conditions.push(`t.tweet_type = ?`);
+            params.push(type);
         }
-    });
+    }
+
+    if (length) {
+        conditions.push(`t.length_category = ?`);
+        params.push(length);
+    }
+
+    // Quality check removed
+
+    if (swipe) {
+        if (swipe === 'unreviewed') {
+            conditions.push(`t.swipe_status IS NULL`);
+        } else {
+            conditions.push(`t.swipe_status = ?`);
+            params.push(swipe);
+        }
+    }
+
+    if (reviewed === 'true') {
+        conditions.push(`t.is_reviewed = 1`);
+    } else if (reviewed === 'false') {
+        conditions.push(`t.is_reviewed = 0`);
+    }
+
+    // An explicit type:retweet / type:reply in the search box wins over the exclude toggles
+    if (excludeRetweets === 'true' && !parsedSearch.types.includes('retweet')) {
+        conditions.push(`t.tweet_type != 'retweet'`);
+    }
+
+    if (excludeReplies === 'true' && !parsedSearch.types.includes('reply')) {
+        conditions.push(`t.tweet_type != 'reply'`);
+    }
+
+    if (excludeThreads === 'true') {
+        // Only hide subsequent tweets in threads (those that are replies to another tweet)
+        // Keep thread-starter tweets visible (they have tweet_type='thread' but no in_reply_to)
+        conditions.push(`(t.tweet_type != 'thread' OR t.in_reply_to_tweet_id IS NULL)`);
+    }
+
+    // Require tweets to have ALL selected tags (not just one). A tag matches
+    // through its aliases and child tags too.
+    const tags = tag ? tag.split(',').filter(t => t.trim()) : [];
+    if (tags.length > 0) {
+        tags.forEach(name => {
+            conditions.push(`EXISTS (SELECT 1 FROM tweet_tags tt_filter WHERE tt_filter.tweet_id = t.id`
+                + `${provenanceConditions.map(c => ` AND ${c}`).join('')} AND tt_filter.tag_id IN (${TAG_SUBTREE_SQL}))`);
+            params.push(...provenanceParams, name.trim(), name.trim());
+        });
+    } else if (provenanceConditions.length > 0) {
+        conditions.push(`EXISTS (SELECT 1 FROM tweet_tags tt_filter WHERE tt_filter.tweet_id = t.id AND ${provenanceConditions.join(' AND ')})`);
+        params.push(...provenanceParams);
+    }
+
+    const whereClause = conditions.length > 0
+        ? `WHERE ${conditions.join(' AND ')}`
+        : '';
+
+    return { whereClause, params, parsedSearch };
+}
+
+const THREAD_PARENT_JOIN = 'LEFT JOIN tweets thread_parent ON t.in_reply_to_tweet_id = thread_parent.id';
 
-    return { conditions, params };
+// Count the tweets matching a directory filter set
+function countTweets(filters) {
+    const { whereClause, params } = buildTweetFilters(filters);
+    return db.prepare(`SELECT COUNT(*) as total FROM tweets t ${THREAD_PARENT_JOIN} ${whereClause}`).get(...params).total;
 }
 
 // ============================================
@@ -293,153 +324,74 @@ app.get('/api/tweets', (req, res) => {
         const {
             page = 1,
             limit = 50,
-            search = '',
-            type = '',
-            length = '',
-            swipe = '',
-            tag = '',
-            reviewed = '',
-            excludeRetweets = 'true',
-            excludeReplies = 'true',
-            excludeThreads = 'false',
             sort = 'created_at',
             order = 'desc'
         } = req.query;
 
         const offset = (parseInt(page) - 1) * parseInt(limit);
-        const conditions = [];
-        const params = [];
-
-        // Hide subsequent tweets in threads (tweets whose in_reply_to parent EXISTS in our database)
-        // Thread-starters have NO parent in our database (their parent is external or deleted)
-        // Requires LEFT JOIN tweets thread_parent ON t.in_reply_to_tweet_id = thread_parent.id
-        conditions.push(`(t.tweet_type != 'thread' OR thread_parent.id IS NULL)`);
-
-
-
-        if (search) {
-            // Google-style search: 
-            // - Multiple words = AND (all must be present)
-            // - "quoted phrase" = exact phrase match
-            // - Stemming for near-matches (children→child, ran→run)
-            const searchConditions = parseSearchQuery(search);
-            if (searchConditions.conditions.length > 0) {
-                conditions.push(`(${searchConditions.conditions.join(' AND ')})`);
-                params.push(...searchConditions.params);
-            }
-        }
-
-
-        if (type) {
-            if (type === 'thread') {
-                // Special handling: show tweets that START threads
-                // (tweets that have at least one child reply in our database)
-                conditions.push(`EXISTS (SELECT 1 FROM tweets child WHERE child.in_reply_to_tweet_id = t.id)`);
-            } else {
-                conditions.push(`t.tweet_type = ?`);
-                params.push(type);
-            }
-        }
-
-        if (length) {
-            conditions.push(`t.length_category = ?`);
-            params.push(length);
-        }
-
-        // Quality check removed
-
-        if (swipe) {
-            if (swipe === 'unreviewed') {
-                conditions.push(`t.swipe_status IS NULL`);
-            } else {
-                conditions.push(`t.swipe_status = ?`);
-                params.push(swipe);
-            }
-        }
-
-        if (reviewed === 'true') {
-            conditions.push(`t.is_reviewed = 1`);
-        } else if (reviewed === 'false') {
-            conditions.push(`t.is_reviewed = 0`);
-        }
-
-        if (excludeRetweets === 'true') {
-            conditions.push(`t.tweet_type != 'retweet'`);
-        }
-
-        if (excludeReplies === 'true') {
-            conditions.push(`t.tweet_type != 'reply'`);
-        }
-
-        if (excludeThreads === 'true') {
-            // Only hide subsequent tweets in threads (those that are replies to another tweet)
-            // Keep thread-starter tweets visible (they have tweet_type='thread' but no in_reply_to)
-            conditions.push(`(t.tweet_type != 'thread' OR t.in_reply_to_tweet_id IS NULL)`);
-        }
-
-        let joinClause = '';
-        let havingClause = '';
-        if (tag) {
-            // Split comma-separated tags for multi-tag filtering
-            const tags = tag.split(',').filter(t => t.trim());
-            if (tags.length > 0) {
-                const tagPlaceholders = tags.map(() => '?').join(',');
-                joinClause = `
-                    INNER JOIN tweet_tags tt_filter ON t.id = tt_filter.tweet_id
-                    INNER JOIN tags tag_filter ON tag_filter.id = tt_filter.tag_id AND tag_filter.name IN (${tagPlaceholders})
-                `;
-                // Require tweets to have ALL selected tags (not just one)
-                havingClause = `HAVING COUNT(DISTINCT tag_filter.name) = ${tags.length}`;
-                // Add tag params at the beginning
-                params.unshift(...tags);
-            }
-        }
+        const { whereClause, params, parsedSearch } = buildTweetFilters(req.query);
 
-        const whereClause = conditions.length > 0
-            ? `WHERE ${conditions.join(' AND ')}`
-            : '';
+        // Ranking and snippets come from the positive text terms. The match set
+        // is materialized first - FTS5's bm25()/snippet() can't run inside the
+        // grouped query below.
+        const ftsQuery = parsedSearch.highlightQuery;
+        const searchParams = ftsQuery ? [ftsQuery] : [];
+        const searchJoin = ftsQuery ? 'LEFT JOIN search ON search.search_rowid = t.rowid' : '';
 
         const validSorts = ['created_at', 'favorite_count', 'retweet_count', 'char_count', 'ai_quality_score'];
         const sortColumn = validSorts.includes(sort) ? sort : 'created_at';
         const sqlSortOrder = String(order).toLowerCase() === 'asc' ? 'ASC' : 'DESC';
 
-        // Count query needs to handle HAVING for multi-tag AND thread_parent join
-        const threadParentJoin = 'LEFT JOIN tweets thread_parent ON t.in_reply_to_tweet_id = thread_parent.id';
-        let countQuery;
-        if (havingClause) {
-            countQuery = `SELECT COUNT(*) as total FROM (
-                SELECT t.id FROM tweets t ${threadParentJoin} ${joinClause} ${whereClause} GROUP BY t.id ${havingClause}
-            )`;
-        } else {
-            countQuery = `SELECT COUNT(DISTINCT t.id) as total FROM tweets t ${threadParentJoin} ${joinClause} ${whereClause}`;
+        // Relevance = bm25 rank (lower is better), so "desc" means best match first
+        let orderClause = `t.${sortColumn} ${sqlSortOrder}`;
+        if (sort === 'relevance' && ftsQuery) {
+            orderClause = `search.search_rank ${sqlSortOrder === 'DESC' ? 'ASC' : 'DESC'} NULLS LAST, t.created_at DESC`;
+        }
+        // Rank = "This or that?" Elo rating; tweets never compared go last either way
+        const rankSort = sort === 'rank';
+        if (rankSort) {
+            orderClause = `tr.rating ${sqlSortOrder} NULLS LAST, t.favorite_count DESC`;
         }
-        const { total } = db.prepare(countQuery).get(...params);
+
+        const total = countTweets(req.query);
 
         // We join thread_parent to identify subsequent thread tweets
         // A subsequent thread tweet has a parent that is also a thread
+        const searchCte = ftsQuery ? `
+            WITH search AS MATERIALIZED (
+                SELECT rowid AS search_rowid,
+                    bm25(tweets_fts) AS search_rank,
+                    snippet(tweets_fts, 1, char(2), char(3), '…', 40) AS search_snippet
+                FROM tweets_fts WHERE tweets_fts MATCH ?
+            )` : '';
         const tweetsQuery = `
+            ${searchCte}
             SELECT 
-                t.*,
+                t.*,${ftsQuery ? `
+                search.search_snippet,` : ''}
                 GROUP_CONCAT(DISTINCT tags.name) as tag_names,
                 GROUP_CONCAT(DISTINCT tags.category || ':' || tags.name || ':' || COALESCE(tags.color, '#666')) as tag_details,
                 quoted.full_text as quoted_text,
                 quoted.media_url as quoted_media,
                 quoted.id as quoted_id,
-                thread_parent.tweet_type as parent_tweet_type
+                quoted_account.username as quoted_username,
+                thread_parent.tweet_type as parent_tweet_type${rankSort ? `,
+                tr.rating as rank_rating` : ''}
             FROM tweets t
             LEFT JOIN tweets quoted ON t.quoted_tweet_id = quoted.id
+            LEFT JOIN accounts quoted_account ON quoted.account_id = quoted_account.id
             LEFT JOIN tweets thread_parent ON t.in_reply_to_tweet_id = thread_parent.id
-            ${joinClause}
+            ${searchJoin}
+            ${rankSort ? RATING_JOIN : ''}
             LEFT JOIN tweet_tags tt ON t.id = tt.tweet_id
             LEFT JOIN tags ON tags.id = tt.tag_id
             ${whereClause}
             GROUP BY t.id
-            ${havingClause}
-            ORDER BY t.${sortColumn} ${sqlSortOrder}
+            ORDER BY ${orderClause}
             LIMIT ? OFFSET ?
         `;
 
-        const tweets = db.prepare(tweetsQuery).all(...params, parseInt(limit), offset);
+        const tweets = db.prepare(tweetsQuery).all(...searchParams, ...params, parseInt(limit), offset);
 
         const tweetsWithTags = tweets.map(tweet => {
             const tags = [];
@@ -451,6 +403,11 @@ app.get('/api/tweets', (req, res) => {
             }
             delete tweet.tag_names;
             delete tweet.tag_details;
+            if (ftsQuery) {
+                // Highlighted excerpt showing why the tweet matched
+                tweet.snippet = snippetToHtml(tweet.search_snippet);
+                delete tweet.search_snippet;
+            }
             return { ...tweet, tags };
         });
 
@@ -464,43 +421,41 @@ app.get('/api/tweets', (req, res) => {
             }
         });
     } catch (err) {
+        if (err instanceof SearchQueryError) {
+            return res.status(400).json({ error: err.message, searchError: true });
+        }
         console.error('Error fetching tweets:', err);
         res.status(500).json({ error: err.message });
     }
 });
 
-// Get single tweet
+// Get single tweet (tags include where each one came from)
 app.get('/api/tweets/:id', (req, res) => {
     try {
         const tweet = db.prepare(`
             SELECT t.*,
-                GROUP_CONCAT(DISTINCT tags.name) as tag_names,
-
-                GROUP_CONCAT(DISTINCT tags.category || ':' || tags.name || ':' || COALESCE(tags.color, '#666')) as tag_details,
                 quoted.full_text as quoted_text,
                 quoted.media_url as quoted_media,
-                quoted.id as quoted_id
+                quoted.id as quoted_id,
+                quoted_account.username as quoted_username
             FROM tweets t
             LEFT JOIN tweets quoted ON t.quoted_tweet_id = quoted.id
-            LEFT JOIN tweet_tags tt ON t.id = tt.tweet_id
-            LEFT JOIN tags ON tags.id = tt.tag_id
+            LEFT JOIN accounts quoted_account ON quoted.account_id = quoted_account.id
             WHERE t.id = ?
-            GROUP BY t.id
         `).get(req.params.id);
 
         if (!tweet) {
             return res.status(404).json({ error: 'Tweet not found' });
         }
 
-        const tags = [];
-        if (tweet.tag_details) {
-            tweet.tag_details.split(',').forEach(detail => {
-                const [category, name, color] = detail.split(':');
-                if (name) tags.push({ category, name, color });
-            });
-        }
-        delete tweet.tag_names;
-        delete tweet.tag_details;
+        const tags = db.prepare(`
+            SELECT tags.category, tags.name, COALESCE(tags.color, '#666') as color,
+                tt.source, tt.tagger, tt.model, tt.tagger_version, tt.confidence, tt.created_at as tagged_at
+            FROM tweet_tags tt
+            JOIN tags ON tags.id = tt.tag_id
+            WHERE tt.tweet_id = ?
+            ORDER BY tags.category, tags.name
+        `).all(req.params.id);
 
         res.json({ ...tweet, tags });
     } catch (err) {
@@ -556,19 +511,10 @@ app.patch('/api/tweets/:id', (req, res) => {
             params.push(new Date().toISOString());
 
             // Auto-set quality rating based on swipe status
-            if (swipe_status === 'dislike') {
-                updates.push('quality_rating = ?');
-                params.push('low');
-            } else if (swipe_status === 'like') {
+            if (SWIPE_QUALITY[swipe_status]) {
                 updates.push('quality_rating = ?');
-                params.push('medium');
-            } else if (swipe_status === 'superlike') {
-                updates.push('quality_rating = ?');
-                params.push('high');
+                params.push(SWIPE_QUALITY[swipe_status]);
             }
-
-            // Update session stats
-            updateSessionStats(swipe_status);
         }
         if (notes !== undefined) {
             updates.push('notes = ?');
@@ -592,47 +538,57 @@ app.patch('/api/tweets/:id', (req, res) => {
         }
 
         params.push(req.params.id);
-        db.prepare(`UPDATE tweets SET ${updates.join(', ')} WHERE id = ?`).run(...params);
-
-        res.json({ success: true });
+        const result = db.transaction(() => {
+            const previous = swipe_status !== undefined ? captureSwipeState(db, req.params.id) : undefined;
+            db.prepare(`UPDATE tweets SET ${updates.join(', ')} WHERE id = ?`).run(...params);
+            if (!previous) return {};
+
+            // A swipe counts towards today's stats and is logged with what it
+            // replaced, for undo. review_later (again) schedules the tweet's
+            // next review, anything else ends it.
+            const sessionDate = countSessionSwipe(db, swipe_status);
+            const eventId = logSwipeEvent(db, req.params.id, swipe_status, previous, { sessionDate });
+            const review = applySwipeToSchedule(db, req.params.id, swipe_status);
+            return review ? { eventId, review } : { eventId };
+        })();
+
+        res.json({ success: true, ...result });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-// Helper function to update session stats
-function updateSessionStats(swipeStatus) {
-    const today = new Date().toISOString().split('T')[0];
-
-    // Get or create today's session
-    let session = db.prepare('SELECT * FROM swipe_sessions WHERE session_date = ?').get(today);
-
-    if (!session) {
-        db.prepare('INSERT INTO swipe_sessions (session_date, tweets_swiped) VALUES (?, 0)').run(today);
-        session = { tweets_swiped: 0, likes: 0, superlikes: 0, dislikes: 0, review_later: 0 };
-    }
-
-    // Update counts
-    const column = swipeStatus === 'like' ? 'likes' :
-        swipeStatus === 'superlike' ? 'superlikes' :
-            swipeStatus === 'dislike' ? 'dislikes' :
-                swipeStatus === 'review_later' ? 'review_later' : null;
-
-    if (column) {
-        db.prepare(`UPDATE swipe_sessions SET tweets_swiped = tweets_swiped + 1, ${column} = ${column} + 1 WHERE session_date = ?`).run(today);
-    }
-}
-
 // Get all tags
 app.get('/api/tags', (req, res) => {
     try {
+        const { account = '' } = req.query;
+
+        // Only count tweets from the selected account
+        const accountJoin = account ? 'LEFT JOIN tweets tw ON tw.id = tt.tweet_id AND tw.account_id = ?' : '';
+        const countColumn = account ? 'tw.id' : 'tt.tweet_id';
         const tags = db.prepare(`
-            SELECT t.*, COUNT(tt.tweet_id) as tweet_count
+            SELECT t.*, COUNT(${countColumn}) as tweet_count,
+                (SELECT GROUP_CONCAT(alias, ', ') FROM tag_aliases WHERE tag_id = t.id) as aliases
             FROM tags t
             LEFT JOIN tweet_tags tt ON t.id = tt.tag_id
+            ${accountJoin}
             GROUP BY t.id
             ORDER BY t.category, t.name
-        `).all();
+        `).all(...(account ? [parseInt(account)] : []));
+
+        // Parents also count the tweets of their descendants (each tweet once)
+        const subtreeCount = db.prepare(`
+            SELECT COUNT(DISTINCT tt.tweet_id) FROM tweet_tags tt
+            ${account ? 'JOIN tweets tw ON tw.id = tt.tweet_id AND tw.account_id = ?' : ''}
+            WHERE tt.tag_id IN (${TAG_SUBTREE_SQL})
+        `).pluck();
+        const parentIds = new Set(tags.map(t => t.parent_id).filter(Boolean));
+        tags.forEach(t => {
+            t.aliases = t.aliases ? t.aliases.split(', ') : [];
+            if (parentIds.has(t.id)) {
+                t.subtree_count = subtreeCount.get(...(account ? [parseInt(account)] : []), t.name, t.name);
+            }
+        });
 
         const grouped = {
             topic: tags.filter(t => t.category === 'topic'),
@@ -651,19 +607,81 @@ app.get('/api/tags', (req, res) => {
 app.get('/api/tags/search', (req, res) => {
     try {
         const { q = '' } = req.query;
+        // Aliases resolve to their tag; matched_alias says which one matched
         const tags = db.prepare(`
-            SELECT * FROM tags 
-            WHERE name LIKE ?
-            ORDER BY category, name
+            SELECT t.*, (
+                SELECT alias FROM tag_aliases WHERE tag_id = t.id AND alias LIKE ? ORDER BY alias LIMIT 1
+            ) as matched_alias
+            FROM tags t
+            WHERE t.name LIKE ?
+               OR EXISTS (SELECT 1 FROM tag_aliases WHERE tag_id = t.id AND alias LIKE ?)
+            ORDER BY t.category, t.name
             LIMIT 20
-        `).all(`%${q}%`);
+        `).all(`%${q}%`, `%${q}%`, `%${q}%`);
+        tags.forEach(t => {
+            if (t.name.includes(q.toLowerCase())) t.matched_alias = null;
+        });
         res.json(tags);
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 });
 
-// Add tag to tweet
+// Rename, recolor, recategorize or move a tag: { name, color, category, parentId, aliases }
+app.patch('/api/tags/:id', (req, res) => {
+    try {
+        const tag = updateTag(db, req.params.id, req.body || {});
+        if (!tag) {
+            return res.status(404).json({ error: 'Tag not found' });
+        }
+        res.json(tag);
+    } catch (err) {
+        if (err instanceof TagError) {
+            return res.status(400).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Move every assignment of one tag onto another, then delete it: { sourceId, targetId }
+app.post('/api/tags/merge', (req, res) => {
+    try {
+        const { sourceId, targetId } = req.body || {};
+        if (!sourceId || !targetId) {
+            return res.status(400).json({ error: 'sourceId and targetId are required' });
+        }
+        res.json(mergeTags(db, sourceId, targetId));
+    } catch (err) {
+        if (err instanceof TagError) {
+            return res.status(400).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Delete tags on no tweet, with no pending suggestion or rule: { dryRun }
+app.post('/api/tags/cleanup', (req, res) => {
+    try {
+        res.json(cleanupUnusedTags(db, { dryRun: !!(req.body || {}).dryRun }));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Delete a tag from every tweet, with its suggestions and heuristic rule
+app.delete('/api/tags/:id', (req, res) => {
+    try {
+        const result = deleteTag(db, req.params.id);
+        if (!result) {
+            return res.status(404).json({ error: 'Tag not found' });
+        }
+        res.json({ success: true, ...result });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Add tag to tweet (creating the tag if it's new)
 app.post('/api/tweets/:id/tags', (req, res) => {
     try {
         const { tagName, tagCategory = 'custom' } = req.body;
@@ -672,20 +690,14 @@ app.post('/api/tweets/:id/tags', (req, res) => {
             return res.status(400).json({ error: 'Tag name required' });
         }
 
-        db.prepare(`
-            INSERT OR IGNORE INTO tags (name, category)
-            VALUES (?, ?)
-        `).run(tagName.toLowerCase(), tagCategory);
-
-        const tag = db.prepare(`SELECT id FROM tags WHERE name = ?`).get(tagName.toLowerCase());
+        const { tag, created } = ensureTag(db, tagName, tagCategory);
+        db.transaction(() => addManualTag(req.params.id, tag.id))();
 
-        db.prepare(`
-            INSERT OR IGNORE INTO tweet_tags (tweet_id, tag_id, source)
-            VALUES (?, ?, 'manual')
-        `).run(req.params.id, tag.id);
-
-        res.json({ success: true });
+        res.json({ success: true, tag: tag.name, created });
     } catch (err) {
+        if (err instanceof TagError) {
+            return res.status(400).json({ error: err.message });
+        }
         res.status(500).json({ error: err.message });
     }
 });
@@ -693,14 +705,13 @@ app.post('/api/tweets/:id/tags', (req, res) => {
 // Remove tag from tweet
 app.delete('/api/tweets/:id/tags/:tagName', (req, res) => {
     try {
-        const tag = db.prepare(`SELECT id FROM tags WHERE name = ?`).get(req.params.tagName.toLowerCase());
+        const tag = findTag(db, req.params.tagName);
 
         if (!tag) {
             return res.status(404).json({ error: 'Tag not found' });
         }
 
-        db.prepare(`DELETE FROM tweet_tags WHERE tweet_id = ? AND tag_id = ?`)
-            .run(req.params.id, tag.id);
+        db.transaction(() => removeTweetTag(req.params.id, tag.id))();
 
         res.json({ success: true });
     } catch (err) {
@@ -708,9 +719,152 @@ app.delete('/api/tweets/:id/tags/:tagName', (req, res) => {
     }
 });
 
+// Adding a tag the taggers already suggested confirms it as manual.
+// Returns 1 if the tweet's tag changed. Run inside a transaction.
+function addManualTag(tweetId, tagId) {
+    confirmTag(db, tweetId, tagId);
+    return db.prepare(`
+        INSERT INTO tweet_tags (tweet_id, tag_id, source, tagger, confidence)
+        VALUES (?, ?, 'manual', 'manual', 1)
+        ON CONFLICT (tweet_id, tag_id) DO UPDATE SET
+            source = 'manual', tagger = 'manual', model = NULL, tagger_version = NULL,
+            confidence = 1, created_at = CURRENT_TIMESTAMP
+        WHERE tweet_tags.source != 'manual'
+    `).run(tweetId, tagId).changes;
+}
+
+// Removing a machine tag is a rejection - the taggers won't add it back.
+// Returns 1 if the tweet had the tag. Run inside a transaction.
+function removeTweetTag(tweetId, tagId) {
+    const removed = db.prepare('SELECT * FROM tweet_tags WHERE tweet_id = ? AND tag_id = ?').get(tweetId, tagId);
+    if (!removed) return 0;
+    db.prepare('DELETE FROM tweet_tags WHERE tweet_id = ? AND tag_id = ?').run(tweetId, tagId);
+    if (removed.source !== 'manual') {
+        rejectTag(db, tweetId, tagId, removed);
+    }
+    return 1;
+}
+
+// ============================================
+// Bulk Actions
+// ============================================
+
+const BULK_ACTIONS = ['add_tags', 'remove_tags', 'set_swipe', 'set_quality', 'export'];
+const SWIPE_STATUSES = ['dislike', 'like', 'superlike', 'review_later'];
+const QUALITY_RATINGS = ['high', 'medium', 'low'];
+
+// Swiping also rates the tweet
+const SWIPE_QUALITY = { dislike: 'low', like: 'medium', superlike: 'high' };
+
+// The tweets a bulk action applies to: explicit ids, or everything matching
+// a filter set (same params as /api/tweets, account included)
+function resolveBulkTargets({ ids, filters }) {
+    if (Array.isArray(ids)) {
+        return db.prepare('SELECT id FROM tweets WHERE id IN (SELECT value FROM json_each(?))')
+            .pluck().all(JSON.stringify(ids.map(String)));
+    }
+    if (filters && typeof filters === 'object') {
+        const { whereClause, params } = buildTweetFilters(filters);
+        return db.prepare(`SELECT t.id FROM tweets t ${THREAD_PARENT_JOIN} ${whereClause}`).pluck().all(...params);
+    }
+    return null;
+}
+
+// Apply one action to many tweets in a single transaction:
+// { ids: [...] | filters: {...}, action, tags: [names], value, format }
+app.post('/api/tweets/bulk', (req, res) => {
+    try {
+        const { action, tags = [], value = null, format = 'json' } = req.body || {};
+        if (!BULK_ACTIONS.includes(action)) {
+            return res.status(400).json({ error: `action must be one of: ${BULK_ACTIONS.join(', ')}` });
+        }
+        const ids = resolveBulkTargets(req.body || {});
+        if (!ids) {
+            return res.status(400).json({ error: 'ids or filters is required' });
+        }
+
+        if (action === 'export') {
+            const rows = db.prepare(`
+                SELECT ${EXPORT_COLUMNS.join(', ')} FROM tweets
+                WHERE id IN (SELECT value FROM json_each(?))
+                ORDER BY created_at DESC, id
+            `).all(JSON.stringify(ids));
+            if (format === 'csv') {
+                res.setHeader('Content-Type', 'text/csv');
+                res.setHeader('Content-Disposition', 'attachment; filename="tweets_selection.csv"');
+                return res.send(EXPORT_COLUMNS.join(',') + '\n' + rows.map(csvRow).join(''));
+            }
+            res.setHeader('Content-Disposition', 'attachment; filename="tweets_selection.json"');
+            return res.json(rows);
+        }
+
+        let changed = 0;
+        if (action === 'add_tags' || action === 'remove_tags') {
+            const names = (Array.isArray(tags) ? tags : String(tags).split(',')).filter(name => String(name).trim());
+            if (names.length === 0) {
+                return res.status(400).json({ error: 'tags is required' });
+            }
+            db.transaction(() => {
+                names.forEach(name => {
+                    if (action === 'add_tags') {
+                        const { tag } = ensureTag(db, name);
+                        ids.forEach(id => { changed += addManualTag(id, tag.id); });
+                    } else {
+                        const tag = findTag(db, name);
+                        if (tag) ids.forEach(id => { changed += removeTweetTag(id, tag.id); });
+                    }
+                });
+            })();
+        } else if (action === 'set_swipe') {
+            if (value !== null && !SWIPE_STATUSES.includes(value)) {
+                return res.status(400).json({ error: `value must be null or one of: ${SWIPE_STATUSES.join(', ')}` });
+            }
+            // Logged for the record but not counted in the swipe session stats -
+            // nobody swiped these
+            const update = value
+                ? db.prepare(`UPDATE tweets SET swipe_status = ?, quality_rating = COALESCE(?, quality_rating),
+                    is_reviewed = 1, reviewed_at = ? WHERE id = ?`)
+                : db.prepare('UPDATE tweets SET swipe_status = NULL WHERE id = ?');
+            const reviewedAt = new Date().toISOString();
+            db.transaction(() => {
+                ids.forEach(id => {
+                    const previous = captureSwipeState(db, id);
+                    changed += value
+                        ? update.run(value, SWIPE_QUALITY[value] || null, reviewedAt, id).changes
+                        : update.run(id).changes;
+                    if (previous) logSwipeEvent(db, id, value, previous, { source: 'bulk' });
+                    applySwipeToSchedule(db, id, value);
+                });
+            })();
+        } else if (action === 'set_quality') {
+            if (value !== null && !QUALITY_RATINGS.includes(value)) {
+                return res.status(400).json({ error: `value must be null or one of: ${QUALITY_RATINGS.join(', ')}` });
+            }
+            const update = db.prepare('UPDATE tweets SET quality_rating = ? WHERE id = ?');
+            db.transaction(() => {
+                ids.forEach(id => { changed += update.run(value, id).changes; });
+            })();
+        }
+
+        res.json({ success: true, action, matched: ids.length, changed });
+    } catch (err) {
+        if (err instanceof TagError) {
+            return res.status(400).json({ error: err.message });
+        }
+        if (err instanceof SearchQueryError) {
+            return res.status(400).json({ error: err.message, searchError: true });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // Get stats
 app.get('/api/stats', (req, res) => {
     try {
+        const { account = '' } = req.query;
+        const accountFilter = account ? 'WHERE account_id = ?' : '';
+        const accountParams = account ? [parseInt(account)] : [];
+
         const stats = db.prepare(`
             SELECT 
                 COUNT(*) as total,
@@ -732,7 +886,8 @@ app.get('/api/stats', (req, res) => {
                 SUM(CASE WHEN swipe_status = 'review_later' THEN 1 ELSE 0 END) as review_later,
                 SUM(CASE WHEN swipe_status IS NOT NULL THEN 1 ELSE 0 END) as reviewed
             FROM tweets
-        `).get();
+            ${accountFilter}
+        `).get(...accountParams);
 
         // Get today's session stats
         const today = new Date().toISOString().split('T')[0];
@@ -744,10 +899,12 @@ app.get('/api/stats', (req, res) => {
             SELECT tags.name, tags.category, tags.color, COUNT(*) as count
             FROM tweet_tags
             JOIN tags ON tags.id = tweet_tags.tag_id
+            JOIN tweets ON tweets.id = tweet_tags.tweet_id
+            ${accountFilter}
             GROUP BY tags.id
             ORDER BY count DESC
             LIMIT 20
-        `).all();
+        `).all(...accountParams);
 
         res.json({ stats, topTags, todayStats });
     } catch (err) {
@@ -755,146 +912,349 @@ app.get('/api/stats', (req, res) => {
     }
 });
 
-// Get swipe queue (unreviewed)
+// Get archive accounts (for the account switcher)
+app.get('/api/accounts', (req, res) => {
+    try {
+        const accounts = db.prepare(`
+            SELECT a.id, a.twitter_id, a.username, a.display_name, a.imported_at,
+                COUNT(t.id) as tweet_count
+            FROM accounts a
+            LEFT JOIN tweets t ON t.account_id = a.id
+            GROUP BY a.id
+            ORDER BY a.username
+        `).all();
+        res.json(accounts);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
 
 // ============================================
-// Quoted Tweet Fetching
+// Pairwise Ranking ("This or that?", compare.html)
 // ============================================
 
-// Get quoted tweet content - first checks DB, then fetches from Twitter
-app.get('/api/quoted-tweet/:id', async (req, res) => {
+// Two superliked tweets to choose between
+app.get('/api/compare/pair', (req, res) => {
     try {
-        const { id } = req.params;
-
-        // First check if it's a self-quote (in tweets table)
-        const selfQuote = db.prepare(`
-            SELECT id, full_text as content, created_at, media_url
-            FROM tweets WHERE id = ?
-        `).get(id);
+        const result = nextPair(db, { account: req.query.account || '' });
+        if (!result) {
+            return res.json({ pair: [], total: 0, message: 'Superlike at least two tweets to compare them' });
+        }
+        res.json(result);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
 
-        if (selfQuote) {
-            return res.json({
-                id: selfQuote.id,
-                content: selfQuote.content,
-                author_username: 'tyleralterman',
-                author_name: 'Tyler Alterman',
-                created_at: selfQuote.created_at,
-                media_url: selfQuote.media_url,
-                is_self: true
-            });
+// Record a choice: { winnerId, loserId }
+app.post('/api/compare', (req, res) => {
+    try {
+        const { winnerId, loserId } = req.body;
+        res.json({ success: true, ...recordComparison(db, winnerId, loserId) });
+    } catch (err) {
+        if (err instanceof PairwiseError) {
+            return res.status(400).json({ error: err.message });
         }
+        res.status(500).json({ error: err.message });
+    }
+});
 
-        // Check cache
-        const cached = db.prepare(`
-            SELECT * FROM quoted_tweets WHERE id = ?
-        `).get(id);
+// Superliked tweets by rating, best first
+app.get('/api/rankings', (req, res) => {
+    try {
+        const { account = '', limit = 50, offset = 0 } = req.query;
+        res.json(rankedTweets(db, { account, limit, offset }));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
 
-        if (cached) {
-            return res.json({
-                id: cached.id,
-                content: cached.content,
-                author_username: cached.author_username,
-                author_name: cached.author_name,
-                created_at: cached.created_at,
-                is_available: cached.is_available,
-                from_cache: true
-            });
-        }
+// ============================================
+// Saved Searches (Smart Collections)
+// ============================================
 
-        // Try to fetch from Twitter using oEmbed or syndication API
-        const tweetUrl = `https://twitter.com/i/status/${id}`;
+// Filter params a saved search may hold (same names as /api/tweets);
+// the account is not saved - counts follow the account being viewed
+const SAVED_SEARCH_FILTERS = ['search', 'type', 'length', 'swipe', 'tag', 'tagSource', 'minConfidence', 'reviewed',
+    'excludeRetweets', 'excludeReplies', 'excludeThreads', 'sort', 'order'];
+
+// Keep only known filter params, as strings like the query string would send them.
+// Returns null if filters isn't an object; throws SearchQueryError for a bad search.
+function normalizeSavedFilters(filters) {
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) return null;
+    const normalized = {};
+    SAVED_SEARCH_FILTERS.forEach(key => {
+        const value = filters[key];
+        if (value === undefined || value === null || value === '') return;
+        normalized[key] = Array.isArray(value) ? value.join(',') : String(value);
+    });
+    // Reject malformed search queries now rather than on every count
+    parseSearchQuery(normalized.search);
+    return normalized;
+}
 
-        // Method 1: Try using Twitter's syndication API (no auth required, works for public tweets)
-        try {
-            const syndicationUrl = `https://cdn.syndication.twimg.com/tweet-result?id=${id}&token=${Date.now()}`;
-            const syndicationRes = await fetch(syndicationUrl, {
-                headers: {
-                    'Accept': 'application/json',
-                    'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
-                }
-            });
+function savedSearchWithCount(row, account) {
+    const filters = JSON.parse(row.filters);
+    let count = null;
+    let error = null;
+    try {
+        count = countTweets({ ...filters, account });
+    } catch (e) {
+        error = e.message;
+    }
+    return { ...row, filters, count, error };
+}
 
-            if (syndicationRes.ok) {
-                const data = await syndicationRes.json();
-
-                if (data && data.text) {
-                    // Cache the result
-                    db.prepare(`
-                        INSERT OR REPLACE INTO quoted_tweets (id, author_name, author_username, content, created_at, is_available)
-                        VALUES (?, ?, ?, ?, ?, ?)
-                    `).run(
-                        id,
-                        data.user?.name || 'Unknown',
-                        data.user?.screen_name || 'unknown',
-                        data.text,
-                        data.created_at || null,
-                        1
-                    );
-
-                    return res.json({
-                        id: id,
-                        content: data.text,
-                        author_username: data.user?.screen_name || 'unknown',
-                        author_name: data.user?.name || 'Unknown',
-                        created_at: data.created_at,
-                        media_url: data.photos?.[0]?.url || data.video?.poster || null,
-                        is_available: true
-                    });
-                }
-            }
-        } catch (err) {
-            console.log('Syndication API failed, trying oEmbed...');
+// List saved searches with live counts
+app.get('/api/saved-searches', (req, res) => {
+    try {
+        const { account = '' } = req.query;
+        const rows = db.prepare('SELECT * FROM saved_searches ORDER BY name COLLATE NOCASE').all();
+        res.json(rows.map(row => savedSearchWithCount(row, account)));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Save the current filter set under a name
+app.post('/api/saved-searches', (req, res) => {
+    try {
+        const name = (req.body.name || '').trim();
+        if (!name) {
+            return res.status(400).json({ error: 'Name is required' });
+        }
+        const filters = normalizeSavedFilters(req.body.filters);
+        if (!filters) {
+            return res.status(400).json({ error: 'filters must be an object of /api/tweets filter params' });
         }
 
-        // Method 2: Try oEmbed API
-        try {
-            const oembedUrl = `https://publish.twitter.com/oembed?url=${encodeURIComponent(tweetUrl)}&omit_script=true`;
-            const oembedRes = await fetch(oembedUrl);
-
-            if (oembedRes.ok) {
-                const data = await oembedRes.json();
-
-                // Extract text from HTML (strip tags)
-                let content = data.html || '';
-                // Remove HTML tags except paragraphs
-                content = content.replace(/<blockquote[^>]*>/gi, '');
-                content = content.replace(/<\/blockquote>/gi, '');
-                content = content.replace(/<p[^>]*>/gi, '');
-                content = content.replace(/<\/p>/gi, '\n');
-                content = content.replace(/<a[^>]*>([^<]*)<\/a>/gi, '$1');
-                content = content.replace(/<[^>]+>/g, '');
-                content = content.replace(/&mdash;.*/s, '').trim(); // Remove author attribution
+        const existing = db.prepare('SELECT id FROM saved_searches WHERE name = ?').get(name);
+        if (existing) {
+            return res.status(409).json({ error: `A saved search named "${name}" already exists` });
+        }
 
-                // Cache the result
-                db.prepare(`
-                    INSERT OR REPLACE INTO quoted_tweets (id, author_name, author_username, content, is_available)
-                    VALUES (?, ?, ?, ?, ?)
-                `).run(id, data.author_name || 'Unknown', data.author_url?.split('/').pop() || 'unknown', content, 1);
+        const result = db.prepare('INSERT INTO saved_searches (name, filters) VALUES (?, ?)')
+            .run(name, JSON.stringify(filters));
+        const row = db.prepare('SELECT * FROM saved_searches WHERE id = ?').get(result.lastInsertRowid);
+        res.json(savedSearchWithCount(row, req.body.account || ''));
+    } catch (err) {
+        if (err instanceof SearchQueryError) {
+            return res.status(400).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Rename a saved search or replace its filters
+app.patch('/api/saved-searches/:id', (req, res) => {
+    try {
+        const row = db.prepare('SELECT * FROM saved_searches WHERE id = ?').get(req.params.id);
+        if (!row) {
+            return res.status(404).json({ error: 'Saved search not found' });
+        }
+
+        const updates = [];
+        const params = [];
+
+        if (req.body.name !== undefined) {
+            const name = String(req.body.name).trim();
+            if (!name) {
+                return res.status(400).json({ error: 'Name is required' });
+            }
+            const clash = db.prepare('SELECT id FROM saved_searches WHERE name = ? AND id != ?').get(name, row.id);
+            if (clash) {
+                return res.status(409).json({ error: `A saved search named "${name}" already exists` });
+            }
+            updates.push('name = ?');
+            params.push(name);
+        }
+        if (req.body.filters !== undefined) {
+            const filters = normalizeSavedFilters(req.body.filters);
+            if (!filters) {
+                return res.status(400).json({ error: 'filters must be an object of /api/tweets filter params' });
+            }
+            updates.push('filters = ?');
+            params.push(JSON.stringify(filters));
+        }
+
+        if (updates.length === 0) {
+            return res.status(400).json({ error: 'No valid fields to update' });
+        }
 
-                return res.json({
+        updates.push('updated_at = CURRENT_TIMESTAMP');
+        params.push(row.id);
+        db.prepare(`UPDATE saved_searches SET ${updates.join(', ')} WHERE id = ?`).run(...params);
+
+        const updated = db.prepare('SELECT * FROM saved_searches WHERE id = ?').get(row.id);
+        res.json(savedSearchWithCount(updated, req.body.account || ''));
+    } catch (err) {
+        if (err instanceof SearchQueryError) {
+            return res.status(400).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Delete a saved search
+app.delete('/api/saved-searches/:id', (req, res) => {
+    try {
+        const result = db.prepare('DELETE FROM saved_searches WHERE id = ?').run(req.params.id);
+        if (result.changes === 0) {
+            return res.status(404).json({ error: 'Saved search not found' });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// ============================================
+// Quoted Tweet Fetching
+// ============================================
+
+// Fetch a quoted tweet that isn't in the archive from Twitter and cache the
+// result in quoted_tweets (including "unavailable", so it isn't re-fetched)
+async function fetchRemoteQuotedTweet(id) {
+    // Try to fetch from Twitter using oEmbed or syndication API
+    const tweetUrl = `https://twitter.com/i/status/${id}`;
+
+    // Method 1: Try using Twitter's syndication API (no auth required, works for public tweets)
+    try {
+        const syndicationUrl = `https://cdn.syndication.twimg.com/tweet-result?id=${id}&token=${Date.now()}`;
+        const syndicationRes = await fetch(syndicationUrl, {
+            headers: {
+                'Accept': 'application/json',
+                'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
+            }
+        });
+
+        if (syndicationRes.ok) {
+            const data = await syndicationRes.json();
+
+            if (data && data.text) {
+                // Cache the result
+                db.prepare(`
+                    INSERT OR REPLACE INTO quoted_tweets (id, author_name, author_username, content, created_at, is_available)
+                    VALUES (?, ?, ?, ?, ?, ?)
+                `).run(
+                    id,
+                    data.user?.name || 'Unknown',
+                    data.user?.screen_name || 'unknown',
+                    data.text,
+                    data.created_at || null,
+                    1
+                );
+
+                return {
                     id: id,
-                    content: content,
-                    author_username: data.author_url?.split('/').pop() || 'unknown',
-                    author_name: data.author_name || 'Unknown',
-                    html: data.html,
+                    content: data.text,
+                    author_username: data.user?.screen_name || 'unknown',
+                    author_name: data.user?.name || 'Unknown',
+                    created_at: data.created_at,
+                    media_url: data.photos?.[0]?.url || data.video?.poster || null,
                     is_available: true
-                });
+                };
             }
-        } catch (err) {
-            console.log('oEmbed failed:', err.message);
         }
+    } catch (err) {
+        console.log('Syndication API failed, trying oEmbed...');
+    }
 
-        // Tweet not available
-        db.prepare(`
-            INSERT OR REPLACE INTO quoted_tweets (id, is_available)
-            VALUES (?, ?)
-        `).run(id, 0);
+    // Method 2: Try oEmbed API
+    try {
+        const oembedUrl = `https://publish.twitter.com/oembed?url=${encodeURIComponent(tweetUrl)}&omit_script=true`;
+        const oembedRes = await fetch(oembedUrl);
+
+        if (oembedRes.ok) {
+            const data = await oembedRes.json();
+
+            // Extract text from HTML (strip tags)
+            let content = data.html || '';
+            // Remove HTML tags except paragraphs
+            content = content.replace(/<blockquote[^>]*>/gi, '');
+            content = content.replace(/<\/blockquote>/gi, '');
+            content = content.replace(/<p[^>]*>/gi, '');
+            content = content.replace(/<\/p>/gi, '\n');
+            content = content.replace(/<a[^>]*>([^<]*)<\/a>/gi, '$1');
+            content = content.replace(/<[^>]+>/g, '');
+            content = content.replace(/&mdash;.*/s, '').trim(); // Remove author attribution
+
+            // Cache the result
+            db.prepare(`
+                INSERT OR REPLACE INTO quoted_tweets (id, author_name, author_username, content, is_available)
+                VALUES (?, ?, ?, ?, ?)
+            `).run(id, data.author_name || 'Unknown', data.author_url?.split('/').pop() || 'unknown', content, 1);
+
+            return {
+                id: id,
+                content: content,
+                author_username: data.author_url?.split('/').pop() || 'unknown',
+                author_name: data.author_name || 'Unknown',
+                html: data.html,
+                is_available: true
+            };
+        }
+    } catch (err) {
+        console.log('oEmbed failed:', err.message);
+    }
 
-        res.json({
-            id: id,
-            is_available: false,
-            message: 'Tweet may be deleted or private'
-        });
+    // Tweet not available
+    db.prepare(`
+        INSERT OR REPLACE INTO quoted_tweets (id, is_available)
+        VALUES (?, ?)
+    `).run(id, 0);
+
+    return {
+        id: id,
+        is_available: false,
+        message: 'Tweet may be deleted or private'
+    };
+}
+
+// Get quoted tweet content - first checks DB, then fetches from Twitter
+app.get('/api/quoted-tweet/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        // First check if it's a self-quote (in tweets table)
+        const selfQuote = db.prepare(`
+            SELECT t.id, t.full_text as content, t.created_at, t.media_url,
+                a.username, a.display_name
+            FROM tweets t
+            LEFT JOIN accounts a ON a.id = t.account_id
+            WHERE t.id = ?
+        `).get(id);
+
+        if (selfQuote) {
+            return res.json({
+                id: selfQuote.id,
+                content: selfQuote.content,
+                author_username: selfQuote.username || null,
+                author_name: selfQuote.display_name || selfQuote.username || null,
+                created_at: selfQuote.created_at,
+                media_url: selfQuote.media_url,
+                is_self: true
+            });
+        }
+
+        // Check cache
+        const cached = db.prepare(`
+            SELECT * FROM quoted_tweets WHERE id = ?
+        `).get(id);
+
+        if (cached) {
+            return res.json({
+                id: cached.id,
+                content: cached.content,
+                author_username: cached.author_username,
+                author_name: cached.author_name,
+                created_at: cached.created_at,
+                is_available: cached.is_available,
+                from_cache: true
+            });
+        }
+
+        res.json(await fetchRemoteQuotedTweet(id));
 
     } catch (err) {
         console.error('Error fetching quoted tweet:', err);
@@ -915,16 +1275,19 @@ app.post('/api/quoted-tweets/batch', async (req, res) => {
         for (const id of ids.slice(0, 20)) { // Limit to 20
             // Check self-quote first
             const selfQuote = db.prepare(`
-                SELECT id, full_text as content, created_at, media_url
-                FROM tweets WHERE id = ?
+                SELECT t.id, t.full_text as content, t.created_at, t.media_url,
+                    a.username, a.display_name
+                FROM tweets t
+                LEFT JOIN accounts a ON a.id = t.account_id
+                WHERE t.id = ?
             `).get(id);
 
             if (selfQuote) {
                 results[id] = {
                     id: selfQuote.id,
                     content: selfQuote.content,
-                    author_username: 'tyleralterman',
-                    author_name: 'Tyler Alterman',
+                    author_username: selfQuote.username || null,
+                    author_name: selfQuote.display_name || selfQuote.username || null,
                     is_self: true,
                     is_available: true
                 };
@@ -955,80 +1318,95 @@ app.post('/api/quoted-tweets/batch', async (req, res) => {
         res.status(500).json({ error: err.message });
     }
 });
+
+// Get swipe queue (unreviewed)
 app.get('/api/swipe/queue', (req, res) => {
     try {
-        const { limit = 10, tag = '', length = '' } = req.query;
+        const { limit = 10, offset = 0 } = req.query;
+        // due=true: review_later tweets whose review has come round, longest
+        // waiting first, in place of the unswiped queue
+        const due = req.query.due === 'true';
 
-        const conditions = [
-            "t.swipe_status IS NULL",
-            "t.tweet_type NOT IN ('retweet', 'reply', 'thread')"
-        ];
-        const params = [];
-
-        // Helper for IN clause (only for WHERE conditions)
-        const addInCondition = (col, valString) => {
-            if (!valString) return;
-            const values = valString.split(',').filter(v => v);
-            if (values.length === 0) return;
-            const placeHolders = values.map(() => '?').join(',');
-            conditions.push(`${col} IN (${placeHolders})`);
-            params.push(...values);
-        };
-
-        addInCondition('t.length_category', length);
-        // Quality condition REMOVED
-
-        let joinClause = '';
-        const joinParams = []; // Separate params for JOIN
-
-        if (tag) {
-            const tags = tag.split(',').filter(t => t);
-            if (tags.length > 0) {
-                const tagPlaceholders = tags.map(() => '?').join(',');
-                joinClause = `
-                    INNER JOIN tweet_tags tt ON t.id = tt.tweet_id
-                    INNER JOIN tags ON tags.id = tt.tag_id AND tags.name IN (${tagPlaceholders})
-                `;
-                joinParams.push(...tags);
-            }
-        }
-
-        const whereClause = conditions.join(' AND ');
+        // The strategy's pool after the filters, swiped or not (for progress)
+        const { conditions, params } = buildSwipeFilters(req.query);
+        const strategy = resolveStrategy(req.query, { conditions, params });
+        if (strategy.condition && !due) conditions.push(strategy.condition);
 
-        // Combined params: JOIN params first, then WHERE params
-        const finalParams = [...joinParams, ...params];
+        const poolClause = conditions.join(' AND ');
+        const whereClause = due ? `${DUE_CONDITION} AND ${poolClause}` : `t.swipe_status IS NULL AND ${poolClause}`;
+        const now = new Date().toISOString();
+        const queueParams = due ? [now, ...params] : [...strategy.joinParams, ...params, ...strategy.orderParams];
 
         // Get unreviewed tweets
         const query = `
-            SELECT DISTINCT t.*, 
+            SELECT t.*, 
                 quoted.full_text as quoted_text,
                 quoted.media_url as quoted_media,
-                quoted.id as quoted_id
+                quoted.id as quoted_id,
+                quoted_account.username as quoted_username${strategy.select}
             FROM tweets t
             LEFT JOIN tweets quoted ON t.quoted_tweet_id = quoted.id
-            ${joinClause}
+            LEFT JOIN accounts quoted_account ON quoted.account_id = quoted_account.id
+            ${due ? REVIEW_SCHEDULE_JOIN : strategy.join}
             WHERE ${whereClause}
-            ORDER BY 
-                t.favorite_count DESC,
-                t.created_at DESC
-            LIMIT ?
+            ORDER BY ${due ? 'rs.due_at IS NOT NULL, rs.due_at, t.id' : strategy.orderBy}
+            LIMIT ? OFFSET ?
         `;
+        const tweets = db.prepare(query).all(...queueParams, parseInt(limit), parseInt(offset) || 0);
+
+        // Count remaining, and the whole pool for the progress bar
+        const counts = due
+            ? db.prepare(`
+                SELECT SUM(rs.due_at IS NULL OR rs.due_at <= ?) as remaining, COUNT(*) as total
+                FROM tweets t
+                ${REVIEW_SCHEDULE_JOIN}
+                WHERE t.swipe_status = 'review_later' AND ${poolClause}
+            `).get(now, ...params)
+            : db.prepare(`
+                SELECT SUM(t.swipe_status IS NULL) as remaining, COUNT(*) as total
+                FROM tweets t
+                WHERE ${poolClause}
+            `).get(...params);
 
-        // Add limit to params
-        const queryParams = [...finalParams, parseInt(limit)];
-        const tweets = db.prepare(query).all(...queryParams);
+        res.json({
+            tweets,
+            remaining: counts.remaining || 0,
+            total: counts.total,
+            strategy: due ? 'due' : strategy.name,
+            seed: due ? null : strategy.seed
+        });
+    } catch (err) {
+        if (err instanceof SwipeQueueError || err instanceof SearchQueryError) {
+            return res.status(400).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
 
-        // Count remaining
-        const countQuery = `
-            SELECT COUNT(DISTINCT t.id) as count FROM tweets t
-            ${joinClause}
-            WHERE ${whereClause}
-        `;
-        // Count query uses same params (minus limit)
-        const remaining = db.prepare(countQuery).get(...finalParams);
+// Swipes that can still be undone, newest first (survives a page reload)
+app.get('/api/swipe/history', (req, res) => {
+    try {
+        const { account = '', limit = 50 } = req.query;
+        res.json({ events: listSwipeEvents(db, { account, limit }) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
 
-        res.json({ tweets, remaining: remaining.count });
+// Undo a swipe: { eventId } or, without one, the newest swipe (for { account }).
+// Restores the tweet exactly as it was and takes the swipe off the session stats.
+app.post('/api/swipe/undo', (req, res) => {
+    try {
+        const { eventId = null, account = '' } = req.body || {};
+        const undone = undoSwipeEvent(db, { eventId, account });
+        if (!undone) {
+            return res.status(404).json({ error: 'Nothing to undo' });
+        }
+        res.json({ success: true, ...undone });
     } catch (err) {
+        if (err instanceof SwipeEventError) {
+            return res.status(400).json({ error: err.message });
+        }
         res.status(500).json({ error: err.message });
     }
 });
@@ -1040,7 +1418,9 @@ app.get('/api/swipe/today', (req, res) => {
         const stats = db.prepare('SELECT * FROM swipe_sessions WHERE session_date = ?').get(today) || {
             tweets_swiped: 0, likes: 0, superlikes: 0, dislikes: 0, review_later: 0
         };
-        res.json(stats);
+        // review_later tweets due to come back (see lib/review_schedule.js)
+        const reviews = reviewCounts(db, { account: req.query.account || '' });
+        res.json({ ...stats, due_for_review: reviews.due, next_review_at: reviews.nextDueAt });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
@@ -1073,20 +1453,17 @@ app.post('/api/admin/clear-use-tags', (req, res) => {
 // Run heuristic auto-tagging (FREE - no AI cost, just keyword matching)
 app.post('/api/admin/run-auto-tag', (req, res) => {
     try {
-        const { execSync } = require('child_process');
-        const autoTagScript = path.join(__dirname, 'scripts/auto_tag_heuristics.js');
-
-        console.log('🏷️ Running heuristic auto-tagging...');
-        const output = execSync(`node "${autoTagScript}"`, {
-            encoding: 'utf8',
-            timeout: 120000 // 2 minute timeout
+        const job = jobQueue.findActive('auto_tag') || jobQueue.enqueue('auto_tag', {
+            suggest: !!req.body?.suggest,
+            incremental: !!req.body?.incremental,
+            dryRun: !!req.body?.dryRun
         });
-        console.log('✅ Auto-tagging complete');
+        console.log(`🏷️ Heuristic auto-tagging queued as job ${job.id}`);
 
         res.json({
             success: true,
-            message: 'Auto-tagging complete',
-            output: output
+            message: `Auto-tagging queued. Check /api/jobs/${job.id} for progress.`,
+            jobId: job.id
         });
     } catch (err) {
         console.error('Auto-tag error:', err.message);
@@ -1095,77 +1472,97 @@ app.post('/api/admin/run-auto-tag', (req, res) => {
 });
 
 // Run LLM-based semantic tagging (costs API $, but much more accurate)
-// This is a long-running operation so it runs in the background
-let llmTaggingStatus = { running: false, progress: '', startTime: null };
-
+// This is a long-running operation so it runs as a background job
 app.post('/api/admin/run-llm-tag', (req, res) => {
-    if (llmTaggingStatus.running) {
+    const active = jobQueue.findActive('llm_tag');
+    if (active) {
         return res.json({
             success: false,
             message: 'LLM tagging already in progress',
-            status: llmTaggingStatus
+            jobId: active.id,
+            status: active
         });
     }
 
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) {
+    // Fail fast on a missing key instead of inside the background job
+    try {
+        createLlmClient({ defaultProvider: 'openai' });
+    } catch (e) {
         return res.status(400).json({
             success: false,
-            error: 'OPENAI_API_KEY not set. Add it in Render environment variables.'
+            error: `${e.message}. Add it in Render environment variables.`
         });
     }
 
-    // Start LLM tagging in background
-    llmTaggingStatus = { running: true, progress: 'Starting...', startTime: Date.now() };
-
-    const { spawn } = require('child_process');
-    const llmScript = path.join(__dirname, 'scripts/llm_tagger_openai.js');
-
-    console.log('🤖 Starting LLM-based semantic tagging (background)...');
-
-    const child = spawn('node', [llmScript], {
-        env: { ...process.env, OPENAI_API_KEY: apiKey },
-        stdio: ['ignore', 'pipe', 'pipe']
-    });
-
-    child.stdout.on('data', (data) => {
-        const msg = data.toString().trim();
-        console.log('[LLM-TAG]', msg);
-        llmTaggingStatus.progress = msg;
-    });
-
-    child.stderr.on('data', (data) => {
-        console.error('[LLM-TAG ERROR]', data.toString());
-    });
-
-    child.on('close', (code) => {
-        const elapsed = ((Date.now() - llmTaggingStatus.startTime) / 1000 / 60).toFixed(1);
-        llmTaggingStatus.running = false;
-        llmTaggingStatus.progress = code === 0
-            ? `✅ Completed in ${elapsed} minutes`
-            : `❌ Failed with code ${code}`;
-        console.log(`🤖 LLM tagging finished: ${llmTaggingStatus.progress}`);
-    });
+    const job = jobQueue.enqueue('llm_tag', { resume: !!req.body?.resume, suggest: !!req.body?.suggest });
+    console.log(`🤖 LLM-based semantic tagging queued as job ${job.id}`);
 
     res.json({
         success: true,
         message: 'LLM tagging started in background. Check /api/admin/llm-tag-status for progress.',
+        jobId: job.id,
         estimatedTime: 'About 60-90 minutes for 35k tweets'
     });
 });
 
-// Check LLM tagging progress
+// Check LLM tagging progress (the most recent llm_tag job)
 app.get('/api/admin/llm-tag-status', (req, res) => {
-    const elapsed = llmTaggingStatus.startTime
-        ? ((Date.now() - llmTaggingStatus.startTime) / 1000 / 60).toFixed(1)
-        : 0;
+    const [job] = jobQueue.listJobs({ type: 'llm_tag', limit: 1 });
+    if (!job) {
+        return res.json({ running: false, progress: '', startTime: null, elapsedMinutes: 0 });
+    }
+
+    const startTime = job.started_at ? new Date(job.started_at + 'Z').getTime() : null;
+    const endTime = job.finished_at ? new Date(job.finished_at + 'Z').getTime() : Date.now();
 
     res.json({
-        ...llmTaggingStatus,
-        elapsedMinutes: elapsed
+        running: job.status === 'running' || job.status === 'queued',
+        progress: job.error ? `❌ ${job.error}` : (job.message || ''),
+        startTime,
+        elapsedMinutes: startTime ? ((endTime - startTime) / 1000 / 60).toFixed(1) : 0,
+        job
     });
 });
 
+// Tagging run history: tokens, estimated cost and checkpoint progress per run
+app.get('/api/tagging-runs', (req, res) => {
+    try {
+        res.json({ runs: listTaggingRuns(db, { limit: req.query.limit }) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/api/tagging-runs/:id', (req, res) => {
+    try {
+        const run = getTaggingRun(db, req.params.id);
+        if (!run) return res.status(404).json({ error: 'Run not found' });
+        res.json(run);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// How each tagger (source + prompt/rules version) scores against the manual tags:
+// ?sample=200&seed=1&account=&live=0 - see lib/tag_evaluation.js
+app.get('/api/tagging-eval', (req, res) => {
+    try {
+        const { sample, seed, account, live } = req.query;
+        res.json(evaluateTaggers(db, { sample, seed, account, live: live !== '0' && live !== 'false' }));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Stored local classifiers with their held-out metrics (see lib/classifier.js)
+app.get('/api/classifiers', (req, res) => {
+    try {
+        res.json(listModels(db));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // Get current database info
 app.get('/api/admin/db-info', (req, res) => {
     try {
@@ -1180,6 +1577,37 @@ app.get('/api/admin/db-info', (req, res) => {
     }
 });
 
+// Report drift between tweets and the tweets_fts search index
+app.get('/api/admin/fts-status', (req, res) => {
+    try {
+        res.json(getFtsStatus(db));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Rebuild the search index from the tweets table, then integrity-check it
+app.post('/api/admin/rebuild-fts', (req, res) => {
+    try {
+        const before = getFtsStatus(db);
+        console.log('🔄 Rebuilding search index...');
+        rebuildFtsIndex(db);
+        const after = getFtsStatus(db);
+        console.log(`✅ Search index rebuilt (${after.indexedCount} tweets)`);
+
+        res.json({
+            success: after.inSync,
+            message: before.inSync
+                ? 'Search index was already in sync; rebuilt anyway'
+                : `Fixed ${before.missing} missing and ${before.orphaned} orphaned index rows`,
+            before,
+            after
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // Migrate database to persistent disk
 app.post('/api/admin/migrate-to-persistent', (req, res) => {
     try {
@@ -1210,133 +1638,227 @@ app.post('/api/admin/migrate-to-persistent', (req, res) => {
 });
 
 // ============================================
-// Archive Upload
+// Tag Suggestion Review
 // ============================================
 
-app.post('/api/import/upload', upload.single('archive'), async (req, res) => {
-    if (!req.file) {
-        return res.status(400).json({ error: 'No file uploaded' });
+// Pending suggestions, one per (tweet, tag), for the review queue in swipe.html?mode=tags
+app.get('/api/tag-suggestions', (req, res) => {
+    try {
+        const { limit, offset, tag, source, minConfidence, account } = req.query;
+        const { suggestions, remaining } = listPendingSuggestions(db, { limit, offset, tag, source, minConfidence, account });
+        res.json({ suggestions, remaining, stats: suggestionStats(db) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
     }
+});
 
-    const zipPath = req.file.path;
-    const extractPath = path.join(__dirname, 'uploads', `extract_${Date.now()}`);
-
+// Accept, reject or reset (undo) suggestions: { items: [{ tweetId, tagId, action }] }
+app.post('/api/tag-suggestions/review', (req, res) => {
     try {
-        // Extract the zip
-        await extractZip(zipPath, { dir: extractPath });
+        const { items } = req.body;
+        if (!Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({ error: 'items must be a non-empty array' });
+        }
+        const counts = reviewSuggestions(db, items);
+        res.json({ success: true, ...counts, stats: suggestionStats(db) });
+    } catch (err) {
+        if (err instanceof SuggestionReviewError) {
+            return res.status(400).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
 
-        // Find the data directory (might be nested)
-        let dataPath = extractPath;
-        const findDataDir = (dir) => {
-            const entries = fs.readdirSync(dir, { withFileTypes: true });
-            for (const entry of entries) {
-                if (entry.isDirectory() && entry.name === 'data') {
-                    return path.join(dir, entry.name);
-                }
-                if (entry.isDirectory()) {
-                    const found = findDataDir(path.join(dir, entry.name));
-                    if (found) return found;
-                }
-            }
-            return null;
-        };
+// ============================================
+// Heuristic Tag Rules
+// ============================================
 
-        const foundDataPath = findDataDir(extractPath);
-        if (!foundDataPath) {
-            throw new Error('Could not find data directory in archive');
+// The rules auto_tag_heuristics.js tags with, edited in rules.html
+app.get('/api/tag-rules', (req, res) => {
+    try {
+        res.json(listRules(db));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/api/tag-rules/:id', (req, res) => {
+    try {
+        const rule = getRule(db, req.params.id);
+        if (!rule) {
+            return res.status(404).json({ error: 'Rule not found' });
         }
+        res.json(rule);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
 
-        // Run the import script
-        const importScript = path.join(__dirname, 'scripts/import.js');
-        const output = execSync(`node "${importScript}" "${foundDataPath}"`, {
-            timeout: 120000 // 2 minute timeout
-        });
+// { tag or tagId, category?, strict, broad, negative, patterns, enabled }
+app.post('/api/tag-rules', (req, res) => {
+    try {
+        const rule = createRule(db, req.body || {});
+        console.log(`📐 Created tag rule for "${rule.tag}"`);
+        res.status(201).json(rule);
+    } catch (err) {
+        if (err instanceof TagRuleError) {
+            return res.status(400).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
 
-        // Run auto-tagging immediately after
-        console.log('🤖 Running auto-tagging...');
-        const autoTagScript = path.join(__dirname, 'scripts/auto_tag_heuristics.js');
-        const tagOutput = execSync(`node "${autoTagScript}"`, { encoding: 'utf8' });
-        console.log('✅ Auto-tagging complete');
+app.patch('/api/tag-rules/:id', (req, res) => {
+    try {
+        const rule = updateRule(db, req.params.id, req.body || {});
+        if (!rule) {
+            return res.status(404).json({ error: 'Rule not found' });
+        }
+        res.json(rule);
+    } catch (err) {
+        if (err instanceof TagRuleError) {
+            return res.status(400).json({ error: err.message });
+        }
+        res.status(500).json({ error: err.message });
+    }
+});
 
-        // Cleanup
-        fs.rmSync(zipPath, { force: true });
-        fs.rmSync(extractPath, { recursive: true, force: true });
+app.delete('/api/tag-rules/:id', (req, res) => {
+    try {
+        if (!deleteRule(db, req.params.id)) {
+            return res.status(404).json({ error: 'Rule not found' });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
 
-        res.json({ success: true, output });
+// Tweets a saved ({ id }) or unsaved rule would tag, with scores and matched terms
+app.post('/api/tag-rules/preview', (req, res) => {
+    try {
+        const { limit, account, ...rule } = req.body || {};
+        res.json(previewRule(db, rule, { limit, account }));
     } catch (err) {
-        // Cleanup on error
-        fs.rmSync(zipPath, { force: true });
-        if (fs.existsSync(extractPath)) {
-            fs.rmSync(extractPath, { recursive: true, force: true });
+        if (err instanceof TagRuleError) {
+            return res.status(400).json({ error: err.message });
         }
         res.status(500).json({ error: err.message });
     }
 });
 
 // ============================================
-// Export Endpoints
+// Archive Upload
 // ============================================
 
-app.get('/api/export/json', (req, res) => {
+// The import itself runs as a background job; poll /api/jobs/:id for progress
+app.post('/api/import/upload', upload.single('archive'), (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+
     try {
-        const {
-            quality = '',
-            swipe = '',
-            tag = '',
-            type = '',
-            length = '',
-            excludeRetweets = 'true',
-            excludeReplies = 'true'
-        } = req.query;
+        const job = jobQueue.enqueue('import', {
+            zipPath: req.file.path,
+            originalName: req.file.originalname
+        });
+        res.json({ success: true, jobId: job.id, job });
+    } catch (err) {
+        fs.rmSync(req.file.path, { force: true });
+        res.status(500).json({ error: err.message });
+    }
+});
 
-        const conditions = [];
-        const params = [];
+// ============================================
+// Export Endpoints
+// ============================================
 
-        if (quality) {
-            conditions.push('t.quality_rating = ?');
-            params.push(quality);
-        }
-        if (swipe) {
-            conditions.push('t.swipe_status = ?');
-            params.push(swipe);
-        }
-        if (type) {
-            conditions.push('t.tweet_type = ?');
-            params.push(type);
-        }
-        if (length) {
-            conditions.push('t.length_category = ?');
-            params.push(length);
-        }
-        if (excludeRetweets === 'true') {
-            conditions.push("t.tweet_type != 'retweet'");
-        }
-        if (excludeReplies === 'true') {
-            conditions.push("t.tweet_type != 'reply'");
-        }
-        if (excludeThreads === 'true') {
-            conditions.push("t.tweet_type != 'thread'");
-        }
+const EXPORT_COLUMNS = ['id', 'full_text', 'created_at', 'favorite_count', 'retweet_count', 'tweet_type', 'length_category', 'quality_rating', 'swipe_status', 'tweet_url'];
+
+// Build the export query for a filter set (same params as the export links)
+function buildExportQuery(filters = {}) {
+    const {
+        quality = '',
+        swipe = '',
+        tag = '',
+        type = '',
+        length = '',
+        account = '',
+        excludeRetweets = 'true',
+        excludeReplies = 'true',
+        excludeThreads = 'false'
+    } = filters;
 
-        let joinClause = '';
-        if (tag) {
-            joinClause = `
-                INNER JOIN tweet_tags tt ON t.id = tt.tweet_id
-                INNER JOIN tags ON tags.id = tt.tag_id AND tags.name = ?
-            `;
-            params.unshift(tag);
-        }
+    const conditions = [];
+    const params = [];
 
-        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    if (account) {
+        conditions.push('t.account_id = ?');
+        params.push(parseInt(account));
+    }
 
-        const tweets = db.prepare(`
-            SELECT DISTINCT t.id, t.full_text, t.created_at, t.favorite_count, t.retweet_count,
-                   t.tweet_type, t.length_category, t.quality_rating, t.swipe_status, t.tweet_url
+    if (quality) {
+        conditions.push('t.quality_rating = ?');
+        params.push(quality);
+    }
+    if (swipe) {
+        conditions.push('t.swipe_status = ?');
+        params.push(swipe);
+    }
+    if (type) {
+        conditions.push('t.tweet_type = ?');
+        params.push(type);
+    }
+    if (length) {
+        conditions.push('t.length_category = ?');
+        params.push(length);
+    }
+    if (String(excludeRetweets) === 'true') {
+        conditions.push("t.tweet_type != 'retweet'");
+    }
+    if (String(excludeReplies) === 'true') {
+        conditions.push("t.tweet_type != 'reply'");
+    }
+    if (String(excludeThreads) === 'true') {
+        conditions.push("t.tweet_type != 'thread'");
+    }
+
+    // The tag, its aliases or any of its child tags
+    if (tag) {
+        conditions.push(`EXISTS (SELECT 1 FROM tweet_tags tt WHERE tt.tweet_id = t.id AND tt.tag_id IN (${TAG_SUBTREE_SQL}))`);
+        params.push(tag, tag);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    return {
+        sql: `
+            SELECT ${EXPORT_COLUMNS.map(c => `t.${c}`).join(', ')}
             FROM tweets t
-            ${joinClause}
             ${whereClause}
-            ORDER BY t.created_at DESC
-        `).all(...params);
+            ORDER BY t.created_at DESC, t.id
+        `,
+        params
+    };
+}
+
+function escapeCSV(str) {
+    if (str === null || str === undefined) return '';
+    const s = String(str);
+    if (s.includes(',') || s.includes('"') || s.includes('\n')) {
+        return `"${s.replace(/"/g, '""')}"`;
+    }
+    return s;
+}
+
+function csvRow(tweet) {
+    return EXPORT_COLUMNS.map(h => escapeCSV(tweet[h])).join(',') + '\n';
+}
+
+app.get('/api/export/json', (req, res) => {
+    try {
+        const { sql, params } = buildExportQuery(req.query);
+        const tweets = db.prepare(sql).all(...params);
 
         res.setHeader('Content-Type', 'application/json');
         res.setHeader('Content-Disposition', 'attachment; filename="tweets_export.json"');
@@ -1348,105 +1870,516 @@ app.get('/api/export/json', (req, res) => {
 
 app.get('/api/export/csv', (req, res) => {
     try {
-        const {
-            quality = '',
-            swipe = '',
-            tag = '',
-            type = '',
-            length = '',
-            excludeRetweets = 'true',
-            excludeReplies = 'true'
-        } = req.query;
+        const { sql, params } = buildExportQuery(req.query);
+        const tweets = db.prepare(sql).all(...params);
 
-        const conditions = [];
-        const params = [];
+        let csv = EXPORT_COLUMNS.join(',') + '\n';
+        for (const tweet of tweets) {
+            csv += csvRow(tweet);
+        }
+
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', 'attachment; filename="tweets_export.csv"');
+        res.send(csv);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
 
-        if (quality) {
-            conditions.push('t.quality_rating = ?');
-            params.push(quality);
+// ============================================
+// Background Jobs
+// ============================================
+
+const IMPORT_SCRIPT = path.join(__dirname, 'scripts/import.js');
+const AUTO_TAG_SCRIPT = path.join(__dirname, 'scripts/auto_tag_heuristics.js');
+const LLM_TAG_SCRIPT = path.join(__dirname, 'scripts/llm_tagger_openai.js');
+const LLM_TAG_SCRIPT_NAME = 'llm_tagger_openai'; // tagging_runs.script for its runs
+const TRAIN_CLASSIFIER_SCRIPT = path.join(__dirname, 'scripts/train_classifier.js');
+const EMBED_SCRIPT = path.join(__dirname, 'scripts/embed_tweets.js');
+
+// Next to the database so exports survive restarts on the Render disk
+const EXPORT_DIR = path.join(path.dirname(DB_PATH), 'exports');
+const EXPORT_PAGE_SIZE = 1000;
+
+// Be polite to Twitter's public endpoints
+const QUOTE_FETCH_DELAY_MS = 300;
+
+// Job types that may be started through POST /api/jobs (imports need an upload)
+const USER_JOB_TYPES = ['auto_tag', 'llm_tag', 'train_classifier', 'embed', 'export', 'fetch_quotes'];
+
+// Find the data directory (might be nested)
+function findDataDir(dir) {
+    const entries = fs.readdirSync(dir, { withFileTypes: true });
+    for (const entry of entries) {
+        if (entry.isDirectory() && entry.name === 'data') {
+            return path.join(dir, entry.name);
         }
-        if (swipe) {
-            conditions.push('t.swipe_status = ?');
-            params.push(swipe);
+        if (entry.isDirectory()) {
+            const found = findDataDir(path.join(dir, entry.name));
+            if (found) return found;
         }
-        if (type) {
-            conditions.push('t.tweet_type = ?');
-            params.push(type);
+    }
+    return null;
+}
+
+function countAllTweets() {
+    return db.prepare('SELECT COUNT(*) as count FROM tweets').get().count;
+}
+
+// Extract an uploaded archive, import it, then run heuristic tagging.
+// The zip is kept when the job fails so it can be retried.
+async function runImportJob(ctx) {
+    const { zipPath } = ctx.params;
+    const extractPath = path.join(__dirname, 'uploads', `extract_job_${ctx.job.id}`);
+
+    try {
+        if (!zipPath || !fs.existsSync(zipPath)) {
+            throw new Error('Uploaded archive no longer exists - please upload it again');
         }
-        if (length) {
-            conditions.push('t.length_category = ?');
-            params.push(length);
+
+        ctx.progress(0, 3, 'Extracting archive...');
+        fs.rmSync(extractPath, { recursive: true, force: true });
+        await extractZip(zipPath, { dir: extractPath });
+        const dataPath = findDataDir(extractPath);
+        if (!dataPath) {
+            throw new Error('Could not find data directory in archive');
         }
-        if (excludeRetweets === 'true') {
-            conditions.push("t.tweet_type != 'retweet'");
+        ctx.throwIfCancelled();
+
+        const before = countAllTweets();
+        ctx.progress(1, 3, 'Importing tweets...');
+        await ctx.runScript(IMPORT_SCRIPT, [dataPath]);
+
+        // Only tweets the rules haven't seen, so tags on the rest are left as they are
+        ctx.progress(2, 3, 'Running heuristic tagging...');
+        await ctx.runScript(AUTO_TAG_SCRIPT, ['--incremental']);
+
+        const total = countAllTweets();
+        ctx.progress(3, 3, `Imported ${total - before} new tweets`);
+        fs.rmSync(zipPath, { force: true });
+        return { imported: total - before, total };
+    } catch (err) {
+        if (ctx.signal.aborted) fs.rmSync(zipPath, { force: true });
+        throw err;
+    } finally {
+        fs.rmSync(extractPath, { recursive: true, force: true });
+    }
+}
+
+async function runAutoTagJob(ctx) {
+    const { suggest, incremental, dryRun } = ctx.params;
+    const args = [
+        ...(suggest ? ['--suggest'] : []),
+        ...(incremental ? ['--incremental'] : []),
+        ...(dryRun ? ['--dry-run'] : [])
+    ];
+    ctx.progress(0, 1, dryRun ? 'Previewing heuristic tagging...' : 'Running heuristic tagging...');
+    const output = await ctx.runScript(AUTO_TAG_SCRIPT, args);
+    ctx.progress(1, 1, dryRun ? 'Dry run complete - see log for the diff' : 'Heuristic tagging complete');
+    return { dryRun: !!dryRun, output: output.split('\n').slice(-5).join('\n') };
+}
+
+// Retrain the local topic and swipe models, then tag and score with them
+async function runTrainClassifierJob(ctx) {
+    const { suggest, dryRun } = ctx.params;
+    const args = [
+        ...(suggest ? ['--suggest'] : []),
+        ...(dryRun ? ['--dry-run'] : [])
+    ];
+    ctx.progress(0, 1, 'Training local classifiers...');
+    const output = await ctx.runScript(TRAIN_CLASSIFIER_SCRIPT, args);
+    ctx.progress(1, 1, dryRun ? 'Dry run complete - see log for the metrics' : 'Classifiers trained and applied');
+    return { dryRun: !!dryRun, output: output.split('\n').slice(-12).join('\n') };
+}
+
+// Embed the tweets missing a vector for the configured provider. Tweets
+// already embedded are skipped, so a retry carries on where it stopped.
+async function runEmbedJob(ctx) {
+    const provider = embeddings.getEmbeddingProvider();
+    ctx.progress(0, null, `Embedding with ${provider.model}...`);
+    try {
+        await ctx.runScript(EMBED_SCRIPT, [provider.name], { progressPattern: /^\s*(\d+)\/(\d+)$/ });
+    } finally {
+        // The script wrote the vectors; reload them on the next search
+        embeddings.invalidateVectorCache(provider.model);
+    }
+    return { model: provider.model, missing: embeddings.countMissingEmbeddings(db, provider) };
+}
+
+// A retried or restarted job picks up the unfinished run instead of wiping
+// the tags and paying for every batch again
+async function runLlmTagJob(ctx) {
+    createLlmClient({ defaultProvider: 'openai' }); // throws if the provider isn't configured
+    const unfinished = findResumableRun(db, { script: LLM_TAG_SCRIPT_NAME });
+    const resume = unfinished && (ctx.params.resume || ctx.job.attempts > 1);
+
+    ctx.progress(0, null, resume ? `Resuming run ${unfinished.id}...` : 'Starting...');
+    // A resumed run keeps the suggest mode it started with
+    const args = resume ? ['--resume', String(unfinished.id)] : (ctx.params.suggest ? ['--suggest'] : []);
+    await ctx.runScript(LLM_TAG_SCRIPT, args, {
+        progressPattern: /Batch (\d+)\/(\d+)/
+    });
+
+    const run = db.prepare('SELECT * FROM tagging_runs WHERE script = ? ORDER BY id DESC LIMIT 1').get(LLM_TAG_SCRIPT_NAME);
+    return run ? { runId: run.id, status: run.status, tweets: run.tweets_processed, tagsAdded: run.tags_added, estimatedCost: run.estimated_cost } : {};
+}
+
+// Write the export a page at a time so the server stays responsive
+async function runExportJob(ctx) {
+    const format = ctx.params.format === 'json' ? 'json' : 'csv';
+    const { sql, params } = buildExportQuery(ctx.params.filters || {});
+    const total = db.prepare(`SELECT COUNT(*) as count FROM (${sql})`).get(...params).count;
+    const page = db.prepare(`${sql} LIMIT ? OFFSET ?`);
+
+    fs.mkdirSync(EXPORT_DIR, { recursive: true });
+    const file = path.join(EXPORT_DIR, `tweets_export_${ctx.job.id}.${format}`);
+    const partial = `${file}.part`;
+    const fd = fs.openSync(partial, 'w');
+
+    try {
+        fs.writeSync(fd, format === 'json' ? '[' : EXPORT_COLUMNS.join(',') + '\n');
+        for (let offset = 0; offset < total; offset += EXPORT_PAGE_SIZE) {
+            ctx.throwIfCancelled();
+            const tweets = page.all(...params, EXPORT_PAGE_SIZE, offset);
+            const chunk = format === 'json'
+                ? tweets.map((t, i) => (offset + i > 0 ? ',' : '') + JSON.stringify(t)).join('')
+                : tweets.map(csvRow).join('');
+            fs.writeSync(fd, chunk);
+            ctx.progress(Math.min(offset + EXPORT_PAGE_SIZE, total), total, `Exported ${Math.min(offset + EXPORT_PAGE_SIZE, total)} tweets`);
+            await new Promise(resolve => setImmediate(resolve));
         }
-        if (excludeReplies === 'true') {
-            conditions.push("t.tweet_type != 'reply'");
+        if (format === 'json') fs.writeSync(fd, ']');
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    if (ctx.signal.aborted) {
+        fs.rmSync(partial, { force: true });
+        ctx.throwIfCancelled();
+    }
+    fs.renameSync(partial, file);
+    return { file: path.basename(file), format, count: total, bytes: fs.statSync(file).size };
+}
+
+// Cache every external quoted tweet that hasn't been fetched yet. Cached
+// ids (available or not) are skipped, so a rerun picks up where it stopped.
+async function runFetchQuotesJob(ctx) {
+    const { account } = ctx.params;
+    const ids = db.prepare(`
+        SELECT DISTINCT t.quoted_tweet_id as id FROM tweets t
+        WHERE t.quoted_tweet_id IS NOT NULL AND t.quoted_tweet_id != ''
+        AND t.quoted_tweet_id NOT IN (SELECT id FROM tweets)
+        AND t.quoted_tweet_id NOT IN (SELECT id FROM quoted_tweets)
+        ${account ? 'AND t.account_id = ?' : ''}
+    `).all(...(account ? [parseInt(account)] : [])).map(r => r.id);
+
+    ctx.log(`Found ${ids.length} quoted tweets to fetch`);
+    let available = 0;
+    for (let i = 0; i < ids.length; i++) {
+        ctx.throwIfCancelled();
+        const result = await fetchRemoteQuotedTweet(ids[i]);
+        if (result.is_available) available++;
+        ctx.progress(i + 1, ids.length, `Fetched ${i + 1}/${ids.length} quoted tweets`);
+        if (i + 1 < ids.length) {
+            await new Promise(resolve => setTimeout(resolve, QUOTE_FETCH_DELAY_MS));
         }
+    }
+    return { fetched: ids.length, available, unavailable: ids.length - available };
+}
+
+const jobQueue = createJobQueue(db, {
+    import: runImportJob,
+    auto_tag: runAutoTagJob,
+    llm_tag: runLlmTagJob,
+    train_classifier: runTrainClassifierJob,
+    embed: runEmbedJob,
+    export: runExportJob,
+    fetch_quotes: runFetchQuotesJob
+});
 
-        let joinClause = '';
-        if (tag) {
-            joinClause = `
-                INNER JOIN tweet_tags tt ON t.id = tt.tweet_id
-                INNER JOIN tags ON tags.id = tt.tag_id AND tags.name = ?
-            `;
-            params.unshift(tag);
+// List jobs, newest first (?status=queued,running&type=export&limit=20)
+app.get('/api/jobs', (req, res) => {
+    try {
+        res.json(jobQueue.listJobs(req.query));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// One job with its log (?afterLogId= returns only newer lines)
+app.get('/api/jobs/:id', (req, res) => {
+    try {
+        const job = jobQueue.getJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
         }
+        res.json({ ...job, logs: jobQueue.getLogs(job.id, { afterId: req.query.afterLogId }) });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
 
-        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+// Start a job: { type, params }
+app.post('/api/jobs', (req, res) => {
+    try {
+        const { type, params = {} } = req.body;
+        if (!USER_JOB_TYPES.includes(type)) {
+            return res.status(400).json({ error: `type must be one of: ${USER_JOB_TYPES.join(', ')}` });
+        }
+        if (typeof params !== 'object' || params === null || Array.isArray(params)) {
+            return res.status(400).json({ error: 'params must be an object' });
+        }
 
-        const tweets = db.prepare(`
-            SELECT DISTINCT t.id, t.full_text, t.created_at, t.favorite_count, t.retweet_count,
-                   t.tweet_type, t.length_category, t.quality_rating, t.swipe_status, t.tweet_url
-            FROM tweets t
-            ${joinClause}
-            ${whereClause}
-            ORDER BY t.created_at DESC
-        `).all(...params);
-
-        const headers = ['id', 'full_text', 'created_at', 'favorite_count', 'retweet_count', 'tweet_type', 'length_category', 'quality_rating', 'swipe_status', 'tweet_url'];
-        const escapeCSV = (str) => {
-            if (str === null || str === undefined) return '';
-            const s = String(str);
-            if (s.includes(',') || s.includes('"') || s.includes('\n')) {
-                return `"${s.replace(/"/g, '""')}"`;
+        // Exports can stack; one tagging or quote fetch at a time is enough
+        if (type !== 'export') {
+            const active = jobQueue.findActive(type);
+            if (active) {
+                return res.status(409).json({ error: `A ${type} job is already ${active.status}`, job: active });
             }
-            return s;
-        };
+        }
+        if (type === 'llm_tag') {
+            try {
+                createLlmClient({ defaultProvider: 'openai' });
+            } catch (e) {
+                return res.status(400).json({ error: e.message });
+            }
+        }
 
-        let csv = headers.join(',') + '\n';
-        for (const tweet of tweets) {
-            csv += headers.map(h => escapeCSV(tweet[h])).join(',') + '\n';
+        const jobParams = type === 'export'
+            ? { format: params.format === 'json' ? 'json' : 'csv', filters: params.filters || {} }
+            : type === 'fetch_quotes'
+                ? { account: params.account || null }
+                : type === 'llm_tag'
+                    ? { resume: !!params.resume, suggest: !!params.suggest }
+                    : type === 'auto_tag'
+                        ? { suggest: !!params.suggest, incremental: !!params.incremental, dryRun: !!params.dryRun }
+                        : type === 'train_classifier'
+                            ? { suggest: !!params.suggest, dryRun: !!params.dryRun }
+                            : {};
+
+        res.status(201).json(jobQueue.enqueue(type, jobParams));
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/jobs/:id/cancel', (req, res) => {
+    try {
+        const job = jobQueue.cancel(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
         }
+        res.json(job);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
 
-        res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', 'attachment; filename="tweets_export.csv"');
-        res.send(csv);
+app.post('/api/jobs/:id/retry', (req, res) => {
+    try {
+        const job = jobQueue.retry(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        res.json(job);
     } catch (err) {
+        if (err instanceof JobStateError) {
+            return res.status(409).json({ error: err.message });
+        }
         res.status(500).json({ error: err.message });
     }
 });
 
+// Download the file a completed export job wrote
+app.get('/api/jobs/:id/download', (req, res) => {
+    const job = jobQueue.getJob(req.params.id);
+    if (!job || job.type !== 'export' || job.status !== 'completed' || !job.result) {
+        return res.status(404).json({ error: 'No export file for this job' });
+    }
+    const file = path.join(EXPORT_DIR, path.basename(job.result.file));
+    if (!fs.existsSync(file)) {
+        return res.status(410).json({ error: 'Export file has been removed' });
+    }
+    res.download(file, `tweets_export.${job.result.format}`);
+});
+
 // ============================================
 // Semantic Search (AI-powered)
 // ============================================
 
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+// Offline answer for LLM_PROVIDER=mock: search for the query's words
+function mockQueryPlan({ prompt }) {
+    const words = prompt.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(w => w.length > 2);
+    return words.length > 0 ? { anyTerms: words.slice(0, 5) } : {};
+}
+
+// Built per request so a missing key surfaces as a 503 rather than at startup
+function createSearchLlm() {
+    return createLlmClient({ defaultProvider: 'openai', timeoutMs: 20000, maxRetries: 1, mock: mockQueryPlan });
+}
+
+// Columns returned by semantic search and "more like this"
+const RESULT_COLUMNS = `t.id, t.full_text, t.created_at, t.favorite_count, t.retweet_count,
+    t.tweet_type, t.length_category, t.swipe_status, t.tweet_url`;
+
+// Add a tags array ({ name, category }) to each tweet row
+function attachTagLists(tweets) {
+    const tweetIds = tweets.map(t => t.id);
+    if (tweetIds.length === 0) return tweets;
+
+    const allTags = db.prepare(`
+        SELECT tt.tweet_id, tg.name, tg.category
+        FROM tweet_tags tt
+        JOIN tags tg ON tt.tag_id = tg.id
+        WHERE tt.tweet_id IN (${tweetIds.map(() => '?').join(',')})
+    `).all(...tweetIds);
+
+    const tagMap = {};
+    allTags.forEach(t => {
+        if (!tagMap[t.tweet_id]) tagMap[t.tweet_id] = [];
+        tagMap[t.tweet_id].push({ name: t.name, category: t.category });
+    });
+
+    tweets.forEach(tweet => {
+        tweet.tags = tagMap[tweet.id] || [];
+    });
+    return tweets;
+}
+
+// One embed job at a time - concurrent callers share the queued one
+function queueEmbedJob() {
+    return jobQueue.findActive('embed') || jobQueue.enqueue('embed', {});
+}
+
+// The local hash provider is free, so gaps are queued for embedding on
+// demand; remote providers are filled by `npm run embed` or /api/admin/embed.
+// Never waits for the job: returns { missingEmbeddings, embedJobId } and the
+// search runs over the vectors already there.
+function checkEmbeddings(provider) {
+    const missingEmbeddings = embeddings.countMissingEmbeddings(db, provider);
+    const job = missingEmbeddings > 0 && provider.name === 'hash' ? queueEmbedJob() : null;
+    return { missingEmbeddings, embedJobId: job ? job.id : null };
+}
+
+// Ids of the original tweets (no retweets/replies) a vector search may return
+function vectorCandidateIds(account) {
+    const conditions = [`tweet_type NOT IN ('retweet', 'reply')`];
+    const params = [];
+    if (account) {
+        conditions.push('account_id = ?');
+        params.push(parseInt(account));
+    }
+    const rows = db.prepare(`SELECT id FROM tweets WHERE ${conditions.join(' AND ')}`).all(...params);
+    return new Set(rows.map(r => r.id));
+}
+
+// Load ranked [{ id, score }] results as tweet rows, keeping the ranking
+function loadRankedTweets(ranked) {
+    if (ranked.length === 0) return [];
+    const rows = db.prepare(`
+        SELECT ${RESULT_COLUMNS} FROM tweets t
+        WHERE t.id IN (${ranked.map(() => '?').join(',')})
+    `).all(...ranked.map(r => r.id));
+    const byId = new Map(rows.map(r => [r.id, r]));
+    return ranked
+        .filter(r => byId.has(r.id))
+        .map(r => ({ ...byId.get(r.id), score: Math.round(r.score * 1000) / 1000 }));
+}
+
+// Tweets closest to this one in embedding space ("More like this")
+app.get('/api/tweets/:id/similar', async (req, res) => {
+    try {
+        const { limit = 20, account = '' } = req.query;
+        const provider = embeddings.getEmbeddingProvider();
+        const { missingEmbeddings, embedJobId } = checkEmbeddings(provider);
+
+        let vector = embeddings.getTweetVector(db, provider.model, req.params.id);
+        if (!vector) {
+            vector = await embeddings.embedTweet(db, provider, req.params.id);
+            if (!vector) {
+                return res.status(404).json({ error: 'Tweet not found' });
+            }
+        }
+
+        const ranked = embeddings.findSimilar(db, provider.model, vector, {
+            limit: Math.min(parseInt(limit) || 20, 100),
+            allowedIds: vectorCandidateIds(account),
+            excludeIds: new Set([req.params.id])
+        });
+        const tweets = attachTagLists(loadRankedTweets(ranked));
+
+        res.json({
+            tweetId: req.params.id,
+            model: provider.model,
+            missingEmbeddings,
+            embedJobId,
+            count: tweets.length,
+            tweets
+        });
+    } catch (err) {
+        console.error('Similar tweets error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Embed every tweet missing a vector for the configured provider (a background job)
+app.post('/api/admin/embed', (req, res) => {
+    try {
+        const provider = embeddings.getEmbeddingProvider();
+        const job = queueEmbedJob();
+        console.log(`🧭 Embedding with ${provider.model} queued as job ${job.id}`);
+        res.json({
+            success: true,
+            message: `Embedding queued. Check /api/jobs/${job.id} for progress.`,
+            jobId: job.id,
+            model: provider.model,
+            missingEmbeddings: embeddings.countMissingEmbeddings(db, provider)
+        });
+    } catch (err) {
+        console.error('Embedding error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
 
 app.post('/api/semantic-search', async (req, res) => {
     try {
-        const { query } = req.body;
+        const { query, account, mode = 'plan' } = req.body;
         if (!query) {
             return res.status(400).json({ error: 'Query is required' });
         }
 
-        if (!OPENAI_API_KEY) {
-            return res.status(503).json({
-                error: 'AI search is not configured. Please set OPENAI_API_KEY environment variable.'
+        // Vector mode: rank by embedding similarity to the query itself -
+        // no LLM call, and offline with the hash provider
+        if (mode === 'vector') {
+            const provider = embeddings.getEmbeddingProvider();
+            const { missingEmbeddings, embedJobId } = checkEmbeddings(provider);
+            const [vector] = await provider.embed([query]);
+            const ranked = embeddings.findSimilar(db, provider.model, vector, {
+                limit: 50,
+                allowedIds: vectorCandidateIds(account)
+            });
+            const tweets = attachTagLists(loadRankedTweets(ranked));
+            return res.json({
+                query,
+                mode,
+                model: provider.model,
+                missingEmbeddings,
+                embedJobId,
+                count: tweets.length,
+                tweets
             });
         }
 
-        // Get available tags for context
+        let llm;
+        try {
+            llm = createSearchLlm();
+        } catch (e) {
+            if (!(e instanceof LlmConfigError)) throw e;
+            return res.status(503).json({ error: `AI search is not configured: ${e.message}` });
+        }
+
+        // Get available tags for context (the prompt lists the most used,
+        // the plan may reference any existing tag)
         const tags = db.prepare(`
             SELECT t.name, t.category, COUNT(tt.tweet_id) as count
             FROM tags t
@@ -1456,122 +2389,106 @@ app.post('/api/semantic-search', async (req, res) => {
             ORDER BY count DESC
             LIMIT 50
         `).all();
+        // Aliases name a tag too
+        const knownTags = db.prepare('SELECT name FROM tags UNION SELECT alias FROM tag_aliases').all().map(t => t.name);
 
         const tagList = tags.map(t => `${t.name} (${t.category})`).join(', ');
 
-        const systemPrompt = `You are a SQL query generator for a tweet database. Convert natural language queries to SQLite WHERE clauses.
+        const systemPrompt = `You turn natural-language questions about a tweet archive into a JSON search plan.
 
-Available columns:
-- full_text (tweet content)
-- favorite_count (likes)
-- retweet_count
-- created_at (ISO date)
-- tweet_type (text_only, reply, retweet, quote, media, thread)
-- length_category (short, medium, long)
-- swipe_status (liked, superliked, disliked, review_later, NULL)
+Return ONLY a JSON object using these optional keys (omit anything not needed):
+- "anyTerms": words/phrases where at least one must appear in the tweet
+- "allTerms": words/phrases that must all appear
+- "excludeTerms": words/phrases that must not appear
+- "tags": tag names the tweet must have (only from the list below)
+- "excludeTags": tag names the tweet must not have
+- "types": any of text_only, media, quote, reply, retweet, thread
+- "lengths": any of short, medium, long
+- "swipe": any of superlike, like, dislike, review_later, unreviewed
+- "dateFrom", "dateTo": inclusive dates as YYYY, YYYY-MM or YYYY-MM-DD
+- "minLikes", "maxLikes", "minRetweets", "maxRetweets": integers
+- "sort": {"by": "date" | "likes" | "retweets" | "length" | "relevance", "order": "asc" | "desc"}
 
-Available tags (can filter via JOIN with tweet_tags): ${tagList}
+Available tags: ${tagList}
 
 RULES:
-1. Return ONLY a JSON object with: {"where": "SQL WHERE clause", "orderBy": "optional ORDER BY", "tagFilter": "optional tag name"}
-2. For SPECIFIC TOPIC queries (e.g. "effective altruism", "bitcoin", "meditation"), ALWAYS use full_text LIKE patterns, not tagFilter
-3. Only use tagFilter if the query mentions a GENERAL category that matches an available tag name exactly
-4. For emotional/sentiment queries, use LIKE patterns on full_text with multiple keywords
-5. For engagement queries, use favorite_count or retweet_count
-6. Keep it simple - SQLite compatible only
-7. Use lower() for case-insensitive matching
+1. For SPECIFIC TOPIC queries (e.g. "effective altruism", "bitcoin", "meditation"), use anyTerms with the topic and close synonyms, not tags
+2. Only use tags if the query names a GENERAL category matching an available tag exactly
+3. For emotional/sentiment queries, put several indicative words in anyTerms
+4. Terms are matched as whole words with stemming; multi-word terms match as exact phrases
+5. Never invent keys or values outside this list
 
 Examples:
-- "tweets about effective altruism" -> {"where": "lower(full_text) LIKE '%effective altruism%' OR lower(full_text) LIKE '%ea community%' OR lower(full_text) LIKE '%longtermism%'", "orderBy": "favorite_count DESC"}
-- "tweets where I seem excited" -> {"where": "full_text LIKE '%!%' AND (lower(full_text) LIKE '%amazing%' OR lower(full_text) LIKE '%love%' OR lower(full_text) LIKE '%excited%')", "orderBy": "favorite_count DESC"}
-- "spiritual tweets about Trump" -> {"where": "lower(full_text) LIKE '%trump%' AND lower(full_text) LIKE '%spirit%'", "orderBy": "favorite_count DESC"}
-- "my most popular philosophy tweets" -> {"tagFilter": "philosophy", "orderBy": "favorite_count DESC"}`;
+- "tweets about effective altruism" -> {"anyTerms": ["effective altruism", "ea community", "longtermism"], "sort": {"by": "likes", "order": "desc"}}
+- "tweets where I seem excited" -> {"anyTerms": ["amazing", "love", "excited", "incredible"], "sort": {"by": "likes", "order": "desc"}}
+- "spiritual tweets about Trump from 2016" -> {"allTerms": ["trump"], "anyTerms": ["spirit", "spiritual", "soul"], "dateFrom": "2016", "dateTo": "2016"}
+- "my most popular philosophy tweets" -> {"tags": ["philosophy"], "sort": {"by": "likes", "order": "desc"}}
+- "superliked quote tweets with over 100 likes" -> {"types": ["quote"], "swipe": ["superlike"], "minLikes": 101}`;
 
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${OPENAI_API_KEY}`
-            },
-            body: JSON.stringify({
-                model: 'gpt-4o-mini',
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    { role: 'user', content: query }
-                ],
+        let completion;
+        try {
+            completion = await llm.complete({
+                system: systemPrompt,
+                prompt: query,
+                json: true,
                 temperature: 0.3,
-                max_tokens: 500,
-                response_format: { type: "json_object" }
-            })
-        });
-
-        if (!response.ok) {
-            const error = await response.text();
-            console.error('OpenAI error:', error);
+                maxTokens: 500
+            });
+        } catch (e) {
+            console.error(`${llm.provider} error:`, e.message);
             return res.status(500).json({ error: 'Failed to process query' });
         }
 
-        const data = await response.json();
-        const parsed = JSON.parse(data.choices[0].message.content);
+        // Validate the plan against the whitelist before anything touches SQL
+        let plan;
+        try {
+            plan = validateQueryPlan(completion.data, { knownTags });
+        } catch (e) {
+            console.error('Rejected semantic search plan:', e.message);
+            return res.status(422).json({
+                error: e instanceof QueryPlanError ? e.message : 'AI returned an unreadable search plan',
+                problems: e.problems || []
+            });
+        }
 
-        // Build and execute the query
-        let conditions = [];
-        let params = [];
-        let joinClause = '';
+        const { ftsQuery, conditions, params, orderBy } = compileQueryPlan(plan);
 
-        if (parsed.where) {
-            conditions.push(`(${parsed.where})`);
+        // Exclude retweets and replies by default
+        if (!plan.types) {
+            conditions.push(`t.tweet_type NOT IN ('retweet', 'reply')`);
         }
 
-        if (parsed.tagFilter) {
-            joinClause = `JOIN tweet_tags tt ON t.id = tt.tweet_id JOIN tags tg ON tt.tag_id = tg.id`;
-            conditions.push(`lower(tg.name) = ?`);
-            params.push(parsed.tagFilter.toLowerCase());
+        if (account) {
+            conditions.push(`t.account_id = ?`);
+            params.push(parseInt(account));
         }
 
-        // Exclude retweets and replies by default
-        conditions.push(`t.tweet_type NOT IN ('retweet', 'reply')`);
-
         const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
-        const orderBy = parsed.orderBy || 't.created_at DESC';
 
         const sql = `
-            SELECT DISTINCT t.id, t.full_text, t.created_at, t.favorite_count, t.retweet_count,
-                   t.tweet_type, t.length_category, t.swipe_status, t.tweet_url
+            ${ftsQuery ? `WITH search AS MATERIALIZED (
+                SELECT rowid AS search_rowid, bm25(tweets_fts) AS search_rank
+                FROM tweets_fts WHERE tweets_fts MATCH ?
+            )` : ''}
+            SELECT ${RESULT_COLUMNS}
             FROM tweets t
-            ${joinClause}
+            ${ftsQuery ? 'INNER JOIN search ON search.search_rowid = t.rowid' : ''}
             ${whereClause}
             ORDER BY ${orderBy}
             LIMIT 50
         `;
 
-        const tweets = db.prepare(sql).all(...params);
+        const tweets = db.prepare(sql).all(...(ftsQuery ? [ftsQuery] : []), ...params);
 
         // Get tags for each tweet
-        const tweetIds = tweets.map(t => t.id);
-        if (tweetIds.length > 0) {
-            const tagStmt = db.prepare(`
-                SELECT tt.tweet_id, tg.name, tg.category
-                FROM tweet_tags tt
-                JOIN tags tg ON tt.tag_id = tg.id
-                WHERE tt.tweet_id IN (${tweetIds.map(() => '?').join(',')})
-            `);
-            const allTags = tagStmt.all(...tweetIds);
-
-            const tagMap = {};
-            allTags.forEach(t => {
-                if (!tagMap[t.tweet_id]) tagMap[t.tweet_id] = [];
-                tagMap[t.tweet_id].push({ name: t.name, category: t.category });
-            });
-
-            tweets.forEach(tweet => {
-                tweet.tags = tagMap[tweet.id] || [];
-            });
-        }
+        attachTagLists(tweets);
 
         res.json({
             query: query,
-            interpreted: parsed,
+            mode,
+            interpreted: plan,
+            model: `${completion.provider}/${completion.model}`,
+            usage: completion.usage,
             count: tweets.length,
             tweets: tweets
         });
@@ -1596,6 +2513,9 @@ app.listen(PORT, () => {
    
    Press Ctrl+C to stop
 `);
+
+    // Resume jobs interrupted by the last shutdown
+    jobQueue.start();
 });
 
 process.on('SIGINT', () => {
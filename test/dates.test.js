@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isValidDatePrefix, periodStart, periodEnd } = require('../lib/dates');
+
+test('isValidDatePrefix accepts YYYY, YYYY-MM and real YYYY-MM-DD dates', () => {
+    ['2019', '2019-06', '2020-02-29'].forEach(value => assert.ok(isValidDatePrefix(value), value));
+    ['19', '2019-13', '2019-6', '2019-02-30', '2021-02-29', '2019-06-31', 'yesterday', '']
+        .forEach(value => assert.ok(!isValidDatePrefix(value), value));
+});
+
+test('periodStart is the first day of the period', () => {
+    assert.strictEqual(periodStart('2019'), '2019-01-01');
+    assert.strictEqual(periodStart('2019-06'), '2019-06-01');
+    assert.strictEqual(periodStart('2019-06-15'), '2019-06-15');
+});
+
+test('periodEnd is the first day after the period', () => {
+    assert.strictEqual(periodEnd('2019'), '2020-01-01');
+    assert.strictEqual(periodEnd('2019-12'), '2020-01-01');
+    assert.strictEqual(periodEnd('2020-02-29'), '2020-03-01');
+    assert.strictEqual(periodEnd('2019-12-31'), '2020-01-01');
+});
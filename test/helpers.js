@@ -0,0 +1,38 @@
+/**
+ * Test helpers: a fresh in-memory database with the app's schema, set up the
+ * same way server.js does it.
+ */
+
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+const { runMigrations } = require('../database/migrations');
+
+const SCHEMA_PATH = path.join(__dirname, '../database/schema.sql');
+
+function createTestDb() {
+    const db = new Database(':memory:');
+    db.exec(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+    // Migrations report what they add; nothing to report for a test database
+    const log = console.log;
+    console.log = () => {};
+    try {
+        runMigrations(db);
+    } finally {
+        console.log = log;
+    }
+    return db;
+}
+
+function insertTweet(db, id, fields = {}) {
+    const tweet = { id: String(id), full_text: `Tweet ${id}`, created_at: '2021-06-01 12:00:00', ...fields };
+    const columns = Object.keys(tweet);
+    db.prepare(`INSERT INTO tweets (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`)
+        .run(...Object.values(tweet));
+    return tweet.id;
+}
+
+module.exports = {
+    createTestDb,
+    insertTweet
+};
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTagResults, parseTagEntry, applyTagResults, clearTaggerTags } = require('../lib/llm_tagging');
+const { createTestDb, insertTweet } = require('./helpers');
+
+test('parseTagResults accepts the answer shapes models return', () => {
+    const item = { id: '1', topics: [] };
+    assert.deepStrictEqual(parseTagResults([item]), [item]);
+    assert.deepStrictEqual(parseTagResults({ results: [item] }), [item]);
+    assert.deepStrictEqual(parseTagResults({ tweets: [item, null, { topics: [] }] }), [item]);
+    assert.deepStrictEqual(parseTagResults({ answer: 'none' }), []);
+    assert.deepStrictEqual(parseTagResults(null), []);
+});
+
+test('parseTagEntry reads v1 and v2 entries and clamps confidence', () => {
+    assert.deepStrictEqual(parseTagEntry(' Philosophy '), { name: 'philosophy', confidence: null });
+    assert.deepStrictEqual(parseTagEntry({ tag: 'humor', confidence: 1.4 }), { name: 'humor', confidence: 1 });
+    assert.deepStrictEqual(parseTagEntry({ name: 'humor', confidence: '0.5' }), { name: 'humor', confidence: 0.5 });
+    assert.strictEqual(parseTagEntry({ confidence: 0.5 }), null);
+});
+
+test('applyTagResults drops answers for tweets outside the batch', () => {
+    const db = createTestDb();
+    insertTweet(db, 1);
+    const results = [
+        { id: '1', topics: [{ tag: 'philosophy', confidence: 0.9 }] },
+        { id: '999', topics: ['philosophy'] }
+    ];
+    assert.deepStrictEqual(applyTagResults(db, results, { tweetIds: ['1'] }), { processed: 1, tagsAdded: 1, dropped: 1 });
+    const tagged = db.prepare('SELECT tweet_id FROM tweet_tags').all().map(r => r.tweet_id);
+    assert.deepStrictEqual(tagged, ['1']);
+    db.close();
+});
+
+test('clearTaggerTags removes only the tagger\'s own unreviewed tags', () => {
+    const db = createTestDb();
+    [1, 2].forEach(id => insertTweet(db, id));
+    const tagId = name => {
+        db.prepare("INSERT OR IGNORE INTO tags (name, category) VALUES (?, 'topic')").run(name);
+        return db.prepare('SELECT id FROM tags WHERE name = ?').get(name).id;
+    };
+    const addTag = (tweetId, name, source, tagger) => db.prepare(
+        'INSERT INTO tweet_tags (tweet_id, tag_id, source, tagger) VALUES (?, ?, ?, ?)'
+    ).run(tweetId, tagId(name), source, tagger);
+
+    addTag('1', 'philosophy', 'ai', 'llm_tagger_openai');
+    addTag('1', 'humor', 'ai', 'llm_tagger_openai');
+    addTag('1', 'money', 'manual', null);
+    addTag('2', 'philosophy', 'auto', 'auto_tag_heuristics');
+    addTag('2', 'humor', 'ai', 'local_topic_classifier');
+    db.prepare("INSERT INTO tag_suggestions (tweet_id, tag_id, status, source, tagger) VALUES ('1', ?, 'accepted', 'ai', 'llm_tagger_openai')")
+        .run(tagId('humor'));
+
+    assert.strictEqual(clearTaggerTags(db, 'llm_tagger_openai'), 1);
+    const left = db.prepare(`
+        SELECT tt.tweet_id || ':' || t.name as tag FROM tweet_tags tt JOIN tags t ON t.id = tt.tag_id ORDER BY 1
+    `).all().map(r => r.tag);
+    assert.deepStrictEqual(left, ['1:humor', '1:money', '2:humor', '2:philosophy']);
+    db.close();
+});
+
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { recordComparison, nextPair, rankedTweets, PairwiseError, DEFAULT_RATING } = require('../lib/pairwise');
+const { createTestDb, insertTweet } = require('./helpers');
+
+function seed() {
+    const db = createTestDb();
+    [1, 2, 3].forEach(id => insertTweet(db, id, { swipe_status: 'superlike' }));
+    insertTweet(db, 4, { swipe_status: 'like' });
+    return db;
+}
+
+test('an even match moves both ratings by half the K factor', () => {
+    const db = seed();
+    const { winner, loser } = recordComparison(db, 1, 2);
+    assert.deepStrictEqual(winner, { tweet_id: '1', rating: DEFAULT_RATING + 16, comparisons: 1, wins: 1 });
+    assert.deepStrictEqual(loser, { tweet_id: '2', rating: DEFAULT_RATING - 16, comparisons: 1, wins: 0 });
+    db.close();
+});
+
+test('beating a weaker tweet gains less than an upset', () => {
+    const db = seed();
+    recordComparison(db, 1, 2);
+    const favorite = recordComparison(db, 1, 2).winner.rating - (DEFAULT_RATING + 16);
+    db.close();
+
+    const upsetDb = seed();
+    recordComparison(upsetDb, 1, 2);
+    const upset = recordComparison(upsetDb, 2, 1).winner.rating - (DEFAULT_RATING - 16);
+    upsetDb.close();
+
+    assert.ok(favorite < 16, `favorite gained ${favorite}`);
+    assert.ok(upset > 16, `upset gained ${upset}`);
+});
+
+test('comparisons need two different superliked tweets', () => {
+    const db = seed();
+    assert.throws(() => recordComparison(db, 1, 1), PairwiseError);
+    assert.throws(() => recordComparison(db, 1, 4), PairwiseError);
+    assert.throws(() => recordComparison(db, 1, 99), PairwiseError);
+    assert.throws(() => recordComparison(db, 1), PairwiseError);
+    db.close();
+});
+
+test('nextPair starts from a tweet with the fewest comparisons', () => {
+    const db = seed();
+    recordComparison(db, 1, 2);
+    const { pair, total } = nextPair(db);
+    assert.strictEqual(total, 3);
+    assert.ok(pair.some(tweet => tweet.id === '3'));
+    assert.notStrictEqual(pair[0].id, pair[1].id);
+    db.close();
+});
+
+test('rankedTweets puts rated tweets first, best first', () => {
+    const db = seed();
+    recordComparison(db, 2, 1);
+    const ranking = rankedTweets(db);
+    assert.deepStrictEqual(ranking.tweets.map(t => t.id), ['2', '1', '3']);
+    assert.strictEqual(ranking.compared, 2);
+    assert.strictEqual(ranking.comparisons, 1);
+    db.close();
+});
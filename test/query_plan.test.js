@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateQueryPlan, compileQueryPlan, QueryPlanError } = require('../lib/query_plan');
+const { createTestDb, insertTweet } = require('./helpers');
+
+function matchingIds(db, plan) {
+    const { conditions, params } = compileQueryPlan(plan);
+    const where = conditions.length ? conditions.join(' AND ') : '1';
+    return db.prepare(`SELECT id FROM tweets t WHERE ${where} ORDER BY id`).all(...params).map(r => r.id);
+}
+
+function tagTweet(db, tweetId, name) {
+    db.prepare("INSERT OR IGNORE INTO tags (name, category) VALUES (?, 'topic')").run(name);
+    const tag = db.prepare('SELECT id FROM tags WHERE name = ?').get(name);
+    db.prepare('INSERT INTO tweet_tags (tweet_id, tag_id) VALUES (?, ?)').run(String(tweetId), tag.id);
+    return tag.id;
+}
+
+test('validateQueryPlan normalizes values and drops empty keys', () => {
+    const plan = validateQueryPlan(
+        { anyTerms: [' Bitcoin '], tags: ['Philosophy'], excludeTags: [] },
+        { knownTags: ['philosophy'] }
+    );
+    assert.deepStrictEqual(plan, { anyTerms: ['bitcoin'], tags: ['philosophy'] });
+});
+
+test('validateQueryPlan lists every problem', () => {
+    assert.throws(
+        () => validateQueryPlan({ tags: ['nope'], dateFrom: '2019-02-30', bogus: 1 }, { knownTags: ['philosophy'] }),
+        err => err instanceof QueryPlanError &&
+            /unknown key "bogus"/.test(err.message) &&
+            /"nope" is not a known tag/.test(err.message) &&
+            /dateFrom/.test(err.message)
+    );
+});
+
+test('terms become an FTS query', () => {
+    assert.strictEqual(compileQueryPlan({ anyTerms: ['bitcoin', 'crypto'] }).ftsQuery, '("bitcoin" OR "crypto")');
+    assert.strictEqual(compileQueryPlan({ allTerms: ['good night'] }).ftsQuery, '"good night"');
+    assert.strictEqual(compileQueryPlan({ tags: ['philosophy'] }).ftsQuery, null);
+});
+
+test('date bounds cover whole periods', () => {
+    const compiled = compileQueryPlan({ dateFrom: '2016', dateTo: '2020-12' });
+    assert.deepStrictEqual(compiled.conditions, ['t.created_at >= ?', 't.created_at < ?']);
+    assert.deepStrictEqual(compiled.params, ['2016-01-01', '2021-01-01']);
+
+    const db = createTestDb();
+    insertTweet(db, 1, { created_at: '2015-12-31 23:59:59' });
+    insertTweet(db, 2, { created_at: '2016-01-01 00:00:00' });
+    insertTweet(db, 3, { created_at: '2020-12-31 23:59:59' });
+    insertTweet(db, 4, { created_at: '2021-01-01 00:00:00' });
+    assert.deepStrictEqual(matchingIds(db, { dateFrom: '2016', dateTo: '2020-12' }), ['2', '3']);
+    db.close();
+});
+
+test('tags and excludeTags filter by tag', () => {
+    const db = createTestDb();
+    [1, 2, 3].forEach(id => insertTweet(db, id));
+    tagTweet(db, 1, 'philosophy');
+    tagTweet(db, 2, 'meme');
+
+    assert.deepStrictEqual(matchingIds(db, { tags: ['philosophy'] }), ['1']);
+    assert.deepStrictEqual(matchingIds(db, { excludeTags: ['philosophy'] }), ['2', '3']);
+    db.close();
+});
+
+test('tags match through aliases and child tags', () => {
+    const db = createTestDb();
+    [1, 2, 3].forEach(id => insertTweet(db, id));
+    const parentId = tagTweet(db, 1, 'philosophy');
+    db.prepare("INSERT INTO tags (name, category, parent_id) VALUES ('stoicism', 'topic', ?)").run(parentId);
+    tagTweet(db, 2, 'stoicism');
+    db.prepare("INSERT INTO tag_aliases (tag_id, alias) VALUES (?, 'philo')").run(parentId);
+
+    assert.deepStrictEqual(matchingIds(db, { tags: ['philosophy'] }), ['1', '2']);
+    assert.deepStrictEqual(matchingIds(db, { tags: ['philo'] }), ['1', '2']);
+    assert.deepStrictEqual(matchingIds(db, { excludeTags: ['philosophy'] }), ['3']);
+    db.close();
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { scheduleReview, applySwipeToSchedule, reviewCounts } = require('../lib/review_schedule');
+const { createTestDb, insertTweet } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test('putting a tweet off again grows its interval (SM-2)', () => {
+    const db = createTestDb();
+    insertTweet(db, 1, { swipe_status: 'review_later' });
+    const now = new Date('2024-01-01T00:00:00Z');
+
+    const steps = [1, 2, 3, 4].map(() => scheduleReview(db, 1, { now }));
+    assert.deepStrictEqual(steps.map(s => s.interval_days), [1, 6, 13, 27]);
+    assert.deepStrictEqual(steps.map(s => s.ease_factor), [2.36, 2.22, 2.08, 1.94]);
+    assert.strictEqual(steps[1].due_at, new Date(now.getTime() + 6 * DAY_MS).toISOString());
+    db.close();
+});
+
+test('a low grade starts the intervals over', () => {
+    const db = createTestDb();
+    insertTweet(db, 1, { swipe_status: 'review_later' });
+    scheduleReview(db, 1);
+    scheduleReview(db, 1);
+    const reset = scheduleReview(db, 1, { grade: 1 });
+    assert.strictEqual(reset.repetitions, 0);
+    assert.strictEqual(reset.interval_days, 1);
+    db.close();
+});
+
+test('deciding on a tweet takes it off the schedule', () => {
+    const db = createTestDb();
+    insertTweet(db, 1, { swipe_status: 'review_later' });
+    applySwipeToSchedule(db, 1, 'review_later');
+    assert.ok(db.prepare('SELECT 1 FROM review_schedule WHERE tweet_id = ?').get('1'));
+    assert.strictEqual(applySwipeToSchedule(db, 1, 'like'), null);
+    assert.strictEqual(db.prepare('SELECT 1 FROM review_schedule WHERE tweet_id = ?').get('1'), undefined);
+    db.close();
+});
+
+test('reviewCounts counts unscheduled review_later tweets as due', () => {
+    const db = createTestDb();
+    const now = new Date('2024-01-01T00:00:00Z');
+    insertTweet(db, 1, { swipe_status: 'review_later' });
+    insertTweet(db, 2, { swipe_status: 'review_later' });
+    scheduleReview(db, 2, { now });
+
+    const counts = reviewCounts(db, { now });
+    assert.strictEqual(counts.due, 1);
+    assert.strictEqual(counts.scheduled, 2);
+    assert.strictEqual(counts.nextDueAt, new Date(now.getTime() + DAY_MS).toISOString());
+    assert.strictEqual(reviewCounts(db, { now: new Date(now.getTime() + 2 * DAY_MS) }).due, 2);
+    db.close();
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSearchQuery, SearchQueryError } = require('../lib/search_query');
+const { createTestDb, insertTweet } = require('./helpers');
+
+function matchingIds(db, query) {
+    const { where, params } = parseSearchQuery(query);
+    return db.prepare(`SELECT id FROM tweets t WHERE ${where} ORDER BY id`).all(...params).map(r => r.id);
+}
+
+test('text terms compile to one FTS match', () => {
+    const parsed = parseSearchQuery('bitcoin -joke');
+    assert.strictEqual(parsed.where, 't.rowid IN (SELECT rowid FROM tweets_fts WHERE tweets_fts MATCH ?)');
+    assert.deepStrictEqual(parsed.params, ['(("bitcoin") NOT "joke")']);
+    assert.strictEqual(parsed.highlightQuery, '"bitcoin"');
+});
+
+test('OR, exclusions and phrases match through tweets_fts', () => {
+    const db = createTestDb();
+    insertTweet(db, 1, { full_text: 'Bitcoin is the future' });
+    insertTweet(db, 2, { full_text: 'bitcoin joke of the day' });
+    insertTweet(db, 3, { full_text: 'Ethereum gas fees again' });
+
+    assert.deepStrictEqual(matchingIds(db, 'bitcoin -joke'), ['1']);
+    assert.deepStrictEqual(matchingIds(db, 'bitcoin OR ethereum'), ['1', '2', '3']);
+    assert.deepStrictEqual(matchingIds(db, '"gas fees"'), ['3']);
+    db.close();
+});
+
+test('date bounds bind full dates', () => {
+    assert.deepStrictEqual(parseSearchQuery('after:2019'), {
+        where: 't.created_at >= ?', params: ['2019-01-01'], highlightQuery: null, types: []
+    });
+    assert.deepStrictEqual(parseSearchQuery('before:2021-06').params, ['2021-06-01']);
+    assert.deepStrictEqual(parseSearchQuery('during:2022').params, ['2022-01-01', '2023-01-01']);
+});
+
+test('after:2019 matches by date against created_at', () => {
+    const db = createTestDb();
+    insertTweet(db, 1, { created_at: '2018-12-31 23:59:59' });
+    insertTweet(db, 2, { created_at: '2019-01-01 00:00:00' });
+    insertTweet(db, 3, { created_at: '2023-05-05 10:00:00' });
+
+    assert.deepStrictEqual(matchingIds(db, 'after:2019'), ['2', '3']);
+    assert.deepStrictEqual(matchingIds(db, 'before:2019'), ['1']);
+    assert.deepStrictEqual(matchingIds(db, 'during:2019'), ['2']);
+    db.close();
+});
+
+test('words ending in a colon are plain terms unless they name an operator', () => {
+    const db = createTestDb();
+    insertTweet(db, 1, { full_text: 'Note: the octopus has three hearts' });
+    insertTweet(db, 2, { full_text: 'TIL octopus ink is mostly melanin' });
+    insertTweet(db, 3, { full_text: 're: your octopus question' });
+
+    assert.deepStrictEqual(matchingIds(db, 'Note: octopus'), ['1']);
+    assert.deepStrictEqual(matchingIds(db, 'TIL: octopus'), ['2']);
+    assert.deepStrictEqual(matchingIds(db, 're: -note'), ['3']);
+    assert.strictEqual(parseSearchQuery('https://example.com').where.includes('tweets_fts'), true);
+    assert.throws(() => parseSearchQuery('likes:'), SearchQueryError);
+    db.close();
+});
+
+test('field operators bind their values', () => {
+    const parsed = parseSearchQuery('likes:>50 rts:>=10');
+    assert.strictEqual(parsed.where, '(t.favorite_count > ? AND t.retweet_count >= ?)');
+    assert.deepStrictEqual(parsed.params, [50, 10]);
+});
+
+test('malformed queries throw SearchQueryError', () => {
+    ['after:2019-13', 'before:2019-02-30', 'likes:>abc', '(foo', 'type:bogus']
+        .forEach(query => assert.throws(() => parseSearchQuery(query), SearchQueryError, query));
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildSwipeFilters, resolveStrategy, SwipeQueueError, DEFAULT_STRATEGY } = require('../lib/swipe_queue');
+const { createTestDb, insertTweet } = require('./helpers');
+
+test('from and to are inclusive whole periods', () => {
+    const db = createTestDb();
+    insertTweet(db, 1, { created_at: '2018-12-31 23:59:59', tweet_type: 'text_only' });
+    insertTweet(db, 2, { created_at: '2019-01-01 00:00:00', tweet_type: 'text_only' });
+    insertTweet(db, 3, { created_at: '2019-12-31 23:59:59', tweet_type: 'text_only' });
+    insertTweet(db, 4, { created_at: '2020-01-01 00:00:00', tweet_type: 'text_only' });
+
+    const { conditions, params } = buildSwipeFilters({ from: '2019', to: '2019' });
+    const ids = db.prepare(`SELECT id FROM tweets t WHERE ${conditions.join(' AND ')} ORDER BY id`)
+        .all(...params).map(r => r.id);
+    assert.deepStrictEqual(ids, ['2', '3']);
+    db.close();
+});
+
+test('bad filter values throw SwipeQueueError', () => {
+    [{ from: '2019-1' }, { to: 'yesterday' }, { to: '2019-02-30' }, { type: 'bogus' }, { minEngagement: 'lots' }]
+        .forEach(filters => assert.throws(() => buildSwipeFilters(filters), SwipeQueueError, JSON.stringify(filters)));
+});
+
+test('resolveStrategy picks the default and accepts the older order=quality', () => {
+    assert.strictEqual(resolveStrategy().name, DEFAULT_STRATEGY);
+    assert.strictEqual(resolveStrategy({ order: 'quality' }).name, 'quality');
+    assert.throws(() => resolveStrategy({ strategy: 'bogus' }), SwipeQueueError);
+});
+
+test('random without a seed holds for the day', () => {
+    const today = new Date().toISOString().split('T')[0];
+    assert.strictEqual(resolveStrategy({ strategy: 'random' }).seed, today);
+    assert.strictEqual(resolveStrategy({ strategy: 'random', seed: 'abc' }).seed, 'abc');
+});
+
+test('stratified takes one tweet per topic within the filtered pool', () => {
+    const db = createTestDb();
+    const topic = name => {
+        db.prepare("INSERT OR IGNORE INTO tags (name, category) VALUES (?, 'topic')").run(name);
+        return db.prepare('SELECT id FROM tags WHERE name = ?').get(name).id;
+    };
+    const [art, money] = [topic('art'), topic('money')];
+    ['us', 'them'].forEach(username => db.prepare('INSERT INTO accounts (username) VALUES (?)').run(username));
+    const add = (id, account, likes, tagId) => {
+        insertTweet(db, id, { account_id: account, favorite_count: likes, tweet_type: 'text_only' });
+        db.prepare('INSERT INTO tweet_tags (tweet_id, tag_id) VALUES (?, ?)').run(String(id), tagId);
+    };
+    add(1, 1, 10, art);
+    add(2, 1, 9, art);
+    add(3, 1, 5, money);
+    // Another account's art outranks ours - it mustn't push our art down
+    add(4, 2, 100, art);
+    add(5, 2, 90, art);
+
+    const pool = buildSwipeFilters({ account: '1' });
+    const strategy = resolveStrategy({ strategy: 'stratified' }, pool);
+    const ids = db.prepare(`
+        SELECT t.id FROM tweets t ${strategy.join}
+        WHERE t.swipe_status IS NULL AND ${[...pool.conditions, strategy.condition].join(' AND ')}
+        ORDER BY ${strategy.orderBy}
+    `).all(...strategy.joinParams, ...pool.params).map(r => r.id);
+    assert.deepStrictEqual(ids, ['1', '3', '2']);
+    db.close();
+});
+